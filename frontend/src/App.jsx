@@ -1,42 +1,94 @@
 import { BrowserRouter, NavLink, Route, Routes } from "react-router-dom";
 import "./App.css";
+import { useAuth } from "./auth/useAuth";
+import LanguageSelect from "./components/LanguageSelect";
+import RequireAuth from "./components/RequireAuth";
+import { useTranslation } from "./i18n/useTranslation";
+import CombinedPage from "./pages/CombinedPage";
+import HistoryPage from "./pages/HistoryPage";
+import LoginPage from "./pages/LoginPage";
 import PromptPage from "./pages/PromptPage";
+import RegisterPage from "./pages/RegisterPage";
 import ReportPage from "./pages/ReportPage";
+import TrendsPage from "./pages/TrendsPage";
 
 function App() {
+  const { t } = useTranslation();
+  const { user, logout } = useAuth();
+
   return (
     <BrowserRouter>
       <div className="app-shell">
         <main className="card">
           <header>
-            <p className="eyebrow">AI Triage Assistant</p>
-            <h1>Clinical Guidance Workspace</h1>
-            <p className="subhead">
-              Choose between free-text prompt mode or document upload mode.
-              Gemini surfaces possible conditions, key findings, and follow-up
-              guidance. This does not replace licensed clinicians.
-            </p>
+            <div className="header-top">
+              <p className="eyebrow">{t("app.eyebrow")}</p>
+              <div className="header-actions">
+                {user && (
+                  <>
+                    <span className="account-badge">
+                      {user.name} • {t(`auth.roles.${user.role}`)}
+                    </span>
+                    <button type="button" className="ghost" onClick={logout}>
+                      {t("auth.signOut")}
+                    </button>
+                  </>
+                )}
+                <LanguageSelect />
+              </div>
+            </div>
+            <h1>{t("app.title")}</h1>
+            <p className="subhead">{t("app.subhead")}</p>
           </header>
 
-          <nav className="nav-tabs">
-            <NavLink
-              to="/"
-              end
-              className={({ isActive }) => `nav-link ${isActive ? "active" : ""}`}
-            >
-              Prompt mode
-            </NavLink>
-            <NavLink
-              to="/reports"
-              className={({ isActive }) => `nav-link ${isActive ? "active" : ""}`}
-            >
-              Report mode
-            </NavLink>
-          </nav>
+          {user && (
+            <nav className="nav-tabs">
+              <NavLink
+                to="/"
+                end
+                className={({ isActive }) => `nav-link ${isActive ? "active" : ""}`}
+              >
+                {t("app.nav.prompt")}
+              </NavLink>
+              <NavLink
+                to="/reports"
+                className={({ isActive }) => `nav-link ${isActive ? "active" : ""}`}
+              >
+                {t("app.nav.report")}
+              </NavLink>
+              <NavLink
+                to="/combined"
+                className={({ isActive }) => `nav-link ${isActive ? "active" : ""}`}
+              >
+                {t("app.nav.combined")}
+              </NavLink>
+              <NavLink
+                to="/history"
+                className={({ isActive }) => `nav-link ${isActive ? "active" : ""}`}
+              >
+                {t("app.nav.history")}
+              </NavLink>
+              <NavLink
+                to="/patients"
+                className={({ isActive }) => `nav-link ${isActive ? "active" : ""}`}
+              >
+                {t("app.nav.trends")}
+              </NavLink>
+            </nav>
+          )}
 
           <Routes>
-            <Route path="/" element={<PromptPage />} />
-            <Route path="/reports" element={<ReportPage />} />
+            <Route path="/login" element={<LoginPage />} />
+            <Route path="/register" element={<RegisterPage />} />
+            <Route element={<RequireAuth />}>
+              <Route path="/" element={<PromptPage />} />
+              <Route path="/reports" element={<ReportPage />} />
+              <Route path="/combined" element={<CombinedPage />} />
+              <Route path="/history" element={<HistoryPage />} />
+              <Route path="/history/:caseId" element={<HistoryPage />} />
+              <Route path="/patients" element={<TrendsPage />} />
+              <Route path="/patients/:patientId" element={<TrendsPage />} />
+            </Route>
           </Routes>
         </main>
       </div>
@@ -0,0 +1,9 @@
+import { createContext } from "react";
+
+export const AuthContext = createContext({
+  user: null,
+  isLoading: true,
+  login: async () => {},
+  register: async () => {},
+  logout: async () => {},
+});
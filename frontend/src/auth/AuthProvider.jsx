@@ -0,0 +1,75 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { responseError } from "../utils/apiError";
+import { AuthContext } from "./AuthContext";
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL ?? "";
+
+// The session lives in an HttpOnly cookie set by the server, so the client
+// only keeps the signed-in user's profile.
+function AuthProvider({ children }) {
+  const [user, setUser] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetch(`${API_BASE}/api/auth/me`, {
+      credentials: "include",
+      signal: controller.signal,
+    })
+      .then((response) => (response.ok ? response.json() : null))
+      .then((payload) => {
+        setUser(payload);
+        setIsLoading(false);
+      })
+      .catch((apiError) => {
+        if (apiError.name !== "AbortError") setIsLoading(false);
+      });
+    return () => controller.abort();
+  }, []);
+
+  const login = useCallback(
+    async (credentials) =>
+      setUser(await postAuth("/api/auth/login", credentials)),
+    []
+  );
+
+  const register = useCallback(
+    async (details) => setUser(await postAuth("/api/auth/register", details)),
+    []
+  );
+
+  const logout = useCallback(async () => {
+    await fetch(`${API_BASE}/api/auth/logout`, {
+      method: "POST",
+      credentials: "include",
+    }).catch(() => {});
+    setUser(null);
+  }, []);
+
+  const value = useMemo(
+    () => ({ user, isLoading, login, register, logout }),
+    [user, isLoading, login, register, logout]
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+export default AuthProvider;
+
+async function postAuth(path, body) {
+  const response = await fetch(`${API_BASE}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    credentials: "include",
+    body: JSON.stringify(body),
+  });
+  const payload = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw responseError(
+      response,
+      payload,
+      `Request failed (status ${response.status}).`
+    );
+  }
+  return payload;
+}
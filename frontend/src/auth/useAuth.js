@@ -0,0 +1,7 @@
+import { useContext } from "react";
+import { AuthContext } from "./AuthContext";
+
+export function useAuth() {
+  const auth = useContext(AuthContext);
+  return { ...auth, isClinician: auth.user?.role === "clinician" };
+}
@@ -0,0 +1,24 @@
+import { useTranslation } from "../i18n/useTranslation";
+
+// Shown when the server answered from its response cache. "Regenerate" asks
+// the model again and replaces the cached answer.
+function CachedResultNote({ cache, onRegenerate, disabled }) {
+  const { t } = useTranslation();
+  if (!cache?.hit) return null;
+
+  return (
+    <p className="cached-note">
+      {t("cache.reused", { time: new Date(cache.storedAt).toLocaleString() })}{" "}
+      <button
+        type="button"
+        className="ghost"
+        onClick={onRegenerate}
+        disabled={disabled}
+      >
+        {t("cache.regenerate")}
+      </button>
+    </p>
+  );
+}
+
+export default CachedResultNote;
@@ -0,0 +1,145 @@
+import { useState } from "react";
+import { useTranslation } from "../i18n/useTranslation";
+import { describeError, responseError } from "../utils/apiError";
+import EmergencyBanner from "./EmergencyBanner";
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL ?? "";
+
+// Follow-up questions about a saved case. The server answers with the case's
+// symptoms, reports and answer as context, runs the emergency rules on every
+// question and stores the conversation on the case.
+function CaseChat({ caseId, turns = [] }) {
+  const { t, language } = useTranslation();
+  const [items, setItems] = useState(turns);
+  const [draft, setDraft] = useState("");
+  const [error, setError] = useState("");
+  const [errorTriage, setErrorTriage] = useState(null);
+  const [isSending, setIsSending] = useState(false);
+
+  if (!caseId) return null;
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!draft.trim()) return;
+    setIsSending(true);
+    setError("");
+    setErrorTriage(null);
+    try {
+      const response = await fetch(`${API_BASE}/api/cases/${caseId}/chat`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ message: draft, language }),
+      });
+      const payload = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw responseError(
+          response,
+          payload,
+          t("chat.failed", { status: response.status })
+        );
+      }
+      setItems((current) => [...current, ...payload.turns]);
+      setDraft("");
+    } catch (apiError) {
+      setError(describeError(apiError, t, t("chat.error")));
+      setErrorTriage(apiError.triage);
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <section className="case-chat">
+      <h3>{t("chat.title")}</h3>
+      <p className="upload-hint">{t("chat.intro")}</p>
+
+      {items.length > 0 && (
+        <ol className="chat-turns">
+          {items.map((turn) => (
+            <li key={turn.id} className={`chat-turn ${turn.role}`}>
+              {turn.role === "user" ? (
+                <>
+                  <span className="history-meta">
+                    {t("chat.byline", {
+                      author: turn.authorName,
+                      date: new Date(turn.createdAt).toLocaleString(),
+                    })}
+                  </span>
+                  <p>{turn.text}</p>
+                </>
+              ) : (
+                <ChatReply turn={turn} />
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <form onSubmit={handleSubmit}>
+        <textarea
+          rows={3}
+          maxLength={2000}
+          value={draft}
+          onChange={(event) => setDraft(event.target.value)}
+          placeholder={t("chat.placeholder")}
+          aria-label={t("chat.title")}
+          disabled={isSending}
+        />
+        <div className="form-actions">
+          <button type="submit" disabled={isSending || !draft.trim()}>
+            {isSending ? t("chat.sending") : t("chat.send")}
+          </button>
+        </div>
+      </form>
+
+      {error && <p className="error">{error}</p>}
+      <EmergencyBanner triage={errorTriage} />
+    </section>
+  );
+}
+
+function ChatReply({ turn }) {
+  const { t } = useTranslation();
+  const { reply } = turn;
+
+  return (
+    <>
+      <EmergencyBanner triage={turn.triage} />
+      {reply ? (
+        <>
+          <p>{reply.answer}</p>
+          {reply.redFlags.length > 0 && (
+            <>
+              <h4>{t("chat.redFlags")}</h4>
+              <ul>
+                {reply.redFlags.map((flag) => (
+                  <li key={flag}>{flag}</li>
+                ))}
+              </ul>
+            </>
+          )}
+          {reply.questions.length > 0 && (
+            <>
+              <h4>{t("chat.questions")}</h4>
+              <ul>
+                {reply.questions.map((question) => (
+                  <li key={question}>{question}</li>
+                ))}
+              </ul>
+            </>
+          )}
+          <p className="disclaimer">{reply.disclaimer}</p>
+        </>
+      ) : (
+        turn.text
+          .split(/\n{2,}/)
+          .map((paragraph) => paragraph.trim())
+          .filter(Boolean)
+          .map((paragraph) => <p key={paragraph}>{paragraph}</p>)
+      )}
+    </>
+  );
+}
+
+export default CaseChat;
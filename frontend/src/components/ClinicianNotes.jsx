@@ -0,0 +1,93 @@
+import { useState } from "react";
+import { useAuth } from "../auth/useAuth";
+import { useTranslation } from "../i18n/useTranslation";
+import { describeError, responseError } from "../utils/apiError";
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL ?? "";
+
+// Attributed notes on a saved case. Everyone who can see the case can read
+// them; only clinicians can add one.
+function ClinicianNotes({ caseId, notes = [] }) {
+  const { t } = useTranslation();
+  const { isClinician } = useAuth();
+  const [items, setItems] = useState(notes);
+  const [draft, setDraft] = useState("");
+  const [error, setError] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  if (!items.length && !isClinician) return null;
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!draft.trim()) return;
+    setIsSaving(true);
+    setError("");
+    try {
+      const response = await fetch(`${API_BASE}/api/cases/${caseId}/notes`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ text: draft }),
+      });
+      const payload = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw responseError(
+          response,
+          payload,
+          t("notes.failed", { status: response.status })
+        );
+      }
+      setItems((current) => [...current, payload]);
+      setDraft("");
+    } catch (apiError) {
+      setError(describeError(apiError, t, t("notes.error")));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <section className="clinician-notes">
+      <h3>{t("notes.title")}</h3>
+      {items.length ? (
+        <ul>
+          {items.map((note) => (
+            <li key={note.id}>
+              <p>{note.text}</p>
+              <span className="history-meta">
+                {t("notes.byline", {
+                  author: note.authorName,
+                  date: new Date(note.createdAt).toLocaleString(),
+                })}
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="history-meta">{t("notes.empty")}</p>
+      )}
+
+      {isClinician && (
+        <form onSubmit={handleSubmit}>
+          <textarea
+            rows={3}
+            value={draft}
+            onChange={(event) => setDraft(event.target.value)}
+            placeholder={t("notes.placeholder")}
+            aria-label={t("notes.add")}
+            disabled={isSaving}
+          />
+          <div className="form-actions">
+            <button type="submit" disabled={isSaving || !draft.trim()}>
+              {isSaving ? t("notes.saving") : t("notes.add")}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {error && <p className="error">{error}</p>}
+    </section>
+  );
+}
+
+export default ClinicianNotes;
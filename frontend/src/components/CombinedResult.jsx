@@ -0,0 +1,86 @@
+import { useAuth } from "../auth/useAuth";
+import { useTranslation } from "../i18n/useTranslation";
+import ReportSection from "./ReportSection";
+
+function CombinedResult({ data }) {
+  const { t } = useTranslation();
+  const { isClinician } = useAuth();
+
+  return (
+    <>
+      {data.summary && <p className="report-intro">{data.summary}</p>}
+
+      {data.redFlags.length > 0 && (
+        <section className="report-section combined-redflags">
+          <h3>{t("combinedResult.redFlags")}</h3>
+          <ul>
+            {data.redFlags.map((flag) => (
+              <li key={flag.text}>
+                <span>{flag.text}</span> <BasisBadge basis={flag.basis} />
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      <div className="conclusion-list">
+        {data.conclusions.map((conclusion, index) => (
+          <div
+            className="conclusion-item"
+            key={`${conclusion.statement}-${index}`}
+          >
+            <div className="conclusion-header">
+              <p className="conclusion-title">
+                #{index + 1} {conclusion.statement}
+              </p>
+              {isClinician && (
+                <span
+                  className={`likelihood likelihood-${conclusion.likelihood}`}
+                >
+                  {t(`common.likelihood.${conclusion.likelihood}`)}
+                </span>
+              )}
+              <BasisBadge basis={conclusion.basis} />
+            </div>
+            {isClinician && conclusion.evidence.length > 0 && (
+              <ul className="evidence-list">
+                {conclusion.evidence.map((item) => (
+                  <li key={item}>{item}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="report-grid">
+        <ReportSection
+          title={t("combinedResult.discrepancies")}
+          items={data.discrepancies}
+        />
+        <ReportSection
+          title={t("combinedResult.nextSteps")}
+          items={data.nextSteps}
+        />
+        <ReportSection
+          title={t("combinedResult.specialists")}
+          items={data.specialists}
+        />
+      </div>
+
+      {data.disclaimer && <p className="disclaimer">{data.disclaimer}</p>}
+    </>
+  );
+}
+
+export default CombinedResult;
+
+function BasisBadge({ basis }) {
+  const { t } = useTranslation();
+
+  return (
+    <span className={`basis-badge basis-${basis}`}>
+      {t(`combinedResult.basis.${basis}`)}
+    </span>
+  );
+}
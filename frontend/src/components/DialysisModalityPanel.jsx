@@ -0,0 +1,241 @@
+import { useState } from "react";
+import { useTranslation } from "../i18n/useTranslation";
+import { describeError, responseError } from "../utils/apiError";
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL ?? "";
+
+// Option values match MODALITY_FACTORS in server/lib/dialysisModality.js.
+const FACTORS = [
+  { name: "abdominalSurgery", options: ["none", "previous", "extensive"] },
+  { name: "homeSupport", options: ["none", "partial", "full"] },
+  { name: "manualDexterity", options: ["good", "limited", "poor"] },
+  {
+    name: "vascularAccess",
+    options: ["none", "catheter", "maturing", "working", "exhausted"],
+  },
+  { name: "cardiacFunction", options: ["normal", "reduced", "severe"] },
+];
+
+const PREFERENCES = [
+  "home",
+  "flexibleSchedule",
+  "travel",
+  "inCentre",
+  "avoidDialysis",
+];
+
+const EMPTY_FORM = {
+  abdominalSurgery: "",
+  homeSupport: "",
+  manualDexterity: "",
+  vascularAccess: "",
+  cardiacFunction: "",
+  residualUrineOutput: "",
+  preferences: [],
+};
+
+const RULE_GROUPS = ["contraindications", "cautions", "favours"];
+
+function DialysisModalityPanel() {
+  const { t } = useTranslation();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [comparison, setComparison] = useState(null);
+  const [error, setError] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+
+  const updateField = (event) => {
+    const { name, value } = event.target;
+    setForm((current) => ({ ...current, [name]: value }));
+  };
+
+  const togglePreference = (preference) => {
+    setForm((current) => ({
+      ...current,
+      preferences: current.preferences.includes(preference)
+        ? current.preferences.filter((item) => item !== preference)
+        : [...current.preferences, preference],
+    }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsLoading(true);
+    setError("");
+    setComparison(null);
+
+    try {
+      const response = await fetch(`${API_BASE}/api/dialysis-modality`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        credentials: "include",
+        body: JSON.stringify(form),
+      });
+
+      const payload = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw responseError(
+          response,
+          payload,
+          t("modality.failed", { status: response.status })
+        );
+      }
+
+      setComparison(payload);
+    } catch (apiError) {
+      setError(describeError(apiError, t, t("common.unexpectedError")));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <section className="dialysis-panel">
+      <div className="result-header">
+        <div>
+          <p className="eyebrow narrow">{t("dialysis.eyebrow")}</p>
+          <h2>{t("modality.title")}</h2>
+        </div>
+      </div>
+      <p className="panel-intro">{t("modality.intro")}</p>
+
+      <form className="lab-form" onSubmit={handleSubmit}>
+        {FACTORS.map((factor) => (
+          <label key={factor.name} className="lab-field">
+            <span>{t(`modality.fields.${factor.name}`)}</span>
+            <select
+              name={factor.name}
+              value={form[factor.name]}
+              onChange={updateField}
+              disabled={isLoading}
+            >
+              <option value="">{t("modality.unknown")}</option>
+              {factor.options.map((option) => (
+                <option key={option} value={option}>
+                  {t(`modality.options.${factor.name}.${option}`)}
+                </option>
+              ))}
+            </select>
+          </label>
+        ))}
+        <label className="lab-field">
+          <span>{t("modality.fields.residualUrineOutput")}</span>
+          <input
+            type="number"
+            name="residualUrineOutput"
+            min="0"
+            step="10"
+            value={form.residualUrineOutput}
+            onChange={updateField}
+            disabled={isLoading}
+          />
+        </label>
+        <fieldset className="intake-group modality-preferences">
+          <legend>{t("modality.fields.preferences")}</legend>
+          {PREFERENCES.map((preference) => (
+            <label key={preference} className="intake-check">
+              <input
+                type="checkbox"
+                checked={form.preferences.includes(preference)}
+                onChange={() => togglePreference(preference)}
+                disabled={isLoading}
+              />
+              {t(`modality.preferences.${preference}`)}
+            </label>
+          ))}
+        </fieldset>
+        <div className="form-actions">
+          <button type="submit" disabled={isLoading}>
+            {isLoading ? t("modality.comparing") : t("modality.compare")}
+          </button>
+          <button
+            type="button"
+            className="ghost"
+            onClick={() => {
+              setForm(EMPTY_FORM);
+              setComparison(null);
+              setError("");
+            }}
+            disabled={isLoading}
+          >
+            {t("common.clear")}
+          </button>
+        </div>
+      </form>
+
+      {error && <p className="error">{error}</p>}
+
+      {comparison && <ModalityComparison comparison={comparison} />}
+    </section>
+  );
+}
+
+export default DialysisModalityPanel;
+
+function ModalityComparison({ comparison }) {
+  const { t } = useTranslation();
+
+  return (
+    <div className="risk-result">
+      <div className="modality-grid">
+        {comparison.options.map((option) => (
+          <article
+            key={option.id}
+            className={`modality-option suitability-${option.suitability}`}
+          >
+            <h3>{option.label}</h3>
+            <p className="urgency-label">{option.outcome}</p>
+            {RULE_GROUPS.map(
+              (group) =>
+                option[group].length > 0 && (
+                  <div key={group}>
+                    <h4>{t(`modality.groups.${group}`)}</h4>
+                    <ul className="rule-list">
+                      {option[group].map((rule) => (
+                        <li
+                          key={rule.id}
+                          className={`rule-item effect-${rule.effect}`}
+                        >
+                          <p className="rule-title">{rule.title}</p>
+                          <p className="rule-explanation">{rule.explanation}</p>
+                          <p className="rule-source">
+                            {t("dialysis.source", { source: rule.source })}
+                          </p>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )
+            )}
+            {!option.favours.length &&
+              !option.cautions.length &&
+              !option.contraindications.length && (
+                <p className="panel-note">{t("modality.noRules")}</p>
+              )}
+          </article>
+        ))}
+      </div>
+
+      <h3>{t("modality.questions")}</h3>
+      <ul className="modality-questions">
+        {comparison.questions.map((question) => (
+          <li key={question}>{question}</li>
+        ))}
+      </ul>
+
+      {comparison.missingInputs.length > 0 && (
+        <p className="panel-note">
+          {t("dialysis.notAssessed", {
+            inputs: comparison.missingInputs
+              .map((key) => t(`modality.fields.${key}`))
+              .join(", "),
+          })}
+        </p>
+      )}
+
+      <p className="disclaimer">{t("modality.disclaimer")}</p>
+    </div>
+  );
+}
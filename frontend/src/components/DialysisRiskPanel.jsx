@@ -0,0 +1,197 @@
+import { useState } from "react";
+import { useTranslation } from "../i18n/useTranslation";
+import { describeError, responseError } from "../utils/apiError";
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL ?? "";
+
+const EMPTY_FORM = {
+  creatinine: "",
+  age: "",
+  sex: "",
+  acr: "",
+  potassium: "",
+  bicarbonate: "",
+  urineOutput: "",
+};
+
+const FIELDS = [
+  { name: "creatinine", step: "0.01", required: true },
+  { name: "age", step: "1", required: true },
+  { name: "acr", step: "1" },
+  { name: "potassium", step: "0.1" },
+  { name: "bicarbonate", step: "0.1" },
+  { name: "urineOutput", step: "10" },
+];
+
+function DialysisRiskPanel() {
+  const { t } = useTranslation();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [assessment, setAssessment] = useState(null);
+  const [error, setError] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+
+  const updateField = (event) => {
+    const { name, value } = event.target;
+    setForm((current) => ({ ...current, [name]: value }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsLoading(true);
+    setError("");
+    setAssessment(null);
+
+    try {
+      const response = await fetch(`${API_BASE}/api/dialysis-risk`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        credentials: "include",
+        body: JSON.stringify(form),
+      });
+
+      const payload = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw responseError(
+          response,
+          payload,
+          t("dialysis.failed", { status: response.status })
+        );
+      }
+
+      setAssessment(payload);
+    } catch (apiError) {
+      setError(describeError(apiError, t, t("common.unexpectedError")));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <section className="dialysis-panel">
+      <div className="result-header">
+        <div>
+          <p className="eyebrow narrow">{t("dialysis.eyebrow")}</p>
+          <h2>{t("dialysis.title")}</h2>
+        </div>
+      </div>
+      <p className="panel-intro">{t("dialysis.intro")}</p>
+
+      <form className="lab-form" onSubmit={handleSubmit}>
+        {FIELDS.map((field) => (
+          <label key={field.name} className="lab-field">
+            <span>{t(`dialysis.fields.${field.name}`)}</span>
+            <input
+              type="number"
+              name={field.name}
+              min="0"
+              step={field.step}
+              value={form[field.name]}
+              onChange={updateField}
+              required={field.required}
+              disabled={isLoading}
+            />
+          </label>
+        ))}
+        <label className="lab-field">
+          <span>{t("common.sex")}</span>
+          <select
+            name="sex"
+            value={form.sex}
+            onChange={updateField}
+            required
+            disabled={isLoading}
+          >
+            <option value="">{t("common.select")}</option>
+            <option value="female">{t("common.female")}</option>
+            <option value="male">{t("common.male")}</option>
+          </select>
+        </label>
+        <div className="form-actions">
+          <button type="submit" disabled={isLoading}>
+            {isLoading ? t("dialysis.calculating") : t("dialysis.calculate")}
+          </button>
+          <button
+            type="button"
+            className="ghost"
+            onClick={() => {
+              setForm(EMPTY_FORM);
+              setAssessment(null);
+              setError("");
+            }}
+            disabled={isLoading}
+          >
+            {t("common.clear")}
+          </button>
+        </div>
+      </form>
+
+      {error && <p className="error">{error}</p>}
+
+      {assessment && <DialysisRiskResult assessment={assessment} />}
+    </section>
+  );
+}
+
+export default DialysisRiskPanel;
+
+function DialysisRiskResult({ assessment }) {
+  const { t } = useTranslation();
+
+  return (
+    <div className="risk-result">
+      <div className={`urgency-banner urgency-${assessment.urgency}`}>
+        <p className="urgency-label">{assessment.outcome}</p>
+      </div>
+
+      <div className="meta-row">
+        <span className="meta-pill">eGFR {assessment.egfr} mL/min/1.73m²</span>
+        <span className="meta-pill">
+          {assessment.gStage.stage} · {assessment.gStage.label}
+        </span>
+        {assessment.aStage && (
+          <span className="meta-pill">
+            {assessment.aStage.stage} · {assessment.aStage.label}
+          </span>
+        )}
+        {assessment.kdigoRisk && (
+          <span className="meta-pill">
+            {t("dialysis.kdigoRisk", { risk: assessment.kdigoRisk })}
+          </span>
+        )}
+      </div>
+
+      {assessment.firedRules.length ? (
+        <ul className="rule-list">
+          {assessment.firedRules.map((rule) => (
+            <li key={rule.id} className={`rule-item urgency-${rule.urgency}`}>
+              <p className="rule-title">{rule.title}</p>
+              <p className="rule-explanation">{rule.explanation}</p>
+              <p className="rule-source">
+                {t("dialysis.source", { source: rule.source })}
+              </p>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="panel-intro">{t("dialysis.noRules")}</p>
+      )}
+
+      {assessment.missingInputs.length > 0 && (
+        <p className="panel-note">
+          {t("dialysis.notAssessed", {
+            inputs: assessment.missingInputs
+              .map((key) => t(`dialysis.inputs.${key}`))
+              .join(", "),
+          })}
+        </p>
+      )}
+
+      <p className="disclaimer">
+        {t("dialysis.disclaimer", { equation: assessment.equation })}
+      </p>
+    </div>
+  );
+}
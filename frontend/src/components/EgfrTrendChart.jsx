@@ -0,0 +1,147 @@
+import { useTranslation } from "../i18n/useTranslation";
+
+const WIDTH = 640;
+const HEIGHT = 280;
+const PADDING = { top: 16, right: 24, bottom: 36, left: 44 };
+const STAGE_LINES = [
+  { egfr: 60, label: "G3a (60)" },
+  { egfr: 30, label: "G4 (30)" },
+  { egfr: 15, labelKey: "chart.kidneyFailure", tone: "danger" },
+];
+// Projections further out than this are cropped so the measured points
+// stay readable.
+const MAX_PROJECTION_DAYS = 5 * 365;
+const DAY = 24 * 60 * 60 * 1000;
+
+function EgfrTrendChart({ series, trend }) {
+  const { t } = useTranslation();
+  if (!series.length) return null;
+
+  const times = series.map((point) => toTime(point.date));
+  const projection =
+    trend?.projection?.status === "projected" ? trend.projection : null;
+  const lastTime = times[times.length - 1];
+  const projectionTime = projection
+    ? Math.min(toTime(projection.date), lastTime + MAX_PROJECTION_DAYS * DAY)
+    : null;
+
+  const minTime = times[0];
+  const maxTime = Math.max(lastTime, projectionTime ?? lastTime, minTime + DAY);
+  const maxEgfr = Math.max(90, ...series.map((point) => point.egfr + 10));
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (time) =>
+    PADDING.left + ((time - minTime) / (maxTime - minTime)) * plotWidth;
+  const y = (egfr) => PADDING.top + (1 - egfr / maxEgfr) * plotHeight;
+
+  const fitted = trend?.fitted;
+  const slopePerDay = trend ? trend.slopePerYear / 365.25 : 0;
+
+  return (
+    <figure className="egfr-chart">
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        role="img"
+        aria-label={t("chart.label")}
+      >
+        <line
+          className="axis"
+          x1={PADDING.left}
+          x2={PADDING.left}
+          y1={PADDING.top}
+          y2={HEIGHT - PADDING.bottom}
+        />
+        <line
+          className="axis"
+          x1={PADDING.left}
+          x2={WIDTH - PADDING.right}
+          y1={HEIGHT - PADDING.bottom}
+          y2={HEIGHT - PADDING.bottom}
+        />
+
+        {STAGE_LINES.map((line) => (
+          <g key={line.egfr} className={`stage-line ${line.tone ?? ""}`}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={y(line.egfr)}
+              y2={y(line.egfr)}
+            />
+            <text
+              x={WIDTH - PADDING.right}
+              y={y(line.egfr) - 4}
+              textAnchor="end"
+            >
+              {line.labelKey ? t(line.labelKey) : line.label}
+            </text>
+          </g>
+        ))}
+
+        {fitted && (
+          <line
+            className="fit-line"
+            x1={x(toTime(fitted.start.date))}
+            y1={y(fitted.start.egfr)}
+            x2={x(toTime(fitted.end.date))}
+            y2={y(fitted.end.egfr)}
+          />
+        )}
+
+        {fitted && projectionTime && (
+          <line
+            className="projection-line"
+            x1={x(toTime(fitted.end.date))}
+            y1={y(fitted.end.egfr)}
+            x2={x(projectionTime)}
+            y2={y(
+              fitted.end.egfr +
+                slopePerDay * ((projectionTime - toTime(fitted.end.date)) / DAY)
+            )}
+          />
+        )}
+
+        {series.map((point) => (
+          <circle
+            key={`${point.date}-${point.egfr}`}
+            className={`egfr-point ${point.source}`}
+            cx={x(toTime(point.date))}
+            cy={y(point.egfr)}
+            r={5}
+          >
+            <title>
+              {`${point.date}: ${point.egfr} mL/min/1.73m² (${t(
+                `chart.sources.${point.source}`
+              )})`}
+            </title>
+          </circle>
+        ))}
+
+        <text className="tick" x={PADDING.left - 6} y={y(0)} textAnchor="end">
+          0
+        </text>
+        <text
+          className="tick"
+          x={PADDING.left - 6}
+          y={y(maxEgfr) + 10}
+          textAnchor="end"
+        >
+          {Math.round(maxEgfr)}
+        </text>
+        <text className="tick" x={x(minTime)} y={HEIGHT - 12}>
+          {series[0].date}
+        </text>
+        <text className="tick" x={x(maxTime)} y={HEIGHT - 12} textAnchor="end">
+          {new Date(maxTime).toISOString().slice(0, 10)}
+        </text>
+      </svg>
+      <figcaption>{t("chart.caption")}</figcaption>
+    </figure>
+  );
+}
+
+export default EgfrTrendChart;
+
+function toTime(date) {
+  return new Date(`${date}T00:00:00Z`).getTime();
+}
@@ -0,0 +1,44 @@
+import { useTranslation } from "../i18n/useTranslation";
+
+// Shown above any result when the server's rule-based triage fired. It does
+// not depend on the model's answer, so it also appears when that is empty
+// or the model call failed.
+function EmergencyBanner({ triage }) {
+  const { t } = useTranslation();
+  if (!triage?.emergency) return null;
+
+  return (
+    <section className="emergency-banner" role="alert">
+      <div className="emergency-header">
+        <span className="icon" role="img" aria-label={t("emergency.icon")}>
+          🚨
+        </span>
+        <div>
+          <p className="emergency-title">{t("emergency.title")}</p>
+          <p className="emergency-action">{triage.recommendation.action}</p>
+        </div>
+      </div>
+      <ul className="emergency-flags">
+        {triage.flags.map((flag) => (
+          <li key={flag.id}>
+            <strong>{flag.title}.</strong> {flag.explanation}
+            <span className="emergency-source">
+              {t(
+                flag.basis === "labs"
+                  ? "emergency.fromLabs"
+                  : "emergency.fromSymptoms"
+              )}{" "}
+              • {flag.source}
+            </span>
+          </li>
+        ))}
+      </ul>
+      <p className="emergency-specialist">
+        {t("emergency.recommended")}{" "}
+        <strong>{triage.recommendation.specialist}</strong>
+      </p>
+    </section>
+  );
+}
+
+export default EmergencyBanner;
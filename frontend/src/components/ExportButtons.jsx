@@ -0,0 +1,29 @@
+import { useTranslation } from "../i18n/useTranslation";
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL ?? "";
+
+const FORMATS = ["pdf", "md", "txt"];
+
+// Exports are rendered by the server from the saved case, so they are only
+// offered once the analysis has a case id.
+function ExportButtons({ caseId }) {
+  const { t } = useTranslation();
+  if (!caseId) return null;
+
+  return (
+    <div className="export-actions">
+      {FORMATS.map((format) => (
+        <a
+          key={format}
+          className="export-link"
+          href={`${API_BASE}/api/cases/${caseId}/export?format=${format}`}
+          download
+        >
+          {t(`export.${format}`)}
+        </a>
+      ))}
+    </div>
+  );
+}
+
+export default ExportButtons;
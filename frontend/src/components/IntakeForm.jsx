@@ -0,0 +1,187 @@
+import { useTranslation } from "../i18n/useTranslation";
+import {
+  DEFAULT_SEVERITY,
+  DURATION_UNITS,
+  INTAKE_COMORBIDITIES,
+  INTAKE_SYMPTOMS,
+  VITAL_FIELDS,
+} from "../utils/intakeOptions";
+
+// Controlled guided-intake fields; PromptPage owns the state and submits it.
+function IntakeForm({ value, onChange, disabled = false }) {
+  const { t } = useTranslation();
+  const update = (patch) => onChange({ ...value, ...patch });
+
+  const toggleSymptom = (key) => {
+    const symptoms = { ...value.symptoms };
+    if (key in symptoms) delete symptoms[key];
+    else symptoms[key] = DEFAULT_SEVERITY;
+    update({ symptoms });
+  };
+
+  const toggleComorbidity = (key) =>
+    update({
+      comorbidities: value.comorbidities.includes(key)
+        ? value.comorbidities.filter((item) => item !== key)
+        : [...value.comorbidities, key],
+    });
+
+  return (
+    <div className="intake-form">
+      <fieldset className="intake-group" disabled={disabled}>
+        <legend>{t("intake.symptoms")}</legend>
+        <div className="intake-symptoms">
+          {Object.keys(INTAKE_SYMPTOMS).map((key) => {
+            const checked = key in value.symptoms;
+            return (
+              <div
+                key={key}
+                className={`intake-symptom ${checked ? "checked" : ""}`}
+              >
+                <label className="intake-check">
+                  <input
+                    type="checkbox"
+                    checked={checked}
+                    onChange={() => toggleSymptom(key)}
+                  />
+                  <span>{t(`intake.symptomOptions.${key}`)}</span>
+                </label>
+                {checked && (
+                  <label className="intake-severity">
+                    <span>
+                      {t("intake.severity", { value: value.symptoms[key] })}
+                    </span>
+                    <input
+                      type="range"
+                      min="1"
+                      max="10"
+                      value={value.symptoms[key]}
+                      onChange={(event) =>
+                        update({
+                          symptoms: {
+                            ...value.symptoms,
+                            [key]: Number(event.target.value),
+                          },
+                        })
+                      }
+                    />
+                  </label>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </fieldset>
+
+      <fieldset className="intake-group lab-form" disabled={disabled}>
+        <legend>{t("intake.about")}</legend>
+        <label className="lab-field">
+          <span>{t("common.ageYears")}</span>
+          <input
+            type="number"
+            min="0"
+            max="120"
+            value={value.age}
+            onChange={(event) => update({ age: event.target.value })}
+          />
+        </label>
+        <label className="lab-field">
+          <span>{t("common.sex")}</span>
+          <select
+            value={value.sex}
+            onChange={(event) => update({ sex: event.target.value })}
+          >
+            <option value="">{t("intake.preferNotToSay")}</option>
+            <option value="female">{t("common.female")}</option>
+            <option value="male">{t("common.male")}</option>
+          </select>
+        </label>
+        <label className="lab-field">
+          <span>{t("intake.onset")}</span>
+          <select
+            value={value.onset}
+            onChange={(event) => update({ onset: event.target.value })}
+          >
+            <option value="">{t("intake.notSure")}</option>
+            <option value="sudden">{t("intake.sudden")}</option>
+            <option value="gradual">{t("intake.gradual")}</option>
+          </select>
+        </label>
+        <label className="lab-field">
+          <span>{t("intake.howLong")}</span>
+          <div className="intake-duration">
+            <input
+              type="number"
+              min="0"
+              value={value.durationValue}
+              onChange={(event) =>
+                update({ durationValue: event.target.value })
+              }
+              aria-label={t("intake.duration")}
+            />
+            <select
+              value={value.durationUnit}
+              onChange={(event) => update({ durationUnit: event.target.value })}
+              aria-label={t("intake.durationUnit")}
+            >
+              {DURATION_UNITS.map((unit) => (
+                <option key={unit} value={unit}>
+                  {t(`intake.units.${unit}`)}
+                </option>
+              ))}
+            </select>
+          </div>
+        </label>
+      </fieldset>
+
+      <fieldset className="intake-group lab-form" disabled={disabled}>
+        <legend>{t("intake.vitals")}</legend>
+        {VITAL_FIELDS.map((field) => (
+          <label key={field.name} className="lab-field">
+            <span>{t(`intake.vitalFields.${field.name}`)}</span>
+            <input
+              type="number"
+              min="0"
+              step={field.step}
+              value={value.vitals[field.name]}
+              onChange={(event) =>
+                update({
+                  vitals: { ...value.vitals, [field.name]: event.target.value },
+                })
+              }
+            />
+          </label>
+        ))}
+      </fieldset>
+
+      <fieldset className="intake-group" disabled={disabled}>
+        <legend>{t("intake.history")}</legend>
+        <div className="intake-symptoms">
+          {Object.keys(INTAKE_COMORBIDITIES).map((key) => (
+            <label key={key} className="intake-check">
+              <input
+                type="checkbox"
+                checked={value.comorbidities.includes(key)}
+                onChange={() => toggleComorbidity(key)}
+              />
+              <span>{t(`intake.comorbidityOptions.${key}`)}</span>
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <label htmlFor="medications">{t("intake.medications")}</label>
+      <textarea
+        id="medications"
+        className="intake-medications"
+        rows={3}
+        placeholder={t("intake.medicationsPlaceholder")}
+        value={value.medications}
+        onChange={(event) => update({ medications: event.target.value })}
+        disabled={disabled}
+      />
+    </div>
+  );
+}
+
+export default IntakeForm;
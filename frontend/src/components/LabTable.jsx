@@ -0,0 +1,65 @@
+import { useTranslation } from "../i18n/useTranslation";
+
+const COLUMNS = ["test", "value", "reference", "asReported", "collected"];
+
+function LabTable({ labs }) {
+  const { t } = useTranslation();
+  if (!labs?.length) return null;
+
+  return (
+    <section className="lab-table-section">
+      <h3>{t("labs.title")}</h3>
+      <p className="panel-note">{t("labs.note")}</p>
+      <div className="lab-table-wrap">
+        <table className="lab-table">
+          <thead>
+            <tr>
+              {COLUMNS.map((column) => (
+                <th scope="col" key={column}>
+                  {t(`labs.columns.${column}`)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {labs.map((lab, index) => (
+              <tr key={`${lab.analyte}-${index}`}>
+                <th scope="row">{lab.label}</th>
+                <td>
+                  <span className={`lab-value flag-${lab.flag ?? "none"}`}>
+                    {lab.qualifier}
+                    {lab.value} {lab.unit}
+                  </span>
+                  {lab.flag && lab.flag !== "normal" && (
+                    <span className="lab-flag">
+                      {t(`labs.flags.${lab.flag}`)}
+                    </span>
+                  )}
+                </td>
+                <td>{formatRange(lab.referenceRange)}</td>
+                <td>
+                  {lab.converted || lab.unitInferred
+                    ? `${lab.original.name} ${lab.original.value} ${
+                        lab.original.unit ?? t("labs.noUnit")
+                      }`
+                    : "—"}
+                </td>
+                <td>{lab.collectedAt ?? "—"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+}
+
+export default LabTable;
+
+function formatRange(range) {
+  if (!range) return "—";
+  if (range.low !== null && range.high !== null) {
+    return `${range.low} – ${range.high}`;
+  }
+  return range.high !== null ? `< ${range.high}` : `> ${range.low}`;
+}
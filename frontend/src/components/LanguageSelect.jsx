@@ -0,0 +1,24 @@
+import { LANGUAGES } from "../i18n/languages";
+import { useTranslation } from "../i18n/useTranslation";
+
+function LanguageSelect() {
+  const { t, language, setLanguage } = useTranslation();
+
+  return (
+    <label className="language-select">
+      <span>{t("app.language")}</span>
+      <select
+        value={language}
+        onChange={(event) => setLanguage(event.target.value)}
+      >
+        {LANGUAGES.map((option) => (
+          <option key={option.code} value={option.code} lang={option.code}>
+            {option.name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default LanguageSelect;
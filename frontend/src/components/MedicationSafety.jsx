@@ -0,0 +1,87 @@
+import { useTranslation } from "../i18n/useTranslation";
+
+// Rule-based medication check returned with an analysis (see
+// server/lib/medicationSafety.js): the drugs recognized, the eGFR they were
+// checked against, and each flag with the source of its rule.
+function MedicationSafety({ check }) {
+  const { t } = useTranslation();
+  if (!check) return null;
+
+  const { medications, flags, egfr } = check;
+
+  return (
+    <section className="medication-safety">
+      <h3>{t("medications.title")}</h3>
+      <p className="panel-note">
+        {egfr
+          ? t(`medications.egfr.${egfr.basis}`, {
+              value: egfr.value,
+              stage: egfr.stage,
+              date: egfr.collectedAt ?? t("medications.undated"),
+            })
+          : t("medications.noEgfr")}
+      </p>
+
+      {medications.length > 0 ? (
+        <div className="meta-row">
+          {medications.map((medication) => (
+            <span
+              key={medication.id}
+              className="meta-pill"
+              title={medication.classes.join(", ")}
+            >
+              {medication.name} ·{" "}
+              {medication.sources
+                .map((source) => t(`medications.sources.${source}`))
+                .join(", ")}
+            </span>
+          ))}
+        </div>
+      ) : (
+        <p className="panel-intro">{t("medications.none")}</p>
+      )}
+
+      {flags.length > 0 ? (
+        <ul className="rule-list">
+          {flags.map((flag) => (
+            <li key={flag.id} className={`rule-item severity-${flag.severity}`}>
+              <p className="rule-title">
+                {flag.title}{" "}
+                <span className="lab-flag">
+                  {t(`medications.severity.${flag.severity}`)}
+                </span>
+              </p>
+              <p className="rule-explanation">{flag.explanation}</p>
+              <p className="rule-source">
+                {t("dialysis.source", { source: flag.source })}
+              </p>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        medications.length > 0 && (
+          <p className="panel-intro">{t("medications.noFlags")}</p>
+        )
+      )}
+
+      {check.uncheckedDoses.length > 0 && (
+        <p className="panel-note">
+          {t("medications.uncheckedDoses", {
+            drugs: check.uncheckedDoses.join(", "),
+          })}
+        </p>
+      )}
+      {check.unrecognized.length > 0 && (
+        <p className="panel-note">
+          {t("medications.unrecognized", {
+            items: check.unrecognized.map((item) => item.text).join(", "),
+          })}
+        </p>
+      )}
+
+      <p className="disclaimer">{t("medications.disclaimer")}</p>
+    </section>
+  );
+}
+
+export default MedicationSafety;
@@ -0,0 +1,123 @@
+import { useEffect, useState } from "react";
+import { useTranslation } from "../i18n/useTranslation";
+import { describeError, responseError } from "../utils/apiError";
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL ?? "";
+
+const EMPTY_PATIENT = { name: "", sex: "", dateOfBirth: "" };
+
+function PatientPicker({ value, onChange, disabled = false }) {
+  const { t } = useTranslation();
+  const [patients, setPatients] = useState([]);
+  const [isCreating, setIsCreating] = useState(false);
+  const [draft, setDraft] = useState(EMPTY_PATIENT);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetch(`${API_BASE}/api/patients`, {
+      signal: controller.signal,
+      credentials: "include",
+    })
+      .then((response) => response.json())
+      .then((payload) => setPatients(payload.patients ?? []))
+      .catch((apiError) => {
+        if (apiError.name !== "AbortError") {
+          setError(t("patients.loadError"));
+        }
+      });
+    return () => controller.abort();
+  }, [t]);
+
+  const updateDraft = (field) => (event) =>
+    setDraft((current) => ({ ...current, [field]: event.target.value }));
+
+  const handleCreate = async () => {
+    setError("");
+    try {
+      const response = await fetch(`${API_BASE}/api/patients`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify(draft),
+      });
+      const payload = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw responseError(
+          response,
+          payload,
+          t("patients.addFailed", { status: response.status })
+        );
+      }
+      setPatients((current) => [...current, payload]);
+      setDraft(EMPTY_PATIENT);
+      setIsCreating(false);
+      onChange(payload.id);
+    } catch (apiError) {
+      setError(describeError(apiError, t, t("patients.addError")));
+    }
+  };
+
+  return (
+    <div className="patient-picker">
+      <label htmlFor="patient" className="upload-label">
+        {t("patients.attach")}
+      </label>
+      <div className="patient-picker-row">
+        <select
+          id="patient"
+          value={value}
+          onChange={(event) => onChange(event.target.value)}
+          disabled={disabled}
+        >
+          <option value="">{t("patients.none")}</option>
+          {patients.map((patient) => (
+            <option key={patient.id} value={patient.id}>
+              {patient.name} ({patient.dateOfBirth})
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          className="ghost"
+          onClick={() => setIsCreating((current) => !current)}
+          disabled={disabled}
+        >
+          {isCreating ? t("common.cancel") : t("patients.new")}
+        </button>
+      </div>
+
+      {isCreating && (
+        <div className="lab-form patient-form">
+          <label className="lab-field">
+            <span>{t("patients.name")}</span>
+            <input value={draft.name} onChange={updateDraft("name")} />
+          </label>
+          <label className="lab-field">
+            <span>{t("common.sex")}</span>
+            <select value={draft.sex} onChange={updateDraft("sex")}>
+              <option value="">{t("common.select")}</option>
+              <option value="female">{t("common.female")}</option>
+              <option value="male">{t("common.male")}</option>
+            </select>
+          </label>
+          <label className="lab-field">
+            <span>{t("patients.dateOfBirth")}</span>
+            <input
+              type="date"
+              value={draft.dateOfBirth}
+              onChange={updateDraft("dateOfBirth")}
+            />
+          </label>
+          <button type="button" onClick={handleCreate}>
+            {t("patients.add")}
+          </button>
+        </div>
+      )}
+
+      {error && <p className="error">{error}</p>}
+    </div>
+  );
+}
+
+export default PatientPicker;
@@ -0,0 +1,118 @@
+import { useEffect, useState } from "react";
+import { useTranslation } from "../i18n/useTranslation";
+import { describeError, responseError } from "../utils/apiError";
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL ?? "";
+
+// Lets clinicians run an analysis with a specific prompt template and read
+// its wording first. The value is an `id@version` reference, or "" for the
+// server's default.
+function PromptTemplatePicker({ task, value, onChange, disabled = false }) {
+  const { t } = useTranslation();
+  const [templates, setTemplates] = useState([]);
+  const [preview, setPreview] = useState("");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetch(`${API_BASE}/api/prompts`, {
+      signal: controller.signal,
+      credentials: "include",
+    })
+      .then((response) => response.json())
+      .then((payload) =>
+        setTemplates(
+          (Array.isArray(payload) ? payload : []).filter(
+            (template) => template.task === task
+          )
+        )
+      )
+      .catch((apiError) => {
+        if (apiError.name !== "AbortError") {
+          setError(t("prompts.loadError"));
+        }
+      });
+    return () => controller.abort();
+  }, [task, t]);
+
+  const fallback = templates.find((template) => template.isDefault);
+  const selected =
+    templates.find(
+      (template) => `${template.id}@${template.version}` === value
+    ) ?? fallback;
+
+  const togglePreview = async () => {
+    if (preview) {
+      setPreview("");
+      return;
+    }
+    setError("");
+    try {
+      const response = await fetch(
+        `${API_BASE}/api/prompts/${encodeURIComponent(
+          selected.id
+        )}/preview?version=${selected.version}`,
+        { credentials: "include" }
+      );
+      const payload = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw responseError(response, payload, t("prompts.previewError"));
+      }
+      setPreview(payload.text);
+    } catch (apiError) {
+      setError(describeError(apiError, t, t("prompts.previewError")));
+    }
+  };
+
+  const handleChange = (event) => {
+    setPreview("");
+    onChange(event.target.value);
+  };
+
+  return (
+    <div className="prompt-picker">
+      <label htmlFor={`prompt-${task}`} className="upload-label">
+        {t("prompts.template")}
+      </label>
+      <div className="patient-picker-row">
+        <select
+          id={`prompt-${task}`}
+          value={value}
+          onChange={handleChange}
+          disabled={disabled || !templates.length}
+        >
+          <option value="">
+            {fallback
+              ? t("prompts.default", {
+                  name: `${fallback.id} v${fallback.version}`,
+                })
+              : t("prompts.defaultUnknown")}
+          </option>
+          {templates.map((template) => (
+            <option
+              key={`${template.id}@${template.version}`}
+              value={`${template.id}@${template.version}`}
+            >
+              {template.id} v{template.version}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          className="ghost"
+          onClick={togglePreview}
+          disabled={!selected}
+        >
+          {preview ? t("prompts.hidePreview") : t("prompts.preview")}
+        </button>
+      </div>
+      {selected?.description && (
+        <p className="upload-hint">{selected.description}</p>
+      )}
+      {preview && <pre className="prompt-preview">{preview}</pre>}
+      {error && <p className="error">{error}</p>}
+    </div>
+  );
+}
+
+export default PromptTemplatePicker;
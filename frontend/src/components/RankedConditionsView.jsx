@@ -0,0 +1,186 @@
+import { useAuth } from "../auth/useAuth";
+import { useTranslation } from "../i18n/useTranslation";
+
+// Likelihood badges and rationales are the technical differential, shown to
+// clinicians only; patients get the plain-language list.
+function RankedConditionsView({ data, timestamp, label }) {
+  const { t } = useTranslation();
+  const { isClinician } = useAuth();
+  const specialistItems = [...data.specialists, ...data.tests];
+
+  return (
+    <section className="ranked-conditions-root">
+      <article className="card rank-master" tabIndex={0}>
+        <div className="rank-section">
+          <div className="header">
+            <div>
+              <p className="eyebrow narrow">{label ?? t("ranked.latest")}</p>
+              <p className="title">{t("ranked.title")}</p>
+            </div>
+            <p className="subtitle">{timestamp}</p>
+          </div>
+          {data.summary && <p className="summary-text">{data.summary}</p>}
+          <div className="meta-row">
+            <span className="meta-pill">
+              {t("ranked.conditionCount", { count: data.conditions.length })}
+            </span>
+            <span className="meta-pill">
+              {data.redFlags.length
+                ? t("ranked.redFlagCount", { count: data.redFlags.length })
+                : t("ranked.noRedFlagsPill")}
+            </span>
+          </div>
+        </div>
+
+        <div className="rank-section">
+          <div className="header">
+            <p className="title">{t("ranked.conditions")}</p>
+            {isClinician && (
+              <p className="subtitle">{t("ranked.confidenceBadges")}</p>
+            )}
+          </div>
+          <div className="conditions-list">
+            {data.conditions.map((condition, index) => (
+              <ConditionItem
+                key={`${condition.name}-${index}`}
+                condition={condition}
+                index={index}
+                isTechnical={isClinician}
+              />
+            ))}
+          </div>
+        </div>
+
+        <div className="rank-section redflags-card">
+          <div className="header">
+            <p className="title">{t("ranked.redFlags")}</p>
+            <p className="subtitle">{t("ranked.seekCare")}</p>
+          </div>
+          <div className="redflags-list">
+            {data.redFlags.length ? (
+              data.redFlags.map((flag) => (
+                <div className="flag-item" key={flag}>
+                  <span className="icon" role="img" aria-label="alert">
+                    ⚠️
+                  </span>
+                  <div>
+                    <p className="flag-text">{flag}</p>
+                  </div>
+                </div>
+              ))
+            ) : (
+              <div className="flag-item">
+                <span className="icon" role="img" aria-label="info">
+                  ✅
+                </span>
+                <div>
+                  <p className="flag-text">{t("ranked.noRedFlags")}</p>
+                  <p className="flag-desc">{t("ranked.stillSeekCare")}</p>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="rank-section grid-2">
+          <div>
+            <p className="small-card-title">{t("ranked.selfCare")}</p>
+            <div className="small-card-body">
+              {data.selfCare.length ? (
+                <ul>
+                  {data.selfCare.map((item) => (
+                    <li key={item}>{item}</li>
+                  ))}
+                </ul>
+              ) : (
+                <p>{t("ranked.selfCareFallback")}</p>
+              )}
+            </div>
+          </div>
+
+          <div>
+            <p className="small-card-title">{t("ranked.specialists")}</p>
+            <div className="tests-list">
+              {specialistItems.length ? (
+                specialistItems.map((item) => (
+                  <div className="test-item" key={item}>
+                    <span className="bullet" />
+                    <span>{item}</span>
+                  </div>
+                ))
+              ) : (
+                <p className="small-card-body">
+                  {t("ranked.specialistsFallback")}
+                </p>
+              )}
+            </div>
+          </div>
+        </div>
+
+        <div className="rank-section">
+          <p className="small-card-title">{t("ranked.disclaimer")}</p>
+          <p className="disclaimer">
+            {data.disclaimer || t("ranked.disclaimerFallback")}
+          </p>
+        </div>
+      </article>
+    </section>
+  );
+}
+
+export default RankedConditionsView;
+
+function ConditionItem({ condition, index, isTechnical }) {
+  const { t } = useTranslation();
+  const meta = mapConfidenceMeta(condition.likelihood ?? "");
+
+  return (
+    <div className="condition-item">
+      <div className="condition-left">
+        <span className={`condition-dot ${meta.dotClass}`} />
+        <div>
+          <p className="condition-title">
+            #{index + 1} {condition.name}
+          </p>
+          {isTechnical && condition.rationale && (
+            <p className="condition-desc">{condition.rationale}</p>
+          )}
+        </div>
+      </div>
+      {isTechnical && (
+        <span className={`condition-badge ${meta.badgeClass}`}>
+          {t(`ranked.badges.${meta.level}`)}
+        </span>
+      )}
+    </div>
+  );
+}
+
+function mapConfidenceMeta(label) {
+  if (label.includes("high")) {
+    return {
+      level: "high",
+      badgeClass: "badge-high",
+      dotClass: "dot-high",
+    };
+  }
+  if (label.includes("med")) {
+    return {
+      level: "medium",
+      badgeClass: "badge-med",
+      dotClass: "dot-med",
+    };
+  }
+  if (label.includes("low")) {
+    return {
+      level: "low",
+      badgeClass: "badge-low",
+      dotClass: "dot-low",
+    };
+  }
+  return {
+    level: "unknown",
+    badgeClass: "badge-med",
+    dotClass: "dot-med",
+  };
+}
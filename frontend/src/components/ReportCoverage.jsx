@@ -0,0 +1,71 @@
+import { useTranslation } from "../i18n/useTranslation";
+
+function ReportCoverage({ coverage, extraction }) {
+  return (
+    <>
+      <CoverageNote coverage={coverage} />
+      <ExtractionNotice extraction={extraction} />
+    </>
+  );
+}
+
+export default ReportCoverage;
+
+function CoverageNote({ coverage }) {
+  const { t } = useTranslation();
+  if (!coverage) return null;
+
+  const pageText = t("coverage.pages", {
+    count: coverage.pages,
+    read: coverage.pagesRead,
+    total: coverage.pages,
+  });
+  const partText =
+    coverage.chunks > 1
+      ? t("coverage.inParts", { count: coverage.chunks })
+      : t("coverage.inOnePass");
+
+  return (
+    <p className={`coverage-note ${coverage.complete ? "" : "warning"}`}>
+      {t("coverage.analyzed", { pages: pageText, parts: partText })}
+      {!coverage.complete &&
+        t("coverage.incomplete", {
+          skipped: coverage.chunksSkipped
+            ? t("coverage.skipped", { count: coverage.chunksSkipped })
+            : "",
+        })}
+    </p>
+  );
+}
+
+function ExtractionNotice({ extraction }) {
+  const { t } = useTranslation();
+  if (!extraction?.ocrUsed) return null;
+
+  const ocrPages = extraction.pages.filter((page) => page.method === "ocr");
+
+  return (
+    <div className={`ocr-notice ${extraction.lowConfidence ? "warning" : ""}`}>
+      <p className="ocr-notice-title">
+        {t(
+          extraction.lowConfidence
+            ? "coverage.lowConfidence"
+            : "coverage.ocrUsed"
+        )}
+      </p>
+      <ul className="ocr-pages">
+        {ocrPages.map((page) => (
+          <li
+            key={page.page}
+            className={page.lowConfidence ? "low-confidence" : ""}
+          >
+            {t("coverage.pageConfidence", {
+              page: page.page,
+              confidence: page.confidence,
+            })}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,17 @@
+function ReportSection({ title, items, tone = "default" }) {
+  if (!items.length) return null;
+  return (
+    <section className={`report-section ${tone}`}>
+      <h3>{title}</h3>
+      <ul>
+        {items.map((item) => (
+          <li key={item}>
+            <span>{item}</span>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+export default ReportSection;
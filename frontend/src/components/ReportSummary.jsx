@@ -0,0 +1,50 @@
+import { useAuth } from "../auth/useAuth";
+import { useTranslation } from "../i18n/useTranslation";
+import ReportSection from "./ReportSection";
+
+function ReportSummary({ data }) {
+  const { t } = useTranslation();
+  const { isClinician } = useAuth();
+
+  return (
+    <>
+      {data.title && <p className="report-subtitle">{data.title}</p>}
+
+      {data.overview && <p className="report-intro">{data.overview}</p>}
+
+      <div className="report-grid">
+        <ReportSection
+          title={t("reportSummary.findings")}
+          items={data.findings}
+        />
+        <ReportSection
+          title={t("reportSummary.diagnoses")}
+          items={data.diagnoses.map((diagnosis) =>
+            isClinician ? formatDiagnosis(diagnosis, t) : diagnosis.name
+          )}
+          tone="accent"
+        />
+        <ReportSection
+          title={t("reportSummary.medicationsLabs")}
+          items={[...data.medications, ...data.labs]}
+        />
+        <ReportSection
+          title={t("reportSummary.followUps")}
+          items={data.followUps}
+        />
+      </div>
+
+      {data.disclaimer && <p className="disclaimer">{data.disclaimer}</p>}
+    </>
+  );
+}
+
+export default ReportSummary;
+
+function formatDiagnosis(diagnosis, t) {
+  const confidence = t("reportSummary.confidence", {
+    level: t(`common.likelihood.${diagnosis.confidence}`),
+  });
+  const label = `${diagnosis.name} (${confidence})`;
+  return diagnosis.rationale ? `${label} - ${diagnosis.rationale}` : label;
+}
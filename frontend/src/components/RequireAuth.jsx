@@ -0,0 +1,17 @@
+import { Navigate, Outlet, useLocation } from "react-router-dom";
+import { useAuth } from "../auth/useAuth";
+import { useTranslation } from "../i18n/useTranslation";
+
+// Layout route guarding every page that needs an account. Visitors are sent
+// to the sign-in page and returned to where they were afterwards.
+function RequireAuth() {
+  const { user, isLoading } = useAuth();
+  const { t } = useTranslation();
+  const location = useLocation();
+
+  if (isLoading) return <p className="placeholder">{t("auth.checking")}</p>;
+  if (!user) return <Navigate to="/login" replace state={{ from: location }} />;
+  return <Outlet />;
+}
+
+export default RequireAuth;
@@ -0,0 +1,69 @@
+import { useState } from "react";
+import { useTranslation } from "../i18n/useTranslation";
+import { describeError, responseError } from "../utils/apiError";
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL ?? "";
+
+// Lets a patient give a clinician access to their record by the email the
+// clinician registered with.
+function ShareWithClinician({ patientId }) {
+  const { t } = useTranslation();
+  const [email, setEmail] = useState("");
+  const [status, setStatus] = useState("");
+  const [error, setError] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    setStatus("");
+    setError("");
+    try {
+      const response = await fetch(
+        `${API_BASE}/api/patients/${patientId}/clinicians`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          credentials: "include",
+          body: JSON.stringify({ email }),
+        }
+      );
+      const payload = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw responseError(
+          response,
+          payload,
+          t("share.failed", { status: response.status })
+        );
+      }
+      setStatus(t("share.shared", { email: email.trim() }));
+      setEmail("");
+    } catch (apiError) {
+      setError(describeError(apiError, t, t("share.error")));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form className="share-form" onSubmit={handleSubmit}>
+      <label className="lab-field">
+        <span>{t("share.label")}</span>
+        <input
+          type="email"
+          value={email}
+          onChange={(event) => setEmail(event.target.value)}
+          placeholder={t("share.placeholder")}
+          required
+        />
+      </label>
+      <button type="submit" disabled={isSaving}>
+        {isSaving ? t("share.sharing") : t("share.submit")}
+      </button>
+      {status && <p className="panel-note">{status}</p>}
+      {error && <p className="error">{error}</p>}
+    </form>
+  );
+}
+
+export default ShareWithClinician;
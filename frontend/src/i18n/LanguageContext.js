@@ -0,0 +1,7 @@
+import { createContext } from "react";
+import { DEFAULT_LANGUAGE } from "./languages";
+
+export const LanguageContext = createContext({
+  language: DEFAULT_LANGUAGE,
+  setLanguage: () => {},
+});
@@ -0,0 +1,20 @@
+import { useEffect, useState } from "react";
+import { LanguageContext } from "./LanguageContext";
+import { initialLanguage, saveLanguage } from "./languages";
+
+function LanguageProvider({ children }) {
+  const [language, setLanguage] = useState(initialLanguage);
+
+  useEffect(() => {
+    saveLanguage(language);
+    document.documentElement.lang = language;
+  }, [language]);
+
+  return (
+    <LanguageContext.Provider value={{ language, setLanguage }}>
+      {children}
+    </LanguageContext.Provider>
+  );
+}
+
+export default LanguageProvider;
@@ -0,0 +1,59 @@
+import en from "./messages/en";
+import gu from "./messages/gu";
+import hi from "./messages/hi";
+
+// Must match the languages server/lib/locales.js accepts.
+export const LANGUAGES = [
+  { code: "en", name: "English" },
+  { code: "hi", name: "हिन्दी" },
+  { code: "gu", name: "ગુજરાતી" },
+];
+
+export const DEFAULT_LANGUAGE = "en";
+
+export const MESSAGES = { en, hi, gu };
+
+const STORAGE_KEY = "language";
+
+export function isSupported(code) {
+  return LANGUAGES.some((language) => language.code === code);
+}
+
+// A saved choice wins, then the browser language, then English.
+export function initialLanguage() {
+  const saved = window.localStorage.getItem(STORAGE_KEY);
+  if (isSupported(saved)) return saved;
+  const browser = (window.navigator.language ?? "").slice(0, 2).toLowerCase();
+  return isSupported(browser) ? browser : DEFAULT_LANGUAGE;
+}
+
+export function saveLanguage(code) {
+  window.localStorage.setItem(STORAGE_KEY, code);
+}
+
+function lookup(messages, key) {
+  return key
+    .split(".")
+    .reduce((node, part) => (node == null ? undefined : node[part]), messages);
+}
+
+/**
+ * Resolves a dotted message key. `vars.count === 1` picks the `_one` form,
+ * `{name}` placeholders are filled from `vars`, and missing keys fall back
+ * to English and then to the key itself.
+ */
+export function translate(language, key, vars = {}) {
+  const keys = vars.count === 1 ? [`${key}_one`, key] : [key];
+  let message;
+  for (const messages of [MESSAGES[language], MESSAGES[DEFAULT_LANGUAGE]]) {
+    for (const candidate of keys) {
+      message = lookup(messages, candidate);
+      if (message !== undefined) break;
+    }
+    if (message !== undefined) break;
+  }
+  if (typeof message !== "string") return message ?? key;
+  return message.replace(/\{(\w+)\}/g, (match, name) =>
+    name in vars ? String(vars[name]) : match
+  );
+}
@@ -0,0 +1,516 @@
+import {
+  INTAKE_COMORBIDITIES,
+  INTAKE_SYMPTOMS,
+  VITAL_FIELDS,
+} from "../../utils/intakeOptions";
+
+// English is the fallback for any key a translation is missing. Keys ending
+// in `_one` are the singular form, picked when `count` is 1.
+const en = {
+  app: {
+    eyebrow: "AI Triage Assistant",
+    title: "Clinical Guidance Workspace",
+    subhead:
+      "Choose between free-text prompt mode or document upload mode. Gemini surfaces possible conditions, key findings, and follow-up guidance. This does not replace licensed clinicians.",
+    language: "Language",
+    nav: {
+      prompt: "Prompt mode",
+      report: "Report mode",
+      combined: "Combined mode",
+      history: "History",
+      trends: "Trends",
+    },
+  },
+  common: {
+    cancel: "Cancel",
+    clear: "Clear",
+    reset: "Reset",
+    select: "Select",
+    sex: "Sex",
+    female: "Female",
+    male: "Male",
+    ageYears: "Age (years)",
+    analyzing: "Analyzing...",
+    writing: "Writing...",
+    optionalNotes: "Optional clinician notes",
+    unexpectedError: "Unexpected error. Please retry.",
+    endedEarly: "The response ended early. Please try again.",
+    educational:
+      "This information is educational and does not replace professional medical advice.",
+    savedPrefix: "Saved to ",
+    caseHistory: "case history",
+    savedSuffix: ".",
+    reportNumber: "Report {number}",
+    likelihood: { high: "high", medium: "medium", low: "low" },
+  },
+  prompt: {
+    title: "Symptom prompt mode",
+    intro:
+      "Describe symptoms in free text. Gemini ranks likely conditions, flags red alerts, and suggests next steps in a triage-style layout.",
+    inputMode: "Input mode",
+    freeText: "Free text",
+    guided: "Guided intake",
+    anythingElse: "Anything else? (optional)",
+    describe: "Describe your symptoms",
+    placeholder:
+      "Example: Mild fever for 3 days, sore throat, swollen glands...",
+    predict: "Predict",
+    predicting: "Predicting...",
+    needSymptom: "Please describe at least one symptom.",
+    needIntakeSymptom: "Select at least one symptom or describe your symptoms.",
+    failed: "Prediction failed (status {status}).",
+    noResponse: "No response generated. Please try again.",
+    cancelled: "Prediction cancelled.",
+    resultsPlaceholder:
+      "Results will summarize likely conditions, urgency flags, and next steps. Always consult a clinician for diagnosis or treatment.",
+  },
+  report: {
+    title: "Report upload mode",
+    intro:
+      "Securely upload discharge notes, lab reports, or physician letters as PDF, text, or a photo/scan. Gemini extracts the key findings, diagnoses, meds, and follow-up recommendations.",
+    unsupported: "Supported files: {formats}.",
+    tooLarge: "{name} is larger than the {size} MB limit.",
+    needFile: "Upload a report file first.",
+    failed: "Report analysis failed (status {status}).",
+    noSummary: "No summary returned. Try again.",
+    cancelled: "Report analysis cancelled.",
+    selected: "Report selected",
+    upload: "Upload medical report",
+    accepted: "Accepted formats: {formats}. Max {size} MB.",
+    notesPlaceholder:
+      "Add context such as reason for visit, prior conditions, or sections to focus on...",
+    analyze: "Analyze report",
+    eyebrow: "Report analysis",
+    summary: "Summary",
+    viewTrend: "View kidney function trend",
+  },
+  combined: {
+    title: "Combined mode",
+    intro:
+      "Describe your symptoms and attach one or more reports. Gemini reasons over both together and shows which conclusions come from what you described and which come from the reports.",
+    unsupported_one: "Unsupported file: {names}.",
+    unsupported: "Unsupported files: {names}.",
+    tooMany: "Upload at most {max} reports at a time.",
+    needReport: "Upload at least one report.",
+    failed: "Combined analysis failed (status {status}).",
+    noAnalysis: "No analysis returned. Try again.",
+    placeholder:
+      "Example: Swollen ankles for two weeks, tired all the time, passing less urine...",
+    selected_one: "{count} report selected",
+    selected: "{count} reports selected",
+    upload: "Upload medical reports",
+    accepted: "Up to {max} files: {formats}. Max {size} MB each.",
+    notesPlaceholder:
+      "Add context such as known conditions or current medicines...",
+    analyze: "Analyze together",
+    eyebrow: "Symptoms + reports",
+    heading: "Combined analysis",
+  },
+  history: {
+    title: "Case history",
+    intro:
+      "Every analysis is saved on the server. Search past cases by symptoms, report names or findings and reopen them exactly as they were shown.",
+    kinds: { symptoms: "Symptoms", report: "Report", combined: "Combined" },
+    searchPlaceholder: "Search symptoms, reports, findings...",
+    searchLabel: "Search case history",
+    filterLabel: "Filter by case type",
+    allTypes: "All types",
+    noMatch: "No saved cases match this search.",
+    empty: "No saved cases yet. Run an analysis to start your history.",
+    emergency: "Emergency",
+    delete: "Delete",
+    confirmDelete: "Delete this case from history?",
+    loadFailed: "Unable to load history (status {status}).",
+    loadError: "Unable to load history.",
+    openFailed: "Unable to open case (status {status}).",
+    openError: "Unable to open case.",
+    deleteFailed: "Unable to delete case (status {status}).",
+    deleteError: "Unable to delete case.",
+    symptoms: "Symptoms:",
+    notes: "Notes:",
+    saved: "Saved {date}",
+    savedCase: "Saved case",
+  },
+  trends: {
+    title: "Kidney function trends",
+    intro:
+      "Reports attached to a patient in Report mode are lined up by collection date. eGFR is charted over time with its yearly rate of change and the projected date it would reach 15, the kidney failure threshold.",
+    choosePatientLabel: "Choose patient",
+    choosePatient: "Choose a patient",
+    noPatients:
+      "No patients yet. Add one from Report mode when uploading a report.",
+    loadPatientsError: "Unable to load patients.",
+    loading: "Loading trends...",
+    loadFailed: "Unable to load trends (status {status}).",
+    loadError: "Unable to load trends.",
+    eyebrow: "Patient timeline",
+    attached_one: "{count} report attached",
+    attached: "{count} reports attached",
+    latest: "Latest eGFR {egfr} ({date})",
+    rapidDecline: " • rapid decline",
+    limited:
+      "Based on {points} results over {years} years. Trends from fewer than three results or less than a year of data can change a lot with the next test.",
+    timeline: "Timeline",
+    columns: {
+      date: "Date",
+      report: "Report",
+      creatinine: "Creatinine",
+      egfr: "eGFR",
+      potassium: "Potassium",
+      acr: "ACR",
+    },
+    uploadDate: "upload date",
+    calculated: "calculated",
+    disclaimer:
+      "Projections assume the past rate of change continues in a straight line. Kidney function often does not, so discuss these numbers with a nephrologist.",
+    falling: "eGFR falling {value} per year",
+    rising: "eGFR rising {value} per year",
+    alreadyBelow: "eGFR already at or below {threshold}",
+    notDeclining: "Not declining; no crossing projected",
+    beyondHorizon: "Not projected to reach {threshold} within {years} years",
+    projected: "Projected to reach {threshold} around {date} ({years} years)",
+  },
+  chart: {
+    label: "eGFR over time",
+    kidneyFailure: "Kidney failure (15)",
+    caption:
+      "Filled points are eGFR values printed on a report; hollow points are calculated from creatinine (CKD-EPI 2021). The dashed line extends the fitted trend.",
+    sources: { reported: "reported", calculated: "calculated" },
+  },
+  dialysis: {
+    eyebrow: "Rule-based check",
+    title: "Dialysis risk",
+    intro:
+      "Enter recent lab values to calculate eGFR (CKD-EPI 2021), the KDIGO stage, and a dialysis urgency category. This runs on fixed clinical rules, independent of Gemini.",
+    fields: {
+      creatinine: "Serum creatinine (mg/dL)",
+      age: "Age (years)",
+      acr: "Urine ACR (mg/g)",
+      potassium: "Potassium (mmol/L)",
+      bicarbonate: "Bicarbonate (mmol/L)",
+      urineOutput: "Urine output (mL/day)",
+    },
+    inputs: {
+      acr: "urine ACR",
+      potassium: "potassium",
+      bicarbonate: "bicarbonate",
+      urineOutput: "urine output",
+    },
+    calculate: "Calculate risk",
+    calculating: "Calculating...",
+    failed: "Risk assessment failed (status {status}).",
+    kdigoRisk: "KDIGO risk: {risk}",
+    source: "Source: {source}",
+    noRules:
+      "No dialysis rules fired for these values. Keep monitoring kidney function as advised by your clinician.",
+    notAssessed: "Not assessed: {inputs}.",
+    disclaimer:
+      "Calculated with {equation}. This is a screening aid, not a decision to start or withhold dialysis.",
+  },
+  patients: {
+    attach: "Attach to patient (optional)",
+    none: "No patient",
+    new: "New patient",
+    name: "Name",
+    dateOfBirth: "Date of birth",
+    add: "Add patient",
+    loadError: "Unable to load patients.",
+    addFailed: "Unable to add patient (status {status}).",
+    addError: "Unable to add patient.",
+  },
+  ranked: {
+    latest: "Latest analysis",
+    title: "Ranked Conditions",
+    conditionCount_one: "{count} possible condition",
+    conditionCount: "{count} possible conditions",
+    redFlagCount_one: "{count} red flag",
+    redFlagCount: "{count} red flags",
+    noRedFlagsPill: "No red flags highlighted",
+    conditions: "2. Possible conditions",
+    confidenceBadges: "Confidence badges",
+    redFlags: "3. Red flags",
+    seekCare: "Seek immediate care if these occur",
+    noRedFlags: "No specific red flags called out.",
+    stillSeekCare: "Still seek care if symptoms worsen or new issues appear.",
+    selfCare: "4. Self-care guidance",
+    selfCareFallback:
+      "Monitor symptoms closely and follow provider instructions.",
+    specialists: "5. Specialist / tests",
+    specialistsFallback:
+      "Consult your primary care physician for tailored next steps.",
+    disclaimer: "6. Disclaimer",
+    disclaimerFallback:
+      "This information is for guidance only and does not replace professional medical advice.",
+    badges: { high: "High", medium: "Med", low: "Low", unknown: "Est." },
+  },
+  combinedResult: {
+    redFlags: "Red flags",
+    basis: {
+      symptoms: "From symptoms",
+      reports: "From reports",
+      both: "Symptoms + reports",
+    },
+    discrepancies: "Symptoms vs. reports",
+    nextSteps: "Next steps",
+    specialists: "Specialists",
+  },
+  reportSummary: {
+    findings: "Key Findings / Impressions",
+    diagnoses: "Diagnoses & Differential",
+    medicationsLabs: "Medications / Labs",
+    followUps: "Follow-up Actions / Referrals",
+    confidence: "{level} confidence",
+  },
+  emergency: {
+    title: "Possible emergency",
+    icon: "emergency",
+    fromLabs: "From lab values",
+    fromSymptoms: "From symptoms",
+    recommended: "Recommended:",
+  },
+  export: {
+    pdf: "Download PDF",
+    md: "Markdown",
+    txt: "Plain text",
+  },
+  labs: {
+    title: "Extracted lab values",
+    note: "Read directly from the report text and converted to standard units. These numbers do not come from the AI summary.",
+    columns: {
+      test: "Test",
+      value: "Value",
+      reference: "Reference",
+      asReported: "As reported",
+      collected: "Collected",
+    },
+    flags: { high: "high", low: "low" },
+    noUnit: "(no unit)",
+  },
+  coverage: {
+    pages_one: "{read} of {total} page",
+    pages: "{read} of {total} pages",
+    inParts: " in {count} parts",
+    inOnePass: " in one pass",
+    analyzed: "Analyzed {pages}{parts}.",
+    incomplete:
+      " Some of the document was not analyzed{skipped}; check the original for anything missing.",
+    skipped_one: " ({count} part over the length limit)",
+    skipped: " ({count} parts over the length limit)",
+    lowConfidence:
+      "Some text was hard to read. Double-check values against the original report.",
+    ocrUsed: "Text was read from an image using OCR.",
+    pageConfidence: "Page {page}: {confidence}% confidence",
+  },
+  intake: {
+    symptoms: "Symptoms",
+    severity: "Severity {value}/10",
+    about: "About you and the symptoms",
+    preferNotToSay: "Prefer not to say",
+    onset: "Onset",
+    notSure: "Not sure",
+    sudden: "Sudden",
+    gradual: "Gradual",
+    howLong: "How long",
+    duration: "Duration",
+    durationUnit: "Duration unit",
+    units: {
+      hours: "hours",
+      days: "days",
+      weeks: "weeks",
+      months: "months",
+      years: "years",
+    },
+    vitals: "Vitals (if measured)",
+    history: "Medical history",
+    medications: "Current medications (one per line)",
+    medicationsPlaceholder: "Example: Metformin 500 mg twice daily",
+    symptomOptions: INTAKE_SYMPTOMS,
+    comorbidityOptions: INTAKE_COMORBIDITIES,
+    vitalFields: Object.fromEntries(
+      VITAL_FIELDS.map((field) => [field.name, field.label])
+    ),
+  },
+  auth: {
+    checking: "Checking your session...",
+    signInTitle: "Sign in",
+    signInIntro:
+      "Sign in to see your saved cases. Clinicians see the patients who have shared their records with them.",
+    registerTitle: "Create an account",
+    registerIntro:
+      "Patients get their own private record. Clinician accounts need the invite code from your administrator.",
+    email: "Email",
+    password: "Password",
+    accountType: "Account type",
+    roles: { patient: "Patient", clinician: "Clinician" },
+    inviteCode: "Clinician invite code",
+    signIn: "Sign in",
+    signingIn: "Signing in...",
+    signOut: "Sign out",
+    createAccount: "Create an account",
+    creating: "Creating account...",
+    noAccount: "No account yet?",
+    haveAccount: "Already registered?",
+  },
+  notes: {
+    title: "Clinician notes",
+    empty: "No notes yet.",
+    byline: "{author}, {date}",
+    placeholder: "Add a note for this case...",
+    add: "Add note",
+    saving: "Saving...",
+    failed: "Unable to save note (status {status}).",
+    error: "Unable to save note.",
+  },
+  share: {
+    label: "Share this record with a clinician",
+    placeholder: "Clinician's account email",
+    submit: "Share",
+    sharing: "Sharing...",
+    shared: "Shared with {email}.",
+    failed: "Unable to share record (status {status}).",
+    error: "Unable to share record.",
+  },
+  errors: {
+    rateLimited: "Too many requests right now. Please try again in {wait}.",
+    dailyQuota:
+      "You have reached today's analysis limit. Please try again in {wait}.",
+    seconds_one: "{count} second",
+    seconds: "{count} seconds",
+    minutes_one: "{count} minute",
+    minutes: "{count} minutes",
+    hours_one: "{count} hour",
+    hours: "{count} hours",
+    codes: {
+      upstream_unavailable:
+        "The analysis service is not responding right now. Please try again in a few minutes.",
+      safety_blocked:
+        "The analysis service declined to answer this request. Try rephrasing it, and contact a doctor directly if you are worried.",
+      quota_exceeded:
+        "The analysis service has reached its usage limit. Please try again later.",
+      bad_input:
+        "The analysis service could not process this input. Check the text or file and try again.",
+    },
+  },
+  cache: {
+    reused: "This is the saved answer to the same request from {time}.",
+    regenerate: "Regenerate",
+  },
+  prompts: {
+    template: "Prompt template",
+    default: "Default ({name})",
+    defaultUnknown: "Default",
+    preview: "Preview",
+    hidePreview: "Hide preview",
+    loadError: "Unable to load prompt templates.",
+    previewError: "Unable to load the template preview.",
+  },
+  chat: {
+    title: "Ask a follow-up question",
+    intro:
+      "Answers use this result's symptoms, reports and answer. They are informational only; urgent warning signs are still checked on every question.",
+    placeholder:
+      'For example: "What does a high potassium mean for me?" or "What should I ask my nephrologist?"',
+    send: "Ask",
+    sending: "Thinking...",
+    byline: "{author}, {date}",
+    redFlags: "Red flags",
+    questions: "Questions to ask your doctor",
+    failed: "Unable to answer the question (status {status}).",
+    error: "Unable to answer the question.",
+  },
+  modality: {
+    title: "Dialysis options",
+    intro:
+      "For patients already planning for kidney failure: compare hemodialysis, peritoneal dialysis and conservative care against the factors you know. Leave anything unknown blank. This runs on fixed clinical rules, independent of Gemini.",
+    unknown: "Not known",
+    fields: {
+      abdominalSurgery: "Prior abdominal surgery",
+      homeSupport: "Help at home",
+      manualDexterity: "Hand dexterity and eyesight",
+      vascularAccess: "Vascular access",
+      cardiacFunction: "Heart function",
+      residualUrineOutput: "Residual urine output (mL/day)",
+      preferences: "Lifestyle preferences",
+    },
+    options: {
+      abdominalSurgery: {
+        none: "None",
+        previous: "Previous surgery",
+        extensive: "Extensive (adhesions, stoma, several operations)",
+      },
+      homeSupport: {
+        none: "No one to help",
+        partial: "Some help",
+        full: "A carer is available",
+      },
+      manualDexterity: {
+        good: "Good",
+        limited: "Limited",
+        poor: "Poor",
+      },
+      vascularAccess: {
+        none: "No access yet",
+        catheter: "Dialysis catheter",
+        maturing: "Fistula or graft maturing",
+        working: "Working fistula or graft",
+        exhausted: "No usable sites left",
+      },
+      cardiacFunction: {
+        normal: "Normal",
+        reduced: "Reduced",
+        severe: "Severely reduced",
+      },
+    },
+    preferences: {
+      home: "Treatment at home",
+      flexibleSchedule: "Flexible schedule for work",
+      travel: "Ability to travel",
+      inCentre: "Treatment at a dialysis unit",
+      avoidDialysis: "Would rather avoid dialysis",
+    },
+    compare: "Compare options",
+    comparing: "Comparing...",
+    failed: "Option comparison failed (status {status}).",
+    groups: {
+      contraindications: "Contraindications",
+      cautions: "Cautions",
+      favours: "In favour",
+    },
+    noRules: "No rules fired for this option with the factors given.",
+    questions: "Questions for your nephrologist",
+    disclaimer:
+      "This comparison only reflects the factors entered. The choice of treatment is made with your nephrologist and care team.",
+  },
+  medications: {
+    title: "Medication safety",
+    egfr: {
+      reported:
+        "Checked against the reported eGFR of {value} mL/min/1.73m² ({stage}, {date}).",
+      calculated:
+        "Checked against an eGFR of {value} mL/min/1.73m² ({stage}, {date}), calculated from creatinine with CKD-EPI 2021.",
+    },
+    undated: "undated",
+    noEgfr:
+      "No eGFR or creatinine with the patient's sex and age was available, so renal dose checks were not done.",
+    none: "No medicines from the drug table were found.",
+    noFlags: "No safety rules fired for these medicines.",
+    sources: {
+      report: "report",
+      summary: "AI summary",
+      notes: "notes",
+      symptoms: "symptoms",
+      intake: "intake",
+    },
+    severity: {
+      avoid: "avoid",
+      caution: "caution",
+      monitor: "monitor",
+    },
+    uncheckedDoses: "Dose checks need an eGFR: {drugs}.",
+    unrecognized: "Not in the drug table, review by hand: {items}.",
+    disclaimer:
+      "Medicines are matched by name against a fixed drug table and may be missed or outdated. Do not stop or change a medicine without asking your doctor.",
+  },
+};
+
+export default en;
@@ -0,0 +1,539 @@
+// Gujarati. Missing keys fall back to English.
+const gu = {
+  app: {
+    eyebrow: "AI ટ્રાયેજ સહાયક",
+    title: "ક્લિનિકલ માર્ગદર્શન કાર્યક્ષેત્ર",
+    subhead:
+      "લખીને લક્ષણો જણાવવા અથવા રિપોર્ટ અપલોડ કરવામાંથી પસંદ કરો. Gemini સંભવિત બીમારીઓ, મુખ્ય તારણો અને આગળની સલાહ આપે છે. આ લાઇસન્સ ધરાવતા ડૉક્ટરોનું સ્થાન લેતું નથી.",
+    language: "ભાષા",
+    nav: {
+      prompt: "લક્ષણ મોડ",
+      report: "રિપોર્ટ મોડ",
+      combined: "સંયુક્ત મોડ",
+      history: "ઇતિહાસ",
+      trends: "વલણો",
+    },
+  },
+  common: {
+    cancel: "રદ કરો",
+    clear: "સાફ કરો",
+    reset: "રીસેટ કરો",
+    select: "પસંદ કરો",
+    sex: "જાતિ",
+    female: "સ્ત્રી",
+    male: "પુરુષ",
+    ageYears: "ઉંમર (વર્ષ)",
+    analyzing: "વિશ્લેષણ થઈ રહ્યું છે...",
+    writing: "લખાઈ રહ્યું છે...",
+    optionalNotes: "ડૉક્ટરની નોંધ (વૈકલ્પિક)",
+    unexpectedError: "અણધારી ભૂલ. કૃપા કરીને ફરી પ્રયાસ કરો.",
+    endedEarly: "જવાબ વચ્ચે જ અટકી ગયો. કૃપા કરીને ફરી પ્રયાસ કરો.",
+    educational:
+      "આ માહિતી ફક્ત જાણકારી માટે છે અને ડૉક્ટરની સલાહનું સ્થાન લેતી નથી.",
+    savedPrefix: "",
+    caseHistory: "કેસ ઇતિહાસ",
+    savedSuffix: "માં સાચવ્યું.",
+    reportNumber: "રિપોર્ટ {number}",
+    likelihood: { high: "ઉચ્ચ", medium: "મધ્યમ", low: "ઓછી" },
+  },
+  prompt: {
+    title: "લક્ષણ મોડ",
+    intro:
+      "તમારા લક્ષણો તમારા શબ્દોમાં લખો. Gemini સંભવિત બીમારીઓને ક્રમમાં બતાવે છે, ચેતવણીના સંકેતો દર્શાવે છે અને ટ્રાયેજની જેમ આગળનાં પગલાં સૂચવે છે.",
+    inputMode: "ઇનપુટની રીત",
+    freeText: "જાતે લખો",
+    guided: "માર્ગદર્શિત ફોર્મ",
+    anythingElse: "બીજું કંઈ? (વૈકલ્પિક)",
+    describe: "તમારા લક્ષણો જણાવો",
+    placeholder: "ઉદાહરણ: 3 દિવસથી હળવો તાવ, ગળામાં દુખાવો, સોજેલી ગ્રંથિઓ...",
+    predict: "તપાસો",
+    predicting: "તપાસ થઈ રહી છે...",
+    needSymptom: "કૃપા કરીને ઓછામાં ઓછું એક લક્ષણ જણાવો.",
+    needIntakeSymptom: "ઓછામાં ઓછું એક લક્ષણ પસંદ કરો અથવા તમારા લક્ષણો લખો.",
+    failed: "તપાસ નિષ્ફળ ગઈ (સ્થિતિ {status}).",
+    noResponse: "કોઈ જવાબ મળ્યો નથી. કૃપા કરીને ફરી પ્રયાસ કરો.",
+    cancelled: "તપાસ રદ કરી.",
+    resultsPlaceholder:
+      "પરિણામમાં સંભવિત બીમારીઓ, તાકીદના સંકેતો અને આગળનાં પગલાં હશે. નિદાન કે સારવાર માટે હંમેશા ડૉક્ટરની સલાહ લો.",
+  },
+  report: {
+    title: "રિપોર્ટ અપલોડ મોડ",
+    intro:
+      "ડિસ્ચાર્જ નોંધ, લેબ રિપોર્ટ કે ડૉક્ટરના પત્રો PDF, ટેક્સ્ટ અથવા ફોટો/સ્કેન તરીકે સુરક્ષિત રીતે અપલોડ કરો. Gemini મુખ્ય તારણો, નિદાન, દવાઓ અને આગળની સલાહ કાઢે છે.",
+    unsupported: "સમર્થિત ફાઇલો: {formats}.",
+    tooLarge: "{name} {size} MB ની મર્યાદા કરતાં મોટી છે.",
+    needFile: "પહેલાં રિપોર્ટ ફાઇલ અપલોડ કરો.",
+    failed: "રિપોર્ટ વિશ્લેષણ નિષ્ફળ ગયું (સ્થિતિ {status}).",
+    noSummary: "કોઈ સારાંશ મળ્યો નથી. ફરી પ્રયાસ કરો.",
+    cancelled: "રિપોર્ટ વિશ્લેષણ રદ કર્યું.",
+    selected: "રિપોર્ટ પસંદ કર્યો",
+    upload: "મેડિકલ રિપોર્ટ અપલોડ કરો",
+    accepted: "સ્વીકૃત ફોર્મેટ: {formats}. મહત્તમ {size} MB.",
+    notesPlaceholder:
+      "સંદર્ભ ઉમેરો, જેમ કે મુલાકાતનું કારણ, જૂની બીમારીઓ, અથવા કયા ભાગ પર ધ્યાન આપવું...",
+    analyze: "રિપોર્ટનું વિશ્લેષણ કરો",
+    eyebrow: "રિપોર્ટ વિશ્લેષણ",
+    summary: "સારાંશ",
+    viewTrend: "કિડનીની કાર્યક્ષમતાનું વલણ જુઓ",
+  },
+  combined: {
+    title: "સંયુક્ત મોડ",
+    intro:
+      "તમારા લક્ષણો જણાવો અને એક કે વધુ રિપોર્ટ જોડો. Gemini બંનેને સાથે જુએ છે અને બતાવે છે કે કયો નિષ્કર્ષ તમે જણાવેલા લક્ષણોમાંથી છે અને કયો રિપોર્ટમાંથી.",
+    unsupported_one: "અસમર્થિત ફાઇલ: {names}.",
+    unsupported: "અસમર્થિત ફાઇલો: {names}.",
+    tooMany: "એક સાથે વધુમાં વધુ {max} રિપોર્ટ અપલોડ કરો.",
+    needReport: "ઓછામાં ઓછો એક રિપોર્ટ અપલોડ કરો.",
+    failed: "સંયુક્ત વિશ્લેષણ નિષ્ફળ ગયું (સ્થિતિ {status}).",
+    noAnalysis: "કોઈ વિશ્લેષણ મળ્યું નથી. ફરી પ્રયાસ કરો.",
+    placeholder:
+      "ઉદાહરણ: બે અઠવાડિયાથી પગની ઘૂંટીએ સોજો, આખો દિવસ થાક, ઓછો પેશાબ...",
+    selected_one: "{count} રિપોર્ટ પસંદ કર્યો",
+    selected: "{count} રિપોર્ટ પસંદ કર્યા",
+    upload: "મેડિકલ રિપોર્ટ અપલોડ કરો",
+    accepted: "વધુમાં વધુ {max} ફાઇલો: {formats}. દરેક મહત્તમ {size} MB.",
+    notesPlaceholder: "સંદર્ભ ઉમેરો, જેમ કે જાણીતી બીમારીઓ કે ચાલુ દવાઓ...",
+    analyze: "સાથે વિશ્લેષણ કરો",
+    eyebrow: "લક્ષણો + રિપોર્ટ",
+    heading: "સંયુક્ત વિશ્લેષણ",
+  },
+  history: {
+    title: "કેસ ઇતિહાસ",
+    intro:
+      "દરેક વિશ્લેષણ સર્વર પર સચવાય છે. લક્ષણો, રિપોર્ટનાં નામ કે તારણોથી જૂના કેસ શોધો અને તેમને જેવા બતાવ્યા હતા તેવા જ ફરી ખોલો.",
+    kinds: { symptoms: "લક્ષણો", report: "રિપોર્ટ", combined: "સંયુક્ત" },
+    searchPlaceholder: "લક્ષણો, રિપોર્ટ, તારણો શોધો...",
+    searchLabel: "કેસ ઇતિહાસ શોધો",
+    filterLabel: "કેસના પ્રકાર પ્રમાણે ગાળો",
+    allTypes: "બધા પ્રકાર",
+    noMatch: "આ શોધ સાથે કોઈ સાચવેલો કેસ મળ્યો નથી.",
+    empty: "હજી કોઈ કેસ સાચવ્યો નથી. ઇતિહાસ શરૂ કરવા વિશ્લેષણ ચલાવો.",
+    emergency: "કટોકટી",
+    delete: "કાઢી નાખો",
+    confirmDelete: "શું આ કેસ ઇતિહાસમાંથી કાઢી નાખવો છે?",
+    loadFailed: "ઇતિહાસ લોડ થઈ શક્યો નહીં (સ્થિતિ {status}).",
+    loadError: "ઇતિહાસ લોડ થઈ શક્યો નહીં.",
+    openFailed: "કેસ ખૂલી શક્યો નહીં (સ્થિતિ {status}).",
+    openError: "કેસ ખૂલી શક્યો નહીં.",
+    deleteFailed: "કેસ કાઢી શકાયો નહીં (સ્થિતિ {status}).",
+    deleteError: "કેસ કાઢી શકાયો નહીં.",
+    symptoms: "લક્ષણો:",
+    notes: "નોંધ:",
+    saved: "સાચવ્યું {date}",
+    savedCase: "સાચવેલો કેસ",
+  },
+  trends: {
+    title: "કિડનીની કાર્યક્ષમતાનાં વલણો",
+    intro:
+      "રિપોર્ટ મોડમાં દર્દી સાથે જોડેલા રિપોર્ટ તપાસની તારીખ પ્રમાણે ગોઠવાય છે. eGFR ને સમય સાથે ચાર્ટ પર બતાવાય છે, સાથે વાર્ષિક ફેરફારનો દર અને અંદાજિત તારીખ જ્યારે તે 15 (કિડની ફેલ થવાની મર્યાદા) સુધી પહોંચશે.",
+    choosePatientLabel: "દર્દી પસંદ કરો",
+    choosePatient: "કોઈ દર્દી પસંદ કરો",
+    noPatients:
+      "હજી કોઈ દર્દી નથી. રિપોર્ટ અપલોડ કરતી વખતે રિપોર્ટ મોડમાંથી ઉમેરો.",
+    loadPatientsError: "દર્દીઓની યાદી લોડ થઈ શકી નહીં.",
+    loading: "વલણો લોડ થઈ રહ્યાં છે...",
+    loadFailed: "વલણો લોડ થઈ શક્યાં નહીં (સ્થિતિ {status}).",
+    loadError: "વલણો લોડ થઈ શક્યાં નહીં.",
+    eyebrow: "દર્દીની સમયરેખા",
+    attached_one: "{count} રિપોર્ટ જોડાયેલો છે",
+    attached: "{count} રિપોર્ટ જોડાયેલા છે",
+    latest: "તાજેતરનો eGFR {egfr} ({date})",
+    rapidDecline: " • ઝડપી ઘટાડો",
+    limited:
+      "{years} વર્ષમાં {points} પરિણામો પર આધારિત. ત્રણથી ઓછાં પરિણામો કે એક વર્ષથી ઓછા ડેટા પરથી બનેલું વલણ આગામી તપાસમાં ઘણું બદલાઈ શકે.",
+    timeline: "સમયરેખા",
+    columns: {
+      date: "તારીખ",
+      report: "રિપોર્ટ",
+      creatinine: "ક્રિએટિનિન",
+      egfr: "eGFR",
+      potassium: "પોટેશિયમ",
+      acr: "ACR",
+    },
+    uploadDate: "અપલોડની તારીખ",
+    calculated: "ગણતરીથી",
+    disclaimer:
+      "અંદાજ માને છે કે અગાઉનો ફેરફારનો દર સીધી રેખામાં ચાલુ રહેશે. કિડનીની કાર્યક્ષમતા ઘણી વાર એ રીતે બદલાતી નથી, તેથી આ આંકડા વિશે નેફ્રોલોજિસ્ટ સાથે ચર્ચા કરો.",
+    falling: "eGFR દર વર્ષે {value} ઘટે છે",
+    rising: "eGFR દર વર્ષે {value} વધે છે",
+    alreadyBelow: "eGFR પહેલેથી {threshold} અથવા તેથી ઓછો છે",
+    notDeclining: "ઘટાડો નથી; મર્યાદા પાર થવાનો અંદાજ નથી",
+    beyondHorizon: "{years} વર્ષમાં {threshold} સુધી પહોંચવાનો અંદાજ નથી",
+    projected: "આશરે {date} સુધીમાં {threshold} પહોંચવાનો અંદાજ ({years} વર્ષ)",
+  },
+  chart: {
+    label: "સમય સાથે eGFR",
+    kidneyFailure: "કિડની ફેલ (15)",
+    caption:
+      "ભરેલાં બિંદુ રિપોર્ટમાં છપાયેલાં eGFR મૂલ્યો છે; ખાલી બિંદુ ક્રિએટિનિનથી ગણાયેલાં છે (CKD-EPI 2021). ડેશવાળી રેખા વલણને આગળ લંબાવે છે.",
+    sources: { reported: "રિપોર્ટમાંથી", calculated: "ગણતરીથી" },
+  },
+  dialysis: {
+    eyebrow: "નિયમ આધારિત તપાસ",
+    title: "ડાયાલિસિસનું જોખમ",
+    intro:
+      "eGFR (CKD-EPI 2021), KDIGO સ્ટેજ અને ડાયાલિસિસની તાકીદ જાણવા તાજેતરનાં લેબ મૂલ્યો ભરો. આ નક્કી ક્લિનિકલ નિયમો પર ચાલે છે, Gemini થી અલગ.",
+    fields: {
+      creatinine: "સીરમ ક્રિએટિનિન (mg/dL)",
+      age: "ઉંમર (વર્ષ)",
+      acr: "યુરિન ACR (mg/g)",
+      potassium: "પોટેશિયમ (mmol/L)",
+      bicarbonate: "બાયકાર્બોનેટ (mmol/L)",
+      urineOutput: "પેશાબનું પ્રમાણ (mL/દિવસ)",
+    },
+    inputs: {
+      acr: "યુરિન ACR",
+      potassium: "પોટેશિયમ",
+      bicarbonate: "બાયકાર્બોનેટ",
+      urineOutput: "પેશાબનું પ્રમાણ",
+    },
+    calculate: "જોખમની ગણતરી કરો",
+    calculating: "ગણતરી થઈ રહી છે...",
+    failed: "જોખમનું મૂલ્યાંકન નિષ્ફળ ગયું (સ્થિતિ {status}).",
+    kdigoRisk: "KDIGO જોખમ: {risk}",
+    source: "સ્રોત: {source}",
+    noRules:
+      "આ મૂલ્યો પર ડાયાલિસિસનો કોઈ નિયમ લાગુ પડ્યો નથી. ડૉક્ટરની સલાહ મુજબ કિડનીની તપાસ કરાવતા રહો.",
+    notAssessed: "મૂલ્યાંકન થયું નથી: {inputs}.",
+    disclaimer:
+      "{equation} થી ગણતરી કરી. આ ફક્ત તપાસમાં મદદ માટે છે, ડાયાલિસિસ શરૂ કરવાનો કે ન કરવાનો નિર્ણય નથી.",
+  },
+  patients: {
+    attach: "દર્દી સાથે જોડો (વૈકલ્પિક)",
+    none: "કોઈ દર્દી નહીં",
+    new: "નવો દર્દી",
+    name: "નામ",
+    dateOfBirth: "જન્મ તારીખ",
+    add: "દર્દી ઉમેરો",
+    loadError: "દર્દીઓની યાદી લોડ થઈ શકી નહીં.",
+    addFailed: "દર્દી ઉમેરી શકાયો નહીં (સ્થિતિ {status}).",
+    addError: "દર્દી ઉમેરી શકાયો નહીં.",
+  },
+  ranked: {
+    latest: "તાજેતરનું વિશ્લેષણ",
+    title: "સંભવિત બીમારીઓ ક્રમમાં",
+    conditionCount_one: "{count} સંભવિત બીમારી",
+    conditionCount: "{count} સંભવિત બીમારીઓ",
+    redFlagCount_one: "{count} ચેતવણીનો સંકેત",
+    redFlagCount: "{count} ચેતવણીના સંકેતો",
+    noRedFlagsPill: "કોઈ ચેતવણીનો સંકેત નથી",
+    conditions: "2. સંભવિત બીમારીઓ",
+    confidenceBadges: "સંભાવનાના બેજ",
+    redFlags: "3. ચેતવણીના સંકેતો",
+    seekCare: "આમાંનું કંઈ પણ થાય તો તરત સારવાર લો",
+    noRedFlags: "કોઈ ખાસ ચેતવણીનો સંકેત જણાવ્યો નથી.",
+    stillSeekCare: "તેમ છતાં લક્ષણો વધે કે નવી તકલીફ થાય તો ડૉક્ટરને બતાવો.",
+    selfCare: "4. સ્વ-સંભાળની સલાહ",
+    selfCareFallback: "લક્ષણો પર ધ્યાન રાખો અને ડૉક્ટરની સૂચના પાળો.",
+    specialists: "5. નિષ્ણાત / તપાસ",
+    specialistsFallback:
+      "તમારા માટે યોગ્ય આગળનાં પગલાં જાણવા તમારા ફેમિલી ડૉક્ટરની સલાહ લો.",
+    disclaimer: "6. અસ્વીકરણ",
+    disclaimerFallback:
+      "આ માહિતી ફક્ત માર્ગદર્શન માટે છે અને ડૉક્ટરની સલાહનું સ્થાન લેતી નથી.",
+    badges: { high: "ઉચ્ચ", medium: "મધ્યમ", low: "ઓછી", unknown: "અંદાજ" },
+  },
+  combinedResult: {
+    redFlags: "ચેતવણીના સંકેતો",
+    basis: {
+      symptoms: "લક્ષણોમાંથી",
+      reports: "રિપોર્ટમાંથી",
+      both: "લક્ષણો + રિપોર્ટ",
+    },
+    discrepancies: "લક્ષણો વિ. રિપોર્ટ",
+    nextSteps: "આગળનાં પગલાં",
+    specialists: "નિષ્ણાતો",
+  },
+  reportSummary: {
+    findings: "મુખ્ય તારણો",
+    diagnoses: "નિદાન અને અન્ય શક્યતાઓ",
+    medicationsLabs: "દવાઓ / લેબ તપાસ",
+    followUps: "આગળની સંભાળ / રેફરલ",
+    confidence: "વિશ્વાસ {level}",
+  },
+  emergency: {
+    title: "સંભવિત કટોકટી",
+    icon: "કટોકટી",
+    fromLabs: "લેબ મૂલ્યોમાંથી",
+    fromSymptoms: "લક્ષણોમાંથી",
+    recommended: "સૂચન:",
+  },
+  export: {
+    pdf: "PDF ડાઉનલોડ કરો",
+    md: "Markdown",
+    txt: "સાદો ટેક્સ્ટ",
+  },
+  labs: {
+    title: "રિપોર્ટમાંથી કાઢેલાં લેબ મૂલ્યો",
+    note: "આ મૂલ્યો સીધા રિપોર્ટના ટેક્સ્ટમાંથી વાંચીને માનક એકમોમાં ફેરવ્યાં છે. તે AI સારાંશમાંથી આવ્યાં નથી.",
+    columns: {
+      test: "તપાસ",
+      value: "મૂલ્ય",
+      reference: "સામાન્ય મર્યાદા",
+      asReported: "રિપોર્ટમાં લખ્યા મુજબ",
+      collected: "નમૂનાની તારીખ",
+    },
+    flags: { high: "વધુ", low: "ઓછું" },
+    noUnit: "(એકમ નથી)",
+  },
+  coverage: {
+    pages_one: "{total} માંથી {read} પાનું",
+    pages: "{total} માંથી {read} પાનાં",
+    inParts: ", {count} ભાગમાં",
+    inOnePass: ", એક જ વારમાં",
+    analyzed: "{pages}{parts} વિશ્લેષણ કર્યું.",
+    incomplete:
+      " દસ્તાવેજનો થોડો ભાગ વિશ્લેષિત થયો નથી{skipped}; કંઈ રહી ગયું હોય તો મૂળ રિપોર્ટ જુઓ.",
+    skipped_one: " ({count} ભાગ લંબાઈ મર્યાદાની બહાર)",
+    skipped: " ({count} ભાગ લંબાઈ મર્યાદાની બહાર)",
+    lowConfidence:
+      "થોડો ટેક્સ્ટ વાંચવો મુશ્કેલ હતો. મૂલ્યો મૂળ રિપોર્ટ સાથે સરખાવી જુઓ.",
+    ocrUsed: "ટેક્સ્ટ ફોટામાંથી OCR વડે વાંચ્યો.",
+    pageConfidence: "પાનું {page}: {confidence}% વિશ્વાસ",
+  },
+  intake: {
+    symptoms: "લક્ષણો",
+    severity: "તીવ્રતા {value}/10",
+    about: "તમારા અને લક્ષણો વિશે",
+    preferNotToSay: "જણાવવું નથી",
+    onset: "શરૂઆત",
+    notSure: "ખબર નથી",
+    sudden: "અચાનક",
+    gradual: "ધીમે ધીમે",
+    howLong: "ક્યારથી",
+    duration: "સમયગાળો",
+    durationUnit: "સમયગાળાનો એકમ",
+    units: {
+      hours: "કલાક",
+      days: "દિવસ",
+      weeks: "અઠવાડિયાં",
+      months: "મહિના",
+      years: "વર્ષ",
+    },
+    vitals: "વાઇટલ્સ (જો માપ્યા હોય)",
+    history: "બીમારીઓનો ઇતિહાસ",
+    medications: "હાલ લેવાતી દવાઓ (દરેક લાઇનમાં એક)",
+    medicationsPlaceholder: "ઉદાહરણ: Metformin 500 mg દિવસમાં બે વાર",
+    symptomOptions: {
+      swelling: "પગ કે ઘૂંટીમાં સોજો",
+      facialPuffiness: "આંખો કે ચહેરાની આસપાસ સોજો",
+      reducedUrine: "સામાન્ય કરતાં ઓછો પેશાબ",
+      noUrine: "પેશાબ બિલકુલ નહીં",
+      foamyUrine: "ફીણવાળો પેશાબ",
+      bloodInUrine: "પેશાબમાં લોહી",
+      painfulUrination: "પેશાબ કરતી વખતે દુખાવો કે બળતરા",
+      nocturia: "રાત્રે વારંવાર પેશાબ",
+      flankPain: "પડખામાં કે કમરના નીચેના ભાગમાં દુખાવો",
+      fatigue: "થાક કે નબળાઈ",
+      nausea: "ઉબકા કે ઊલટી",
+      appetiteLoss: "ભૂખ ન લાગવી",
+      itching: "ચામડીમાં ખંજવાળ",
+      cramps: "સ્નાયુઓમાં ખેંચાણ",
+      breathlessness: "શ્વાસ ચડવો",
+      chestPain: "છાતીમાં દુખાવો",
+      confusion: "મૂંઝવણ કે ધ્યાન કેન્દ્રિત કરવામાં તકલીફ",
+      fever: "તાવ",
+    },
+    comorbidityOptions: {
+      diabetes: "ડાયાબિટીસ (શુગર)",
+      hypertension: "હાઈ બ્લડ પ્રેશર",
+      heartDisease: "હૃદયની બીમારી કે હાર્ટ ફેલ્યોર",
+      kidneyDisease: "અગાઉથી કિડનીની બીમારી",
+      kidneyStones: "કિડનીમાં પથરી",
+      familyKidneyDisease: "કુટુંબમાં કિડનીની બીમારી",
+      autoimmune: "લ્યુપસ કે બીજી ઓટોઇમ્યુન બીમારી",
+    },
+    vitalFields: {
+      systolic: "ઉપરનું BP (mmHg)",
+      diastolic: "નીચેનું BP (mmHg)",
+      heartRate: "ધબકારા (પ્રતિ મિનિટ)",
+      temperature: "તાપમાન (°C)",
+      weight: "વજન (kg)",
+      urineOutput: "પેશાબનું પ્રમાણ (mL/દિવસ)",
+    },
+  },
+  auth: {
+    checking: "તમારું સત્ર તપાસી રહ્યા છીએ...",
+    signInTitle: "સાઇન ઇન કરો",
+    signInIntro:
+      "તમારા સાચવેલા કેસ જોવા માટે સાઇન ઇન કરો. ડૉક્ટર એ દર્દીઓને જુએ છે જેમણે પોતાનો રેકોર્ડ તેમની સાથે શેર કર્યો છે.",
+    registerTitle: "ખાતું બનાવો",
+    registerIntro:
+      "દર્દીઓને પોતાનો ખાનગી રેકોર્ડ મળે છે. ડૉક્ટર ખાતા માટે તમારા સંચાલક પાસેથી આમંત્રણ કોડ જોઈએ.",
+    email: "ઇમેઇલ",
+    password: "પાસવર્ડ",
+    accountType: "ખાતાનો પ્રકાર",
+    roles: { patient: "દર્દી", clinician: "ડૉક્ટર" },
+    inviteCode: "ડૉક્ટર આમંત્રણ કોડ",
+    signIn: "સાઇન ઇન કરો",
+    signingIn: "સાઇન ઇન થઈ રહ્યું છે...",
+    signOut: "સાઇન આઉટ",
+    createAccount: "ખાતું બનાવો",
+    creating: "ખાતું બની રહ્યું છે...",
+    noAccount: "હજી ખાતું નથી?",
+    haveAccount: "પહેલેથી નોંધાયેલા છો?",
+  },
+  notes: {
+    title: "ડૉક્ટરની નોંધ",
+    empty: "હજી કોઈ નોંધ નથી.",
+    byline: "{author}, {date}",
+    placeholder: "આ કેસ માટે નોંધ ઉમેરો...",
+    add: "નોંધ ઉમેરો",
+    saving: "સાચવી રહ્યા છીએ...",
+    failed: "નોંધ સાચવી શકાઈ નહીં (સ્થિતિ {status}).",
+    error: "નોંધ સાચવી શકાઈ નહીં.",
+  },
+  share: {
+    label: "આ રેકોર્ડ કોઈ ડૉક્ટર સાથે શેર કરો",
+    placeholder: "ડૉક્ટરના ખાતાનો ઇમેઇલ",
+    submit: "શેર કરો",
+    sharing: "શેર થઈ રહ્યું છે...",
+    shared: "{email} સાથે શેર કર્યું.",
+    failed: "રેકોર્ડ શેર થઈ શક્યો નહીં (સ્થિતિ {status}).",
+    error: "રેકોર્ડ શેર થઈ શક્યો નહીં.",
+  },
+  errors: {
+    rateLimited:
+      "હમણાં ઘણી બધી વિનંતીઓ છે. કૃપા કરીને {wait} પછી ફરી પ્રયાસ કરો.",
+    dailyQuota:
+      "આજની વિશ્લેષણ મર્યાદા પૂરી થઈ ગઈ છે. કૃપા કરીને {wait} પછી ફરી પ્રયાસ કરો.",
+    seconds_one: "{count} સેકન્ડ",
+    seconds: "{count} સેકન્ડ",
+    minutes_one: "{count} મિનિટ",
+    minutes: "{count} મિનિટ",
+    hours_one: "{count} કલાક",
+    hours: "{count} કલાક",
+    codes: {
+      upstream_unavailable:
+        "વિશ્લેષણ સેવા હમણાં જવાબ આપી રહી નથી. કૃપા કરીને થોડી મિનિટ પછી ફરી પ્રયાસ કરો.",
+      safety_blocked:
+        "વિશ્લેષણ સેવાએ આ વિનંતીનો જવાબ આપવાનો ઇનકાર કર્યો. તેને બીજા શબ્દોમાં લખી જુઓ, અને ચિંતા હોય તો સીધા ડૉક્ટરનો સંપર્ક કરો.",
+      quota_exceeded:
+        "વિશ્લેષણ સેવા તેની ઉપયોગ મર્યાદા સુધી પહોંચી ગઈ છે. કૃપા કરીને પછીથી ફરી પ્રયાસ કરો.",
+      bad_input:
+        "વિશ્લેષણ સેવા આ ઇનપુટ પર પ્રક્રિયા કરી શકી નહીં. ટેક્સ્ટ અથવા ફાઇલ તપાસો અને ફરી પ્રયાસ કરો.",
+    },
+  },
+  cache: {
+    reused: "આ એ જ વિનંતીનો {time} નો સાચવેલો જવાબ છે.",
+    regenerate: "ફરી બનાવો",
+  },
+  prompts: {
+    template: "પ્રોમ્પ્ટ ટેમ્પલેટ",
+    default: "ડિફૉલ્ટ ({name})",
+    defaultUnknown: "ડિફૉલ્ટ",
+    preview: "પૂર્વાવલોકન",
+    hidePreview: "પૂર્વાવલોકન છુપાવો",
+    loadError: "પ્રોમ્પ્ટ ટેમ્પલેટ લોડ થઈ શક્યા નહીં.",
+    previewError: "ટેમ્પલેટનું પૂર્વાવલોકન લોડ થઈ શક્યું નહીં.",
+  },
+  chat: {
+    title: "આગળનો પ્રશ્ન પૂછો",
+    intro:
+      "જવાબ આ પરિણામનાં લક્ષણો, રિપોર્ટ અને ઉત્તરના આધારે આપવામાં આવે છે. તે ફક્ત જાણકારી માટે છે; દરેક પ્રશ્ન પર ચેતવણીના સંકેતો ફરી તપાસવામાં આવે છે.",
+    placeholder:
+      'જેમ કે: "વધારે પોટેશિયમનો મારા માટે શું અર્થ છે?" અથવા "મારે નેફ્રોલોજિસ્ટને શું પૂછવું જોઈએ?"',
+    send: "પૂછો",
+    sending: "વિચારી રહ્યા છીએ...",
+    byline: "{author}, {date}",
+    redFlags: "ચેતવણીના સંકેતો",
+    questions: "ડૉક્ટરને પૂછવાના પ્રશ્નો",
+    failed: "પ્રશ્નનો જવાબ મળી શક્યો નથી (સ્થિતિ {status}).",
+    error: "પ્રશ્નનો જવાબ મળી શક્યો નથી.",
+  },
+  modality: {
+    title: "ડાયાલિસિસના વિકલ્પો",
+    intro:
+      "જે દર્દીઓ માટે કિડની ફેલ્યોરની તૈયારી ચાલી રહી છે: તમારી જાણકારીના આધારે હીમોડાયાલિસિસ, પેરિટોનિયલ ડાયાલિસિસ અને કન્ઝર્વેટિવ સંભાળની તુલના કરો. જે ખબર ન હોય તે ખાલી છોડો. આ નક્કી ક્લિનિકલ નિયમો પર ચાલે છે, Gemini થી અલગ.",
+    unknown: "ખબર નથી",
+    fields: {
+      abdominalSurgery: "પેટની અગાઉની સર્જરી",
+      homeSupport: "ઘરે મદદ",
+      manualDexterity: "હાથની પકડ અને દૃષ્ટિ",
+      vascularAccess: "વેસ્ક્યુલર એક્સેસ",
+      cardiacFunction: "હૃદયની કાર્યક્ષમતા",
+      residualUrineOutput: "બાકી પેશાબનું પ્રમાણ (mL/દિવસ)",
+      preferences: "જીવનશૈલીની પસંદગી",
+    },
+    options: {
+      abdominalSurgery: {
+        none: "કોઈ નહીં",
+        previous: "અગાઉ સર્જરી થઈ છે",
+        extensive: "વ્યાપક (ચોંટણ, સ્ટોમા, ઘણાં ઓપરેશન)",
+      },
+      homeSupport: {
+        none: "મદદ માટે કોઈ નથી",
+        partial: "થોડી મદદ",
+        full: "સંભાળ રાખનાર ઉપલબ્ધ છે",
+      },
+      manualDexterity: {
+        good: "સારી",
+        limited: "મર્યાદિત",
+        poor: "નબળી",
+      },
+      vascularAccess: {
+        none: "હજુ કોઈ એક્સેસ નથી",
+        catheter: "ડાયાલિસિસ કેથેટર",
+        maturing: "ફિસ્ટુલા અથવા ગ્રાફ્ટ તૈયાર થઈ રહ્યું છે",
+        working: "કામ કરતું ફિસ્ટુલા અથવા ગ્રાફ્ટ",
+        exhausted: "કોઈ ઉપયોગી જગ્યા બાકી નથી",
+      },
+      cardiacFunction: {
+        normal: "સામાન્ય",
+        reduced: "ઓછી",
+        severe: "ખૂબ ઓછી",
+      },
+    },
+    preferences: {
+      home: "ઘરે સારવાર",
+      flexibleSchedule: "કામ માટે લવચીક સમય",
+      travel: "મુસાફરી કરી શકવું",
+      inCentre: "ડાયાલિસિસ યુનિટમાં સારવાર",
+      avoidDialysis: "ડાયાલિસિસ ટાળવાનું પસંદ કરીશું",
+    },
+    compare: "વિકલ્પોની તુલના કરો",
+    comparing: "તુલના થઈ રહી છે...",
+    failed: "વિકલ્પોની તુલના નિષ્ફળ ગઈ (સ્થિતિ {status}).",
+    groups: {
+      contraindications: "નિષેધ",
+      cautions: "સાવચેતીઓ",
+      favours: "તરફેણમાં",
+    },
+    noRules: "આપેલી માહિતી પર આ વિકલ્પ માટે કોઈ નિયમ લાગુ થયો નથી.",
+    questions: "તમારા નેફ્રોલોજિસ્ટને પૂછવાના પ્રશ્નો",
+    disclaimer:
+      "આ તુલના ફક્ત ભરેલી માહિતી પર આધારિત છે. સારવારની પસંદગી તમારા નેફ્રોલોજિસ્ટ અને સંભાળ ટીમ સાથે થાય છે.",
+  },
+  medications: {
+    title: "દવાઓની સલામતી",
+    egfr: {
+      reported:
+        "રિપોર્ટમાં આપેલા eGFR {value} mL/min/1.73m² ({stage}, {date}) ના આધારે તપાસ્યું.",
+      calculated:
+        "ક્રિએટિનિનથી CKD-EPI 2021 વડે ગણેલા eGFR {value} mL/min/1.73m² ({stage}, {date}) ના આધારે તપાસ્યું.",
+    },
+    undated: "તારીખ વગર",
+    noEgfr:
+      "eGFR, અથવા દર્દીના લિંગ અને ઉંમર સાથે ક્રિએટિનિન ઉપલબ્ધ ન હતું, તેથી કિડની મુજબ ડોઝની તપાસ થઈ નથી.",
+    none: "દવા કોષ્ટકની કોઈ દવા મળી નથી.",
+    noFlags: "આ દવાઓ પર સલામતીનો કોઈ નિયમ લાગુ થયો નથી.",
+    sources: {
+      report: "રિપોર્ટ",
+      summary: "AI સારાંશ",
+      notes: "નોંધો",
+      symptoms: "લક્ષણો",
+      intake: "ઇનટેક ફોર્મ",
+    },
+    severity: {
+      avoid: "ન લો",
+      caution: "સાવચેતી",
+      monitor: "દેખરેખ",
+    },
+    uncheckedDoses: "ડોઝની તપાસ માટે eGFR જોઈએ: {drugs}.",
+    unrecognized: "દવા કોષ્ટકમાં નથી, જાતે તપાસો: {items}.",
+    disclaimer:
+      "દવાઓને નામથી એક નક્કી દવા કોષ્ટક સાથે મેળવવામાં આવે છે, તેથી કેટલીક રહી જાય અથવા માહિતી જૂની હોય એવું બને. ડૉક્ટરને પૂછ્યા વગર કોઈ દવા બંધ કે બદલશો નહીં.",
+  },
+};
+
+export default gu;
@@ -0,0 +1,541 @@
+// Hindi. Missing keys fall back to English.
+const hi = {
+  app: {
+    eyebrow: "AI ट्राइएज सहायक",
+    title: "क्लिनिकल मार्गदर्शन कार्यक्षेत्र",
+    subhead:
+      "लिखकर लक्षण बताने या रिपोर्ट अपलोड करने में से चुनें। Gemini संभावित बीमारियाँ, मुख्य निष्कर्ष और आगे की सलाह बताता है। यह लाइसेंसधारी डॉक्टरों की जगह नहीं लेता।",
+    language: "भाषा",
+    nav: {
+      prompt: "लक्षण मोड",
+      report: "रिपोर्ट मोड",
+      combined: "संयुक्त मोड",
+      history: "इतिहास",
+      trends: "रुझान",
+    },
+  },
+  common: {
+    cancel: "रद्द करें",
+    clear: "साफ़ करें",
+    reset: "रीसेट करें",
+    select: "चुनें",
+    sex: "लिंग",
+    female: "महिला",
+    male: "पुरुष",
+    ageYears: "उम्र (वर्ष)",
+    analyzing: "विश्लेषण हो रहा है...",
+    writing: "लिखा जा रहा है...",
+    optionalNotes: "डॉक्टर के नोट्स (वैकल्पिक)",
+    unexpectedError: "अनपेक्षित त्रुटि। कृपया फिर से कोशिश करें।",
+    endedEarly: "जवाब बीच में ही रुक गया। कृपया फिर से कोशिश करें।",
+    educational:
+      "यह जानकारी केवल शिक्षा के लिए है और डॉक्टर की सलाह की जगह नहीं लेती।",
+    savedPrefix: "",
+    caseHistory: "केस इतिहास",
+    savedSuffix: " में सहेजा गया।",
+    reportNumber: "रिपोर्ट {number}",
+    likelihood: { high: "उच्च", medium: "मध्यम", low: "कम" },
+  },
+  prompt: {
+    title: "लक्षण मोड",
+    intro:
+      "अपने लक्षण अपने शब्दों में लिखें। Gemini संभावित बीमारियों को क्रम से बताता है, खतरे के संकेत दिखाता है और ट्राइएज की तरह अगले कदम सुझाता है।",
+    inputMode: "इनपुट का तरीका",
+    freeText: "खुद लिखें",
+    guided: "निर्देशित फ़ॉर्म",
+    anythingElse: "और कुछ? (वैकल्पिक)",
+    describe: "अपने लक्षण बताएँ",
+    placeholder:
+      "उदाहरण: 3 दिन से हल्का बुखार, गले में खराश, सूजी हुई ग्रंथियाँ...",
+    predict: "जाँचें",
+    predicting: "जाँच हो रही है...",
+    needSymptom: "कृपया कम से कम एक लक्षण बताएँ।",
+    needIntakeSymptom: "कम से कम एक लक्षण चुनें या अपने लक्षण लिखें।",
+    failed: "जाँच विफल रही (स्थिति {status})।",
+    noResponse: "कोई जवाब नहीं मिला। कृपया फिर से कोशिश करें।",
+    cancelled: "जाँच रद्द की गई।",
+    resultsPlaceholder:
+      "परिणाम में संभावित बीमारियाँ, तात्कालिकता के संकेत और अगले कदम होंगे। निदान या इलाज के लिए हमेशा डॉक्टर से सलाह लें।",
+  },
+  report: {
+    title: "रिपोर्ट अपलोड मोड",
+    intro:
+      "डिस्चार्ज नोट्स, लैब रिपोर्ट या डॉक्टर के पत्र PDF, टेक्स्ट या फ़ोटो/स्कैन के रूप में सुरक्षित रूप से अपलोड करें। Gemini मुख्य निष्कर्ष, निदान, दवाइयाँ और आगे की सलाह निकालता है।",
+    unsupported: "समर्थित फ़ाइलें: {formats}।",
+    tooLarge: "{name} {size} MB की सीमा से बड़ी है।",
+    needFile: "पहले रिपोर्ट फ़ाइल अपलोड करें।",
+    failed: "रिपोर्ट विश्लेषण विफल रहा (स्थिति {status})।",
+    noSummary: "कोई सारांश नहीं मिला। फिर से कोशिश करें।",
+    cancelled: "रिपोर्ट विश्लेषण रद्द किया गया।",
+    selected: "रिपोर्ट चुनी गई",
+    upload: "मेडिकल रिपोर्ट अपलोड करें",
+    accepted: "स्वीकृत फ़ॉर्मैट: {formats}. अधिकतम {size} MB.",
+    notesPlaceholder:
+      "संदर्भ जोड़ें, जैसे आने का कारण, पुरानी बीमारियाँ, या किन हिस्सों पर ध्यान देना है...",
+    analyze: "रिपोर्ट का विश्लेषण करें",
+    eyebrow: "रिपोर्ट विश्लेषण",
+    summary: "सारांश",
+    viewTrend: "किडनी की कार्यक्षमता का रुझान देखें",
+  },
+  combined: {
+    title: "संयुक्त मोड",
+    intro:
+      "अपने लक्षण बताएँ और एक या अधिक रिपोर्ट जोड़ें। Gemini दोनों को साथ में देखता है और बताता है कि कौन-सा निष्कर्ष आपके बताए लक्षणों से है और कौन-सा रिपोर्ट से।",
+    unsupported_one: "असमर्थित फ़ाइल: {names}।",
+    unsupported: "असमर्थित फ़ाइलें: {names}।",
+    tooMany: "एक बार में अधिकतम {max} रिपोर्ट अपलोड करें।",
+    needReport: "कम से कम एक रिपोर्ट अपलोड करें।",
+    failed: "संयुक्त विश्लेषण विफल रहा (स्थिति {status})।",
+    noAnalysis: "कोई विश्लेषण नहीं मिला। फिर से कोशिश करें।",
+    placeholder:
+      "उदाहरण: दो हफ़्ते से टखनों में सूजन, हर समय थकान, पेशाब कम आना...",
+    selected_one: "{count} रिपोर्ट चुनी गई",
+    selected: "{count} रिपोर्ट चुनी गईं",
+    upload: "मेडिकल रिपोर्ट अपलोड करें",
+    accepted: "अधिकतम {max} फ़ाइलें: {formats}. हर फ़ाइल अधिकतम {size} MB.",
+    notesPlaceholder:
+      "संदर्भ जोड़ें, जैसे पुरानी बीमारियाँ या चल रही दवाइयाँ...",
+    analyze: "साथ में विश्लेषण करें",
+    eyebrow: "लक्षण + रिपोर्ट",
+    heading: "संयुक्त विश्लेषण",
+  },
+  history: {
+    title: "केस इतिहास",
+    intro:
+      "हर विश्लेषण सर्वर पर सहेजा जाता है। लक्षण, रिपोर्ट के नाम या निष्कर्षों से पुराने केस खोजें और उन्हें ठीक वैसे ही फिर खोलें जैसे दिखाए गए थे।",
+    kinds: { symptoms: "लक्षण", report: "रिपोर्ट", combined: "संयुक्त" },
+    searchPlaceholder: "लक्षण, रिपोर्ट, निष्कर्ष खोजें...",
+    searchLabel: "केस इतिहास खोजें",
+    filterLabel: "केस के प्रकार से छाँटें",
+    allTypes: "सभी प्रकार",
+    noMatch: "इस खोज से कोई सहेजा गया केस नहीं मिला।",
+    empty:
+      "अभी कोई केस सहेजा नहीं गया। इतिहास शुरू करने के लिए विश्लेषण चलाएँ।",
+    emergency: "आपातकाल",
+    delete: "हटाएँ",
+    confirmDelete: "क्या यह केस इतिहास से हटाना है?",
+    loadFailed: "इतिहास लोड नहीं हो सका (स्थिति {status})।",
+    loadError: "इतिहास लोड नहीं हो सका।",
+    openFailed: "केस खुल नहीं सका (स्थिति {status})।",
+    openError: "केस खुल नहीं सका।",
+    deleteFailed: "केस हटाया नहीं जा सका (स्थिति {status})।",
+    deleteError: "केस हटाया नहीं जा सका।",
+    symptoms: "लक्षण:",
+    notes: "नोट्स:",
+    saved: "सहेजा गया {date}",
+    savedCase: "सहेजा गया केस",
+  },
+  trends: {
+    title: "किडनी की कार्यक्षमता के रुझान",
+    intro:
+      "रिपोर्ट मोड में किसी मरीज़ से जोड़ी गई रिपोर्टें जाँच की तारीख के क्रम में लगाई जाती हैं। eGFR को समय के साथ चार्ट पर दिखाया जाता है, साथ में सालाना बदलाव की दर और वह अनुमानित तारीख जब यह 15 (किडनी फेल होने की सीमा) तक पहुँचेगा।",
+    choosePatientLabel: "मरीज़ चुनें",
+    choosePatient: "कोई मरीज़ चुनें",
+    noPatients:
+      "अभी कोई मरीज़ नहीं है। रिपोर्ट अपलोड करते समय रिपोर्ट मोड से जोड़ें।",
+    loadPatientsError: "मरीज़ों की सूची लोड नहीं हो सकी।",
+    loading: "रुझान लोड हो रहे हैं...",
+    loadFailed: "रुझान लोड नहीं हो सके (स्थिति {status})।",
+    loadError: "रुझान लोड नहीं हो सके।",
+    eyebrow: "मरीज़ की समयरेखा",
+    attached_one: "{count} रिपोर्ट जुड़ी है",
+    attached: "{count} रिपोर्ट जुड़ी हैं",
+    latest: "नवीनतम eGFR {egfr} ({date})",
+    rapidDecline: " • तेज़ गिरावट",
+    limited:
+      "{years} वर्षों में {points} परिणामों पर आधारित। तीन से कम परिणामों या एक साल से कम के डेटा से बना रुझान अगली जाँच में काफ़ी बदल सकता है।",
+    timeline: "समयरेखा",
+    columns: {
+      date: "तारीख",
+      report: "रिपोर्ट",
+      creatinine: "क्रिएटिनिन",
+      egfr: "eGFR",
+      potassium: "पोटैशियम",
+      acr: "ACR",
+    },
+    uploadDate: "अपलोड की तारीख",
+    calculated: "गणना से",
+    disclaimer:
+      "अनुमान मानते हैं कि पिछली बदलाव की दर सीधी रेखा में जारी रहेगी। किडनी की कार्यक्षमता अक्सर ऐसे नहीं बदलती, इसलिए इन आँकड़ों पर नेफ्रोलॉजिस्ट से चर्चा करें।",
+    falling: "eGFR हर साल {value} घट रहा है",
+    rising: "eGFR हर साल {value} बढ़ रहा है",
+    alreadyBelow: "eGFR पहले से {threshold} या उससे कम है",
+    notDeclining: "गिरावट नहीं; सीमा पार होने का अनुमान नहीं",
+    beyondHorizon: "{years} वर्षों में {threshold} तक पहुँचने का अनुमान नहीं",
+    projected: "लगभग {date} तक {threshold} पहुँचने का अनुमान ({years} वर्ष)",
+  },
+  chart: {
+    label: "समय के साथ eGFR",
+    kidneyFailure: "किडनी फेल (15)",
+    caption:
+      "भरे हुए बिंदु रिपोर्ट में छपे eGFR मान हैं; खाली बिंदु क्रिएटिनिन से गणना किए गए हैं (CKD-EPI 2021)। डैश वाली रेखा रुझान को आगे बढ़ाती है।",
+    sources: { reported: "रिपोर्ट से", calculated: "गणना से" },
+  },
+  dialysis: {
+    eyebrow: "नियम-आधारित जाँच",
+    title: "डायलिसिस का जोखिम",
+    intro:
+      "eGFR (CKD-EPI 2021), KDIGO स्टेज और डायलिसिस की तात्कालिकता जानने के लिए हाल के लैब मान भरें। यह तय क्लिनिकल नियमों पर चलता है, Gemini से अलग।",
+    fields: {
+      creatinine: "सीरम क्रिएटिनिन (mg/dL)",
+      age: "उम्र (वर्ष)",
+      acr: "यूरिन ACR (mg/g)",
+      potassium: "पोटैशियम (mmol/L)",
+      bicarbonate: "बाइकार्बोनेट (mmol/L)",
+      urineOutput: "पेशाब की मात्रा (mL/दिन)",
+    },
+    inputs: {
+      acr: "यूरिन ACR",
+      potassium: "पोटैशियम",
+      bicarbonate: "बाइकार्बोनेट",
+      urineOutput: "पेशाब की मात्रा",
+    },
+    calculate: "जोखिम की गणना करें",
+    calculating: "गणना हो रही है...",
+    failed: "जोखिम का आकलन विफल रहा (स्थिति {status})।",
+    kdigoRisk: "KDIGO जोखिम: {risk}",
+    source: "स्रोत: {source}",
+    noRules:
+      "इन मानों पर डायलिसिस का कोई नियम लागू नहीं हुआ। डॉक्टर की सलाह के अनुसार किडनी की जाँच करवाते रहें।",
+    notAssessed: "आकलन नहीं हुआ: {inputs}।",
+    disclaimer:
+      "{equation} से गणना की गई। यह केवल जाँच में मदद के लिए है, डायलिसिस शुरू करने या न करने का निर्णय नहीं।",
+  },
+  patients: {
+    attach: "मरीज़ से जोड़ें (वैकल्पिक)",
+    none: "कोई मरीज़ नहीं",
+    new: "नया मरीज़",
+    name: "नाम",
+    dateOfBirth: "जन्म तिथि",
+    add: "मरीज़ जोड़ें",
+    loadError: "मरीज़ों की सूची लोड नहीं हो सकी।",
+    addFailed: "मरीज़ नहीं जोड़ा जा सका (स्थिति {status})।",
+    addError: "मरीज़ नहीं जोड़ा जा सका।",
+  },
+  ranked: {
+    latest: "नवीनतम विश्लेषण",
+    title: "संभावित बीमारियाँ क्रम से",
+    conditionCount_one: "{count} संभावित बीमारी",
+    conditionCount: "{count} संभावित बीमारियाँ",
+    redFlagCount_one: "{count} खतरे का संकेत",
+    redFlagCount: "{count} खतरे के संकेत",
+    noRedFlagsPill: "कोई खतरे का संकेत नहीं",
+    conditions: "2. संभावित बीमारियाँ",
+    confidenceBadges: "संभावना के बैज",
+    redFlags: "3. खतरे के संकेत",
+    seekCare: "इनमें से कुछ भी हो तो तुरंत इलाज लें",
+    noRedFlags: "कोई खास खतरे का संकेत नहीं बताया गया।",
+    stillSeekCare: "फिर भी लक्षण बढ़ें या नई परेशानी हो तो डॉक्टर को दिखाएँ।",
+    selfCare: "4. स्वयं देखभाल की सलाह",
+    selfCareFallback: "लक्षणों पर ध्यान रखें और डॉक्टर के निर्देश मानें।",
+    specialists: "5. विशेषज्ञ / जाँचें",
+    specialistsFallback:
+      "अपने लिए सही अगले कदम जानने के लिए अपने फ़ैमिली डॉक्टर से सलाह लें।",
+    disclaimer: "6. अस्वीकरण",
+    disclaimerFallback:
+      "यह जानकारी केवल मार्गदर्शन के लिए है और डॉक्टर की सलाह की जगह नहीं लेती।",
+    badges: { high: "उच्च", medium: "मध्यम", low: "कम", unknown: "अनुमान" },
+  },
+  combinedResult: {
+    redFlags: "खतरे के संकेत",
+    basis: {
+      symptoms: "लक्षणों से",
+      reports: "रिपोर्ट से",
+      both: "लक्षण + रिपोर्ट",
+    },
+    discrepancies: "लक्षण बनाम रिपोर्ट",
+    nextSteps: "अगले कदम",
+    specialists: "विशेषज्ञ",
+  },
+  reportSummary: {
+    findings: "मुख्य निष्कर्ष",
+    diagnoses: "निदान और अन्य संभावनाएँ",
+    medicationsLabs: "दवाइयाँ / लैब जाँच",
+    followUps: "आगे की देखभाल / रेफ़रल",
+    confidence: "भरोसा {level}",
+  },
+  emergency: {
+    title: "संभावित आपातकाल",
+    icon: "आपातकाल",
+    fromLabs: "लैब मानों से",
+    fromSymptoms: "लक्षणों से",
+    recommended: "सुझाव:",
+  },
+  export: {
+    pdf: "PDF डाउनलोड करें",
+    md: "Markdown",
+    txt: "सादा टेक्स्ट",
+  },
+  labs: {
+    title: "रिपोर्ट से निकाले गए लैब मान",
+    note: "ये मान सीधे रिपोर्ट के टेक्स्ट से पढ़े गए और मानक इकाइयों में बदले गए हैं। ये AI सारांश से नहीं आए हैं।",
+    columns: {
+      test: "जाँच",
+      value: "मान",
+      reference: "सामान्य सीमा",
+      asReported: "रिपोर्ट में जैसा लिखा",
+      collected: "नमूने की तारीख",
+    },
+    flags: { high: "अधिक", low: "कम" },
+    noUnit: "(इकाई नहीं)",
+  },
+  coverage: {
+    pages_one: "{total} में से {read} पेज",
+    pages: "{total} में से {read} पेज",
+    inParts: ", {count} हिस्सों में",
+    inOnePass: ", एक बार में",
+    analyzed: "{pages}{parts} विश्लेषण किया गया।",
+    incomplete:
+      " दस्तावेज़ का कुछ हिस्सा विश्लेषित नहीं हुआ{skipped}; कुछ छूटा हो तो मूल रिपोर्ट देखें।",
+    skipped_one: " ({count} हिस्सा लंबाई सीमा से बाहर)",
+    skipped: " ({count} हिस्से लंबाई सीमा से बाहर)",
+    lowConfidence:
+      "कुछ टेक्स्ट पढ़ना मुश्किल था। मानों को मूल रिपोर्ट से मिलाकर देखें।",
+    ocrUsed: "टेक्स्ट तस्वीर से OCR द्वारा पढ़ा गया।",
+    pageConfidence: "पेज {page}: {confidence}% भरोसा",
+  },
+  intake: {
+    symptoms: "लक्षण",
+    severity: "गंभीरता {value}/10",
+    about: "आपके और लक्षणों के बारे में",
+    preferNotToSay: "नहीं बताना चाहते",
+    onset: "शुरुआत",
+    notSure: "पता नहीं",
+    sudden: "अचानक",
+    gradual: "धीरे-धीरे",
+    howLong: "कब से",
+    duration: "अवधि",
+    durationUnit: "अवधि की इकाई",
+    units: {
+      hours: "घंटे",
+      days: "दिन",
+      weeks: "हफ़्ते",
+      months: "महीने",
+      years: "साल",
+    },
+    vitals: "वाइटल्स (अगर मापे हों)",
+    history: "बीमारियों का इतिहास",
+    medications: "अभी ली जा रही दवाइयाँ (हर लाइन में एक)",
+    medicationsPlaceholder: "उदाहरण: Metformin 500 mg दिन में दो बार",
+    symptomOptions: {
+      swelling: "पैरों या टखनों में सूजन",
+      facialPuffiness: "आँखों या चेहरे के आसपास सूजन",
+      reducedUrine: "सामान्य से कम पेशाब",
+      noUrine: "पेशाब बिल्कुल नहीं",
+      foamyUrine: "झागदार पेशाब",
+      bloodInUrine: "पेशाब में खून",
+      painfulUrination: "पेशाब करते समय दर्द या जलन",
+      nocturia: "रात में बार-बार पेशाब",
+      flankPain: "कमर के किनारे या निचली पीठ में दर्द",
+      fatigue: "थकान या कमज़ोरी",
+      nausea: "जी मिचलाना या उल्टी",
+      appetiteLoss: "भूख न लगना",
+      itching: "त्वचा में खुजली",
+      cramps: "मांसपेशियों में ऐंठन",
+      breathlessness: "साँस फूलना",
+      chestPain: "सीने में दर्द",
+      confusion: "भ्रम या ध्यान लगाने में परेशानी",
+      fever: "बुखार",
+    },
+    comorbidityOptions: {
+      diabetes: "डायबिटीज़ (शुगर)",
+      hypertension: "हाई ब्लड प्रेशर",
+      heartDisease: "दिल की बीमारी या हार्ट फेल्योर",
+      kidneyDisease: "पहले से किडनी की बीमारी",
+      kidneyStones: "किडनी की पथरी",
+      familyKidneyDisease: "परिवार में किडनी की बीमारी",
+      autoimmune: "ल्यूपस या कोई और ऑटोइम्यून बीमारी",
+    },
+    vitalFields: {
+      systolic: "ऊपर वाला BP (mmHg)",
+      diastolic: "नीचे वाला BP (mmHg)",
+      heartRate: "धड़कन (प्रति मिनट)",
+      temperature: "तापमान (°C)",
+      weight: "वज़न (kg)",
+      urineOutput: "पेशाब की मात्रा (mL/दिन)",
+    },
+  },
+  auth: {
+    checking: "आपका सत्र जाँचा जा रहा है...",
+    signInTitle: "साइन इन करें",
+    signInIntro:
+      "अपने सहेजे गए केस देखने के लिए साइन इन करें। डॉक्टर उन मरीज़ों को देखते हैं जिन्होंने अपना रिकॉर्ड उनके साथ साझा किया है।",
+    registerTitle: "खाता बनाएँ",
+    registerIntro:
+      "मरीज़ों को अपना निजी रिकॉर्ड मिलता है। डॉक्टर खाते के लिए आपके व्यवस्थापक से मिला आमंत्रण कोड चाहिए।",
+    email: "ईमेल",
+    password: "पासवर्ड",
+    accountType: "खाते का प्रकार",
+    roles: { patient: "मरीज़", clinician: "डॉक्टर" },
+    inviteCode: "डॉक्टर आमंत्रण कोड",
+    signIn: "साइन इन करें",
+    signingIn: "साइन इन हो रहा है...",
+    signOut: "साइन आउट",
+    createAccount: "खाता बनाएँ",
+    creating: "खाता बन रहा है...",
+    noAccount: "अभी तक खाता नहीं है?",
+    haveAccount: "पहले से पंजीकृत हैं?",
+  },
+  notes: {
+    title: "डॉक्टर के नोट्स",
+    empty: "अभी कोई नोट नहीं है।",
+    byline: "{author}, {date}",
+    placeholder: "इस केस के लिए नोट जोड़ें...",
+    add: "नोट जोड़ें",
+    saving: "सहेजा जा रहा है...",
+    failed: "नोट सहेजा नहीं जा सका (स्थिति {status})।",
+    error: "नोट सहेजा नहीं जा सका।",
+  },
+  share: {
+    label: "यह रिकॉर्ड किसी डॉक्टर के साथ साझा करें",
+    placeholder: "डॉक्टर के खाते का ईमेल",
+    submit: "साझा करें",
+    sharing: "साझा किया जा रहा है...",
+    shared: "{email} के साथ साझा किया गया।",
+    failed: "रिकॉर्ड साझा नहीं हो सका (स्थिति {status})।",
+    error: "रिकॉर्ड साझा नहीं हो सका।",
+  },
+  errors: {
+    rateLimited: "अभी बहुत सारे अनुरोध हैं। कृपया {wait} बाद फिर कोशिश करें।",
+    dailyQuota:
+      "आज के विश्लेषण की सीमा पूरी हो गई है। कृपया {wait} बाद फिर कोशिश करें।",
+    seconds_one: "{count} सेकंड",
+    seconds: "{count} सेकंड",
+    minutes_one: "{count} मिनट",
+    minutes: "{count} मिनट",
+    hours_one: "{count} घंटे",
+    hours: "{count} घंटे",
+    codes: {
+      upstream_unavailable:
+        "विश्लेषण सेवा अभी जवाब नहीं दे रही है। कृपया कुछ मिनट बाद फिर कोशिश करें।",
+      safety_blocked:
+        "विश्लेषण सेवा ने इस अनुरोध का उत्तर देने से मना कर दिया। इसे दूसरे शब्दों में लिखकर देखें, और चिंता हो तो सीधे डॉक्टर से संपर्क करें।",
+      quota_exceeded:
+        "विश्लेषण सेवा अपनी उपयोग सीमा तक पहुँच गई है। कृपया बाद में फिर कोशिश करें।",
+      bad_input:
+        "विश्लेषण सेवा इस इनपुट को संसाधित नहीं कर सकी। टेक्स्ट या फ़ाइल जाँचें और फिर कोशिश करें।",
+    },
+  },
+  cache: {
+    reused: "यह इसी अनुरोध का {time} का सहेजा गया उत्तर है।",
+    regenerate: "फिर से बनाएँ",
+  },
+  prompts: {
+    template: "प्रॉम्प्ट टेम्पलेट",
+    default: "डिफ़ॉल्ट ({name})",
+    defaultUnknown: "डिफ़ॉल्ट",
+    preview: "पूर्वावलोकन",
+    hidePreview: "पूर्वावलोकन छिपाएँ",
+    loadError: "प्रॉम्प्ट टेम्पलेट लोड नहीं हो सके।",
+    previewError: "टेम्पलेट का पूर्वावलोकन लोड नहीं हो सका।",
+  },
+  chat: {
+    title: "आगे का सवाल पूछें",
+    intro:
+      "जवाब इसी नतीजे के लक्षणों, रिपोर्ट और उत्तर के आधार पर दिए जाते हैं। ये केवल जानकारी के लिए हैं; हर सवाल पर खतरे के संकेत फिर से जाँचे जाते हैं।",
+    placeholder:
+      'जैसे: "ज़्यादा पोटैशियम का मेरे लिए क्या मतलब है?" या "मुझे नेफ्रोलॉजिस्ट से क्या पूछना चाहिए?"',
+    send: "पूछें",
+    sending: "सोचा जा रहा है...",
+    byline: "{author}, {date}",
+    redFlags: "खतरे के संकेत",
+    questions: "डॉक्टर से पूछने के सवाल",
+    failed: "सवाल का जवाब नहीं मिल सका (स्थिति {status})।",
+    error: "सवाल का जवाब नहीं मिल सका।",
+  },
+  modality: {
+    title: "डायलिसिस के विकल्प",
+    intro:
+      "जिन मरीजों के लिए किडनी फेलियर की तैयारी चल रही है: अपनी जानकारी के आधार पर हीमोडायलिसिस, पेरिटोनियल डायलिसिस और कंज़र्वेटिव देखभाल की तुलना करें। जो पता न हो उसे खाली छोड़ दें। यह तय क्लिनिकल नियमों पर चलता है, Gemini से अलग।",
+    unknown: "पता नहीं",
+    fields: {
+      abdominalSurgery: "पेट की पिछली सर्जरी",
+      homeSupport: "घर पर मदद",
+      manualDexterity: "हाथों की पकड़ और नज़र",
+      vascularAccess: "वैस्कुलर एक्सेस",
+      cardiacFunction: "दिल की कार्यक्षमता",
+      residualUrineOutput: "बची हुई पेशाब की मात्रा (mL/दिन)",
+      preferences: "जीवनशैली की पसंद",
+    },
+    options: {
+      abdominalSurgery: {
+        none: "कोई नहीं",
+        previous: "पहले सर्जरी हुई है",
+        extensive: "व्यापक (चिपकाव, स्टोमा, कई ऑपरेशन)",
+      },
+      homeSupport: {
+        none: "मदद के लिए कोई नहीं",
+        partial: "कुछ मदद",
+        full: "देखभाल करने वाला उपलब्ध है",
+      },
+      manualDexterity: {
+        good: "अच्छी",
+        limited: "सीमित",
+        poor: "कमज़ोर",
+      },
+      vascularAccess: {
+        none: "अभी कोई एक्सेस नहीं",
+        catheter: "डायलिसिस कैथेटर",
+        maturing: "फिस्टुला या ग्राफ्ट तैयार हो रहा है",
+        working: "काम करता फिस्टुला या ग्राफ्ट",
+        exhausted: "कोई उपयोगी जगह नहीं बची",
+      },
+      cardiacFunction: {
+        normal: "सामान्य",
+        reduced: "कम",
+        severe: "बहुत कम",
+      },
+    },
+    preferences: {
+      home: "घर पर इलाज",
+      flexibleSchedule: "काम के लिए लचीला समय",
+      travel: "यात्रा कर पाना",
+      inCentre: "डायलिसिस यूनिट में इलाज",
+      avoidDialysis: "डायलिसिस से बचना चाहेंगे",
+    },
+    compare: "विकल्पों की तुलना करें",
+    comparing: "तुलना हो रही है...",
+    failed: "विकल्पों की तुलना विफल रही (स्थिति {status})।",
+    groups: {
+      contraindications: "निषेध",
+      cautions: "सावधानियाँ",
+      favours: "पक्ष में",
+    },
+    noRules: "दी गई जानकारी पर इस विकल्प के लिए कोई नियम लागू नहीं हुआ।",
+    questions: "अपने नेफ्रोलॉजिस्ट से पूछने के सवाल",
+    disclaimer:
+      "यह तुलना केवल भरी गई जानकारी पर आधारित है। इलाज का चुनाव आपके नेफ्रोलॉजिस्ट और देखभाल टीम के साथ होता है।",
+  },
+  medications: {
+    title: "दवाओं की सुरक्षा",
+    egfr: {
+      reported:
+        "रिपोर्ट में दिए गए eGFR {value} mL/min/1.73m² ({stage}, {date}) के आधार पर जाँचा गया।",
+      calculated:
+        "क्रिएटिनिन से CKD-EPI 2021 द्वारा निकाले गए eGFR {value} mL/min/1.73m² ({stage}, {date}) के आधार पर जाँचा गया।",
+    },
+    undated: "बिना तारीख",
+    noEgfr:
+      "eGFR, या मरीज़ के लिंग और उम्र के साथ क्रिएटिनिन उपलब्ध नहीं था, इसलिए किडनी के अनुसार खुराक की जाँच नहीं हुई।",
+    none: "दवा तालिका की कोई दवा नहीं मिली।",
+    noFlags: "इन दवाओं पर सुरक्षा का कोई नियम लागू नहीं हुआ।",
+    sources: {
+      report: "रिपोर्ट",
+      summary: "AI सारांश",
+      notes: "नोट्स",
+      symptoms: "लक्षण",
+      intake: "इनटेक फ़ॉर्म",
+    },
+    severity: {
+      avoid: "न लें",
+      caution: "सावधानी",
+      monitor: "निगरानी",
+    },
+    uncheckedDoses: "खुराक की जाँच के लिए eGFR चाहिए: {drugs}।",
+    unrecognized: "दवा तालिका में नहीं, स्वयं जाँचें: {items}।",
+    disclaimer:
+      "दवाओं को नाम से एक तय दवा तालिका से मिलाया जाता है, इसलिए कुछ छूट सकती हैं या जानकारी पुरानी हो सकती है। डॉक्टर से पूछे बिना कोई दवा बंद न करें या न बदलें।",
+  },
+};
+
+export default hi;
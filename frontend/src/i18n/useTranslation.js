@@ -0,0 +1,12 @@
+import { useCallback, useContext } from "react";
+import { LanguageContext } from "./LanguageContext";
+import { translate } from "./languages";
+
+export function useTranslation() {
+  const { language, setLanguage } = useContext(LanguageContext);
+  const t = useCallback(
+    (key, vars) => translate(language, key, vars),
+    [language]
+  );
+  return { t, language, setLanguage };
+}
@@ -0,0 +1,314 @@
+import { useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { useAuth } from "../auth/useAuth";
+import CachedResultNote from "../components/CachedResultNote";
+import CombinedResult from "../components/CombinedResult";
+import EmergencyBanner from "../components/EmergencyBanner";
+import ExportButtons from "../components/ExportButtons";
+import LabTable from "../components/LabTable";
+import MedicationSafety from "../components/MedicationSafety";
+import PromptTemplatePicker from "../components/PromptTemplatePicker";
+import ReportCoverage from "../components/ReportCoverage";
+import { useTranslation } from "../i18n/useTranslation";
+import {
+  acceptAttribute,
+  formatAcceptedTypes,
+  formatMegabytes,
+  isAcceptedReportFile,
+} from "../utils/reportFiles";
+import { useUploadLimits } from "../utils/useUploadLimits";
+import { describeError, responseError } from "../utils/apiError";
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL ?? "";
+
+function CombinedPage() {
+  const { t, language } = useTranslation();
+  const { isClinician } = useAuth();
+  const uploads = useUploadLimits();
+  const [symptoms, setSymptoms] = useState("");
+  const [files, setFiles] = useState([]);
+  const [notes, setNotes] = useState("");
+  const [promptTemplate, setPromptTemplate] = useState("");
+  const [result, setResult] = useState("");
+  const [structured, setStructured] = useState(null);
+  const [triage, setTriage] = useState(null);
+  const [medicationSafety, setMedicationSafety] = useState(null);
+  const [reports, setReports] = useState([]);
+  const [error, setError] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+  const [timestamp, setTimestamp] = useState("");
+  const [cache, setCache] = useState(null);
+  const [caseId, setCaseId] = useState(null);
+
+  const fallbackParagraphs = useMemo(
+    () =>
+      result
+        .split(/\n{2,}/)
+        .map((chunk) => chunk.trim())
+        .filter(Boolean),
+    [result]
+  );
+
+  const handleFileChange = (event) => {
+    const selected = Array.from(event.target.files ?? []);
+    const rejected = selected.filter(
+      (file) => !isAcceptedReportFile(file, uploads)
+    );
+    const oversized = selected.filter(
+      (file) => file.size > uploads.maxFileBytes
+    );
+
+    if (rejected.length) {
+      setError(
+        t("combined.unsupported", {
+          count: rejected.length,
+          names: rejected.map((file) => file.name).join(", "),
+        })
+      );
+      return;
+    }
+    if (oversized.length) {
+      setError(
+        t("report.tooLarge", {
+          name: oversized.map((file) => file.name).join(", "),
+          size: formatMegabytes(uploads.maxFileBytes),
+        })
+      );
+      return;
+    }
+    if (selected.length > uploads.maxReports) {
+      setError(t("combined.tooMany", { max: uploads.maxReports }));
+      return;
+    }
+
+    setError("");
+    setFiles(selected);
+  };
+
+  const resetForm = () => {
+    setSymptoms("");
+    setFiles([]);
+    setNotes("");
+    setResult("");
+    setStructured(null);
+    setTriage(null);
+    setMedicationSafety(null);
+    setReports([]);
+    setError("");
+    setTimestamp("");
+    setCache(null);
+    setCaseId(null);
+  };
+
+  const handleSubmit = async (event, { regenerate = false } = {}) => {
+    event?.preventDefault();
+    if (!symptoms.trim()) {
+      setError(t("prompt.needSymptom"));
+      return;
+    }
+    if (!files.length) {
+      setError(t("combined.needReport"));
+      return;
+    }
+
+    setIsLoading(true);
+    setError("");
+    setCaseId(null);
+    setCache(null);
+    setResult("");
+    setStructured(null);
+    setTriage(null);
+    setMedicationSafety(null);
+    setReports([]);
+
+    const formData = new FormData();
+    formData.append("symptoms", symptoms.trim());
+    formData.append("language", language);
+    files.forEach((file) => formData.append("reports", file));
+    if (notes.trim()) {
+      formData.append("notes", notes.trim());
+    }
+    if (promptTemplate) {
+      formData.append("promptTemplate", promptTemplate);
+    }
+    if (regenerate) {
+      formData.append("regenerate", "true");
+    }
+
+    try {
+      const response = await fetch(`${API_BASE}/api/analyze-combined`, {
+        method: "POST",
+        credentials: "include",
+        body: formData,
+      });
+
+      const payload = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw responseError(
+          response,
+          payload,
+          t("combined.failed", { status: response.status })
+        );
+      }
+
+      setResult(payload.result ?? t("combined.noAnalysis"));
+      setStructured(payload.structured ?? null);
+      setTriage(payload.triage ?? null);
+      setMedicationSafety(payload.medicationSafety ?? null);
+      setReports(payload.reports ?? []);
+      setCaseId(payload.caseId ?? null);
+      setCache(payload.cache ?? null);
+      setTimestamp(new Date().toLocaleString());
+    } catch (apiError) {
+      setError(describeError(apiError, t, t("common.unexpectedError")));
+      // Emergency rules still ran when the model call failed.
+      if (apiError.triage) setTriage(apiError.triage);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <>
+      <section className="page-intro">
+        <h2>{t("combined.title")}</h2>
+        <p>{t("combined.intro")}</p>
+      </section>
+
+      <form className="report-form" onSubmit={handleSubmit}>
+        <label htmlFor="combined-symptoms">{t("prompt.describe")}</label>
+        <textarea
+          id="combined-symptoms"
+          rows={5}
+          placeholder={t("combined.placeholder")}
+          value={symptoms}
+          onChange={(event) => setSymptoms(event.target.value)}
+          disabled={isLoading}
+          required
+        />
+
+        <label className="upload-area">
+          <span className="upload-title">
+            {files.length
+              ? t("combined.selected", { count: files.length })
+              : t("combined.upload")}
+          </span>
+          <span className="upload-hint">
+            {t("combined.accepted", {
+              max: uploads.maxReports,
+              formats: formatAcceptedTypes(uploads),
+              size: formatMegabytes(uploads.maxFileBytes),
+            })}
+          </span>
+          <input
+            type="file"
+            multiple
+            accept={acceptAttribute(uploads)}
+            onChange={handleFileChange}
+            disabled={isLoading}
+          />
+          {files.map((file) => (
+            <p className="upload-status" key={file.name}>
+              {file.name} • {(file.size / 1024).toFixed(1)} KB
+            </p>
+          ))}
+        </label>
+
+        {isClinician && (
+          <>
+            <label htmlFor="combined-notes" className="upload-label">
+              {t("common.optionalNotes")}
+            </label>
+            <textarea
+              id="combined-notes"
+              rows={3}
+              placeholder={t("combined.notesPlaceholder")}
+              value={notes}
+              onChange={(event) => setNotes(event.target.value)}
+              disabled={isLoading}
+            />
+
+            <PromptTemplatePicker
+              task="combined"
+              value={promptTemplate}
+              onChange={setPromptTemplate}
+              disabled={isLoading}
+            />
+          </>
+        )}
+
+        <div className="form-actions">
+          <button type="submit" disabled={isLoading}>
+            {isLoading ? t("common.analyzing") : t("combined.analyze")}
+          </button>
+          <button
+            type="button"
+            className="ghost"
+            onClick={resetForm}
+            disabled={isLoading}
+          >
+            {t("common.reset")}
+          </button>
+        </div>
+      </form>
+
+      {error && <p className="error">{error}</p>}
+
+      <EmergencyBanner triage={triage} />
+
+      {result && (
+        <article className="report-result-card">
+          <div className="result-header">
+            <div>
+              <p className="eyebrow narrow">{t("combined.eyebrow")}</p>
+              <h2>{t("combined.heading")}</h2>
+            </div>
+            <span className="timestamp">{timestamp}</span>
+          </div>
+
+          {structured ? (
+            <CombinedResult data={structured} />
+          ) : (
+            <div className="report-result-body">
+              {fallbackParagraphs.map((paragraph) => (
+                <p key={paragraph}>{paragraph}</p>
+              ))}
+            </div>
+          )}
+
+          {reports.map((report, index) => (
+            <section className="combined-report" key={report.label}>
+              <h3>
+                {t("common.reportNumber", { number: index + 1 })}: {report.name}
+              </h3>
+              <ReportCoverage
+                coverage={report.coverage}
+                extraction={report.extraction}
+              />
+              <LabTable labs={report.labs} />
+            </section>
+          ))}
+
+          <MedicationSafety check={medicationSafety} />
+
+          <CachedResultNote
+            cache={cache}
+            onRegenerate={() => handleSubmit(null, { regenerate: true })}
+            disabled={isLoading}
+          />
+          {caseId && (
+            <p className="saved-note">
+              {t("common.savedPrefix")}
+              <Link to={`/history/${caseId}`}>{t("common.caseHistory")}</Link>
+              {t("common.savedSuffix")}
+            </p>
+          )}
+          <ExportButtons caseId={caseId} />
+        </article>
+      )}
+    </>
+  );
+}
+
+export default CombinedPage;
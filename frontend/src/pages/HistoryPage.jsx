@@ -0,0 +1,318 @@
+import { useEffect, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { useAuth } from "../auth/useAuth";
+import CaseChat from "../components/CaseChat";
+import ClinicianNotes from "../components/ClinicianNotes";
+import CombinedResult from "../components/CombinedResult";
+import EmergencyBanner from "../components/EmergencyBanner";
+import ExportButtons from "../components/ExportButtons";
+import LabTable from "../components/LabTable";
+import MedicationSafety from "../components/MedicationSafety";
+import RankedConditionsView from "../components/RankedConditionsView";
+import ReportCoverage from "../components/ReportCoverage";
+import ReportSummary from "../components/ReportSummary";
+import { useTranslation } from "../i18n/useTranslation";
+import { describeError, responseError } from "../utils/apiError";
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL ?? "";
+
+const KINDS = ["symptoms", "report", "combined"];
+
+function HistoryPage() {
+  const { t } = useTranslation();
+  const { user } = useAuth();
+  const { caseId } = useParams();
+  const navigate = useNavigate();
+  const [query, setQuery] = useState("");
+  const [kind, setKind] = useState("");
+  const [cases, setCases] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [error, setError] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const params = new URLSearchParams();
+    if (query.trim()) params.set("q", query.trim());
+    if (kind) params.set("kind", kind);
+
+    // Debounced so typing in the search box does not fire a request per key.
+    const timer = setTimeout(async () => {
+      setIsLoading(true);
+      try {
+        const response = await fetch(`${API_BASE}/api/cases?${params}`, {
+          credentials: "include",
+          signal: controller.signal,
+        });
+        const payload = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw responseError(
+            response,
+            payload,
+            t("history.loadFailed", { status: response.status })
+          );
+        }
+        setCases(payload.cases ?? []);
+        setError("");
+      } catch (apiError) {
+        if (apiError.name !== "AbortError") {
+          setError(describeError(apiError, t, t("history.loadError")));
+        }
+      } finally {
+        setIsLoading(false);
+      }
+    }, 250);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query, kind, t]);
+
+  useEffect(() => {
+    if (!caseId) {
+      setSelected(null);
+      return;
+    }
+
+    const controller = new AbortController();
+    (async () => {
+      try {
+        const response = await fetch(`${API_BASE}/api/cases/${caseId}`, {
+          credentials: "include",
+          signal: controller.signal,
+        });
+        const payload = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw responseError(
+            response,
+            payload,
+            t("history.openFailed", { status: response.status })
+          );
+        }
+        setSelected(payload);
+        setError("");
+      } catch (apiError) {
+        if (apiError.name !== "AbortError") {
+          setSelected(null);
+          setError(describeError(apiError, t, t("history.openError")));
+        }
+      }
+    })();
+
+    return () => controller.abort();
+  }, [caseId, t]);
+
+  const handleDelete = async (id) => {
+    if (!window.confirm(t("history.confirmDelete"))) return;
+
+    try {
+      const response = await fetch(`${API_BASE}/api/cases/${id}`, {
+        method: "DELETE",
+        credentials: "include",
+      });
+      if (!response.ok) {
+        const payload = await response.json().catch(() => ({}));
+        throw responseError(
+          response,
+          payload,
+          t("history.deleteFailed", { status: response.status })
+        );
+      }
+      setCases((current) => current.filter((entry) => entry.id !== id));
+      if (id === caseId) navigate("/history");
+    } catch (apiError) {
+      setError(describeError(apiError, t, t("history.deleteError")));
+    }
+  };
+
+  return (
+    <>
+      <section className="page-intro">
+        <h2>{t("history.title")}</h2>
+        <p>{t("history.intro")}</p>
+      </section>
+
+      <div className="history-filters">
+        <input
+          type="search"
+          placeholder={t("history.searchPlaceholder")}
+          value={query}
+          onChange={(event) => setQuery(event.target.value)}
+          aria-label={t("history.searchLabel")}
+        />
+        <select
+          value={kind}
+          onChange={(event) => setKind(event.target.value)}
+          aria-label={t("history.filterLabel")}
+        >
+          <option value="">{t("history.allTypes")}</option>
+          {KINDS.map((value) => (
+            <option key={value} value={value}>
+              {t(`history.kinds.${value}`)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && <p className="error">{error}</p>}
+
+      <ul className="history-list" aria-busy={isLoading}>
+        {!cases.length && !isLoading && (
+          <li className="placeholder">
+            {query || kind ? t("history.noMatch") : t("history.empty")}
+          </li>
+        )}
+        {cases.map((entry) => (
+          <li
+            key={entry.id}
+            className={`history-item ${entry.id === caseId ? "active" : ""}`}
+          >
+            <Link to={`/history/${entry.id}`} className="history-link">
+              <span className={`history-kind kind-${entry.kind}`}>
+                {t(`history.kinds.${entry.kind}`)}
+              </span>
+              <span className="history-title">{entry.title}</span>
+              {entry.emergency && (
+                <span className="history-emergency">
+                  {t("history.emergency")}
+                </span>
+              )}
+              <span className="history-meta">
+                {new Date(entry.createdAt).toLocaleString()}
+                {entry.reportNames.length
+                  ? ` • ${entry.reportNames.join(", ")}`
+                  : ""}
+              </span>
+            </Link>
+            {(entry.ownerId === user.id || user.role === "patient") && (
+              <button
+                type="button"
+                className="ghost"
+                onClick={() => handleDelete(entry.id)}
+              >
+                {t("history.delete")}
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {selected && <SavedCase entry={selected} />}
+    </>
+  );
+}
+
+export default HistoryPage;
+
+function SavedCase({ entry }) {
+  const { t } = useTranslation();
+  const savedAt = new Date(entry.createdAt).toLocaleString();
+  const paragraphs = entry.result
+    .split(/\n{2,}/)
+    .map((chunk) => chunk.trim())
+    .filter(Boolean);
+
+  const fallback = (
+    <div className="report-result-body">
+      {paragraphs.map((paragraph) => (
+        <p key={paragraph}>{paragraph}</p>
+      ))}
+    </div>
+  );
+
+  return (
+    <section className="saved-case">
+      <div className="saved-case-input">
+        {entry.symptoms && (
+          <p>
+            <strong>{t("history.symptoms")}</strong> {entry.symptoms}
+          </p>
+        )}
+        {entry.notes && (
+          <p>
+            <strong>{t("history.notes")}</strong> {entry.notes}
+          </p>
+        )}
+        <p className="history-meta">
+          {t("history.saved", { date: savedAt })}
+          {entry.model ? ` • ${entry.model}` : ""}
+          {entry.prompt ? ` • ${entry.prompt.id} v${entry.prompt.version}` : ""}
+        </p>
+        <ExportButtons caseId={entry.id} />
+      </div>
+
+      <EmergencyBanner triage={entry.triage} />
+
+      {entry.kind === "symptoms" &&
+        (entry.structured ? (
+          <RankedConditionsView
+            data={entry.structured}
+            timestamp={savedAt}
+            label={t("history.savedCase")}
+          />
+        ) : (
+          <article className="result-card">{fallback}</article>
+        ))}
+
+      {entry.kind !== "symptoms" && (
+        <article className="report-result-card">
+          <div className="result-header">
+            <div>
+              <p className="eyebrow narrow">{t("history.savedCase")}</p>
+              <h2>{entry.title}</h2>
+            </div>
+            <span className="timestamp">{savedAt}</span>
+          </div>
+
+          {entry.kind === "report" && entry.reports[0] && (
+            <ReportCoverage
+              coverage={entry.reports[0].coverage}
+              extraction={entry.reports[0].extraction}
+            />
+          )}
+
+          {!entry.structured && fallback}
+          {entry.structured && entry.kind === "report" && (
+            <ReportSummary data={entry.structured} />
+          )}
+          {entry.structured && entry.kind === "combined" && (
+            <CombinedResult data={entry.structured} />
+          )}
+
+          {entry.kind === "report" && entry.reports[0] && (
+            <LabTable labs={entry.reports[0].labs} />
+          )}
+
+          {entry.kind === "combined" &&
+            entry.reports.map((report, index) => (
+              <section
+                className="combined-report"
+                key={`${index}-${report.name}`}
+              >
+                <h3>
+                  {t("common.reportNumber", { number: index + 1 })}:{" "}
+                  {report.name}
+                </h3>
+                <ReportCoverage
+                  coverage={report.coverage}
+                  extraction={report.extraction}
+                />
+                <LabTable labs={report.labs} />
+              </section>
+            ))}
+        </article>
+      )}
+
+      <MedicationSafety check={entry.medicationSafety} />
+
+      <CaseChat key={entry.id} caseId={entry.id} turns={entry.chat} />
+
+      <ClinicianNotes
+        key={entry.id}
+        caseId={entry.id}
+        notes={entry.clinicianNotes}
+      />
+    </section>
+  );
+}
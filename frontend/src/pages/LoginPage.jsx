@@ -0,0 +1,80 @@
+import { useState } from "react";
+import { Link, Navigate, useLocation, useNavigate } from "react-router-dom";
+import { useAuth } from "../auth/useAuth";
+import { useTranslation } from "../i18n/useTranslation";
+import { describeError } from "../utils/apiError";
+
+function LoginPage() {
+  const { t } = useTranslation();
+  const { user, login } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+
+  const destination = location.state?.from?.pathname ?? "/";
+  if (user) return <Navigate to={destination} replace />;
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsLoading(true);
+    setError("");
+    try {
+      await login({ email, password });
+      navigate(destination, { replace: true });
+    } catch (apiError) {
+      setError(describeError(apiError, t, t("common.unexpectedError")));
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <>
+      <section className="page-intro">
+        <h2>{t("auth.signInTitle")}</h2>
+        <p>{t("auth.signInIntro")}</p>
+      </section>
+
+      <form className="auth-form" onSubmit={handleSubmit}>
+        <label className="lab-field">
+          <span>{t("auth.email")}</span>
+          <input
+            type="email"
+            autoComplete="email"
+            value={email}
+            onChange={(event) => setEmail(event.target.value)}
+            required
+          />
+        </label>
+        <label className="lab-field">
+          <span>{t("auth.password")}</span>
+          <input
+            type="password"
+            autoComplete="current-password"
+            value={password}
+            onChange={(event) => setPassword(event.target.value)}
+            required
+          />
+        </label>
+        <div className="form-actions">
+          <button type="submit" disabled={isLoading}>
+            {isLoading ? t("auth.signingIn") : t("auth.signIn")}
+          </button>
+        </div>
+      </form>
+
+      {error && <p className="error">{error}</p>}
+
+      <p className="auth-switch">
+        {t("auth.noAccount")}{" "}
+        <Link to="/register" state={location.state}>
+          {t("auth.createAccount")}
+        </Link>
+      </p>
+    </>
+  );
+}
+
+export default LoginPage;
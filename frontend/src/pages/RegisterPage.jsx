@@ -0,0 +1,171 @@
+import { useState } from "react";
+import { Link, Navigate, useLocation, useNavigate } from "react-router-dom";
+import { useAuth } from "../auth/useAuth";
+import { useTranslation } from "../i18n/useTranslation";
+import { describeError } from "../utils/apiError";
+
+const EMPTY_FORM = {
+  role: "patient",
+  name: "",
+  email: "",
+  password: "",
+  sex: "",
+  dateOfBirth: "",
+  inviteCode: "",
+};
+
+// Patients register with the details their own patient record needs;
+// clinicians need the invite code configured on the server.
+function RegisterPage() {
+  const { t } = useTranslation();
+  const { user, register } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+
+  const destination = location.state?.from?.pathname ?? "/";
+  if (user) return <Navigate to={destination} replace />;
+
+  const isPatient = form.role === "patient";
+  const updateField = (event) => {
+    const { name, value } = event.target;
+    setForm((current) => ({ ...current, [name]: value }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsLoading(true);
+    setError("");
+    const { sex, dateOfBirth, inviteCode, ...account } = form;
+    try {
+      await register(
+        isPatient
+          ? { ...account, sex, dateOfBirth }
+          : { ...account, inviteCode }
+      );
+      navigate(destination, { replace: true });
+    } catch (apiError) {
+      setError(describeError(apiError, t, t("common.unexpectedError")));
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <>
+      <section className="page-intro">
+        <h2>{t("auth.registerTitle")}</h2>
+        <p>{t("auth.registerIntro")}</p>
+      </section>
+
+      <form className="auth-form" onSubmit={handleSubmit}>
+        <div
+          className="mode-toggle"
+          role="group"
+          aria-label={t("auth.accountType")}
+        >
+          {["patient", "clinician"].map((role) => (
+            <button
+              key={role}
+              type="button"
+              className={form.role === role ? "active" : "ghost"}
+              onClick={() => setForm((current) => ({ ...current, role }))}
+            >
+              {t(`auth.roles.${role}`)}
+            </button>
+          ))}
+        </div>
+
+        <label className="lab-field">
+          <span>{t("patients.name")}</span>
+          <input
+            name="name"
+            autoComplete="name"
+            value={form.name}
+            onChange={updateField}
+            required
+          />
+        </label>
+        <label className="lab-field">
+          <span>{t("auth.email")}</span>
+          <input
+            type="email"
+            name="email"
+            autoComplete="email"
+            value={form.email}
+            onChange={updateField}
+            required
+          />
+        </label>
+        <label className="lab-field">
+          <span>{t("auth.password")}</span>
+          <input
+            type="password"
+            name="password"
+            autoComplete="new-password"
+            minLength={8}
+            value={form.password}
+            onChange={updateField}
+            required
+          />
+        </label>
+
+        {isPatient ? (
+          <>
+            <label className="lab-field">
+              <span>{t("common.sex")}</span>
+              <select
+                name="sex"
+                value={form.sex}
+                onChange={updateField}
+                required
+              >
+                <option value="">{t("common.select")}</option>
+                <option value="female">{t("common.female")}</option>
+                <option value="male">{t("common.male")}</option>
+              </select>
+            </label>
+            <label className="lab-field">
+              <span>{t("patients.dateOfBirth")}</span>
+              <input
+                type="date"
+                name="dateOfBirth"
+                value={form.dateOfBirth}
+                onChange={updateField}
+                required
+              />
+            </label>
+          </>
+        ) : (
+          <label className="lab-field">
+            <span>{t("auth.inviteCode")}</span>
+            <input
+              name="inviteCode"
+              value={form.inviteCode}
+              onChange={updateField}
+              required
+            />
+          </label>
+        )}
+
+        <div className="form-actions">
+          <button type="submit" disabled={isLoading}>
+            {isLoading ? t("auth.creating") : t("auth.createAccount")}
+          </button>
+        </div>
+      </form>
+
+      {error && <p className="error">{error}</p>}
+
+      <p className="auth-switch">
+        {t("auth.haveAccount")}{" "}
+        <Link to="/login" state={location.state}>
+          {t("auth.signIn")}
+        </Link>
+      </p>
+    </>
+  );
+}
+
+export default RegisterPage;
@@ -1,16 +1,53 @@
-import { useMemo, useState } from "react";
+import { useMemo, useRef, useState } from "react";
+import { Link } from "react-router-dom";
+import { useAuth } from "../auth/useAuth";
+import CachedResultNote from "../components/CachedResultNote";
+import CaseChat from "../components/CaseChat";
+import EmergencyBanner from "../components/EmergencyBanner";
+import ExportButtons from "../components/ExportButtons";
+import LabTable from "../components/LabTable";
+import MedicationSafety from "../components/MedicationSafety";
+import PatientPicker from "../components/PatientPicker";
+import PromptTemplatePicker from "../components/PromptTemplatePicker";
+import ReportCoverage from "../components/ReportCoverage";
+import ReportSummary from "../components/ReportSummary";
+import {
+  acceptAttribute,
+  formatAcceptedTypes,
+  formatMegabytes,
+  isAcceptedReportFile,
+} from "../utils/reportFiles";
+import { useUploadLimits } from "../utils/useUploadLimits";
+import { useTranslation } from "../i18n/useTranslation";
+import { postEventStream } from "../utils/eventStream";
+import { describeError, streamError } from "../utils/apiError";
 
 const API_BASE = import.meta.env.VITE_API_BASE_URL ?? "";
-const ACCEPTED_TYPES = ["application/pdf", "text/plain"];
-
 function ReportPage() {
+  const { t, language } = useTranslation();
+  const { user, isClinician } = useAuth();
+  const uploads = useUploadLimits();
   const [file, setFile] = useState(null);
   const [notes, setNotes] = useState("");
   const [status, setStatus] = useState("");
   const [result, setResult] = useState("");
+  const [structured, setStructured] = useState(null);
+  const [triage, setTriage] = useState(null);
+  const [labs, setLabs] = useState([]);
+  const [medicationSafety, setMedicationSafety] = useState(null);
+  const [extraction, setExtraction] = useState(null);
+  const [coverage, setCoverage] = useState(null);
   const [error, setError] = useState("");
   const [isLoading, setIsLoading] = useState(false);
   const [timestamp, setTimestamp] = useState("");
+  const [caseId, setCaseId] = useState(null);
+  const [cache, setCache] = useState(null);
+  const [patientId, setPatientId] = useState("");
+  const [promptTemplate, setPromptTemplate] = useState("");
+  const [trendPatientId, setTrendPatientId] = useState("");
+  const [progress, setProgress] = useState("");
+  const [partial, setPartial] = useState("");
+  const abortRef = useRef(null);
 
   const handleFileChange = (event) => {
     const selected = event.target.files?.[0];
@@ -20,8 +57,21 @@ function ReportPage() {
       return;
     }
 
-    if (!ACCEPTED_TYPES.includes(selected.type)) {
-      setError("Only PDF or plain text files are supported.");
+    if (!isAcceptedReportFile(selected, uploads)) {
+      setError(
+        t("report.unsupported", { formats: formatAcceptedTypes(uploads) })
+      );
+      setFile(null);
+      setStatus("");
+      return;
+    }
+    if (selected.size > uploads.maxFileBytes) {
+      setError(
+        t("report.tooLarge", {
+          name: selected.name,
+          size: formatMegabytes(uploads.maxFileBytes),
+        })
+      );
       setFile(null);
       setStatus("");
       return;
@@ -36,157 +86,256 @@ function ReportPage() {
     setFile(null);
     setNotes("");
     setResult("");
+    setStructured(null);
+    setTriage(null);
+    setLabs([]);
+    setMedicationSafety(null);
+    setExtraction(null);
+    setCoverage(null);
     setError("");
     setStatus("");
     setTimestamp("");
+    setCaseId(null);
+    setCache(null);
+    setTrendPatientId("");
   };
 
-  const handleSubmit = async (event) => {
-    event.preventDefault();
+  const handleSubmit = async (event, { regenerate = false } = {}) => {
+    event?.preventDefault();
     if (!file) {
-      setError("Upload a report file first.");
+      setError(t("report.needFile"));
       return;
     }
 
     setIsLoading(true);
     setError("");
+    setCaseId(null);
+    setCache(null);
+    setTrendPatientId("");
     setResult("");
+    setStructured(null);
+    setTriage(null);
+    setLabs([]);
+    setMedicationSafety(null);
+    setExtraction(null);
+    setCoverage(null);
 
     const formData = new FormData();
     formData.append("report", file);
+    formData.append("language", language);
     if (notes.trim()) {
       formData.append("notes", notes.trim());
     }
+    if (patientId) {
+      formData.append("patientId", patientId);
+    }
+    if (promptTemplate) {
+      formData.append("promptTemplate", promptTemplate);
+    }
+    if (regenerate) {
+      formData.append("regenerate", "true");
+    }
+
+    const controller = new AbortController();
+    abortRef.current = controller;
 
     try {
-      const response = await fetch(`${API_BASE}/api/analyze-report`, {
-        method: "POST",
+      let payload = null;
+      await postEventStream(`${API_BASE}/api/analyze-report/stream`, {
         body: formData,
+        signal: controller.signal,
+        onEvent: (name, data) => {
+          if (name === "status") setProgress(data.message);
+          if (name === "triage") setTriage(data);
+          if (name === "partial") setPartial(data.text);
+          if (name === "result") payload = data;
+          if (name === "error") {
+            throw streamError(
+              data,
+              t("report.failed", { status: data.status })
+            );
+          }
+        },
       });
 
-      const payload = await response.json().catch(() => ({}));
-
-      if (!response.ok) {
-        const message =
-          payload?.error ||
-          `Report analysis failed (status ${response.status}).`;
-        throw new Error(message);
+      if (!payload) {
+        throw new Error(t("common.endedEarly"));
       }
 
-      setResult(payload.result ?? "No summary returned. Try again.");
+      setResult(payload.result ?? t("report.noSummary"));
+      setStructured(payload.structured ?? null);
+      setTriage(payload.triage ?? null);
+      setLabs(payload.labs ?? []);
+      setMedicationSafety(payload.medicationSafety ?? null);
+      setExtraction(payload.extraction ?? null);
+      setCoverage(payload.coverage ?? null);
+      setCaseId(payload.caseId ?? null);
+      setCache(payload.cache ?? null);
+      // Patients' reports always go on their own record.
+      setTrendPatientId(isClinician ? patientId : user.patientId ?? "");
       setTimestamp(new Date().toLocaleString());
     } catch (apiError) {
-      setError(apiError.message ?? "Unexpected error. Please retry.");
+      setError(
+        apiError.name === "AbortError"
+          ? t("report.cancelled")
+          : describeError(apiError, t, t("common.unexpectedError"))
+      );
+      if (apiError.triage) setTriage(apiError.triage);
     } finally {
+      abortRef.current = null;
+      setProgress("");
+      setPartial("");
       setIsLoading(false);
     }
   };
 
-  const structuredReport = useMemo(
-    () => buildReportStructure(result),
+  const fallbackParagraphs = useMemo(
+    () =>
+      result
+        .split(/\n{2,}/)
+        .map((chunk) => chunk.trim())
+        .filter(Boolean),
     [result]
   );
 
   return (
     <>
       <section className="page-intro">
-        <h2>Report upload mode</h2>
-        <p>
-          Securely upload discharge notes, lab reports, or physician letters in
-          PDF or text form. Gemini extracts the key findings, diagnoses, meds,
-          and follow-up recommendations.
-        </p>
+        <h2>{t("report.title")}</h2>
+        <p>{t("report.intro")}</p>
       </section>
 
       <form className="report-form" onSubmit={handleSubmit}>
         <label className="upload-area">
           <span className="upload-title">
-            {file ? "Report selected" : "Upload medical report"}
+            {file ? t("report.selected") : t("report.upload")}
           </span>
           <span className="upload-hint">
-            Accepted formats: PDF, TXT. Max 8 MB.
+            {t("report.accepted", {
+              formats: formatAcceptedTypes(uploads),
+              size: formatMegabytes(uploads.maxFileBytes),
+            })}
           </span>
           <input
             type="file"
-            accept=".pdf,.txt,text/plain,application/pdf"
+            accept={acceptAttribute(uploads)}
             onChange={handleFileChange}
             disabled={isLoading}
           />
           {status && <p className="upload-status">{status}</p>}
         </label>
 
-        <label htmlFor="notes" className="upload-label">
-          Optional clinician notes
-        </label>
-        <textarea
-          id="notes"
-          rows={4}
-          placeholder="Add context such as reason for visit, prior conditions, or sections to focus on..."
-          value={notes}
-          onChange={(event) => setNotes(event.target.value)}
-          disabled={isLoading}
-        />
+        {isClinician && (
+          <>
+            <label htmlFor="notes" className="upload-label">
+              {t("common.optionalNotes")}
+            </label>
+            <textarea
+              id="notes"
+              rows={4}
+              placeholder={t("report.notesPlaceholder")}
+              value={notes}
+              onChange={(event) => setNotes(event.target.value)}
+              disabled={isLoading}
+            />
+
+            <PatientPicker
+              value={patientId}
+              onChange={setPatientId}
+              disabled={isLoading}
+            />
+
+            <PromptTemplatePicker
+              task="report"
+              value={promptTemplate}
+              onChange={setPromptTemplate}
+              disabled={isLoading}
+            />
+          </>
+        )}
 
         <div className="form-actions">
           <button type="submit" disabled={isLoading}>
-            {isLoading ? "Analyzing..." : "Analyze report"}
+            {isLoading ? t("common.analyzing") : t("report.analyze")}
           </button>
+          {isLoading && (
+            <button
+              type="button"
+              className="ghost"
+              onClick={() => abortRef.current?.abort()}
+            >
+              {t("common.cancel")}
+            </button>
+          )}
           <button
             type="button"
             className="ghost"
             onClick={resetForm}
             disabled={isLoading && !file && !notes}
           >
-            Reset
+            {t("common.reset")}
           </button>
         </div>
       </form>
 
       {error && <p className="error">{error}</p>}
 
+      <EmergencyBanner triage={triage} />
+
+      {isLoading && (progress || partial) && (
+        <article className="report-result-card streaming-card">
+          {progress && <p className="eyebrow narrow">{progress}</p>}
+          {partial && <p className="streaming-text">{partial}</p>}
+        </article>
+      )}
+
       {result && (
         <article className="report-result-card">
           <div className="result-header">
             <div>
-              <p className="eyebrow narrow">Report analysis</p>
-              <h2>Summary</h2>
+              <p className="eyebrow narrow">{t("report.eyebrow")}</p>
+              <h2>{t("report.summary")}</h2>
             </div>
             <span className="timestamp">{timestamp}</span>
           </div>
 
-          {structuredReport.summaryTitle && (
-            <p className="report-subtitle">{structuredReport.summaryTitle}</p>
-          )}
+          <ReportCoverage coverage={coverage} extraction={extraction} />
 
-          {structuredReport.intro.map((paragraph) => (
-            <p className="report-intro" key={paragraph}>
-              {paragraph}
-            </p>
-          ))}
+          {structured ? (
+            <ReportSummary data={structured} />
+          ) : (
+            <div className="report-result-body">
+              {fallbackParagraphs.map((paragraph) => (
+                <p key={paragraph}>{paragraph}</p>
+              ))}
+            </div>
+          )}
 
-          <div className="report-grid">
-            <ReportSection
-              title="Key Findings / Impressions"
-              items={structuredReport.findings}
-            />
-            <ReportSection
-              title="Diagnoses & Differential"
-              items={structuredReport.diagnoses}
-              tone="accent"
-            />
-            <ReportSection
-              title="Medications / Labs"
-              items={structuredReport.medications}
-            />
-            <ReportSection
-              title="Follow-up Actions / Referrals"
-              items={structuredReport.followups}
-            />
-          </div>
+          <LabTable labs={labs} />
+          <MedicationSafety check={medicationSafety} />
 
-          {structuredReport.disclaimer && (
-            <p className="disclaimer">{structuredReport.disclaimer}</p>
+          <CachedResultNote
+            cache={cache}
+            onRegenerate={() => handleSubmit(null, { regenerate: true })}
+            disabled={isLoading}
+          />
+          {caseId && (
+            <p className="saved-note">
+              {t("common.savedPrefix")}
+              <Link to={`/history/${caseId}`}>{t("common.caseHistory")}</Link>
+              {t("common.savedSuffix")}
+              {trendPatientId && (
+                <>
+                  {" "}
+                  <Link to={`/patients/${trendPatientId}`}>
+                    {t("report.viewTrend")}
+                  </Link>
+                </>
+              )}
+            </p>
           )}
+          <ExportButtons caseId={caseId} />
+          <CaseChat key={caseId} caseId={caseId} />
         </article>
       )}
     </>
@@ -194,95 +343,3 @@ function ReportPage() {
 }
 
 export default ReportPage;
-
-function ReportSection({ title, items, tone = "default" }) {
-  if (!items.length) return null;
-  return (
-    <section className={`report-section ${tone}`}>
-      <h3>{title}</h3>
-      <ul>
-        {items.map((item) => (
-          <li key={item}>
-            <span>{item}</span>
-          </li>
-        ))}
-      </ul>
-    </section>
-  );
-}
-
-function buildReportStructure(rawText) {
-  const base = {
-    summaryTitle: "",
-    intro: [],
-    findings: [],
-    diagnoses: [],
-    medications: [],
-    followups: [],
-    disclaimer: "",
-  };
-
-  if (!rawText) return base;
-
-  const lines = rawText.split(/\r?\n/).map((line) => line.trim());
-  let section = "intro";
-
-  for (const line of lines) {
-    if (!line) continue;
-    const newSection = resolveReportSection(line);
-    if (newSection) {
-      section = newSection;
-      if (section === "summaryTitle") {
-        base.summaryTitle = stripMarkers(line);
-        section = "intro";
-      }
-      continue;
-    }
-
-    const content = stripMarkers(line);
-    if (!content) continue;
-
-    switch (section) {
-      case "findings":
-        base.findings.push(content);
-        break;
-      case "diagnoses":
-        base.diagnoses.push(content);
-        break;
-      case "medications":
-        base.medications.push(content);
-        break;
-      case "followups":
-        base.followups.push(content);
-        break;
-      case "disclaimer":
-        base.disclaimer += `${content} `;
-        break;
-      default:
-        base.intro.push(content);
-    }
-  }
-
-  base.disclaimer = base.disclaimer.trim();
-  return base;
-}
-
-function resolveReportSection(line) {
-  if (/^\*\*Summary/i.test(line)) return "summaryTitle";
-  if (/key findings|impressions/i.test(line)) return "findings";
-  if (/diagnoses|differential/i.test(line)) return "diagnoses";
-  if (/medications|labs/i.test(line)) return "medications";
-  if (/follow-up|follow up/i.test(line)) return "followups";
-  if (/disclaimer/i.test(line)) return "disclaimer";
-  return null;
-}
-
-function stripMarkers(text) {
-  return text
-    .replace(/^\*\*|\*\*$/g, "")
-    .replace(/^\*\s*/, "")
-    .replace(/^[\-\d\.\)]\s*/, "")
-    .replace(/\s+/g, " ")
-    .trim();
-}
-
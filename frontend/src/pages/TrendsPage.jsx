@@ -0,0 +1,261 @@
+import { useEffect, useState } from "react";
+import { Link, Navigate, useNavigate, useParams } from "react-router-dom";
+import { useAuth } from "../auth/useAuth";
+import EgfrTrendChart from "../components/EgfrTrendChart";
+import ShareWithClinician from "../components/ShareWithClinician";
+import { useTranslation } from "../i18n/useTranslation";
+import { describeError, responseError } from "../utils/apiError";
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL ?? "";
+const TIMELINE_COLUMNS = [
+  "date",
+  "report",
+  "creatinine",
+  "egfr",
+  "potassium",
+  "acr",
+];
+
+function TrendsPage() {
+  const { t } = useTranslation();
+  const { user, isClinician } = useAuth();
+  const { patientId } = useParams();
+  const navigate = useNavigate();
+  const [patients, setPatients] = useState([]);
+  const [data, setData] = useState(null);
+  const [error, setError] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetch(`${API_BASE}/api/patients`, {
+      signal: controller.signal,
+      credentials: "include",
+    })
+      .then((response) => response.json())
+      .then((payload) => setPatients(payload.patients ?? []))
+      .catch((apiError) => {
+        if (apiError.name !== "AbortError") {
+          setError(t("trends.loadPatientsError"));
+        }
+      });
+    return () => controller.abort();
+  }, [t]);
+
+  useEffect(() => {
+    setData(null);
+    if (!patientId) return;
+
+    const controller = new AbortController();
+    (async () => {
+      setIsLoading(true);
+      try {
+        const response = await fetch(
+          `${API_BASE}/api/patients/${patientId}/trends`,
+          { signal: controller.signal, credentials: "include" }
+        );
+        const payload = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw responseError(
+            response,
+            payload,
+            t("trends.loadFailed", { status: response.status })
+          );
+        }
+        setData(payload);
+        setError("");
+      } catch (apiError) {
+        if (apiError.name !== "AbortError") {
+          setError(describeError(apiError, t, t("trends.loadError")));
+        }
+      } finally {
+        setIsLoading(false);
+      }
+    })();
+
+    return () => controller.abort();
+  }, [patientId, t]);
+
+  // A patient only has their own record, so skip the picker.
+  if (!patientId && user.patientId) {
+    return <Navigate to={`/patients/${user.patientId}`} replace />;
+  }
+
+  return (
+    <>
+      <section className="page-intro">
+        <h2>{t("trends.title")}</h2>
+        <p>{t("trends.intro")}</p>
+      </section>
+
+      <div className="history-filters">
+        <select
+          value={patientId ?? ""}
+          onChange={(event) =>
+            navigate(
+              event.target.value
+                ? `/patients/${event.target.value}`
+                : "/patients"
+            )
+          }
+          aria-label={t("trends.choosePatientLabel")}
+        >
+          <option value="">{t("trends.choosePatient")}</option>
+          {patients.map((patient) => (
+            <option key={patient.id} value={patient.id}>
+              {patient.name} ({patient.dateOfBirth})
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {!patients.length && !error && (
+        <p className="placeholder">{t("trends.noPatients")}</p>
+      )}
+
+      {error && <p className="error">{error}</p>}
+      {isLoading && <p className="panel-note">{t("trends.loading")}</p>}
+
+      {data && <PatientTrends data={data} />}
+      {data && !isClinician && (
+        <ShareWithClinician patientId={data.patient.id} />
+      )}
+    </>
+  );
+}
+
+export default TrendsPage;
+
+function PatientTrends({ data }) {
+  const { t } = useTranslation();
+  const { trend, timeline, egfrSeries } = data;
+
+  return (
+    <article className="report-result-card trend-card">
+      <div className="result-header">
+        <div>
+          <p className="eyebrow narrow">{t("trends.eyebrow")}</p>
+          <h2>{data.patient.name}</h2>
+        </div>
+        <span className="timestamp">
+          {t("trends.attached", { count: data.cases.length })}
+        </span>
+      </div>
+
+      {trend ? (
+        <div className="meta-row trend-stats">
+          <span className="meta-pill">
+            {t("trends.latest", {
+              egfr: trend.latestEgfr,
+              date: trend.latestDate,
+            })}
+          </span>
+          <span
+            className={`meta-pill ${trend.rapidDecline ? "pill-warning" : ""}`}
+          >
+            {formatSlope(trend.slopePerYear, t)}
+            {trend.rapidDecline ? t("trends.rapidDecline") : ""}
+          </span>
+          <span className="meta-pill">
+            {formatProjection(trend.projection, t)}
+          </span>
+        </div>
+      ) : (
+        <p className="panel-note">{data.trendNote}</p>
+      )}
+
+      {trend?.limited && (
+        <p className="coverage-note warning">
+          {t("trends.limited", {
+            points: trend.points,
+            years: trend.spanYears,
+          })}
+        </p>
+      )}
+
+      <EgfrTrendChart series={egfrSeries} trend={trend} />
+
+      {timeline.length > 0 && (
+        <section className="lab-table-section">
+          <h3>{t("trends.timeline")}</h3>
+          <div className="lab-table-wrap">
+            <table className="lab-table">
+              <thead>
+                <tr>
+                  {TIMELINE_COLUMNS.map((column) => (
+                    <th scope="col" key={column}>
+                      {t(`trends.columns.${column}`)}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {timeline.map((entry) => (
+                  <tr key={`${entry.caseId}-${entry.date}`}>
+                    <th scope="row">
+                      {entry.date}
+                      {entry.dateSource === "upload" && (
+                        <span className="lab-flag">
+                          {t("trends.uploadDate")}
+                        </span>
+                      )}
+                    </th>
+                    <td>
+                      <Link to={`/history/${entry.caseId}`}>
+                        {entry.reportName}
+                      </Link>
+                    </td>
+                    <td>{formatValue(entry.creatinine)}</td>
+                    <td>
+                      {formatValue(entry.egfr)}
+                      {entry.egfr?.calculated && (
+                        <span className="lab-flag">
+                          {t("trends.calculated")}
+                        </span>
+                      )}
+                    </td>
+                    <td>{formatValue(entry.potassium)}</td>
+                    <td>{formatValue(entry.acr)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      )}
+
+      <p className="disclaimer">{t("trends.disclaimer")}</p>
+    </article>
+  );
+}
+
+function formatValue(value) {
+  if (!value) return "—";
+  return `${value.qualifier ?? ""}${value.value} ${value.unit}`;
+}
+
+function formatSlope(slope, t) {
+  return t(slope < 0 ? "trends.falling" : "trends.rising", {
+    value: Math.abs(slope),
+  });
+}
+
+function formatProjection(projection, t) {
+  switch (projection.status) {
+    case "already-below":
+      return t("trends.alreadyBelow", { threshold: projection.threshold });
+    case "not-declining":
+      return t("trends.notDeclining");
+    case "beyond-horizon":
+      return t("trends.beyondHorizon", {
+        threshold: projection.threshold,
+        years: projection.horizonYears,
+      });
+    default:
+      return t("trends.projected", {
+        threshold: projection.threshold,
+        date: projection.date,
+        years: projection.yearsUntil,
+      });
+  }
+}
@@ -0,0 +1,69 @@
+// Codes the server uses for failed model calls (server/lib/modelErrors.js).
+const MODEL_ERROR_CODES = [
+  "upstream_unavailable",
+  "safety_blocked",
+  "quota_exceeded",
+  "bad_input",
+];
+
+/**
+ * The error thrown for a failed API response: the server's message when it
+ * sent one, plus `status`, `code`, for 429s `retryAfter` in seconds (from
+ * the Retry-After header, or the body when a proxy hides the header), and
+ * the rule-based `triage` a failed model call still carries.
+ */
+export function responseError(response, payload, fallbackMessage) {
+  return Object.assign(new Error(payload?.error || fallbackMessage), {
+    status: response.status,
+    code: payload?.code,
+    retryAfter:
+      retryAfterSeconds(response.headers.get("Retry-After")) ??
+      payload?.retryAfter,
+    triage: payload?.triage ?? null,
+  });
+}
+
+// The error thrown for a stream's `error` event, shaped like responseError's.
+export function streamError(data, fallbackMessage) {
+  return Object.assign(new Error(data?.error || fallbackMessage), {
+    status: data?.status,
+    code: data?.code,
+    retryAfter: data?.retryAfter,
+    triage: data?.triage ?? null,
+  });
+}
+
+/**
+ * What to show for a failed request. Failed model calls and rate limits get
+ * a message in the current language; other errors keep the server's message.
+ */
+export function describeError(error, t, fallbackMessage) {
+  if (MODEL_ERROR_CODES.includes(error?.code)) {
+    return t(`errors.codes.${error.code}`);
+  }
+  if (error?.status === 429 && error.retryAfter) {
+    const key =
+      error.code === "daily_quota" ? "errors.dailyQuota" : "errors.rateLimited";
+    return t(key, { wait: formatWait(error.retryAfter, t) });
+  }
+  return error?.message || fallbackMessage;
+}
+
+// Retry-After is either a number of seconds or an HTTP date.
+function retryAfterSeconds(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(1, Math.ceil(seconds));
+  const date = Date.parse(header);
+  return Number.isNaN(date)
+    ? null
+    : Math.max(1, Math.ceil((date - Date.now()) / 1000));
+}
+
+function formatWait(seconds, t) {
+  if (seconds < 120) return t("errors.seconds", { count: seconds });
+  if (seconds < 2 * 60 * 60) {
+    return t("errors.minutes", { count: Math.ceil(seconds / 60) });
+  }
+  return t("errors.hours", { count: Math.ceil(seconds / 3600) });
+}
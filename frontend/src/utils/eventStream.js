@@ -0,0 +1,53 @@
+import { responseError } from "./apiError";
+
+/**
+ * POSTs to a Server-Sent Events endpoint and calls `onEvent(name, data)` for
+ * every event until the stream ends. EventSource cannot send a body, so the
+ * response is read with fetch. Validation errors come back as plain JSON
+ * before the stream opens and are thrown like any other failed request.
+ */
+export async function postEventStream(url, { body, headers, signal, onEvent }) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers,
+    body,
+    signal,
+    credentials: "include",
+  });
+
+  if (!response.ok || !response.body) {
+    const payload = await response.json().catch(() => ({}));
+    throw responseError(
+      response,
+      payload,
+      `Request failed (status ${response.status}).`
+    );
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary = buffer.indexOf("\n\n");
+    while (boundary !== -1) {
+      dispatch(buffer.slice(0, boundary), onEvent);
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf("\n\n");
+    }
+  }
+}
+
+function dispatch(block, onEvent) {
+  let name = "message";
+  const data = [];
+  for (const line of block.split("\n")) {
+    if (line.startsWith("event:")) name = line.slice(6).trim();
+    else if (line.startsWith("data:")) data.push(line.slice(5).trimStart());
+  }
+  if (data.length) onEvent(name, JSON.parse(data.join("\n")));
+}
@@ -0,0 +1,86 @@
+// Option lists for the guided intake form. Keys must match
+// server/lib/intake.js, which validates them.
+
+export const INTAKE_SYMPTOMS = {
+  swelling: "Swelling of legs or ankles",
+  facialPuffiness: "Puffiness around the eyes or face",
+  reducedUrine: "Passing less urine than usual",
+  noUrine: "No urine output",
+  foamyUrine: "Foamy urine",
+  bloodInUrine: "Blood in urine",
+  painfulUrination: "Pain or burning when passing urine",
+  nocturia: "Passing urine often at night",
+  flankPain: "Pain in the side or lower back",
+  fatigue: "Tiredness or weakness",
+  nausea: "Nausea or vomiting",
+  appetiteLoss: "Loss of appetite",
+  itching: "Itchy skin",
+  cramps: "Muscle cramps",
+  breathlessness: "Shortness of breath",
+  chestPain: "Chest pain",
+  confusion: "Confusion or trouble concentrating",
+  fever: "Fever",
+};
+
+export const INTAKE_COMORBIDITIES = {
+  diabetes: "Diabetes",
+  hypertension: "High blood pressure",
+  heartDisease: "Heart disease or heart failure",
+  kidneyDisease: "Known kidney disease",
+  kidneyStones: "Kidney stones",
+  familyKidneyDisease: "Family history of kidney disease",
+  autoimmune: "Lupus or another autoimmune disease",
+};
+
+export const DURATION_UNITS = ["hours", "days", "weeks", "months", "years"];
+
+export const VITAL_FIELDS = [
+  { name: "systolic", label: "Systolic BP (mmHg)", step: "1" },
+  { name: "diastolic", label: "Diastolic BP (mmHg)", step: "1" },
+  { name: "heartRate", label: "Heart rate (beats/min)", step: "1" },
+  { name: "temperature", label: "Temperature (°C)", step: "0.1" },
+  { name: "weight", label: "Weight (kg)", step: "0.1" },
+  { name: "urineOutput", label: "Urine output (mL/day)", step: "10" },
+];
+
+export const DEFAULT_SEVERITY = 5;
+
+export const EMPTY_INTAKE = {
+  age: "",
+  sex: "",
+  // Checked symptoms only, as key -> severity (1-10).
+  symptoms: {},
+  onset: "",
+  durationValue: "",
+  durationUnit: "days",
+  vitals: Object.fromEntries(VITAL_FIELDS.map((field) => [field.name, ""])),
+  comorbidities: [],
+  // One medication per line.
+  medications: "",
+};
+
+/**
+ * Converts form state into the payload `/api/predict` expects as `intake`.
+ * Empty inputs are sent as empty strings, which the server treats as
+ * "not given".
+ */
+export function toIntakePayload(form) {
+  return {
+    age: form.age,
+    sex: form.sex,
+    symptoms: Object.entries(form.symptoms).map(([key, severity]) => ({
+      key,
+      severity: Number(severity),
+    })),
+    onset: form.onset,
+    duration: form.durationValue
+      ? { value: form.durationValue, unit: form.durationUnit }
+      : undefined,
+    vitals: form.vitals,
+    comorbidities: form.comorbidities,
+    medications: form.medications
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean),
+  };
+}
@@ -0,0 +1,64 @@
+// Used until GET /api/config answers, and if it cannot be reached; the
+// server's own limits are the ones that apply.
+export const DEFAULT_UPLOADS = {
+  maxFileBytes: 8 * 1024 * 1024,
+  maxReports: 5,
+  acceptedTypes: [
+    "application/pdf",
+    "text/plain",
+    "image/png",
+    "image/jpeg",
+    "image/heic",
+    "image/heif",
+    "image/tiff",
+  ],
+  // Some browsers report HEIC/TIFF photos with an empty MIME type.
+  acceptedExtensions: [
+    "pdf",
+    "txt",
+    "png",
+    "jpg",
+    "jpeg",
+    "heic",
+    "heif",
+    "tif",
+    "tiff",
+  ],
+};
+
+// Short names shown in the upload hints, one per format.
+const FORMAT_NAMES = {
+  "application/pdf": "PDF",
+  "text/plain": "TXT",
+  "image/png": "PNG",
+  "image/jpeg": "JPEG",
+  "image/heic": "HEIC",
+  "image/heif": "HEIC",
+  "image/tiff": "TIFF",
+};
+
+export function acceptAttribute(uploads) {
+  return [
+    ...uploads.acceptedExtensions.map((extension) => `.${extension}`),
+    ...uploads.acceptedTypes,
+  ].join(",");
+}
+
+export function formatAcceptedTypes(uploads) {
+  const names = uploads.acceptedTypes.map(
+    (type) => FORMAT_NAMES[type] ?? type.split("/").pop().toUpperCase()
+  );
+  return [...new Set(names)].join(", ");
+}
+
+export function formatMegabytes(bytes) {
+  return Number((bytes / (1024 * 1024)).toFixed(1));
+}
+
+export function isAcceptedReportFile(file, uploads) {
+  const extension = file.name.split(".").pop()?.toLowerCase();
+  return (
+    uploads.acceptedTypes.includes(file.type) ||
+    uploads.acceptedExtensions.includes(extension)
+  );
+}
@@ -0,0 +1,40 @@
+import { useEffect, useState } from "react";
+import { DEFAULT_UPLOADS } from "./reportFiles";
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL ?? "";
+
+// Fetched once per page load and shared by every upload form.
+let uploadsPromise = null;
+
+function loadUploads() {
+  uploadsPromise ??= fetch(`${API_BASE}/api/config`, {
+    credentials: "include",
+  })
+    .then((response) => (response.ok ? response.json() : null))
+    .then((payload) => ({ ...DEFAULT_UPLOADS, ...payload?.uploads }))
+    .catch(() => {
+      uploadsPromise = null;
+      return DEFAULT_UPLOADS;
+    });
+  return uploadsPromise;
+}
+
+/**
+ * The server's upload limits (max file size, max reports, accepted types),
+ * so the hints and client-side checks match what the server enforces.
+ */
+export function useUploadLimits() {
+  const [uploads, setUploads] = useState(DEFAULT_UPLOADS);
+
+  useEffect(() => {
+    let active = true;
+    loadUploads().then((value) => {
+      if (active) setUploads(value);
+    });
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return uploads;
+}
@@ -0,0 +1,127 @@
+import { readdir, readFile } from "fs/promises";
+import path from "path";
+import { URGENCY_LABELS } from "../lib/dialysisRisk.js";
+import { LANGUAGES } from "../lib/locales.js";
+
+export const CASE_KINDS = ["symptoms", "report"];
+
+/**
+ * Reads every `*.json` golden case in `dir`. A case is named after its file
+ * and looks like:
+ *
+ * `{ kind: "symptoms" | "report", symptoms?, intake?, report?, language?,
+ *    patient: { sex, dateOfBirth },
+ *    expected: { conditions?, redFlags?, specialist?, dialysisCategory? } }`
+ *
+ * `report` is a file path relative to the case. `redFlags` entries are
+ * triage rule ids (such as "hyperkalemia") or phrases that should appear in
+ * a red flag; `conditions` and `specialist` are matched as phrases, and a
+ * phrase may list alternatives as "ckd|chronic kidney disease".
+ * `dialysisCategory` is an urgency key from dialysisRisk.js.
+ *
+ * Returns `{ errors, cases }` like the other validators, with cases sorted by
+ * id so reports from different runs line up.
+ */
+export async function loadGoldenCases(dir) {
+  const names = (await readdir(dir))
+    .filter((name) => name.endsWith(".json"))
+    .sort();
+  const errors = [];
+  const cases = [];
+
+  for (const name of names) {
+    const file = path.join(dir, name);
+    let body;
+    try {
+      body = JSON.parse(await readFile(file, "utf-8"));
+    } catch (error) {
+      errors.push(`${name}: ${error.message}`);
+      continue;
+    }
+    const checked = validateGoldenCase(body, path.dirname(file));
+    errors.push(...checked.errors.map((message) => `${name}: ${message}`));
+    if (!checked.errors.length) {
+      cases.push({ id: path.basename(name, ".json"), ...checked.values });
+    }
+  }
+
+  return { errors, cases };
+}
+
+function validateGoldenCase(body, baseDir) {
+  const errors = [];
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { errors: ["must be a JSON object."] };
+  }
+
+  const kind = body.kind;
+  if (!CASE_KINDS.includes(kind)) {
+    errors.push(`kind must be one of: ${CASE_KINDS.join(", ")}.`);
+  }
+  const symptoms = typeof body.symptoms === "string" ? body.symptoms : "";
+  if (kind === "symptoms" && !symptoms.trim() && !body.intake) {
+    errors.push("symptoms or intake is required for a symptoms case.");
+  }
+  if (kind === "report" && typeof body.report !== "string") {
+    errors.push("report must name the report file for a report case.");
+  }
+
+  const language = body.language ?? "en";
+  if (!Object.hasOwn(LANGUAGES, language)) {
+    errors.push(
+      `language must be one of: ${Object.keys(LANGUAGES).join(", ")}.`
+    );
+  }
+
+  const patient = body.patient ?? {};
+  if (!["female", "male"].includes(patient.sex)) {
+    errors.push("patient.sex must be female or male.");
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(patient.dateOfBirth ?? "")) {
+    errors.push("patient.dateOfBirth must be a date in YYYY-MM-DD format.");
+  }
+
+  const expected = body.expected ?? {};
+  const phrases = (key) => {
+    const value = expected[key] ?? [];
+    if (
+      !Array.isArray(value) ||
+      value.some((item) => typeof item !== "string" || !item.trim())
+    ) {
+      errors.push(`expected.${key} must be a list of phrases.`);
+      return [];
+    }
+    return value;
+  };
+  const conditions = phrases("conditions");
+  const redFlags = phrases("redFlags");
+  const specialist = expected.specialist ?? null;
+  if (specialist !== null && typeof specialist !== "string") {
+    errors.push("expected.specialist must be a phrase.");
+  }
+  const dialysisCategory = expected.dialysisCategory ?? null;
+  if (
+    dialysisCategory !== null &&
+    !Object.hasOwn(URGENCY_LABELS, dialysisCategory)
+  ) {
+    errors.push(
+      `expected.dialysisCategory must be one of: ${Object.keys(
+        URGENCY_LABELS
+      ).join(", ")}.`
+    );
+  }
+
+  return {
+    errors,
+    values: {
+      kind,
+      description: typeof body.description === "string" ? body.description : "",
+      symptoms,
+      intake: body.intake ?? null,
+      report: kind === "report" ? path.resolve(baseDir, body.report) : null,
+      language,
+      patient: { sex: patient.sex, dateOfBirth: patient.dateOfBirth },
+      expected: { conditions, redFlags, specialist, dialysisCategory },
+    },
+  };
+}
@@ -0,0 +1,151 @@
+// Renders an evaluation report (see run.js) as one self-contained HTML page:
+// summary rates, the comparison with a baseline run when there is one, and a
+// row per case listing what was missed.
+
+const METRIC_LABELS = {
+  redFlagRecall: "Red flag recall",
+  parseSuccess: "Structured parse success",
+  categoryAgreement: "Dialysis category agreement",
+  specialistAgreement: "Specialist agreement",
+  conditionRecall: "Condition recall",
+};
+
+export function renderHtmlReport(report) {
+  const { run, summary, comparison, cases } = report;
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Evaluation: ${escape(run.provider.name)} (${escape(
+    run.provider.model
+  )})</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2933; }
+table { border-collapse: collapse; margin-bottom: 2rem; }
+th, td { border: 1px solid #cbd2d9; padding: 0.35rem 0.6rem; text-align: left; vertical-align: top; }
+th { background: #f5f7fa; }
+.pass { color: #1e7b34; }
+.fail { color: #b42318; }
+.muted { color: #7b8794; }
+</style>
+</head>
+<body>
+<h1>Evaluation report</h1>
+<p>${escape(run.mode)} provider ${escape(run.provider.name)} (${escape(
+    run.provider.model
+  )}), ${summary.cases} cases, ${summary.failedRequests} failed requests.
+Prompts: ${Object.entries(run.prompts)
+    .map(([task, prompt]) => `${escape(task)} ${escape(prompt)}`)
+    .join(", ")}.</p>
+${renderSummary(summary, comparison)}
+${comparison ? renderChanges(comparison) : ""}
+${renderCases(cases)}
+</body>
+</html>
+`;
+}
+
+function renderSummary(summary, comparison) {
+  const rows = Object.entries(METRIC_LABELS).map(([name, label]) => {
+    const value = summary[name];
+    const change = comparison?.metrics[name];
+    return `<tr><td>${label}</td><td>${formatRatio(value)}</td>${
+      comparison ? `<td>${formatDelta(change?.delta)}</td>` : ""
+    }</tr>`;
+  });
+  const sections = Object.entries(summary.sectionParseSuccess).map(
+    ([name, value]) =>
+      `<tr><td class="muted">Section: ${escape(name)}</td><td>${formatRatio(
+        value
+      )}</td>${comparison ? "<td></td>" : ""}</tr>`
+  );
+  return `<h2>Summary</h2>
+<table>
+<tr><th>Metric</th><th>Result</th>${
+    comparison ? "<th>Change from baseline</th>" : ""
+  }</tr>
+${[...rows, ...sections].join("\n")}
+</table>`;
+}
+
+function renderChanges({ baseline, regressions, improvements }) {
+  const list = (items) =>
+    items.length
+      ? `<ul>${items
+          .map((item) => `<li>${escape(item.id)}: ${escape(item.check)}</li>`)
+          .join("")}</ul>`
+      : `<p class="muted">None.</p>`;
+  return `<h2>Compared with ${escape(baseline)}</h2>
+<h3 class="fail">Regressions</h3>
+${list(regressions)}
+<h3 class="pass">Improvements</h3>
+${list(improvements)}`;
+}
+
+function renderCases(cases) {
+  const rows = cases.map(({ id, kind, error, score }) => {
+    const missed = (items) =>
+      items.length
+        ? `<span class="fail">missed ${escape(items.join(", "))}</span>`
+        : `<span class="pass">all found</span>`;
+    const check = (entry, describe) =>
+      entry ? describe(entry) : `<span class="muted">not expected</span>`;
+    return `<tr>
+<td>${escape(id)}<br><span class="muted">${escape(kind)}</span>${
+      error ? `<br><span class="fail">${escape(error)}</span>` : ""
+    }</td>
+<td>${missed(score.redFlags.missed)}</td>
+<td>${
+      score.parse.valid
+        ? `<span class="pass">valid</span>`
+        : `<span class="fail">failed: ${escape(
+            Object.keys(score.parse.sections)
+              .filter((name) => !score.parse.sections[name])
+              .join(", ") || "none parsed"
+          )}</span>`
+    }</td>
+<td>${check(score.dialysisCategory, (entry) =>
+      entry.agreed
+        ? `<span class="pass">${escape(entry.actual)}</span>`
+        : `<span class="fail">${escape(
+            entry.actual ?? "not assessable"
+          )}, expected ${escape(entry.expected)}</span>`
+    )}</td>
+<td>${check(score.specialist, (entry) =>
+      entry.agreed
+        ? `<span class="pass">${escape(entry.expected)}</span>`
+        : `<span class="fail">no ${escape(entry.expected)}</span>`
+    )}</td>
+<td>${missed(score.conditions.missed)}</td>
+</tr>`;
+  });
+  return `<h2>Cases</h2>
+<table>
+<tr><th>Case</th><th>Red flags</th><th>Parse</th><th>Dialysis category</th><th>Specialist</th><th>Conditions</th></tr>
+${rows.join("\n")}
+</table>`;
+}
+
+function formatRatio(value) {
+  if (!value || value.rate === null) return `<span class="muted">n/a</span>`;
+  return `${Math.round(value.rate * 100)}% (${value.hits}/${value.total})`;
+}
+
+function formatDelta(delta) {
+  if (delta === null || delta === undefined) {
+    return `<span class="muted">n/a</span>`;
+  }
+  const points = Math.round(delta * 100);
+  if (points === 0) return "no change";
+  return `<span class="${points > 0 ? "pass" : "fail"}">${
+    points > 0 ? "+" : ""
+  }${points} points</span>`;
+}
+
+function escape(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
@@ -0,0 +1,389 @@
+// Offline evaluation runner: sends every golden case through the real server
+// (the same /api/predict and /api/analyze-report pipeline the app uses) and
+// scores the answers, so prompt and model changes can be compared run to run.
+//
+//   npm run eval -- [--provider mock|recorded|live] [--record]
+//                   [--cases dir] [--fixtures dir] [--out dir]
+//                   [--baseline previous/report.json]
+//                   [--predict-template ref] [--report-template ref]
+//
+// `mock` answers from the shared mock fixtures, `recorded` replays answers
+// saved by an earlier `live --record` run, and `live` calls the provider
+// configured in .env. The server runs on a free port with throwaway storage,
+// no rate limits and no response cache.
+
+import { spawn } from "child_process";
+import { randomBytes } from "crypto";
+import { mkdir, mkdtemp, readdir, readFile, rm, writeFile } from "fs/promises";
+import { createServer } from "net";
+import { tmpdir } from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { extractLabs } from "../lib/labExtractor.js";
+import { loadGoldenCases } from "./goldenCases.js";
+import { renderHtmlReport } from "./htmlReport.js";
+import {
+  compareRuns,
+  dialysisInput,
+  scoreCase,
+  summarizeScores,
+} from "./scoring.js";
+
+const EVAL_DIR = fileURLToPath(new URL(".", import.meta.url));
+const SERVER_DIR = path.join(EVAL_DIR, "..");
+const MODES = ["mock", "recorded", "live"];
+const DEFAULT_FIXTURES = {
+  mock: path.join(SERVER_DIR, "fixtures/mock"),
+  recorded: path.join(EVAL_DIR, "recordings"),
+  live: path.join(EVAL_DIR, "recordings"),
+};
+const STARTUP_TIMEOUT_MS = 20000;
+
+const OPTIONS = {
+  provider: { type: "string", default: "mock" },
+  record: { type: "boolean", default: false },
+  cases: { type: "string", default: path.join(EVAL_DIR, "cases") },
+  fixtures: { type: "string" },
+  out: { type: "string" },
+  baseline: { type: "string" },
+  "predict-template": { type: "string" },
+  "report-template": { type: "string" },
+  help: { type: "boolean", default: false },
+};
+
+async function main() {
+  const { values: options } = parseArgs({ options: OPTIONS });
+  if (options.help) {
+    console.log(
+      readUsage(await readFile(fileURLToPath(import.meta.url), "utf-8"))
+    );
+    return;
+  }
+  if (!MODES.includes(options.provider)) {
+    throw new Error(`--provider must be one of: ${MODES.join(", ")}.`);
+  }
+  if (options.record && options.provider !== "live") {
+    throw new Error("--record only applies to --provider live.");
+  }
+  if (options.provider === "recorded") {
+    await checkRecordings(options.fixtures ?? DEFAULT_FIXTURES.recorded);
+  }
+
+  const { errors, cases } = await loadGoldenCases(path.resolve(options.cases));
+  if (errors.length) {
+    throw new Error(`Invalid golden cases:\n- ${errors.join("\n- ")}`);
+  }
+  if (!cases.length) throw new Error(`No golden cases in ${options.cases}.`);
+
+  const startedAt = new Date().toISOString();
+  const dataDir = await mkdtemp(path.join(tmpdir(), "kidney-eval-"));
+  const server = await startServer(options, dataDir);
+  let results;
+  let prompts;
+  try {
+    prompts = await defaultPrompts(server);
+    results = [];
+    for (const goldenCase of cases) {
+      process.stdout.write(`${goldenCase.id} ... `);
+      const result = await runCase(server, goldenCase, startedAt.slice(0, 10));
+      console.log(result.error ? `failed (${result.error})` : "done");
+      results.push(result);
+    }
+  } finally {
+    server.stop();
+    await rm(dataDir, { recursive: true, force: true });
+  }
+
+  const report = {
+    run: {
+      startedAt,
+      mode: options.provider,
+      provider: server.provider,
+      prompts,
+      cases: path.relative(SERVER_DIR, path.resolve(options.cases)),
+    },
+    summary: summarizeScores(results),
+    comparison: null,
+    cases: results,
+  };
+  if (options.baseline) {
+    const baseline = JSON.parse(await readFile(options.baseline, "utf-8"));
+    report.comparison = {
+      baseline: options.baseline,
+      ...compareRuns(baseline, report),
+    };
+  }
+
+  const outDir = path.resolve(
+    options.out ??
+      path.join(EVAL_DIR, "results", startedAt.replace(/[:.]/g, "-"))
+  );
+  await mkdir(outDir, { recursive: true });
+  await writeFile(
+    path.join(outDir, "report.json"),
+    `${JSON.stringify(report, null, 2)}\n`
+  );
+  await writeFile(path.join(outDir, "report.html"), renderHtmlReport(report));
+
+  printSummary(report);
+  console.log(`\nReports written to ${outDir}`);
+}
+
+async function runCase(server, goldenCase, today) {
+  const entry = { id: goldenCase.id, kind: goldenCase.kind };
+  let response = null;
+  let category = null;
+  try {
+    const session = await server.registerPatient(goldenCase);
+    response =
+      goldenCase.kind === "symptoms"
+        ? await session.post("/api/predict", {
+            symptoms: goldenCase.symptoms,
+            intake: goldenCase.intake ?? undefined,
+            language: goldenCase.language,
+          })
+        : await session.post(
+            "/api/analyze-report",
+            await reportForm(goldenCase)
+          );
+
+    const labs =
+      goldenCase.kind === "symptoms"
+        ? extractLabs(goldenCase.symptoms)
+        : response.labs ?? [];
+    const input = dialysisInput(goldenCase, labs, today);
+    if (input) category = await session.post("/api/dialysis-risk", input);
+  } catch (error) {
+    entry.error = error.message;
+  }
+
+  return {
+    ...entry,
+    prompt: response?.prompt ?? null,
+    score: scoreCase(goldenCase, response, category),
+  };
+}
+
+async function reportForm(goldenCase) {
+  const form = new FormData();
+  form.append(
+    "report",
+    new Blob([await readFile(goldenCase.report)]),
+    path.basename(goldenCase.report)
+  );
+  form.append("language", goldenCase.language);
+  return form;
+}
+
+async function defaultPrompts(server) {
+  const session = await server.registerPatient({
+    patient: { sex: "female", dateOfBirth: "1970-01-01" },
+  });
+  const templates = await session.get("/api/prompts");
+  return Object.fromEntries(
+    templates
+      .filter(
+        (template) =>
+          template.isDefault && ["predict", "report"].includes(template.task)
+      )
+      .map((template) => [template.task, `${template.id}@${template.version}`])
+  );
+}
+
+/**
+ * Recordings are made from live answers and are not committed, so a
+ * `recorded` run without them would silently score empty answers.
+ */
+async function checkRecordings(dir) {
+  const names = await readdir(path.resolve(dir)).catch((error) => {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  });
+  if (names.some((name) => name.endsWith(".json"))) return;
+  throw new Error(
+    `No recorded answers in ${dir}. Record them first with ` +
+      "`npm run eval -- --provider live --record` (needs the provider " +
+      "configured in .env), or pass --fixtures with a directory of " +
+      "recordings."
+  );
+}
+
+/**
+ * Starts server.js as a child process configured for the run. Resolves to
+ * `{ provider, registerPatient(goldenCase), stop() }`; each registered
+ * patient gets its own session for `get` and `post` calls.
+ */
+async function startServer(options, dataDir) {
+  const port = await findFreePort();
+  const mode = options.provider;
+  const fixtures = path.resolve(options.fixtures ?? DEFAULT_FIXTURES[mode]);
+  const env = {
+    ...process.env,
+    NODE_ENV: "test",
+    PORT: String(port),
+    AUTH_SECRET: randomBytes(24).toString("hex"),
+    USERS_DB_FILE: path.join(dataDir, "users.json"),
+    CASES_DB_FILE: path.join(dataDir, "cases.json"),
+    PATIENTS_DB_FILE: path.join(dataDir, "patients.json"),
+    RESPONSE_CACHE: "off",
+    PARSED_REPORT_CACHE_ENTRIES: "0",
+    API_RATE_LIMIT: "0",
+    AUTH_RATE_LIMIT: "0",
+    ANALYSIS_RATE_LIMIT_IP: "0",
+    ANALYSIS_RATE_LIMIT_USER: "0",
+    ANALYSIS_DAILY_QUOTA: "0",
+    LLM_RECORD_DIR: options.record ? fixtures : "",
+  };
+  if (mode !== "live") {
+    env.LLM_PROVIDER = "mock";
+    env.MOCK_FIXTURES_DIR = fixtures;
+  }
+  if (options["predict-template"]) {
+    env.PREDICT_PROMPT_TEMPLATE = options["predict-template"];
+  }
+  if (options["report-template"]) {
+    env.REPORT_PROMPT_TEMPLATE = options["report-template"];
+  }
+
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: SERVER_DIR,
+    env,
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  const log = [];
+  const provider = await new Promise((resolve, reject) => {
+    let name = null;
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`Server did not start:\n${log.join("")}`));
+    }, STARTUP_TIMEOUT_MS);
+    const onOutput = (chunk) => {
+      const text = chunk.toString();
+      log.push(text);
+      const using = text.match(/Using LLM provider: (\S+) \((.*)\)/);
+      if (using) name = { name: using[1], model: using[2] };
+      if (text.includes("Server listening")) {
+        clearTimeout(timer);
+        resolve(name);
+      }
+    };
+    child.stdout.on("data", onOutput);
+    child.stderr.on("data", (chunk) => log.push(chunk.toString()));
+    child.on("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited (${code}):\n${log.join("")}`));
+    });
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  let accounts = 0;
+
+  async function call(cookie, route, init = {}) {
+    const response = await fetch(`${baseUrl}${route}`, {
+      ...init,
+      headers: { ...init.headers, ...(cookie ? { cookie } : {}) },
+    });
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(payload.error ?? `${route} answered ${response.status}`);
+    }
+    return { payload, response };
+  }
+
+  return {
+    provider,
+    async registerPatient(goldenCase) {
+      accounts += 1;
+      const { response } = await call(null, "/api/auth/register", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          email: `eval-${accounts}@example.invalid`,
+          name: `Eval Patient ${accounts}`,
+          password: randomBytes(12).toString("hex"),
+          ...goldenCase.patient,
+        }),
+      });
+      const cookie = response.headers.getSetCookie()[0].split(";")[0];
+      return {
+        get: async (route) => (await call(cookie, route)).payload,
+        post: async (route, body) =>
+          (
+            await call(
+              cookie,
+              route,
+              body instanceof FormData
+                ? { method: "POST", body }
+                : {
+                    method: "POST",
+                    headers: { "Content-Type": "application/json" },
+                    body: JSON.stringify(body),
+                  }
+            )
+          ).payload,
+      };
+    },
+    stop() {
+      child.removeAllListeners("exit");
+      child.kill();
+    },
+  };
+}
+
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = createServer();
+    probe.unref();
+    probe.on("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+function printSummary({ summary, comparison }) {
+  const line = (label, value, change) =>
+    console.log(
+      `${label.padEnd(30)} ${
+        value.rate === null
+          ? "n/a"
+          : `${Math.round(value.rate * 100)}% (${value.hits}/${value.total})`
+      }${change?.delta ? ` ${change.delta > 0 ? "+" : ""}${change.delta}` : ""}`
+    );
+  console.log(
+    `\n${summary.cases} cases, ${summary.failedRequests} failed requests`
+  );
+  for (const [name, label] of [
+    ["redFlagRecall", "Red flag recall"],
+    ["parseSuccess", "Structured parse success"],
+    ["categoryAgreement", "Dialysis category agreement"],
+    ["specialistAgreement", "Specialist agreement"],
+    ["conditionRecall", "Condition recall"],
+  ]) {
+    line(label, summary[name], comparison?.metrics[name]);
+  }
+  if (comparison?.regressions.length) {
+    console.log(
+      `Regressions: ${comparison.regressions
+        .map(({ id, check }) => `${id} (${check})`)
+        .join(", ")}`
+    );
+  }
+}
+
+// The comment block at the top of this file.
+function readUsage(source) {
+  const lines = source.split("\n");
+  const end = lines.findIndex((line) => !line.startsWith("//"));
+  return lines
+    .slice(0, end)
+    .map((line) => line.replace(/^\/\/ ?/, ""))
+    .join("\n");
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
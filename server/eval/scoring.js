@@ -0,0 +1,294 @@
+import { ageOn } from "../lib/kidneyTrends.js";
+import { PREDICTION_SCHEMA, REPORT_SCHEMA } from "../lib/schemas.js";
+
+const SCHEMAS = { symptoms: PREDICTION_SCHEMA, report: REPORT_SCHEMA };
+
+// Where each kind of answer names conditions, specialists and red flags.
+// Report summaries have no specialist list; referrals are in the follow-ups.
+const FIELDS = {
+  symptoms: {
+    conditions: (answer) => answer.conditions.map((item) => item.name),
+    specialists: (answer) => answer.specialists,
+    redFlags: (answer) => answer.redFlags,
+  },
+  report: {
+    conditions: (answer) => answer.diagnoses.map((item) => item.name),
+    specialists: (answer) => answer.followUps,
+    redFlags: () => [],
+  },
+};
+
+// Analytes the dialysis risk rules read, by their labExtractor key.
+const DIALYSIS_ANALYTES = ["creatinine", "acr", "potassium", "bicarbonate"];
+
+/**
+ * Scores one response from /api/predict or /api/analyze-report against its
+ * golden case. `response` is null when the request failed, which counts as
+ * missing everything. `category` is what /api/dialysis-risk returned for the
+ * case's labs, or null when they were not enough to assess.
+ */
+export function scoreCase(goldenCase, response, category) {
+  const { expected, kind } = goldenCase;
+  const answer = response?.structured ?? null;
+  const fields = FIELDS[kind];
+
+  const flagTexts = [
+    ...(response?.triage?.flags ?? []).flatMap((flag) => [
+      flag.title,
+      flag.explanation,
+    ]),
+    ...(answer ? fields.redFlags(answer) : []),
+  ];
+  const flagIds = (response?.triage?.flags ?? []).map((flag) => flag.id);
+  const redFlags = recall(
+    expected.redFlags,
+    (phrase) => flagIds.includes(phrase) || mentions(flagTexts, phrase)
+  );
+
+  const conditionNames = answer ? fields.conditions(answer) : [];
+  const conditions = recall(expected.conditions, (phrase) =>
+    mentions(conditionNames, phrase)
+  );
+
+  const specialists = answer ? fields.specialists(answer) : [];
+  const specialist =
+    expected.specialist === null
+      ? null
+      : {
+          expected: expected.specialist,
+          agreed: mentions(specialists, expected.specialist),
+          named: specialists,
+        };
+
+  const dialysisCategory =
+    expected.dialysisCategory === null
+      ? null
+      : {
+          expected: expected.dialysisCategory,
+          actual: category?.urgency ?? null,
+          agreed: category?.urgency === expected.dialysisCategory,
+          rules: category?.firedRules.map((rule) => rule.id) ?? [],
+        };
+
+  return {
+    redFlags,
+    parse: checkSections(SCHEMAS[kind], response),
+    conditions,
+    specialist,
+    dialysisCategory,
+  };
+}
+
+/**
+ * Totals across scored cases. Every rate is `{ hits, total, rate }`, with a
+ * null rate when nothing was scored.
+ */
+export function summarizeScores(results) {
+  const scores = results.map((result) => result.score);
+  const sum = (pick) =>
+    scores.reduce(
+      (totals, score) => {
+        const [hits, total] = pick(score);
+        return [totals[0] + hits, totals[1] + total];
+      },
+      [0, 0]
+    );
+  const sectionNames = [
+    ...new Set(scores.flatMap((score) => Object.keys(score.parse.sections))),
+  ];
+
+  return {
+    cases: results.length,
+    failedRequests: results.filter((result) => result.error).length,
+    redFlagRecall: ratio(
+      ...sum(({ redFlags }) => [
+        redFlags.found.length,
+        redFlags.expected.length,
+      ])
+    ),
+    parseSuccess: ratio(...sum(({ parse }) => [parse.valid ? 1 : 0, 1])),
+    sectionParseSuccess: Object.fromEntries(
+      sectionNames.map((name) => [
+        name,
+        ratio(
+          ...sum(({ parse }) =>
+            name in parse.sections ? [parse.sections[name] ? 1 : 0, 1] : [0, 0]
+          )
+        ),
+      ])
+    ),
+    categoryAgreement: ratio(
+      ...sum(({ dialysisCategory }) =>
+        dialysisCategory ? [dialysisCategory.agreed ? 1 : 0, 1] : [0, 0]
+      )
+    ),
+    specialistAgreement: ratio(
+      ...sum(({ specialist }) =>
+        specialist ? [specialist.agreed ? 1 : 0, 1] : [0, 0]
+      )
+    ),
+    conditionRecall: ratio(
+      ...sum(({ conditions }) => [
+        conditions.found.length,
+        conditions.expected.length,
+      ])
+    ),
+  };
+}
+
+/**
+ * Body for /api/dialysis-risk from the latest of each lab the pipeline
+ * parsed, or null without a creatinine value to estimate eGFR from.
+ */
+export function dialysisInput(goldenCase, labs, today) {
+  const latest = {};
+  for (const lab of labs) {
+    if (!DIALYSIS_ANALYTES.includes(lab.analyte)) continue;
+    const current = latest[lab.analyte];
+    if (
+      !current ||
+      (lab.collectedAt ?? "9999") >= (current.collectedAt ?? "9999")
+    ) {
+      latest[lab.analyte] = lab;
+    }
+  }
+  if (!latest.creatinine) return null;
+
+  return {
+    creatinine: latest.creatinine.value,
+    age: ageOn(goldenCase.patient.dateOfBirth, today),
+    sex: goldenCase.patient.sex,
+    acr: latest.acr?.value,
+    potassium: latest.potassium?.value,
+    bicarbonate: latest.bicarbonate?.value,
+    urineOutput: goldenCase.intake?.vitals?.urineOutput,
+  };
+}
+
+// Summary rates compared with an earlier run's report, plus the cases whose
+// red flags, parse result or category got worse or better.
+export function compareRuns(baseline, current) {
+  const metrics = {};
+  for (const [name, value] of Object.entries(current.summary)) {
+    if (value?.rate === undefined) continue;
+    const before = baseline.summary?.[name]?.rate ?? null;
+    metrics[name] = {
+      before,
+      after: value.rate,
+      delta:
+        before === null || value.rate === null
+          ? null
+          : Math.round((value.rate - before) * 1000) / 1000,
+    };
+  }
+
+  const previous = new Map(baseline.cases.map((entry) => [entry.id, entry]));
+  const regressions = [];
+  const improvements = [];
+  for (const entry of current.cases) {
+    const before = previous.get(entry.id)?.score;
+    if (!before) continue;
+    for (const [check, worse] of Object.entries(
+      caseChanges(before, entry.score)
+    )) {
+      if (worse === null) continue;
+      (worse ? regressions : improvements).push({ id: entry.id, check });
+    }
+  }
+
+  return { metrics, regressions, improvements };
+}
+
+// Per check: true when it got worse, false when better, null when unchanged.
+function caseChanges(before, after) {
+  const change = (was, is) => (was === is ? null : is < was);
+  return {
+    redFlags: change(before.redFlags.found.length, after.redFlags.found.length),
+    parse: change(Number(before.parse.valid), Number(after.parse.valid)),
+    conditions: change(
+      before.conditions.found.length,
+      after.conditions.found.length
+    ),
+    specialist: change(
+      Number(before.specialist?.agreed ?? 0),
+      Number(after.specialist?.agreed ?? 0)
+    ),
+    dialysisCategory: change(
+      Number(before.dialysisCategory?.agreed ?? 0),
+      Number(after.dialysisCategory?.agreed ?? 0)
+    ),
+  };
+}
+
+// A section parsed when the validated answer has it, or when the failed
+// answer's validation errors do not point into it.
+function checkSections(schema, response) {
+  const names = Object.keys(schema.properties);
+  const answer = response?.structured ?? null;
+  const errors = response?.validationErrors ?? [];
+
+  if (answer) {
+    return {
+      valid: true,
+      sections: Object.fromEntries(
+        names.map((name) => [
+          name,
+          answer[name] !== undefined || !schema.required.includes(name),
+        ])
+      ),
+      errors: [],
+    };
+  }
+
+  const wholeAnswerFailed =
+    !response?.validationErrors ||
+    errors.some((error) => !error.startsWith("$."));
+  return {
+    valid: false,
+    sections: Object.fromEntries(
+      names.map((name) => [
+        name,
+        !wholeAnswerFailed &&
+          !errors.some((error) =>
+            new RegExp(`^\\$\\.${name}(?![\\w])`).test(error)
+          ),
+      ])
+    ),
+    errors,
+  };
+}
+
+function recall(phrases, isFound) {
+  const found = phrases.filter(isFound);
+  return {
+    expected: phrases,
+    found,
+    missed: phrases.filter((phrase) => !found.includes(phrase)),
+  };
+}
+
+// Case-insensitive phrase match; "a|b" accepts either wording.
+function mentions(texts, phrase) {
+  const haystack = texts.map(normalize);
+  return phrase
+    .split("|")
+    .map(normalize)
+    .filter(Boolean)
+    .some((option) => haystack.some((text) => text.includes(option)));
+}
+
+function normalize(text) {
+  return String(text ?? "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function ratio(hits, total) {
+  return {
+    hits,
+    total,
+    rate: total ? Math.round((hits / total) * 1000) / 1000 : null,
+  };
+}
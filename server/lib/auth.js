@@ -0,0 +1,142 @@
+import { createHmac, randomBytes, timingSafeEqual } from "crypto";
+
+// Cookie sessions carrying a signed token (HS256 JWT). The cookie is
+// HttpOnly, so export links and streaming requests are authenticated the
+// same way as plain fetches. The user is re-read on every request, so a
+// changed role or a removed account takes effect immediately.
+
+export const SESSION_COOKIE = "session";
+
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+export function createAuth({
+  users,
+  secret,
+  ttlSeconds = DEFAULT_TTL_SECONDS,
+  secureCookies = false,
+}) {
+  const key = secret || randomBytes(32).toString("hex");
+  if (!secret) {
+    console.warn(
+      "AUTH_SECRET is not set; sessions are signed with a random key and end when the server restarts."
+    );
+  }
+
+  return {
+    signIn(res, user) {
+      const now = Math.floor(Date.now() / 1000);
+      const token = signToken(
+        { sub: user.id, role: user.role, iat: now, exp: now + ttlSeconds },
+        key
+      );
+      res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: "lax",
+        secure: secureCookies,
+        maxAge: ttlSeconds * 1000,
+        path: "/",
+      });
+    },
+
+    signOut(res) {
+      res.clearCookie(SESSION_COOKIE, { path: "/" });
+    },
+
+    // Sets `req.user` when the request carries a valid session; never
+    // rejects, so public routes can still see who is asking.
+    async authenticate(req, _res, next) {
+      req.user = null;
+      const token = readCookie(req.headers.cookie, SESSION_COOKIE);
+      const claims = token ? verifyToken(token, key) : null;
+      if (claims) {
+        try {
+          req.user = await users.get(claims.sub);
+        } catch (error) {
+          return next(error);
+        }
+      }
+      next();
+    },
+  };
+}
+
+export function requireUser(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: "Sign in to continue." });
+  }
+  next();
+}
+
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (req.user?.role !== role) {
+      return res
+        .status(403)
+        .json({ error: `Only ${role}s can perform this action.` });
+    }
+    next();
+  };
+}
+
+/**
+ * A patient sees their own record; a clinician sees the records that list
+ * them as an assigned clinician.
+ */
+export function canViewPatient(user, patient) {
+  if (!user || !patient) return false;
+  if (user.role === "clinician") {
+    return (patient.clinicianIds ?? []).includes(user.id);
+  }
+  return patient.userId === user.id;
+}
+
+/**
+ * Cases are visible to whoever created them and to everyone who can see the
+ * patient they are attached to.
+ */
+export function canViewCase(user, entry, patient = null) {
+  if (!user || !entry) return false;
+  return entry.ownerId === user.id || canViewPatient(user, patient);
+}
+
+function signToken(claims, key) {
+  const header = encode({ alg: "HS256", typ: "JWT" });
+  const payload = encode(claims);
+  return `${header}.${payload}.${sign(`${header}.${payload}`, key)}`;
+}
+
+function verifyToken(token, key) {
+  const [header, payload, signature] = token.split(".");
+  if (!header || !payload || !signature) return null;
+
+  const expected = Buffer.from(sign(`${header}.${payload}`, key));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+    return claims.exp > Date.now() / 1000 ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+function sign(data, key) {
+  return createHmac("sha256", key).update(data).digest("base64url");
+}
+
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+function readCookie(header = "", name) {
+  for (const part of header.split(";")) {
+    const index = part.indexOf("=");
+    if (index !== -1 && part.slice(0, index).trim() === name) {
+      return decodeURIComponent(part.slice(index + 1).trim());
+    }
+  }
+  return null;
+}
@@ -0,0 +1,45 @@
+// Context for follow-up questions about a saved case: what the user first
+// described, the report text, the answer they received and the recent turns
+// of the conversation, as plain text for the chat prompt (see prompts.js).
+
+// Older turns are dropped so a long conversation cannot crowd out the case.
+const HISTORY_TURNS = 10;
+// Per report; the full text stays on the case.
+const REPORT_CHARS = 4000;
+
+/**
+ * Returns `{ symptoms, reports, answer, history }` for a case as stored by
+ * caseStore. Values are the stored text, so they still need de-identifying
+ * before they reach the model.
+ */
+export function describeChatContext(entry) {
+  return {
+    symptoms: entry.symptoms ?? "",
+    reports: (entry.reports ?? [])
+      .filter((report) => report.text?.trim())
+      .map(
+        (report, index) =>
+          `Report ${index + 1} (${report.name}):\n${truncate(
+            report.text.trim(),
+            REPORT_CHARS
+          )}`
+      )
+      .join("\n\n"),
+    answer: entry.result ?? "",
+    history: (entry.chat ?? [])
+      .slice(-HISTORY_TURNS)
+      .map(
+        (turn) =>
+          `${turn.role === "user" ? "User" : "Assistant"}: ${
+            turn.reply?.answer ?? turn.text
+          }`
+      )
+      .join("\n"),
+  };
+}
+
+function truncate(text, limit) {
+  return text.length > limit
+    ? `${text.slice(0, limit)}\n[The rest of this report is not shown.]`
+    : text;
+}
@@ -0,0 +1,519 @@
+import { createRequire } from "module";
+import PDFDocument from "pdfkit";
+import { labelsFor } from "./locales.js";
+
+// Renders a saved case for patients to take to an appointment. The case is
+// first turned into a list of plain blocks (heading, paragraph, list, table,
+// alert) so the PDF, Markdown and text exports always carry the same content.
+
+export const EXPORT_FORMATS = {
+  pdf: { contentType: "application/pdf", extension: "pdf" },
+  md: { contentType: "text/markdown; charset=utf-8", extension: "md" },
+  txt: { contentType: "text/plain; charset=utf-8", extension: "txt" },
+};
+
+const resolveFont = createRequire(import.meta.url).resolve;
+
+// The built-in PDF fonts only cover Latin text. Hindi and Gujarati cases use
+// the bundled Noto fonts, which also include Latin for lab names and units.
+const PDF_FONTS = {
+  en: { regular: "Helvetica", bold: "Helvetica-Bold" },
+  hi: {
+    regular: resolveFont(
+      "@expo-google-fonts/noto-sans-devanagari/400Regular/NotoSansDevanagari_400Regular.ttf"
+    ),
+    bold: resolveFont(
+      "@expo-google-fonts/noto-sans-devanagari/700Bold/NotoSansDevanagari_700Bold.ttf"
+    ),
+  },
+  gu: {
+    regular: resolveFont(
+      "@expo-google-fonts/noto-sans-gujarati/400Regular/NotoSansGujarati_400Regular.ttf"
+    ),
+    bold: resolveFont(
+      "@expo-google-fonts/noto-sans-gujarati/700Bold/NotoSansGujarati_700Bold.ttf"
+    ),
+  },
+};
+
+/**
+ * Builds the export blocks for a case record as stored by caseStore, with
+ * headings in the case's answer language.
+ */
+export function buildCaseDocument(entry, { exportedAt = new Date() } = {}) {
+  const labels = labelsFor(entry.language);
+  const blocks = [
+    { type: "title", text: entry.title },
+    {
+      type: "meta",
+      items: [
+        labels.kinds[entry.kind] ?? entry.kind,
+        `${labels.saved} ${formatTimestamp(entry.createdAt)}`,
+        entry.model
+          ? `${labels.model} ${entry.provider ? `${entry.provider} / ` : ""}${
+              entry.model
+            }`
+          : "",
+        entry.prompt
+          ? `${labels.prompt} ${entry.prompt.id} v${entry.prompt.version}`
+          : "",
+        `${labels.exported} ${formatTimestamp(exportedAt.toISOString())}`,
+      ].filter(Boolean),
+    },
+  ];
+
+  if (entry.triage?.emergency) {
+    blocks.push({
+      type: "alert",
+      title: `${labels.possibleEmergency} ${entry.triage.recommendation.action}`,
+      items: entry.triage.flags.map(
+        (flag) => `${flag.title}: ${flag.explanation} (${flag.source})`
+      ),
+    });
+  }
+
+  if (entry.symptoms) {
+    blocks.push(
+      { type: "heading", text: labels.described },
+      { type: "paragraph", text: entry.symptoms }
+    );
+  }
+  if (entry.clinicianNotes?.length) {
+    blocks.push(
+      { type: "heading", text: labels.clinicianNotes },
+      {
+        type: "list",
+        items: entry.clinicianNotes.map(
+          (note) =>
+            `${note.text} (${note.authorName}, ${formatTimestamp(
+              note.createdAt
+            )})`
+        ),
+      }
+    );
+  } else if (entry.notes) {
+    blocks.push(
+      { type: "heading", text: labels.notes },
+      { type: "paragraph", text: entry.notes }
+    );
+  }
+
+  const structured = entry.structured;
+  if (!structured) {
+    blocks.push(
+      { type: "heading", text: labels.analysis },
+      ...entry.result
+        .split(/\n{2,}/)
+        .map((text) => text.trim())
+        .filter(Boolean)
+        .map((text) => ({ type: "paragraph", text }))
+    );
+  } else if (entry.kind === "symptoms") {
+    blocks.push(...predictionBlocks(structured, labels));
+  } else if (entry.kind === "report") {
+    blocks.push(...reportBlocks(structured, labels));
+  } else {
+    blocks.push(...combinedBlocks(structured, labels));
+  }
+
+  entry.reports.forEach((report, index) => {
+    if (!report.labs?.length) return;
+    blocks.push(
+      {
+        type: "heading",
+        text:
+          entry.reports.length > 1
+            ? `${labels.labValues}: ${labels.report} ${index + 1} (${
+                report.name
+              })`
+            : `${labels.labValues} (${report.name})`,
+      },
+      labTable(report.labs, labels)
+    );
+  });
+
+  if (entry.chat?.length) {
+    blocks.push(
+      { type: "heading", text: labels.followUpChat },
+      ...entry.chat.map((turn) => ({
+        type: "paragraph",
+        text:
+          turn.role === "user"
+            ? `${turn.authorName} (${formatTimestamp(turn.createdAt)}): ${
+                turn.text
+              }`
+            : turn.text,
+      }))
+    );
+  }
+
+  blocks.push(
+    { type: "heading", text: labels.disclaimer },
+    {
+      type: "paragraph",
+      text: structured?.disclaimer || labels.defaultDisclaimer,
+    }
+  );
+
+  return blocks;
+}
+
+export function renderMarkdown(blocks) {
+  return `${blocks
+    .map((block) => {
+      switch (block.type) {
+        case "title":
+          return `# ${block.text}`;
+        case "meta":
+          return block.items.map((item) => `_${item}_`).join("  \n");
+        case "heading":
+          return `## ${block.text}`;
+        case "alert":
+          return [
+            `> **${block.title}**`,
+            ...block.items.map((item) => `> - ${item}`),
+          ].join("\n");
+        case "list":
+          return block.items
+            .map((item, index) =>
+              block.ordered ? `${index + 1}. ${item}` : `- ${item}`
+            )
+            .join("\n");
+        case "table":
+          return [
+            `| ${block.columns.join(" | ")} |`,
+            `| ${block.columns.map(() => "---").join(" | ")} |`,
+            ...block.rows.map(
+              (row) =>
+                `| ${row
+                  .map((cell) => String(cell).replace(/\|/g, "\\|"))
+                  .join(" | ")} |`
+            ),
+          ].join("\n");
+        default:
+          return block.text;
+      }
+    })
+    .join("\n\n")}\n`;
+}
+
+export function renderText(blocks) {
+  return `${blocks
+    .map((block) => {
+      switch (block.type) {
+        case "title":
+          return `${block.text}\n${"=".repeat(
+            Math.min(block.text.length, 72)
+          )}`;
+        case "meta":
+          return block.items.join("\n");
+        case "heading":
+          return `${block.text.toUpperCase()}`;
+        case "alert":
+          return [
+            `!! ${block.title}`,
+            ...block.items.map((item) => `   - ${item}`),
+          ].join("\n");
+        case "list":
+          return block.items
+            .map((item, index) =>
+              block.ordered ? `${index + 1}. ${item}` : `- ${item}`
+            )
+            .join("\n");
+        case "table":
+          return block.rows
+            .map((row) =>
+              row
+                .map((cell, index) => `${block.columns[index]}: ${cell}`)
+                .join(", ")
+            )
+            .join("\n");
+        default:
+          return block.text;
+      }
+    })
+    .join("\n\n")}\n`;
+}
+
+/**
+ * Streams an A4 PDF of the blocks into `output` (a writable stream such as
+ * an Express response), with page numbers in the footer. `language` picks
+ * the fonts and footer text.
+ */
+export function renderPdf(blocks, output, { language = "en" } = {}) {
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: 50,
+    bufferPages: true,
+    info: { Title: blocks.find((block) => block.type === "title")?.text },
+  });
+  const fonts = PDF_FONTS[language] ?? PDF_FONTS.en;
+  doc.registerFont("regular", fonts.regular);
+  doc.registerFont("bold", fonts.bold);
+  const pdfText = language === "en" ? latinText : unicodeText;
+  doc.pipe(output);
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  for (const block of blocks) {
+    switch (block.type) {
+      case "title":
+        doc.font("bold").fontSize(18).text(pdfText(block.text));
+        doc.moveDown(0.3);
+        break;
+      case "meta":
+        doc
+          .font("regular")
+          .fontSize(9)
+          .fillColor("#555555")
+          .text(pdfText(block.items.join("  |  ")))
+          .fillColor("black");
+        doc.moveDown();
+        break;
+      case "heading":
+        ensureSpace(doc, 60);
+        doc.moveDown(0.5);
+        doc.font("bold").fontSize(13).text(pdfText(block.text));
+        doc.moveDown(0.3);
+        break;
+      case "alert":
+        renderPdfAlert(doc, block, width, pdfText);
+        break;
+      case "list":
+        doc.font("regular").fontSize(10.5);
+        block.items.forEach((item, index) => {
+          doc.text(
+            `${block.ordered ? `${index + 1}.` : "•"} ${pdfText(item)}`,
+            { indent: 10, paragraphGap: 3 }
+          );
+        });
+        break;
+      case "table":
+        renderPdfTable(doc, block, width, pdfText);
+        break;
+      default:
+        doc
+          .font("regular")
+          .fontSize(10.5)
+          .text(pdfText(block.text), { paragraphGap: 6 });
+    }
+  }
+
+  const pages = doc.bufferedPageRange();
+  for (let index = 0; index < pages.count; index += 1) {
+    doc.switchToPage(pages.start + index);
+    // Writing inside the bottom margin would otherwise add a page.
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc
+      .font("regular")
+      .fontSize(8)
+      .fillColor("#777777")
+      .text(
+        pdfText(labelsFor(language).pageFooter(index + 1, pages.count)),
+        doc.page.margins.left,
+        doc.page.height - 35,
+        { width, align: "center" }
+      )
+      .fillColor("black");
+    doc.page.margins.bottom = bottom;
+  }
+
+  doc.end();
+}
+
+function predictionBlocks(prediction, labels) {
+  return [
+    { type: "heading", text: labels.summary },
+    { type: "paragraph", text: prediction.summary },
+    { type: "heading", text: labels.possibleConditions },
+    {
+      type: "list",
+      ordered: true,
+      items: prediction.conditions.map(
+        (item) =>
+          `${item.name} (${labels.likelihoodNote(
+            labels.likelihood[item.likelihood]
+          )})${item.rationale ? `: ${item.rationale}` : ""}`
+      ),
+    },
+    ...listSection(labels.redFlags, prediction.redFlags, labels.noneIdentified),
+    ...listSection(labels.selfCare, prediction.selfCare),
+    ...listSection(labels.specialistsToContact, prediction.specialists),
+    ...listSection(labels.suggestedTests, prediction.tests),
+  ];
+}
+
+function reportBlocks(report, labels) {
+  return [
+    { type: "heading", text: report.title || labels.summary },
+    { type: "paragraph", text: report.overview },
+    ...listSection(labels.keyFindings, report.findings),
+    ...listSection(
+      labels.diagnoses,
+      report.diagnoses.map(
+        (item) =>
+          `${item.name} (${labels.confidenceNote(
+            labels.likelihood[item.confidence]
+          )})${item.rationale ? `: ${item.rationale}` : ""}`
+      )
+    ),
+    ...listSection(labels.medications, report.medications),
+    ...listSection(labels.labsMentioned, report.labs),
+    ...listSection(labels.followUp, report.followUps),
+  ];
+}
+
+function combinedBlocks(analysis, labels) {
+  return [
+    { type: "heading", text: labels.summary },
+    { type: "paragraph", text: analysis.summary },
+    { type: "heading", text: labels.conclusions },
+    {
+      type: "list",
+      ordered: true,
+      items: analysis.conclusions.map(
+        (item) =>
+          `${item.statement} (${labels.fromBasis(
+            labels.likelihood[item.likelihood],
+            labels.basis[item.basis]
+          )})${item.evidence.length ? `: ${item.evidence.join("; ")}` : ""}`
+      ),
+    },
+    ...listSection(
+      labels.redFlags,
+      analysis.redFlags.map(
+        (flag) => `${flag.text} (${labels.flagBasis(labels.basis[flag.basis])})`
+      ),
+      labels.noneIdentified
+    ),
+    ...listSection(labels.discrepancies, analysis.discrepancies),
+    ...listSection(labels.nextSteps, analysis.nextSteps),
+    ...listSection(labels.specialistsToContact, analysis.specialists),
+  ];
+}
+
+function listSection(title, items, emptyText = "") {
+  if (!items.length && !emptyText) return [];
+  return [
+    { type: "heading", text: title },
+    items.length
+      ? { type: "list", items }
+      : { type: "paragraph", text: emptyText },
+  ];
+}
+
+function labTable(labs, labels) {
+  return {
+    type: "table",
+    columns: labels.labColumns,
+    rows: labs.map((lab) => [
+      lab.label,
+      `${lab.qualifier ?? ""}${lab.value} ${lab.unit}`,
+      formatRange(lab.referenceRange),
+      lab.flag ?? "-",
+      lab.collectedAt ?? "-",
+    ]),
+  };
+}
+
+function renderPdfAlert(doc, block, width, pdfText) {
+  const padding = 10;
+  const text = [block.title, ...block.items.map((item) => `• ${item}`)]
+    .map(pdfText)
+    .join("\n");
+  doc.font("bold").fontSize(10.5);
+  const height = doc.heightOfString(text, { width: width - 2 * padding });
+  ensureSpace(doc, height + 2 * padding);
+
+  const top = doc.y;
+  doc
+    .save()
+    .lineWidth(1.5)
+    .strokeColor("#b91c1c")
+    .fillColor("#fee2e2")
+    .rect(doc.page.margins.left, top, width, height + 2 * padding)
+    .fillAndStroke()
+    .restore();
+  doc
+    .fillColor("#7f1d1d")
+    .text(text, doc.page.margins.left + padding, top + padding, {
+      width: width - 2 * padding,
+    })
+    .fillColor("black");
+  doc.x = doc.page.margins.left;
+  doc.y = top + height + 2 * padding;
+  doc.moveDown();
+}
+
+function renderPdfTable(doc, block, width, pdfText) {
+  const columnWidth = width / block.columns.length;
+  const left = doc.page.margins.left;
+
+  const drawRow = (cells, font) => {
+    doc.font(font).fontSize(9);
+    const texts = cells.map((cell) => pdfText(String(cell)));
+    const height =
+      Math.max(
+        ...texts.map((text) =>
+          doc.heightOfString(text, { width: columnWidth - 6 })
+        )
+      ) + 6;
+    ensureSpace(doc, height);
+    const top = doc.y;
+    texts.forEach((text, index) => {
+      doc.text(text, left + index * columnWidth, top + 3, {
+        width: columnWidth - 6,
+      });
+    });
+    doc
+      .moveTo(left, top + height)
+      .lineTo(left + width, top + height)
+      .lineWidth(0.5)
+      .strokeColor("#cccccc")
+      .stroke();
+    doc.x = left;
+    doc.y = top + height;
+  };
+
+  drawRow(block.columns, "bold");
+  block.rows.forEach((row) => drawRow(row, "regular"));
+  doc.moveDown();
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+}
+
+// The built-in PDF fonts only cover Windows-1252, so common symbols outside
+// it are spelled out rather than printed as blanks.
+function latinText(text) {
+  return spellSymbols(text)
+    .replace(/[–−]/g, "-")
+    .replace(/[^\u0000-ÿ–-…€]/g, "");
+}
+
+// The Noto fonts cover their script and Latin but lack a few symbols.
+function unicodeText(text) {
+  return spellSymbols(text)
+    .replace(/²/g, "2")
+    .replace(/³/g, "3")
+    .replace(/µ/g, "u");
+}
+
+function spellSymbols(text) {
+  return text.replace(/≥/g, ">=").replace(/≤/g, "<=").replace(/→/g, "->");
+}
+
+function formatRange(range) {
+  if (!range) return "-";
+  if (range.low !== null && range.high !== null) {
+    return `${range.low} - ${range.high}`;
+  }
+  return range.high !== null ? `< ${range.high}` : `> ${range.low}`;
+}
+
+function formatTimestamp(iso) {
+  return `${iso.slice(0, 16).replace("T", " ")} UTC`;
+}
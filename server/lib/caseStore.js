@@ -0,0 +1,335 @@
+import { randomUUID } from "crypto";
+import { validateIntake } from "./intake.js";
+import { createJsonCollection } from "./jsonCollection.js";
+import { extractLabs } from "./labExtractor.js";
+import { DEFAULT_LANGUAGE, validateLanguage } from "./locales.js";
+import {
+  COMBINED_SCHEMA,
+  PREDICTION_SCHEMA,
+  REPORT_SCHEMA,
+} from "./schemas.js";
+import { validateStructured } from "./structuredOutput.js";
+
+// File-backed case history, one JSON document under server/data.
+
+export const CASE_KINDS = ["symptoms", "report", "combined"];
+
+const CASE_SCHEMAS = {
+  symptoms: PREDICTION_SCHEMA,
+  report: REPORT_SCHEMA,
+  combined: COMBINED_SCHEMA,
+};
+
+// Notes are not editable; clinicians add attributed notes instead.
+const EDITABLE_FIELDS = ["title"];
+const MAX_TITLE_CHARS = 120;
+const MAX_NOTE_CHARS = 4000;
+const MAX_CHAT_MESSAGE_CHARS = 2000;
+
+/**
+ * Case shape:
+ * `{ id, kind, title, ownerId, patientId, symptoms, intake, notes,
+ *    clinicianNotes, reports, result, structured, triage, medicationSafety,
+ *    language, provider, model, prompt, chat, createdAt, updatedAt }`
+ * where `ownerId` is the account that ran the analysis, `notes` is the
+ * context sent to the model, `medicationSafety` is the drug check from
+ * medicationSafety.js (null for older cases), `language` is the answer
+ * language (see locales.js), `prompt` is the `{ id, version }` of the
+ * prompt template (see prompts.js), each clinician note is `{ id,
+ * authorId, authorName, text, createdAt }`, each report is `{ name,
+ * mimetype, size, text, labs, extraction, coverage }` and `chat` holds the
+ * follow-up conversation: each turn is `{ id, role, text, createdAt }`,
+ * where a "user" turn adds `authorId` and `authorName` and an "assistant"
+ * turn adds `reply` (the structured answer or null), `triage`, `language`
+ * and `prompt`.
+ */
+export function createCaseStore({ file }) {
+  const { load, persist } = createJsonCollection({ file, key: "cases" });
+
+  return {
+    // `access` limits the list to cases owned by `userId` or attached to one
+    // of `patientIds`.
+    async list({ query = "", kind, patientId, access } = {}) {
+      const cases = await load();
+      const needle = query.trim().toLowerCase();
+      return cases
+        .filter(
+          (entry) =>
+            !access ||
+            entry.ownerId === access.userId ||
+            access.patientIds.includes(entry.patientId)
+        )
+        .filter((entry) => !kind || entry.kind === kind)
+        .filter((entry) => !patientId || entry.patientId === patientId)
+        .filter((entry) => !needle || searchText(entry).includes(needle))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(summarizeCase);
+    },
+
+    // Full records, oldest first, for building a patient's timeline.
+    async forPatient(patientId) {
+      const cases = await load();
+      return cases
+        .filter((entry) => entry.patientId === patientId)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    },
+
+    async get(id) {
+      const cases = await load();
+      return cases.find((entry) => entry.id === id) ?? null;
+    },
+
+    async create(input) {
+      const cases = await load();
+      const now = new Date().toISOString();
+      const entry = {
+        id: randomUUID(),
+        kind: input.kind,
+        title: deriveTitle(input),
+        ownerId: input.ownerId ?? null,
+        patientId: input.patientId ?? null,
+        symptoms: input.symptoms ?? "",
+        intake: input.intake ?? null,
+        notes: input.notes ?? "",
+        clinicianNotes: input.clinicianNotes ?? [],
+        reports: input.reports ?? [],
+        result: input.result ?? "",
+        structured: input.structured ?? null,
+        triage: input.triage ?? null,
+        medicationSafety: input.medicationSafety ?? null,
+        language: input.language ?? DEFAULT_LANGUAGE,
+        provider: input.provider ?? null,
+        model: input.model ?? null,
+        prompt: input.prompt ?? null,
+        chat: [],
+        createdAt: now,
+        updatedAt: now,
+      };
+      cases.push(entry);
+      await persist(cases);
+      return entry;
+    },
+
+    async update(id, patch) {
+      const cases = await load();
+      const entry = cases.find((item) => item.id === id);
+      if (!entry) return null;
+      for (const field of EDITABLE_FIELDS) {
+        if (typeof patch[field] === "string") {
+          entry[field] =
+            field === "title"
+              ? patch.title.trim().slice(0, MAX_TITLE_CHARS) || entry.title
+              : patch[field];
+        }
+      }
+      // The route checks who may attach a case; detaching is not supported.
+      if (typeof patch.patientId === "string" && patch.patientId) {
+        entry.patientId = patch.patientId;
+      }
+      entry.updatedAt = new Date().toISOString();
+      await persist(cases);
+      return entry;
+    },
+
+    async addNote(id, note) {
+      const cases = await load();
+      const entry = cases.find((item) => item.id === id);
+      if (!entry) return null;
+      entry.clinicianNotes = [...(entry.clinicianNotes ?? []), note];
+      entry.updatedAt = new Date().toISOString();
+      await persist(cases);
+      return note;
+    },
+
+    async addChatTurns(id, turns) {
+      const cases = await load();
+      const entry = cases.find((item) => item.id === id);
+      if (!entry) return null;
+      entry.chat = [...(entry.chat ?? []), ...turns];
+      entry.updatedAt = new Date().toISOString();
+      await persist(cases);
+      return turns;
+    },
+
+    async remove(id) {
+      const cases = await load();
+      const index = cases.findIndex((entry) => entry.id === id);
+      if (index === -1) return false;
+      cases.splice(index, 1);
+      await persist(cases);
+      return true;
+    },
+  };
+}
+
+/**
+ * Checks a client-supplied case before it is stored. Returns
+ * `{ errors, values }` like the other request validators. `structured` must
+ * match the response schema for the case kind and `intake` is validated like
+ * a guided intake; report labs are parsed again from the report text. The
+ * triage is not taken from the client at all (the route recomputes it), nor
+ * is the prompt template, which only the server knows.
+ */
+export function validateCaseInput(body) {
+  const errors = [];
+  if (!CASE_KINDS.includes(body.kind)) {
+    errors.push(`kind must be one of: ${CASE_KINDS.join(", ")}.`);
+  }
+  if (typeof body.result !== "string" || !body.result.trim()) {
+    errors.push("result is required.");
+  }
+  if (body.kind !== "report" && !body.symptoms?.trim?.()) {
+    errors.push("symptoms are required for symptom and combined cases.");
+  }
+  if (
+    body.reports !== undefined &&
+    (!Array.isArray(body.reports) ||
+      !body.reports.every(
+        (report) =>
+          typeof report?.name === "string" && typeof report.text === "string"
+      ))
+  ) {
+    errors.push("reports must be an array of { name, text }.");
+  }
+  const { errors: languageErrors, language } = validateLanguage(body.language);
+  errors.push(...languageErrors);
+
+  if (
+    body.structured !== undefined &&
+    body.structured !== null &&
+    CASE_SCHEMAS[body.kind] &&
+    validateStructured(body.structured, CASE_SCHEMAS[body.kind]).length
+  ) {
+    errors.push(`structured does not match the ${body.kind} response.`);
+  }
+
+  let intake = null;
+  if (body.intake !== undefined && body.intake !== null) {
+    const result = validateIntake(body.intake);
+    errors.push(...result.errors);
+    intake = result.values;
+  }
+
+  return {
+    errors,
+    values: {
+      kind: body.kind,
+      title: typeof body.title === "string" ? body.title : undefined,
+      patientId: typeof body.patientId === "string" ? body.patientId : null,
+      symptoms: typeof body.symptoms === "string" ? body.symptoms : "",
+      intake,
+      notes: typeof body.notes === "string" ? body.notes : "",
+      reports: Array.isArray(body.reports)
+        ? body.reports.map((report) => ({
+            name: report?.name,
+            mimetype:
+              typeof report?.mimetype === "string" ? report.mimetype : null,
+            size: Number.isFinite(report?.size) ? report.size : null,
+            text: report?.text,
+            labs:
+              typeof report?.text === "string" ? extractLabs(report.text) : [],
+            extraction: null,
+            coverage: null,
+          }))
+        : [],
+      result: body.result,
+      structured: body.structured ?? null,
+      language,
+      provider: typeof body.provider === "string" ? body.provider : null,
+      model: typeof body.model === "string" ? body.model : null,
+    },
+  };
+}
+
+/**
+ * Checks a clinician note. Returns `{ errors, values }` with the trimmed text.
+ */
+export function validateNoteInput(body = {}) {
+  const text = typeof body.text === "string" ? body.text.trim() : "";
+  if (!text) return { errors: ["Note text is required."], values: {} };
+  if (text.length > MAX_NOTE_CHARS) {
+    return {
+      errors: [`Notes are limited to ${MAX_NOTE_CHARS} characters.`],
+      values: {},
+    };
+  }
+  return { errors: [], values: { text } };
+}
+
+/**
+ * Checks a follow-up question about a case. Returns `{ errors, values }`
+ * with the trimmed `message` and the answer `language`.
+ */
+export function validateChatInput(body = {}) {
+  const { errors, language } = validateLanguage(body.language);
+  const message = typeof body.message === "string" ? body.message.trim() : "";
+  if (!message) errors.push("A question is required.");
+  if (message.length > MAX_CHAT_MESSAGE_CHARS) {
+    errors.push(
+      `Questions are limited to ${MAX_CHAT_MESSAGE_CHARS} characters.`
+    );
+  }
+  return { errors, values: { message, language } };
+}
+
+// One turn of a case's follow-up conversation, as stored on the case.
+export function chatTurn(role, text, fields = {}) {
+  return {
+    id: randomUUID(),
+    role,
+    text,
+    ...fields,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+// A clinician note as stored on a case, attributed to its author.
+export function attributedNote(author, text) {
+  return {
+    id: randomUUID(),
+    authorId: author.id,
+    authorName: author.name,
+    text,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+function deriveTitle(input) {
+  const candidate =
+    input.title?.trim() ||
+    input.structured?.title?.trim() ||
+    input.symptoms?.trim() ||
+    input.reports?.map((report) => report.name).join(", ") ||
+    "Untitled case";
+  return candidate.length > MAX_TITLE_CHARS
+    ? `${candidate.slice(0, MAX_TITLE_CHARS - 1)}…`
+    : candidate;
+}
+
+function searchText(entry) {
+  return [
+    entry.title,
+    entry.symptoms,
+    entry.notes,
+    ...(entry.clinicianNotes ?? []).map((note) => note.text),
+    entry.result,
+    ...entry.reports.map((report) => report.name),
+  ]
+    .join("\n")
+    .toLowerCase();
+}
+
+function summarizeCase(entry) {
+  return {
+    id: entry.id,
+    kind: entry.kind,
+    title: entry.title,
+    ownerId: entry.ownerId ?? null,
+    patientId: entry.patientId ?? null,
+    reportNames: entry.reports.map((report) => report.name),
+    emergency: Boolean(entry.triage?.emergency),
+    model: entry.model,
+    createdAt: entry.createdAt,
+    updatedAt: entry.updatedAt,
+  };
+}
@@ -0,0 +1,121 @@
+// Splits long report text into chunks that respect section boundaries, so a
+// lab table or discharge plan is summarized as one unit instead of being cut
+// mid-way.
+
+export const SINGLE_PASS_CHARS = 8000;
+export const CHUNK_CHARS = 6000;
+// Upper bound on model calls for one upload; anything beyond is reported as
+// not analyzed rather than silently dropped.
+export const MAX_CHUNKS = 12;
+
+const KNOWN_HEADINGS =
+  /^(?:discharge\s+summary|history|hpi|presenting\s+complaints?|chief\s+complaint|examination|investigations?|lab(?:oratory)?\s+(?:results|investigations|data)|results|impression|assessment|diagnos[ie]s|final\s+diagnosis|course\s+in\s+hospital|hospital\s+course|treatment|medications?|discharge\s+medications?|plan|advice|follow[\s-]?up|recommendations?)\b/i;
+
+function isHeading(line) {
+  const text = line.trim();
+  if (!text || text.length > 60) return false;
+  if (
+    KNOWN_HEADINGS.test(text) &&
+    !/[.,;]$/.test(text) &&
+    text.split(/\s+/).length <= 5
+  ) {
+    return true;
+  }
+  // "RENAL FUNCTION TEST" or "Plan:" on its own line.
+  const letters = text.replace(/[^a-z]/gi, "");
+  return (
+    (letters.length >= 4 &&
+      text === text.toUpperCase() &&
+      !/\d{2,}/.test(text)) ||
+    /^[A-Z][A-Za-z /&-]{2,40}:$/.test(text)
+  );
+}
+
+/**
+ * Returns `{ chunks, skipped }` where each chunk is
+ * `{ index, heading, text }` and `skipped` counts chunks over MAX_CHUNKS.
+ */
+export function chunkReport(text, { maxChars = CHUNK_CHARS } = {}) {
+  const sections = splitSections(text);
+  const pieces = sections.flatMap((section) =>
+    splitOversized(section, maxChars)
+  );
+
+  const chunks = [];
+  let current = null;
+  for (const piece of pieces) {
+    if (current && current.text.length + piece.text.length + 2 <= maxChars) {
+      current.text += `\n\n${piece.text}`;
+      if (piece.heading && !current.headings.includes(piece.heading)) {
+        current.headings.push(piece.heading);
+      }
+      continue;
+    }
+    current = {
+      headings: piece.heading ? [piece.heading] : [],
+      text: piece.text,
+    };
+    chunks.push(current);
+  }
+
+  return {
+    chunks: chunks.slice(0, MAX_CHUNKS).map((chunk, index) => ({
+      index: index + 1,
+      heading: chunk.headings.join(" / ") || null,
+      text: chunk.text,
+    })),
+    skipped: Math.max(chunks.length - MAX_CHUNKS, 0),
+  };
+}
+
+function splitSections(text) {
+  const sections = [];
+  let current = { heading: null, lines: [] };
+
+  for (const line of text.split(/\r?\n/)) {
+    if (isHeading(line) && current.lines.some((entry) => entry.trim())) {
+      sections.push(current);
+      current = { heading: line.trim().replace(/:$/, ""), lines: [line] };
+      continue;
+    }
+    if (isHeading(line) && !current.heading) {
+      current.heading = line.trim().replace(/:$/, "");
+    }
+    current.lines.push(line);
+  }
+  sections.push(current);
+
+  return sections
+    .map((section) => ({
+      heading: section.heading,
+      text: section.lines.join("\n").trim(),
+    }))
+    .filter((section) => section.text);
+}
+
+function splitOversized(section, maxChars) {
+  if (section.text.length <= maxChars) return [section];
+
+  const pieces = [];
+  let buffer = "";
+  for (const paragraph of section.text.split(/\n{2,}|\n(?=\S)/)) {
+    for (const part of hardWrap(paragraph, maxChars)) {
+      if (buffer && buffer.length + part.length + 1 > maxChars) {
+        pieces.push({ heading: section.heading, text: buffer });
+        buffer = "";
+      }
+      buffer = buffer ? `${buffer}\n${part}` : part;
+    }
+  }
+  if (buffer) pieces.push({ heading: section.heading, text: buffer });
+  return pieces;
+}
+
+function hardWrap(text, maxChars) {
+  if (text.length <= maxChars) return [text];
+  const parts = [];
+  for (let start = 0; start < text.length; start += maxChars) {
+    parts.push(text.slice(start, start + maxChars));
+  }
+  return parts;
+}
@@ -0,0 +1,495 @@
+import { existsSync, readFileSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { PHI_CATEGORIES } from "./deidentify.js";
+import {
+  ACCEPTED_REPORT_EXTENSIONS,
+  ACCEPTED_REPORT_TYPES,
+} from "./reportText.js";
+import { PROMPT_TASKS, resolvePromptTemplate } from "./prompts.js";
+import { CACHE_BACKENDS } from "./responseCache.js";
+
+// Every setting the server reads, checked once at startup. Values come from
+// the environment first, then from an optional JSON file (CONFIG_FILE, or
+// server/config.json when present), then from the defaults below. Secrets
+// belong in the environment; there is no built-in API key to fall back on.
+
+export const ENVIRONMENTS = ["development", "test", "production"];
+export const PROVIDERS = ["gemini", "openai", "mock"];
+
+const SERVER_DIR = fileURLToPath(new URL("..", import.meta.url));
+const DEFAULT_CONFIG_FILE = path.join(SERVER_DIR, "config.json");
+const MIN_PRODUCTION_SECRET_CHARS = 32;
+// The Vite dev server; production builds are served from the same origin.
+const DEVELOPMENT_ORIGINS = ["http://localhost:5173", "http://127.0.0.1:5173"];
+// Templates each task uses unless configured otherwise (see prompts.js).
+const DEFAULT_PROMPTS = {
+  predict: "predict-clinician",
+  report: "report-summary",
+  combined: "combined-evidence",
+  "report-chunk": "report-chunk-notes",
+  chat: "case-chat",
+};
+// Values copied from examples rather than a real key.
+const PLACEHOLDER_KEY =
+  /^(your[\s_-].*|changeme|change[\s_-]me|replace[\s_-]?me|x+|todo)$/i;
+
+// Generation parameters per task, in the Gemini-style names providers take.
+// Only the config file can override these.
+const DEFAULT_GENERATION = {
+  prediction: { temperature: 0.6, topK: 32, topP: 0.9, maxOutputTokens: 768 },
+  report: { temperature: 0.4, topK: 32, topP: 0.9, maxOutputTokens: 1024 },
+  combined: { temperature: 0.4, topK: 32, topP: 0.9, maxOutputTokens: 1280 },
+  reportChunk: { temperature: 0.2, topK: 32, topP: 0.9, maxOutputTokens: 512 },
+  chat: { temperature: 0.4, topK: 32, topP: 0.9, maxOutputTokens: 768 },
+};
+
+const GENERATION_LIMITS = {
+  temperature: { min: 0, max: 2 },
+  topK: { min: 1, max: 100, integer: true },
+  topP: { min: 0, max: 1 },
+  maxOutputTokens: { min: 1, max: 8192, integer: true },
+};
+
+/**
+ * Config shape:
+ * `{ env, isProduction, port,
+ *    provider: { name, gemini, openai, mock, recordDir },
+ *    generation: { prediction, report, combined, reportChunk, chat },
+ *    uploads: { maxFileBytes, maxReports, acceptedTypes, acceptedExtensions,
+ *      ocrMinConfidence },
+ *    storage: { casesFile, patientsFile, usersFile },
+ *    auth: { secret, clinicianInviteCode, secureCookies },
+ *    phi: { enabled, detectors, dictionaryFile, nerUrl, nerMinScore },
+ *    http: { corsOrigins, jsonLimitBytes, trustProxy },
+ *    rateLimits: { api, auth, analysis },
+ *    modelCalls: { timeoutMs, maxRetries, retryBaseMs, retryMaxMs,
+ *      breakerThreshold, breakerCooldownMs },
+ *    cache: { backend, file, ttlMs, maxEntries, parsedReports },
+ *    prompts: { predict, report, combined, "report-chunk", chat } }`
+ * where each rate limit is `{ windowMs, perIp }` and `analysis` also has
+ * `perUser` and `dailyPerUser`; a limit of 0 is off. A `breakerThreshold` of
+ * 0 disables the circuit breaker. `cache.parsedReports` is how many parsed
+ * uploads are kept in memory (0 is off); they are never written to disk.
+ * Each `prompts` entry is the default template reference for that task (see
+ * prompts.js). `provider.recordDir` is "" unless answers are being recorded
+ * as mock fixtures.
+ *
+ * Throws an error with `code: "INVALID_CONFIG"` listing every problem found,
+ * so a misconfigured server fails at boot rather than on the first request.
+ */
+export function loadConfig(env = process.env) {
+  const errors = [];
+  const warnings = [];
+  const file = readConfigFile(env.CONFIG_FILE, errors);
+
+  const fromEnv = (name) =>
+    Boolean(name) && env[name] !== undefined && env[name] !== "";
+
+  // Env var first, then the config file entry at `keyPath`.
+  const read = (name, keyPath) =>
+    fromEnv(name)
+      ? env[name]
+      : keyPath.split(".").reduce((node, key) => node?.[key], file);
+
+  const text = (name, keyPath, fallback = "") => {
+    const value = read(name, keyPath);
+    return value === undefined || value === null
+      ? fallback
+      : String(value).trim();
+  };
+
+  const number = (name, keyPath, fallback, { min, max, integer = false }) => {
+    const raw = read(name, keyPath);
+    if (raw === undefined || raw === null || raw === "") return fallback;
+    const value = Number(raw);
+    if (
+      !Number.isFinite(value) ||
+      value < min ||
+      value > max ||
+      (integer && !Number.isInteger(value))
+    ) {
+      errors.push(
+        `${fromEnv(name) ? name : keyPath} must be ${
+          integer ? "an integer" : "a number"
+        } from ${min} to ${max}.`
+      );
+      return fallback;
+    }
+    return value;
+  };
+
+  // Comma-separated in the environment, an array in the config file.
+  const list = (name, keyPath) => {
+    const value = read(name, keyPath);
+    if (value === undefined || value === null || value === "") return null;
+    return (Array.isArray(value) ? value : String(value).split(","))
+      .map((item) => String(item).trim())
+      .filter(Boolean);
+  };
+
+  const oneOf = (name, keyPath, options, fallback) => {
+    const value = text(name, keyPath, fallback).toLowerCase();
+    if (!options.includes(value)) {
+      errors.push(`${name} must be one of: ${options.join(", ")}.`);
+      return fallback;
+    }
+    return value;
+  };
+
+  const environment = oneOf("NODE_ENV", "env", ENVIRONMENTS, "development");
+  const isProduction = environment === "production";
+
+  const recordDir = text("LLM_RECORD_DIR", "provider.recordDir");
+  const provider = {
+    name: oneOf("LLM_PROVIDER", "provider.name", PROVIDERS, "gemini"),
+    gemini: {
+      apiKey: text("GEMINI_API_KEY", "provider.gemini.apiKey"),
+      model: text(
+        "GEMINI_MODEL",
+        "provider.gemini.model",
+        "gemini-2.0-flash-lite-001"
+      ),
+    },
+    openai: {
+      baseUrl: text(
+        "OPENAI_BASE_URL",
+        "provider.openai.baseUrl",
+        "http://localhost:11434/v1"
+      ),
+      apiKey: text("OPENAI_API_KEY", "provider.openai.apiKey"),
+      model: text("OPENAI_MODEL", "provider.openai.model", "llama3.1"),
+    },
+    mock: {
+      fixturesDir: path.resolve(
+        text(
+          "MOCK_FIXTURES_DIR",
+          "provider.mock.fixturesDir",
+          path.join(SERVER_DIR, "fixtures/mock")
+        )
+      ),
+    },
+    recordDir: recordDir && path.resolve(recordDir),
+  };
+
+  if (provider.name === "gemini" && !isRealKey(provider.gemini.apiKey)) {
+    if (isProduction) {
+      errors.push("GEMINI_API_KEY must be set to a real key in production.");
+    } else {
+      warnings.push(
+        "GEMINI_API_KEY is not set; Gemini requests will fail until it is."
+      );
+    }
+  }
+
+  const generation = Object.fromEntries(
+    Object.entries(DEFAULT_GENERATION).map(([task, defaults]) => [
+      task,
+      Object.fromEntries(
+        Object.entries(defaults).map(([key, fallback]) => [
+          key,
+          number(
+            null,
+            `generation.${task}.${key}`,
+            fallback,
+            GENERATION_LIMITS[key]
+          ),
+        ])
+      ),
+    ])
+  );
+
+  const uploads = {
+    maxFileBytes:
+      number("MAX_UPLOAD_MB", "uploads.maxFileMb", 8, { min: 1, max: 50 }) *
+      1024 *
+      1024,
+    maxReports: number("MAX_COMBINED_REPORTS", "uploads.maxReports", 5, {
+      min: 1,
+      max: 20,
+      integer: true,
+    }),
+    acceptedTypes: ACCEPTED_REPORT_TYPES,
+    acceptedExtensions: ACCEPTED_REPORT_EXTENSIONS,
+    ocrMinConfidence: number(
+      "OCR_MIN_CONFIDENCE",
+      "uploads.ocrMinConfidence",
+      70,
+      { min: 0, max: 100 }
+    ),
+  };
+
+  const storage = {
+    casesFile: dataFile(text("CASES_DB_FILE", "storage.casesFile"), "cases"),
+    patientsFile: dataFile(
+      text("PATIENTS_DB_FILE", "storage.patientsFile"),
+      "patients"
+    ),
+    usersFile: dataFile(text("USERS_DB_FILE", "storage.usersFile"), "users"),
+  };
+
+  const auth = {
+    secret: text("AUTH_SECRET", "auth.secret"),
+    clinicianInviteCode: text(
+      "CLINICIAN_INVITE_CODE",
+      "auth.clinicianInviteCode"
+    ),
+    secureCookies: isProduction,
+  };
+  if (isProduction && auth.secret.length < MIN_PRODUCTION_SECRET_CHARS) {
+    errors.push(
+      `AUTH_SECRET must be at least ${MIN_PRODUCTION_SECRET_CHARS} characters in production.`
+    );
+  }
+
+  const phi = {
+    enabled: text("PHI_REDACTION", "phi.redaction", "on") !== "off",
+    detectors: list("PHI_DETECTORS", "phi.detectors") ?? PHI_CATEGORIES,
+    dictionaryFile: text("PHI_DICTIONARY_FILE", "phi.dictionaryFile"),
+    nerUrl: text("PHI_NER_URL", "phi.nerUrl"),
+    nerMinScore: number("PHI_NER_MIN_SCORE", "phi.nerMinScore", 0.6, {
+      min: 0,
+      max: 1,
+    }),
+  };
+  const unknownDetectors = phi.detectors.filter(
+    (name) => !PHI_CATEGORIES.includes(name)
+  );
+  if (unknownDetectors.length) {
+    errors.push(
+      `PHI_DETECTORS has unknown entries (${unknownDetectors.join(
+        ", "
+      )}); use ${PHI_CATEGORIES.join(", ")}.`
+    );
+  }
+
+  const http = {
+    corsOrigins:
+      list("CORS_ORIGINS", "http.corsOrigins") ??
+      (isProduction ? [] : DEVELOPMENT_ORIGINS),
+    jsonLimitBytes:
+      number("JSON_BODY_LIMIT_KB", "http.jsonLimitKb", 1024, {
+        min: 1,
+        max: 10240,
+        integer: true,
+      }) * 1024,
+    trustProxy: number("TRUST_PROXY", "http.trustProxy", 0, {
+      min: 0,
+      max: 10,
+      integer: true,
+    }),
+  };
+  const badOrigins = http.corsOrigins.filter((origin) => !isOrigin(origin));
+  if (badOrigins.length) {
+    errors.push(
+      `CORS_ORIGINS must list origins such as https://app.example.org (got ${badOrigins.join(
+        ", "
+      )}).`
+    );
+  }
+
+  const limit = (name, keyPath, fallback) =>
+    number(name, keyPath, fallback, { min: 0, max: 100000, integer: true });
+  const windowMs = (name, keyPath, fallback) =>
+    number(name, keyPath, fallback, { min: 1, max: 86400, integer: true }) *
+    1000;
+  const rateLimits = {
+    api: {
+      windowMs: windowMs(
+        "API_RATE_WINDOW_SECONDS",
+        "rateLimits.api.windowSeconds",
+        900
+      ),
+      perIp: limit("API_RATE_LIMIT", "rateLimits.api.perIp", 600),
+    },
+    auth: {
+      windowMs: windowMs(
+        "AUTH_RATE_WINDOW_SECONDS",
+        "rateLimits.auth.windowSeconds",
+        900
+      ),
+      perIp: limit("AUTH_RATE_LIMIT", "rateLimits.auth.perIp", 20),
+    },
+    analysis: {
+      windowMs: windowMs(
+        "ANALYSIS_RATE_WINDOW_SECONDS",
+        "rateLimits.analysis.windowSeconds",
+        60
+      ),
+      perIp: limit("ANALYSIS_RATE_LIMIT_IP", "rateLimits.analysis.perIp", 30),
+      perUser: limit(
+        "ANALYSIS_RATE_LIMIT_USER",
+        "rateLimits.analysis.perUser",
+        10
+      ),
+      dailyPerUser: limit(
+        "ANALYSIS_DAILY_QUOTA",
+        "rateLimits.analysis.dailyPerUser",
+        100
+      ),
+    },
+  };
+
+  const modelCalls = {
+    timeoutMs:
+      number("MODEL_TIMEOUT_SECONDS", "modelCalls.timeoutSeconds", 30, {
+        min: 1,
+        max: 600,
+      }) * 1000,
+    maxRetries: number("MODEL_MAX_RETRIES", "modelCalls.maxRetries", 2, {
+      min: 0,
+      max: 10,
+      integer: true,
+    }),
+    retryBaseMs: number("MODEL_RETRY_BASE_MS", "modelCalls.retryBaseMs", 500, {
+      min: 0,
+      max: 60000,
+      integer: true,
+    }),
+    retryMaxMs: number("MODEL_RETRY_MAX_MS", "modelCalls.retryMaxMs", 8000, {
+      min: 0,
+      max: 300000,
+      integer: true,
+    }),
+    breakerThreshold: number(
+      "MODEL_BREAKER_THRESHOLD",
+      "modelCalls.breakerThreshold",
+      5,
+      { min: 0, max: 1000, integer: true }
+    ),
+    breakerCooldownMs:
+      number(
+        "MODEL_BREAKER_COOLDOWN_SECONDS",
+        "modelCalls.breakerCooldownSeconds",
+        30,
+        { min: 1, max: 3600, integer: true }
+      ) * 1000,
+  };
+
+  const cache = {
+    backend: oneOf("RESPONSE_CACHE", "cache.backend", CACHE_BACKENDS, "memory"),
+    file: dataFile(text("RESPONSE_CACHE_FILE", "cache.file"), "response-cache"),
+    ttlMs:
+      number("RESPONSE_CACHE_TTL_MINUTES", "cache.ttlMinutes", 1440, {
+        min: 1,
+        max: 43200,
+      }) * 60000,
+    maxEntries: number("RESPONSE_CACHE_MAX_ENTRIES", "cache.maxEntries", 500, {
+      min: 1,
+      max: 100000,
+      integer: true,
+    }),
+    parsedReports: number(
+      "PARSED_REPORT_CACHE_ENTRIES",
+      "cache.parsedReports",
+      20,
+      { min: 0, max: 1000, integer: true }
+    ),
+  };
+
+  if (cache.backend === "file" && !phi.enabled) {
+    warnings.push(
+      "RESPONSE_CACHE=file with PHI_REDACTION=off writes answers that may name patients to disk."
+    );
+  }
+  if (provider.recordDir && !phi.enabled) {
+    warnings.push(
+      "LLM_RECORD_DIR with PHI_REDACTION=off writes answers that may name patients to disk."
+    );
+  }
+
+  const prompts = Object.fromEntries(
+    PROMPT_TASKS.map((task) => {
+      const name = `${task.replace("-", "_").toUpperCase()}_PROMPT_TEMPLATE`;
+      const ref = text(name, `prompts.${task}`, DEFAULT_PROMPTS[task]);
+      const { error } = resolvePromptTemplate(task, ref);
+      if (error)
+        errors.push(`${fromEnv(name) ? name : `prompts.${task}`}: ${error}`);
+      return [task, ref];
+    })
+  );
+
+  const port = number("PORT", "port", 5000, {
+    min: 0,
+    max: 65535,
+    integer: true,
+  });
+
+  if (errors.length) {
+    throw Object.assign(
+      new Error(`Invalid configuration:\n- ${errors.join("\n- ")}`),
+      { code: "INVALID_CONFIG", errors }
+    );
+  }
+  for (const warning of warnings) console.warn(warning);
+
+  return deepFreeze({
+    env: environment,
+    isProduction,
+    port,
+    provider,
+    generation,
+    uploads,
+    storage,
+    auth,
+    phi,
+    http,
+    rateLimits,
+    modelCalls,
+    cache,
+    prompts,
+  });
+}
+
+// The settings the browser may see, served by GET /api/config.
+export function publicConfig(config) {
+  return {
+    uploads: {
+      maxFileBytes: config.uploads.maxFileBytes,
+      maxReports: config.uploads.maxReports,
+      acceptedTypes: config.uploads.acceptedTypes,
+      acceptedExtensions: config.uploads.acceptedExtensions,
+    },
+  };
+}
+
+function readConfigFile(file, errors) {
+  const resolved = file ? path.resolve(file) : DEFAULT_CONFIG_FILE;
+  if (!file && !existsSync(resolved)) return {};
+  try {
+    const parsed = JSON.parse(readFileSync(resolved, "utf-8"));
+    if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) {
+      return parsed;
+    }
+    errors.push(`Config file ${resolved} must contain a JSON object.`);
+  } catch (error) {
+    errors.push(`Config file ${resolved} could not be read: ${error.message}`);
+  }
+  return {};
+}
+
+function isRealKey(value) {
+  return Boolean(value) && !PLACEHOLDER_KEY.test(value);
+}
+
+function isOrigin(value) {
+  try {
+    return new URL(value).origin === value;
+  } catch {
+    return false;
+  }
+}
+
+function dataFile(value, name) {
+  return value
+    ? path.resolve(value)
+    : path.join(SERVER_DIR, "data", `${name}.json`);
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === "object" && !Object.isFrozen(value)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
@@ -0,0 +1,479 @@
+import { readFile } from "fs/promises";
+import fetch from "node-fetch";
+
+// Replaces patient identifiers in text with stable placeholders such as
+// [NAME_1] before it is sent to a model provider, and puts the original
+// values back into the model's answer. Clinical dates (collection, admission)
+// are left alone on purpose: trends and staging depend on them, and only the
+// date of birth is identifying on its own.
+
+export const PHI_CATEGORIES = [
+  "name",
+  "mrn",
+  "dob",
+  "phone",
+  "email",
+  "address",
+  "insurance",
+  "identifier",
+];
+
+// Words that often follow a name on the same line and must not be eaten
+// with it ("Name: Asha Patel Age: 62").
+const NAME_STOP_WORDS = [
+  "Age",
+  "Sex",
+  "Gender",
+  "DOB",
+  "Date",
+  "MRN",
+  "UHID",
+  "Ref",
+  "Referred",
+  "Ward",
+  "Bed",
+  "Lab",
+  "Sample",
+  "ID",
+  "Reg",
+  "Mobile",
+  "Phone",
+  "Years",
+  "Yrs",
+  "Male",
+  "Female",
+];
+const NAME_TOKEN = `(?!(?:${NAME_STOP_WORDS.flatMap((word) => [
+  word,
+  word.toUpperCase(),
+]).join("|")})\\b)[A-Z][A-Za-z'.-]*`;
+const PERSON_NAME = `${NAME_TOKEN}(?:[ \\t]+${NAME_TOKEN}){0,3}`;
+const DATE_VALUE =
+  "\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}|\\d{4}-\\d{2}-\\d{2}|\\d{1,2}[ -][A-Za-z]{3,9}[ ,-]+\\d{4}";
+const ID_VALUE = "[A-Z0-9][A-Z0-9/-]*\\d[A-Z0-9/-]*";
+const HONORIFIC = "(?:Mr|Mrs|Ms|Miss|Dr|Shri|Smt|Master|Baby)\\.?\\s+";
+
+// Label text is matched case-insensitively while values keep their case
+// rules, so "NAME: Asha" and "name: Asha" both match but "name: the" does not.
+// A label must not directly follow another word, so "Test Name: Creatinine"
+// is not read as a patient name.
+const label = (...labels) =>
+  `(?<![A-Za-z][ \\t]?)(?:${labels
+    .map((text) =>
+      text
+        .replace(
+          /[a-z]/gi,
+          (char) => `[${char.toLowerCase()}${char.toUpperCase()}]`
+        )
+        .replace(/[.]/g, "\\.?")
+        .replace(/ /g, "\\s*")
+    )
+    .join("|")})`;
+const SEPARATOR = "\\s*[:#.-]?\\s*";
+
+const DETECTORS = {
+  name: [
+    new RegExp(
+      `\\b${label(
+        "patient name",
+        "patient's name",
+        "pt. name",
+        "name of patient",
+        "name"
+      )}${SEPARATOR}(?:(?:Mr|Mrs|Ms|Miss|Shri|Smt|Master|Baby)\\.?\\s+)?(?<value>${PERSON_NAME})`,
+      "gd"
+    ),
+    new RegExp(
+      // Title case only: upper-case MR and MS are also mitral regurgitation
+      // and stenosis on echo reports.
+      `\\b(?:Mr|Mrs|Ms|Miss|Shri|Smt)\\.?\\s+(?<value>${PERSON_NAME})`,
+      "gd"
+    ),
+    // Relation prefixes common on Indian reports: S/o, D/o, W/o, C/o.
+    new RegExp(`\\b[SDWCsdwc]/[Oo]\\.?\\s+(?<value>${PERSON_NAME})`, "gd"),
+  ],
+  mrn: [
+    new RegExp(
+      `\\b${label(
+        "mrn",
+        "uhid",
+        "patient id",
+        "pt. id",
+        "hospital no",
+        "reg no",
+        "registration no",
+        "ip no",
+        "op no",
+        "lab no",
+        "sample id",
+        "sample no",
+        "accession no",
+        "medical record number"
+      )}${SEPARATOR}(?<value>${ID_VALUE})`,
+      "gd"
+    ),
+  ],
+  dob: [
+    new RegExp(
+      `\\b${label(
+        "dob",
+        "d.o.b",
+        "date of birth",
+        "birth date"
+      )}${SEPARATOR}(?<value>${DATE_VALUE})`,
+      "gd"
+    ),
+  ],
+  phone: [
+    new RegExp(
+      `\\b${label(
+        "phone",
+        "mobile",
+        "mob",
+        "tel",
+        "telephone",
+        "contact",
+        "contact no",
+        "ph"
+      )}${SEPARATOR}(?<value>\\+?[\\d][\\d ()-]{6,}\\d)`,
+      "gd"
+    ),
+    /(?<!\d)(?<value>\+91[\s-]?[6-9]\d{4}[\s-]?\d{5})(?!\d)/dg,
+    /(?<![\d.])(?<value>[6-9]\d{9})(?![\d.])/dg,
+    /(?<!\d)(?<value>\(\d{3}\)\s?\d{3}-\d{4}|\d{3}-\d{3}-\d{4})(?!\d)/dg,
+  ],
+  email: [/(?<value>[\w.+-]+@[\w-]+(?:\.[\w-]+)+)/dg],
+  address: [
+    new RegExp(
+      `\\b${label(
+        "address",
+        "addr",
+        "residence",
+        "resident of"
+      )}${SEPARATOR}(?<value>[^\\n]{4,120})`,
+      "gd"
+    ),
+    new RegExp(
+      `\\b${label(
+        "pin",
+        "pincode",
+        "pin code",
+        "zip"
+      )}${SEPARATOR}(?<value>\\d{3}\\s?\\d{3}|\\d{5})\\b`,
+      "gd"
+    ),
+  ],
+  insurance: [
+    new RegExp(
+      `\\b${label(
+        "policy no",
+        "policy number",
+        "insurance id",
+        "insurance no",
+        "member id",
+        "claim no",
+        "tpa id",
+        "abha",
+        "abha no",
+        "aadhaar",
+        "aadhar",
+        "pan"
+      )}${SEPARATOR}(?<value>${ID_VALUE})`,
+      "gd"
+    ),
+    // Aadhaar numbers are printed as three groups of four digits.
+    /(?<![\d-])(?<value>\d{4}[ -]\d{4}[ -]\d{4})(?![\d-])/dg,
+  ],
+};
+
+// Presidio analyzer entity types and the category each one redacts as.
+// DATE_TIME is deliberately absent for the reason given above.
+const NER_CATEGORIES = {
+  PERSON: "name",
+  PHONE_NUMBER: "phone",
+  EMAIL_ADDRESS: "email",
+  LOCATION: "address",
+  US_SSN: "insurance",
+  IN_AADHAAR: "insurance",
+  IN_PAN: "insurance",
+  MEDICAL_LICENSE: "identifier",
+};
+
+/**
+ * Options: `enabled`, `detectors` (subset of PHI_CATEGORIES),
+ * `dictionaryFile` (newline-separated names that are always redacted),
+ * `nerUrl` (a local Presidio analyzer; optional) and `nerMinScore`.
+ *
+ * Use one session per request so placeholders stay consistent across the
+ * symptoms, notes and every report in that request.
+ */
+export function createDeidentifier({
+  enabled = true,
+  detectors = PHI_CATEGORIES,
+  dictionaryFile = "",
+  nerUrl = "",
+  nerMinScore = 0.6,
+} = {}) {
+  let dictionaryPromise = null;
+
+  function loadDictionary() {
+    dictionaryPromise ??= dictionaryFile
+      ? readFile(dictionaryFile, "utf-8")
+          .then((raw) =>
+            raw
+              .split(/\r?\n/)
+              .map((line) => line.trim())
+              .filter((line) => line && !line.startsWith("#"))
+          )
+          .catch((error) => {
+            console.error("PHI dictionary could not be read:", error.message);
+            return [];
+          })
+      : Promise.resolve([]);
+    return dictionaryPromise;
+  }
+
+  return {
+    enabled,
+
+    /**
+     * `names` are extra dictionary entries for this request, such as the
+     * name of the patient it is about.
+     */
+    createSession({ names = [] } = {}) {
+      const placeholders = new Map();
+      const originals = new Map();
+      const counts = {};
+      // Names seen so far as `{ tokens, name, placeholder }`, so "Ms Patel" and
+      // "Ravi Patel" share one placeholder. The session's own names start
+      // the list, so "Ms Grace" and "Smt. White" are one person too.
+      const people = names
+        .map((name) => ({ tokens: nameTokens(name), name, placeholder: null }))
+        .filter((person) => person.tokens.length > 0);
+
+      function restore(value) {
+        if (!originals.size) return value;
+        if (typeof value === "string") {
+          return value.replace(
+            /\[([A-Z]+)_(\d+)\]/g,
+            (match) => originals.get(match) ?? match
+          );
+        }
+        if (Array.isArray(value)) return value.map(restore);
+        if (value && typeof value === "object") {
+          return Object.fromEntries(
+            Object.entries(value).map(([key, item]) => [key, restore(item)])
+          );
+        }
+        return value;
+      }
+
+      function placeholderFor(category, value) {
+        if (category === "name") return placeholderForName(value);
+        const key = `${category}:${normalize(category, value)}`;
+        if (!placeholders.has(key)) {
+          placeholders.set(key, newPlaceholder(category, value));
+        }
+        return placeholders.get(key);
+      }
+
+      function newPlaceholder(category, value) {
+        counts[category] = (counts[category] ?? 0) + 1;
+        const placeholder = `[${category.toUpperCase()}_${counts[category]}]`;
+        originals.set(placeholder, value);
+        return placeholder;
+      }
+
+      // A name whose words are all part of a known name (or the reverse) is
+      // the same person. The longest form seen is what gets restored.
+      function placeholderForName(value) {
+        const tokens = nameTokens(value);
+        let person =
+          tokens.length > 0 &&
+          people.find(
+            (entry) =>
+              tokens.every((token) => entry.tokens.includes(token)) ||
+              entry.tokens.every((token) => tokens.includes(token))
+          );
+        if (!person) {
+          person = { tokens, name: value, placeholder: null };
+          people.push(person);
+        } else if (tokens.length > person.tokens.length) {
+          person.tokens = tokens;
+          person.name = value;
+        }
+        person.placeholder ??= newPlaceholder("name", person.name);
+        originals.set(person.placeholder, person.name);
+        return person.placeholder;
+      }
+
+      return {
+        async redact(text) {
+          if (!enabled || !text) return text;
+
+          const dictionary = [...(await loadDictionary()), ...names];
+          const spans = [
+            ...findPatternSpans(text, detectors),
+            ...findDictionarySpans(text, dictionary),
+            ...(nerUrl ? await findNerSpans(text, nerUrl, nerMinScore) : []),
+          ].filter((span) => detectors.includes(span.category));
+
+          let output = "";
+          let cursor = 0;
+          for (const span of resolveOverlaps(spans)) {
+            output += text.slice(cursor, span.start);
+            output += placeholderFor(
+              span.category,
+              text.slice(span.start, span.end)
+            );
+            cursor = span.end;
+          }
+          return output + text.slice(cursor);
+        },
+
+        // Puts original values back into model output: strings, arrays and
+        // plain objects are walked; unknown placeholders are left as-is.
+        restore,
+
+        get redacted() {
+          return originals.size > 0;
+        },
+
+        // Category counts only; the values themselves are never exposed.
+        summary() {
+          return { ...counts };
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Prompt line telling the model to keep placeholders intact, or "" when
+ * nothing was redacted.
+ */
+export function placeholderInstruction(session) {
+  return session.redacted
+    ? "Identifiers have been replaced with placeholders such as [NAME_1]. Keep any placeholder you mention exactly as written and never guess the real value."
+    : "";
+}
+
+function findPatternSpans(text, detectors) {
+  const spans = [];
+  for (const category of detectors) {
+    for (const pattern of DETECTORS[category] ?? []) {
+      for (const match of text.matchAll(pattern)) {
+        const [start, end] = match.indices.groups.value;
+        const trimmed = text.slice(start, end).replace(/[\s,;.]+$/, "");
+        if (!trimmed) continue;
+        spans.push({ category, start, end: start + trimmed.length });
+      }
+    }
+  }
+  return spans;
+}
+
+// A dictionary entry matches as a whole name, as written or in capitals,
+// and as just its first and last word ("Ravi Patel" for "Ravi Kumar Patel").
+// A single word of a name only counts after a title such as "Ms" or "Dr": on
+// its own, "White" or "Grace" is far more likely to be an ordinary word
+// ("White blood cells") than the patient.
+function findDictionarySpans(text, dictionary) {
+  const fullNames = new Set();
+  const parts = new Set();
+  for (const entry of dictionary) {
+    for (const form of [entry, entry.toUpperCase()]) {
+      const words = form.split(/\s+/).filter(Boolean).map(escapeRegExp);
+      if (!words.length) continue;
+      fullNames.add(words.join("\\s+"));
+      if (words.length > 2) fullNames.add(`${words[0]}\\s+${words.at(-1)}`);
+      for (const word of words) {
+        if (word.length >= 2) parts.add(word);
+      }
+    }
+  }
+  if (!fullNames.size) return [];
+
+  // Longest first so "Asha Patel" wins over "Asha".
+  const alternatives = (set) =>
+    [...set].sort((a, b) => b.length - a.length).join("|");
+  const whole = new RegExp(
+    `(?<![\\w])(?:${alternatives(fullNames)})(?![\\w])`,
+    "g"
+  );
+  const spans = [...text.matchAll(whole)].map((match) => ({
+    category: "name",
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+  if (!parts.size) return spans;
+
+  const titled = new RegExp(
+    `\\b${HONORIFIC}(?<value>${alternatives(parts)})(?![\\w])`,
+    "gd"
+  );
+  for (const match of text.matchAll(titled)) {
+    const [start, end] = match.indices.groups.value;
+    spans.push({ category: "name", start, end });
+  }
+  return spans;
+}
+
+async function findNerSpans(text, nerUrl, minScore) {
+  try {
+    const response = await fetch(`${nerUrl.replace(/\/+$/, "")}/analyze`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ text, language: "en" }),
+      signal: AbortSignal.timeout(5000),
+    });
+    if (!response.ok) {
+      throw new Error(`NER service answered ${response.status}`);
+    }
+    const entities = await response.json();
+    return entities
+      .filter(
+        (entity) =>
+          entity.score >= minScore && NER_CATEGORIES[entity.entity_type]
+      )
+      .map((entity) => ({
+        category: NER_CATEGORIES[entity.entity_type],
+        start: entity.start,
+        end: entity.end,
+      }));
+  } catch (error) {
+    // Regex and dictionary detection still apply.
+    console.error("PHI NER unavailable:", error.message);
+    return [];
+  }
+}
+
+// Keeps the earliest span at each position, preferring the longer one.
+function resolveOverlaps(spans) {
+  const sorted = [...spans].sort((a, b) => a.start - b.start || b.end - a.end);
+  const kept = [];
+  for (const span of sorted) {
+    const previous = kept[kept.length - 1];
+    if (previous && span.start < previous.end) continue;
+    kept.push(span);
+  }
+  return kept;
+}
+
+function normalize(category, value) {
+  if (category === "phone" || category === "insurance") {
+    return value.replace(/\D/g, "") || value.toLowerCase();
+  }
+  return value.toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+function nameTokens(value) {
+  return value
+    .toLowerCase()
+    .split(/[\s.]+/)
+    .filter(Boolean);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
@@ -0,0 +1,429 @@
+// Deterministic comparison of kidney replacement options for patients who are
+// already planning for kidney failure: hemodialysis, peritoneal dialysis and
+// conservative kidney management. Like dialysisRisk.js, every rule carries
+// its explanation and source so the comparison shows exactly why an option
+// was marked down; nothing here depends on the language model.
+
+export const MODALITIES = ["hd", "pd", "conservative"];
+
+export const MODALITY_LABELS = {
+  hd: "Hemodialysis",
+  pd: "Peritoneal dialysis",
+  conservative: "Conservative kidney management",
+};
+
+export const SUITABILITY_LABELS = {
+  favoured: "Favoured by the factors given",
+  possible: "Possible",
+  caution: "Possible with cautions",
+  contraindicated: "Contraindicated by the factors given",
+};
+
+export const MODALITY_FACTORS = {
+  abdominalSurgery: ["none", "previous", "extensive"],
+  homeSupport: ["none", "partial", "full"],
+  manualDexterity: ["good", "limited", "poor"],
+  vascularAccess: ["none", "catheter", "maturing", "working", "exhausted"],
+  cardiacFunction: ["normal", "reduced", "severe"],
+};
+
+export const MODALITY_PREFERENCES = [
+  "home",
+  "flexibleSchedule",
+  "travel",
+  "inCentre",
+  "avoidDialysis",
+];
+
+// Each rule either favours an option, adds a caution (a relative
+// contraindication) or rules it out. Conservative care rules also see which
+// dialysis options were ruled out (`hdBlocked`, `pdBlocked`).
+const RULES = [
+  {
+    id: "pd-extensive-abdominal-surgery",
+    modality: "pd",
+    effect: "contraindication",
+    title: "Extensive abdominal surgery",
+    source: "EBPG 2005 peritoneal dialysis guideline; NICE NG107 (2018)",
+    test: ({ abdominalSurgery }) => abdominalSurgery === "extensive",
+    explain: () =>
+      "Multiple operations, known adhesions or a stoma can leave too little usable peritoneal space for dialysis fluid.",
+    question:
+      "Could a surgeon assess whether my abdomen can still take a PD catheter?",
+  },
+  {
+    id: "pd-previous-abdominal-surgery",
+    modality: "pd",
+    effect: "caution",
+    title: "Previous abdominal surgery",
+    source: "EBPG 2005 peritoneal dialysis guideline",
+    test: ({ abdominalSurgery }) => abdominalSurgery === "previous",
+    explain: () =>
+      "Earlier abdominal surgery can cause adhesions that affect catheter placement and fluid flow, though many patients still do PD.",
+    question:
+      "Would my previous abdominal surgery affect placing a PD catheter?",
+  },
+  {
+    id: "pd-self-care-not-possible",
+    modality: "pd",
+    effect: "contraindication",
+    title: "No one to perform exchanges",
+    source: "NICE NG107 (2018) 1.3; ISPD 2017 assisted PD position paper",
+    test: ({ manualDexterity, homeSupport }) =>
+      manualDexterity === "poor" && homeSupport === "none",
+    explain: () =>
+      "PD exchanges need steady hands and good eyesight every day; with poor dexterity and no one at home to help, home PD is not possible without an assisted PD service.",
+    question:
+      "Is an assisted PD service (a nurse visiting to help) available here?",
+  },
+  {
+    id: "pd-needs-assistance",
+    modality: "pd",
+    effect: "caution",
+    title: "Help needed with exchanges",
+    source: "ISPD 2017 assisted PD position paper",
+    test: ({ manualDexterity, homeSupport }) =>
+      ["limited", "poor"].includes(manualDexterity) && homeSupport !== "none",
+    explain: () =>
+      "Limited dexterity means a carer or an assisted PD service would need to help with connections and exchanges.",
+    question: "Who would be trained to help with PD exchanges at home?",
+  },
+  {
+    id: "pd-residual-function",
+    modality: "pd",
+    effect: "favours",
+    title: "Good residual urine output",
+    source: "ISPD 2020 guideline on prescribing high-quality PD",
+    test: ({ residualUrineOutput }) =>
+      residualUrineOutput !== null && residualUrineOutput >= 500,
+    explain: ({ residualUrineOutput }) =>
+      `Residual urine output of ${residualUrineOutput} mL/day helps clearance and fluid balance on PD, which also tends to preserve it longer.`,
+    question:
+      "Could I start with incremental (lower-dose) PD while my kidneys still make urine?",
+  },
+  {
+    id: "pd-anuric",
+    modality: "pd",
+    effect: "caution",
+    title: "Little or no urine output",
+    source: "ISPD 2020 guideline on prescribing high-quality PD",
+    test: ({ residualUrineOutput }) =>
+      residualUrineOutput !== null && residualUrineOutput < 100,
+    explain: ({ residualUrineOutput }) =>
+      `With ${residualUrineOutput} mL/day of urine, PD alone must remove all fluid and waste, which needs a fuller prescription and closer monitoring.`,
+    question: "Would PD remove enough fluid for me without urine output?",
+  },
+  {
+    id: "pd-cardiac-tolerance",
+    modality: "pd",
+    effect: "favours",
+    title: "Reduced heart function",
+    source: "NICE NG107 (2018) 1.2; EBPG 2005 peritoneal dialysis guideline",
+    test: ({ cardiacFunction }) =>
+      ["reduced", "severe"].includes(cardiacFunction),
+    explain: () =>
+      "PD removes fluid slowly and continuously, which is usually easier on a weak heart than the rapid shifts of hemodialysis sessions.",
+    question: "Would PD be gentler on my heart than hemodialysis?",
+  },
+  {
+    id: "pd-home-preference",
+    modality: "pd",
+    effect: "favours",
+    title: "Prefers treatment at home",
+    source: "NICE NG107 (2018) 1.2",
+    test: ({ preferences }) =>
+      ["home", "flexibleSchedule", "travel"].some((preference) =>
+        preferences.includes(preference)
+      ),
+    explain: ({ preferences }) =>
+      `PD is done at home or while travelling, on a schedule that fits around work and daily life (${describePreferences(
+        preferences,
+        ["home", "flexibleSchedule", "travel"]
+      )}).`,
+    question: "How would PD fit around my work, travel and daily routine?",
+  },
+  {
+    id: "hd-access-exhausted",
+    modality: "hd",
+    effect: "contraindication",
+    title: "No usable vascular access sites",
+    source: "KDOQI 2019 vascular access guideline",
+    test: ({ vascularAccess }) => vascularAccess === "exhausted",
+    explain: () =>
+      "Without a usable vein for a fistula, graft or long-term catheter, hemodialysis cannot be delivered reliably.",
+    question: "Are there any remaining options for vascular access?",
+  },
+  {
+    id: "hd-no-access",
+    modality: "hd",
+    effect: "caution",
+    title: "No vascular access yet",
+    source: "KDOQI 2019 vascular access guideline",
+    test: ({ vascularAccess }) => vascularAccess === "none",
+    explain: () =>
+      "Starting hemodialysis now would mean a central venous catheter, which carries a higher risk of infection; a fistula takes weeks to months to mature.",
+    question: "Should I have vein mapping and a fistula created now?",
+  },
+  {
+    id: "hd-catheter-only",
+    modality: "hd",
+    effect: "caution",
+    title: "Catheter access only",
+    source: "KDOQI 2019 vascular access guideline",
+    test: ({ vascularAccess }) => vascularAccess === "catheter",
+    explain: () =>
+      "A dialysis catheter works but has higher infection and clotting risks than a fistula or graft.",
+    question: "Is a fistula or graft possible so the catheter can be removed?",
+  },
+  {
+    id: "hd-access-ready",
+    modality: "hd",
+    effect: "favours",
+    title: "Working fistula or graft",
+    source: "KDOQI 2019 vascular access guideline",
+    test: ({ vascularAccess }) => vascularAccess === "working",
+    explain: () =>
+      "A working arteriovenous fistula or graft is ready for hemodialysis without a catheter.",
+    question: null,
+  },
+  {
+    id: "hd-severe-cardiac",
+    modality: "hd",
+    effect: "caution",
+    title: "Severely reduced heart function",
+    source: "KDIGO 2020 controversies conference on heart failure in CKD",
+    test: ({ cardiacFunction }) => cardiacFunction === "severe",
+    explain: () =>
+      "Rapid fluid removal during sessions can drop blood pressure, and a high-flow fistula adds strain on a failing heart.",
+    question:
+      "Could longer or more frequent hemodialysis sessions reduce strain on my heart?",
+  },
+  {
+    id: "hd-in-centre-care",
+    modality: "hd",
+    effect: "favours",
+    title: "Care delivered by staff",
+    source: "NICE NG107 (2018) 1.2",
+    test: ({ preferences, manualDexterity, homeSupport }) =>
+      preferences.includes("inCentre") ||
+      (manualDexterity === "poor" && homeSupport === "none"),
+    explain: ({ preferences }) =>
+      preferences.includes("inCentre")
+        ? "In-centre hemodialysis is run by nurses and technicians, which matches the preference for treatment at a unit."
+        : "In-centre hemodialysis is run by nurses and technicians, so it does not depend on dexterity or help at home.",
+    question:
+      "How far is the nearest dialysis unit, and how would I get there three times a week?",
+  },
+  {
+    id: "conservative-preference",
+    modality: "conservative",
+    effect: "favours",
+    title: "Prefers to avoid dialysis",
+    source: "KDIGO 2015 controversies conference on supportive care in CKD",
+    test: ({ preferences }) => preferences.includes("avoidDialysis"),
+    explain: () =>
+      "Conservative kidney management treats symptoms, fluid and anaemia without dialysis and focuses on quality of life.",
+    question:
+      "What would conservative care involve, and what can I expect over time?",
+  },
+  {
+    id: "conservative-severe-cardiac",
+    modality: "conservative",
+    effect: "favours",
+    title: "Severe heart disease",
+    source: "KDIGO 2015 controversies conference on supportive care in CKD",
+    test: ({ cardiacFunction }) => cardiacFunction === "severe",
+    explain: () =>
+      "With severe heart disease, dialysis may add little survival benefit, so conservative care deserves an equal discussion.",
+    question:
+      "How much would dialysis be expected to help, given my heart condition?",
+  },
+  {
+    id: "conservative-no-dialysis-route",
+    modality: "conservative",
+    effect: "favours",
+    title: "Both dialysis options ruled out",
+    source: "KDIGO 2015 controversies conference on supportive care in CKD",
+    test: ({ hdBlocked, pdBlocked }) => hdBlocked && pdBlocked,
+    explain: () =>
+      "The factors given rule out both hemodialysis and peritoneal dialysis, so conservative care or specialist review of access options is the remaining path.",
+    question:
+      "If neither form of dialysis is possible, what support is available?",
+  },
+];
+
+// Asked in every comparison, before the rule-specific questions.
+const GENERAL_QUESTIONS = [
+  "At my current kidney function, when would dialysis be likely to start?",
+  "Could a kidney transplant be an option, and should I be assessed now?",
+];
+
+const MISSING_INPUT_QUESTIONS = {
+  abdominalSurgery: "Does my surgical history affect peritoneal dialysis?",
+  residualUrineOutput: "Should my daily urine output be measured?",
+  homeSupport: "Would I need help at home for home dialysis?",
+  manualDexterity: "Could I manage PD exchanges myself?",
+  vascularAccess: "Do I need a vascular access assessment?",
+  cardiacFunction: "Should my heart function be checked before choosing?",
+};
+
+const PREFERENCE_LABELS = {
+  home: "treatment at home",
+  flexibleSchedule: "a flexible schedule",
+  travel: "travel",
+};
+
+export function validateModalityInput(body = {}) {
+  const errors = [];
+  const values = {
+    residualUrineOutput: toNumber(body.residualUrineOutput),
+    preferences: [],
+  };
+
+  for (const [field, options] of Object.entries(MODALITY_FACTORS)) {
+    const value =
+      typeof body[field] === "string" ? body[field].trim() : body[field];
+    if (value === undefined || value === null || value === "") {
+      values[field] = null;
+    } else if (options.includes(value)) {
+      values[field] = value;
+    } else {
+      errors.push(`${field} must be one of: ${options.join(", ")}.`);
+      values[field] = null;
+    }
+  }
+
+  if (Number.isNaN(values.residualUrineOutput)) {
+    errors.push("Residual urine output (mL/day) must be a number.");
+  } else if (
+    values.residualUrineOutput !== null &&
+    (values.residualUrineOutput < 0 || values.residualUrineOutput > 20000)
+  ) {
+    errors.push("Residual urine output (mL/day) must be between 0 and 20000.");
+  }
+
+  if (body.preferences !== undefined && body.preferences !== null) {
+    if (!Array.isArray(body.preferences)) {
+      errors.push("preferences must be a list.");
+    } else {
+      const unknown = body.preferences.filter(
+        (preference) => !MODALITY_PREFERENCES.includes(preference)
+      );
+      if (unknown.length) {
+        errors.push(
+          `preferences can only include: ${MODALITY_PREFERENCES.join(", ")}.`
+        );
+      }
+      values.preferences = [
+        ...new Set(
+          body.preferences.filter((preference) =>
+            MODALITY_PREFERENCES.includes(preference)
+          )
+        ),
+      ];
+    }
+  }
+
+  return { errors, values };
+}
+
+export function assessModality(values) {
+  const fire = (rules, context) =>
+    rules
+      .filter((rule) => rule.test(context))
+      .map((rule) => ({
+        id: rule.id,
+        modality: rule.modality,
+        effect: rule.effect,
+        title: rule.title,
+        explanation: rule.explain(context),
+        source: rule.source,
+        question: rule.question,
+      }));
+
+  const dialysisRules = fire(
+    RULES.filter((rule) => rule.modality !== "conservative"),
+    values
+  );
+  const blocked = (modality) =>
+    dialysisRules.some(
+      (rule) => rule.modality === modality && rule.effect === "contraindication"
+    );
+  const firedRules = [
+    ...dialysisRules,
+    ...fire(
+      RULES.filter((rule) => rule.modality === "conservative"),
+      { ...values, hdBlocked: blocked("hd"), pdBlocked: blocked("pd") }
+    ),
+  ];
+
+  const options = MODALITIES.map((modality) => {
+    const rules = firedRules.filter((rule) => rule.modality === modality);
+    const suitability = rateSuitability(rules);
+    return {
+      id: modality,
+      label: MODALITY_LABELS[modality],
+      suitability,
+      outcome: SUITABILITY_LABELS[suitability],
+      favours: rules.filter((rule) => rule.effect === "favours"),
+      cautions: rules.filter((rule) => rule.effect === "caution"),
+      contraindications: rules.filter(
+        (rule) => rule.effect === "contraindication"
+      ),
+    };
+  });
+
+  const missingInputs = [
+    ...Object.keys(MODALITY_FACTORS),
+    "residualUrineOutput",
+  ].filter((key) => values[key] === null);
+
+  return {
+    options,
+    firedRules,
+    questions: [
+      ...new Set([
+        ...GENERAL_QUESTIONS,
+        ...firedRules
+          .filter(
+            (rule) =>
+              rule.effect !== "favours" ||
+              options.find((option) => option.id === rule.modality)
+                .suitability !== "contraindicated"
+          )
+          .map((rule) => rule.question)
+          .filter(Boolean),
+        ...missingInputs
+          .map((key) => MISSING_INPUT_QUESTIONS[key])
+          .filter(Boolean),
+      ]),
+    ],
+    missingInputs,
+  };
+}
+
+// A contraindication rules an option out; otherwise favouring factors and
+// cautions are weighed against each other one for one.
+function rateSuitability(rules) {
+  if (rules.some((rule) => rule.effect === "contraindication")) {
+    return "contraindicated";
+  }
+  const favours = rules.filter((rule) => rule.effect === "favours").length;
+  const cautions = rules.filter((rule) => rule.effect === "caution").length;
+  if (cautions > favours) return "caution";
+  return favours > cautions ? "favoured" : "possible";
+}
+
+function describePreferences(preferences, relevant) {
+  return preferences
+    .filter((preference) => relevant.includes(preference))
+    .map((preference) => PREFERENCE_LABELS[preference])
+    .join(", ");
+}
+
+// As in dialysisRisk.js: missing is null, anything else not a number is NaN.
+function toNumber(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+}
@@ -0,0 +1,252 @@
+// Deterministic kidney-function assessment. Every threshold below is
+// documented in RULES so the response can explain exactly why a category
+// was assigned; nothing here depends on the language model.
+
+const URGENCY_ORDER = ["monitoring", "planning", "urgent", "emergency"];
+
+export const URGENCY_LABELS = {
+  monitoring: "No Dialysis Required (Monitoring Stage)",
+  planning: "Dialysis Possible Risk (Plan with a nephrologist)",
+  urgent: "Dialysis Likely (Urgent nephrology review)",
+  emergency: "Dialysis May Be Needed Now (Emergency care)",
+};
+
+const G_STAGES = [
+  { stage: "G1", min: 90, label: "Normal or high" },
+  { stage: "G2", min: 60, label: "Mildly decreased" },
+  { stage: "G3a", min: 45, label: "Mildly to moderately decreased" },
+  { stage: "G3b", min: 30, label: "Moderately to severely decreased" },
+  { stage: "G4", min: 15, label: "Severely decreased" },
+  { stage: "G5", min: 0, label: "Kidney failure" },
+];
+
+const A_STAGES = [
+  { stage: "A1", max: 30, label: "Normal to mildly increased" },
+  { stage: "A2", max: 300, label: "Moderately increased" },
+  { stage: "A3", max: Infinity, label: "Severely increased" },
+];
+
+// KDIGO 2012 prognosis heat map, rows G1..G5, columns A1..A3.
+const KDIGO_RISK = {
+  G1: ["low", "moderate", "high"],
+  G2: ["low", "moderate", "high"],
+  G3a: ["moderate", "high", "very high"],
+  G3b: ["high", "very high", "very high"],
+  G4: ["very high", "very high", "very high"],
+  G5: ["very high", "very high", "very high"],
+};
+
+const RULES = [
+  {
+    id: "egfr-below-10",
+    title: "eGFR below 10",
+    urgency: "urgent",
+    source: "KDIGO 2012 CKD guideline 5.3; IDEAL trial",
+    test: ({ egfr }) => egfr < 10,
+    explain: ({ egfr }) =>
+      `eGFR of ${egfr} mL/min/1.73m² is below 10, where most patients start kidney replacement therapy.`,
+  },
+  {
+    id: "egfr-kidney-failure",
+    title: "Kidney failure range (G5)",
+    urgency: "planning",
+    source: "KDIGO 2012 CKD guideline 1.2.4",
+    test: ({ egfr }) => egfr >= 10 && egfr < 15,
+    explain: ({ egfr }) =>
+      `eGFR of ${egfr} mL/min/1.73m² is in the kidney failure range (below 15); dialysis planning should be active.`,
+  },
+  {
+    id: "egfr-krt-preparation",
+    title: "Severely decreased function (G4)",
+    urgency: "planning",
+    source: "KDIGO 2012 CKD guideline 5.1.2",
+    test: ({ egfr }) => egfr >= 15 && egfr < 30,
+    explain: ({ egfr }) =>
+      `eGFR of ${egfr} mL/min/1.73m² is below 30; KDIGO advises nephrology referral and education about kidney replacement options.`,
+  },
+  {
+    id: "albuminuria-severe",
+    title: "Severely increased albuminuria (A3)",
+    urgency: "planning",
+    source: "KDIGO 2012 CKD guideline 5.1.1",
+    test: ({ acr }) => acr !== null && acr >= 300,
+    explain: ({ acr }) =>
+      `Urine ACR of ${acr} mg/g is 300 or above, which predicts faster progression and warrants nephrology referral.`,
+  },
+  {
+    id: "hyperkalemia-severe",
+    title: "Severe hyperkalemia",
+    urgency: "emergency",
+    source:
+      "KDIGO 2020 potassium controversies conference; AEIOU dialysis indications",
+    test: ({ potassium }) => potassium !== null && potassium >= 6.5,
+    explain: ({ potassium }) =>
+      `Potassium of ${potassium} mmol/L is 6.5 or higher and can cause dangerous heart rhythms; emergency treatment and possibly dialysis are needed.`,
+  },
+  {
+    id: "hyperkalemia-moderate",
+    title: "Elevated potassium",
+    urgency: "urgent",
+    source: "KDIGO 2020 potassium controversies conference",
+    test: ({ potassium }) =>
+      potassium !== null && potassium >= 6 && potassium < 6.5,
+    explain: ({ potassium }) =>
+      `Potassium of ${potassium} mmol/L is between 6.0 and 6.5 and needs same-day medical review.`,
+  },
+  {
+    id: "acidosis-severe",
+    title: "Severe metabolic acidosis",
+    urgency: "emergency",
+    source: "AEIOU dialysis indications",
+    test: ({ bicarbonate }) => bicarbonate !== null && bicarbonate < 12,
+    explain: ({ bicarbonate }) =>
+      `Bicarbonate of ${bicarbonate} mmol/L is below 12, indicating severe acidosis that may require dialysis.`,
+  },
+  {
+    id: "acidosis-chronic",
+    title: "Metabolic acidosis",
+    urgency: "planning",
+    source: "KDIGO 2012 CKD guideline 3.1.10",
+    test: ({ bicarbonate }) =>
+      bicarbonate !== null && bicarbonate >= 12 && bicarbonate < 18,
+    explain: ({ bicarbonate }) =>
+      `Bicarbonate of ${bicarbonate} mmol/L is below 18; KDIGO recommends treatment and closer follow-up.`,
+  },
+  {
+    id: "anuria",
+    title: "Anuria",
+    urgency: "emergency",
+    source: "KDIGO 2012 AKI guideline 5.1",
+    test: ({ urineOutput }) => urineOutput !== null && urineOutput < 100,
+    explain: ({ urineOutput }) =>
+      `Urine output of ${urineOutput} mL/day is below 100 (anuria); this is an emergency.`,
+  },
+  {
+    id: "oliguria",
+    title: "Oliguria",
+    urgency: "urgent",
+    source: "KDIGO 2012 AKI guideline 2.1",
+    test: ({ urineOutput }) =>
+      urineOutput !== null && urineOutput >= 100 && urineOutput < 400,
+    explain: ({ urineOutput }) =>
+      `Urine output of ${urineOutput} mL/day is below 400 (oliguria) and needs prompt evaluation.`,
+  },
+];
+
+/**
+ * CKD-EPI 2021 race-free creatinine equation. Creatinine in mg/dL, age in
+ * years; returns eGFR in mL/min/1.73m² rounded to one decimal.
+ */
+export function calculateEgfr({ creatinine, age, sex }) {
+  const female = sex === "female";
+  const kappa = female ? 0.7 : 0.9;
+  const alpha = female ? -0.241 : -0.302;
+  const ratio = creatinine / kappa;
+
+  const egfr =
+    142 *
+    Math.min(ratio, 1) ** alpha *
+    Math.max(ratio, 1) ** -1.2 *
+    0.9938 ** age *
+    (female ? 1.012 : 1);
+
+  return Math.round(egfr * 10) / 10;
+}
+
+export function stageGfr(egfr) {
+  return G_STAGES.find(({ min }) => egfr >= min) ?? G_STAGES.at(-1);
+}
+
+export function stageAlbuminuria(acr) {
+  if (acr === null || acr === undefined) return null;
+  return A_STAGES.find(({ max }) => acr < max) ?? A_STAGES.at(-1);
+}
+
+export function validateDialysisInput(body = {}) {
+  const errors = [];
+  const values = {
+    creatinine: toNumber(body.creatinine),
+    age: toNumber(body.age),
+    sex: typeof body.sex === "string" ? body.sex.trim().toLowerCase() : "",
+    acr: toNumber(body.acr),
+    potassium: toNumber(body.potassium),
+    bicarbonate: toNumber(body.bicarbonate),
+    urineOutput: toNumber(body.urineOutput),
+  };
+
+  // Written as !(x > min) so NaN (a value that was not a number) fails too.
+  if (!(values.creatinine > 0) || values.creatinine > 30) {
+    errors.push(
+      "Serum creatinine (mg/dL) is required and must be between 0 and 30."
+    );
+  }
+  if (!(values.age >= 18) || values.age > 120) {
+    errors.push(
+      "Age is required and must be between 18 and 120 (CKD-EPI is validated for adults)."
+    );
+  }
+  if (!["male", "female"].includes(values.sex)) {
+    errors.push("Sex must be either 'male' or 'female'.");
+  }
+  checkRange(errors, values.acr, 0, 100000, "Urine ACR (mg/g)");
+  checkRange(errors, values.potassium, 1, 12, "Potassium (mmol/L)");
+  checkRange(errors, values.bicarbonate, 2, 60, "Bicarbonate (mmol/L)");
+  checkRange(errors, values.urineOutput, 0, 20000, "Urine output (mL/day)");
+
+  return { errors, values };
+}
+
+export function assessDialysisRisk(values) {
+  const egfr = calculateEgfr(values);
+  const gStage = stageGfr(egfr);
+  const aStage = stageAlbuminuria(values.acr);
+  const context = { ...values, egfr };
+
+  const firedRules = RULES.filter((rule) => rule.test(context)).map((rule) => ({
+    id: rule.id,
+    title: rule.title,
+    urgency: rule.urgency,
+    explanation: rule.explain(context),
+    source: rule.source,
+  }));
+
+  const urgency = firedRules.reduce(
+    (highest, rule) =>
+      URGENCY_ORDER.indexOf(rule.urgency) > URGENCY_ORDER.indexOf(highest)
+        ? rule.urgency
+        : highest,
+    "monitoring"
+  );
+
+  return {
+    egfr,
+    equation: "CKD-EPI 2021 (creatinine)",
+    gStage: { stage: gStage.stage, label: gStage.label },
+    aStage: aStage ? { stage: aStage.stage, label: aStage.label } : null,
+    kdigoRisk: aStage
+      ? KDIGO_RISK[gStage.stage][A_STAGES.indexOf(aStage)]
+      : null,
+    urgency,
+    outcome: URGENCY_LABELS[urgency],
+    firedRules,
+    missingInputs: ["acr", "potassium", "bicarbonate", "urineOutput"].filter(
+      (key) => values[key] === null
+    ),
+  };
+}
+
+// Missing values become null; anything given that is not a finite number
+// becomes NaN so validation can reject it rather than treat it as missing.
+function toNumber(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+}
+
+function checkRange(errors, value, min, max, label) {
+  if (Number.isNaN(value)) {
+    errors.push(`${label} must be a number.`);
+  } else if (value !== null && (value < min || value > max)) {
+    errors.push(`${label} must be between ${min} and ${max}.`);
+  }
+}
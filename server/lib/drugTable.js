@@ -0,0 +1,707 @@
+// Bundled drug table for the medication safety check (medicationSafety.js).
+// Each drug has a generic `name`, the `classes` the safety rules look for,
+// and lower-case `aliases` (other generic spellings and common Indian and
+// international brand names) matched as whole words. Brand names that are
+// also ordinary words or abbreviations ("Pan", "Tide") are left out. `patterns` cover
+// mentions that are not a single name, such as "CT with contrast".
+//
+// `renalDosing` lists eGFR thresholds, strictest first: the first entry
+// whose `below` is above the patient's eGFR applies. `action` is "avoid"
+// or "adjust".
+
+export const DRUG_CLASSES = {
+  nsaid: "NSAID",
+  aminoglycoside: "Aminoglycoside antibiotic",
+  contrast: "Iodinated contrast",
+  ppi: "Proton pump inhibitor",
+  lithium: "Lithium",
+  aceInhibitor: "ACE inhibitor",
+  arb: "Angiotensin receptor blocker",
+  mra: "Mineralocorticoid receptor antagonist",
+  potassiumSparing: "Potassium-sparing diuretic",
+  potassiumSupplement: "Potassium supplement",
+  trimethoprim: "Trimethoprim",
+  calcineurinInhibitor: "Calcineurin inhibitor",
+  diuretic: "Diuretic",
+  biguanide: "Biguanide",
+  dpp4Inhibitor: "DPP-4 inhibitor",
+  sglt2Inhibitor: "SGLT2 inhibitor",
+  gabapentinoid: "Gabapentinoid",
+  anticoagulant: "Anticoagulant",
+  antiviral: "Antiviral",
+  antibiotic: "Antibiotic",
+  opioid: "Opioid",
+  other: "Other",
+};
+
+const LABEL = "product labelling";
+
+export const DRUGS = [
+  {
+    id: "ibuprofen",
+    name: "Ibuprofen",
+    classes: ["nsaid"],
+    aliases: ["brufen", "advil", "motrin", "combiflam", "ibugesic"],
+  },
+  {
+    id: "diclofenac",
+    name: "Diclofenac",
+    classes: ["nsaid"],
+    aliases: ["voveran", "voltaren", "dynapar", "diclomol"],
+  },
+  {
+    id: "naproxen",
+    name: "Naproxen",
+    classes: ["nsaid"],
+    aliases: ["naprosyn", "aleve"],
+  },
+  {
+    id: "aceclofenac",
+    name: "Aceclofenac",
+    classes: ["nsaid"],
+    aliases: ["zerodol", "hifenac"],
+  },
+  {
+    id: "ketorolac",
+    name: "Ketorolac",
+    classes: ["nsaid"],
+    aliases: ["toradol", "ketanov"],
+  },
+  {
+    id: "etoricoxib",
+    name: "Etoricoxib",
+    classes: ["nsaid"],
+    aliases: ["arcoxia", "etoshine"],
+  },
+  {
+    id: "celecoxib",
+    name: "Celecoxib",
+    classes: ["nsaid"],
+    aliases: ["celebrex"],
+  },
+  {
+    id: "gentamicin",
+    name: "Gentamicin",
+    classes: ["aminoglycoside", "antibiotic"],
+    aliases: ["garamycin", "genticyn"],
+    renalDosing: [
+      {
+        below: 60,
+        action: "adjust",
+        advice:
+          "Extend the dosing interval and dose by drug levels; avoid where an alternative exists.",
+        source: `KDIGO 2012 AKI guideline 3.8; ${LABEL}`,
+      },
+    ],
+  },
+  {
+    id: "amikacin",
+    name: "Amikacin",
+    classes: ["aminoglycoside", "antibiotic"],
+    aliases: ["amikin", "mikacin"],
+    renalDosing: [
+      {
+        below: 60,
+        action: "adjust",
+        advice:
+          "Extend the dosing interval and dose by drug levels; avoid where an alternative exists.",
+        source: `KDIGO 2012 AKI guideline 3.8; ${LABEL}`,
+      },
+    ],
+  },
+  {
+    id: "tobramycin",
+    name: "Tobramycin",
+    classes: ["aminoglycoside", "antibiotic"],
+    aliases: ["tobrex", "nebcin"],
+    renalDosing: [
+      {
+        below: 60,
+        action: "adjust",
+        advice:
+          "Extend the dosing interval and dose by drug levels; avoid where an alternative exists.",
+        source: `KDIGO 2012 AKI guideline 3.8; ${LABEL}`,
+      },
+    ],
+  },
+  {
+    id: "iodinated-contrast",
+    name: "Iodinated contrast",
+    classes: ["contrast"],
+    aliases: ["iohexol", "iopamidol", "iodixanol", "omnipaque", "visipaque"],
+    patterns: [
+      /\b(?:iodinated|intravenous|i\.?v\.?|with|post)[\s-]+contrast\b/i,
+      /(?<!non[\s-])\bcontrast[\s-]+(?:enhanced|media|medium|agent|study|ct|scan)\b/i,
+      /\b(?:ct|coronary)\s+angiogra(?:m|phy)\b/i,
+    ],
+  },
+  {
+    id: "omeprazole",
+    name: "Omeprazole",
+    classes: ["ppi"],
+    aliases: ["omez", "prilosec", "ocid"],
+  },
+  {
+    id: "pantoprazole",
+    name: "Pantoprazole",
+    classes: ["ppi"],
+    aliases: ["pantocid", "protonix", "pan-d", "pantop"],
+  },
+  {
+    id: "esomeprazole",
+    name: "Esomeprazole",
+    classes: ["ppi"],
+    aliases: ["nexium", "nexpro", "esoz"],
+  },
+  {
+    id: "rabeprazole",
+    name: "Rabeprazole",
+    classes: ["ppi"],
+    aliases: ["razo", "rablet", "happi", "aciphex"],
+  },
+  {
+    id: "lansoprazole",
+    name: "Lansoprazole",
+    classes: ["ppi"],
+    aliases: ["prevacid", "lanzol"],
+  },
+  {
+    id: "lithium",
+    name: "Lithium",
+    classes: ["lithium"],
+    aliases: ["lithium carbonate", "licab", "lithosun", "priadel"],
+    renalDosing: [
+      {
+        below: 30,
+        action: "avoid",
+        advice:
+          "Avoid; if unavoidable, use a reduced dose with close level monitoring.",
+        source: `KDIGO 2012 CKD guideline 4.4; ${LABEL}`,
+      },
+      {
+        below: 60,
+        action: "adjust",
+        advice: "Reduce the dose and check lithium levels and eGFR more often.",
+        source: `KDIGO 2012 CKD guideline 4.4; ${LABEL}`,
+      },
+    ],
+  },
+  {
+    id: "enalapril",
+    name: "Enalapril",
+    classes: ["aceInhibitor"],
+    aliases: ["envas", "vasotec"],
+  },
+  {
+    id: "ramipril",
+    name: "Ramipril",
+    classes: ["aceInhibitor"],
+    aliases: ["cardace", "altace", "tritace"],
+  },
+  {
+    id: "lisinopril",
+    name: "Lisinopril",
+    classes: ["aceInhibitor"],
+    aliases: ["listril", "zestril", "prinivil"],
+  },
+  {
+    id: "telmisartan",
+    name: "Telmisartan",
+    classes: ["arb"],
+    aliases: ["telma", "telsartan", "micardis"],
+  },
+  {
+    id: "losartan",
+    name: "Losartan",
+    classes: ["arb"],
+    aliases: ["losar", "repace", "cozaar"],
+  },
+  {
+    id: "olmesartan",
+    name: "Olmesartan",
+    classes: ["arb"],
+    aliases: ["olmezest", "olmat", "benicar"],
+  },
+  {
+    id: "spironolactone",
+    name: "Spironolactone",
+    classes: ["mra", "diuretic"],
+    aliases: ["aldactone"],
+    renalDosing: [
+      {
+        below: 30,
+        action: "avoid",
+        advice: "Avoid because of the risk of hyperkalemia.",
+        source: `KDIGO 2012 CKD guideline 4.4; ${LABEL}`,
+      },
+      {
+        below: 45,
+        action: "adjust",
+        advice: "Use a low dose and check potassium within a week of starting.",
+        source: LABEL,
+      },
+    ],
+  },
+  {
+    id: "eplerenone",
+    name: "Eplerenone",
+    classes: ["mra", "diuretic"],
+    aliases: ["eptus", "inspra"],
+    renalDosing: [
+      {
+        below: 30,
+        action: "avoid",
+        advice: "Avoid because of the risk of hyperkalemia.",
+        source: LABEL,
+      },
+    ],
+  },
+  {
+    id: "amiloride",
+    name: "Amiloride",
+    classes: ["potassiumSparing", "diuretic"],
+    aliases: ["midamor", "biduret"],
+    renalDosing: [
+      {
+        below: 30,
+        action: "avoid",
+        advice: "Avoid because of the risk of hyperkalemia.",
+        source: LABEL,
+      },
+    ],
+  },
+  {
+    id: "triamterene",
+    name: "Triamterene",
+    classes: ["potassiumSparing", "diuretic"],
+    aliases: ["dyazide", "dyrenium"],
+    renalDosing: [
+      {
+        below: 30,
+        action: "avoid",
+        advice: "Avoid because of the risk of hyperkalemia.",
+        source: LABEL,
+      },
+    ],
+  },
+  {
+    id: "potassium-chloride",
+    name: "Potassium chloride",
+    classes: ["potassiumSupplement"],
+    aliases: ["kcl", "potklor", "slow-k", "potassium supplement"],
+  },
+  {
+    id: "trimethoprim",
+    name: "Trimethoprim",
+    classes: ["trimethoprim", "antibiotic"],
+    aliases: ["co-trimoxazole", "cotrimoxazole", "septran", "bactrim"],
+    renalDosing: [
+      {
+        below: 30,
+        action: "adjust",
+        advice:
+          "Halve the dose; avoid below 15 unless levels can be monitored.",
+        source: LABEL,
+      },
+    ],
+  },
+  {
+    id: "tacrolimus",
+    name: "Tacrolimus",
+    classes: ["calcineurinInhibitor"],
+    aliases: ["prograf", "pangraf", "advagraf"],
+  },
+  {
+    id: "cyclosporine",
+    name: "Cyclosporine",
+    classes: ["calcineurinInhibitor"],
+    aliases: ["ciclosporin", "neoral", "sandimmun"],
+  },
+  {
+    id: "furosemide",
+    name: "Furosemide",
+    classes: ["diuretic"],
+    aliases: ["frusemide", "lasix"],
+  },
+  {
+    id: "torsemide",
+    name: "Torsemide",
+    classes: ["diuretic"],
+    aliases: ["torasemide", "dytor"],
+  },
+  {
+    id: "hydrochlorothiazide",
+    name: "Hydrochlorothiazide",
+    classes: ["diuretic"],
+    aliases: ["hctz", "aquazide"],
+    renalDosing: [
+      {
+        below: 30,
+        action: "adjust",
+        advice:
+          "Thiazides lose effect at this level; a loop diuretic is usually preferred.",
+        source: `KDIGO 2021 blood pressure in CKD guideline; ${LABEL}`,
+      },
+    ],
+  },
+  {
+    id: "chlorthalidone",
+    name: "Chlorthalidone",
+    classes: ["diuretic"],
+    aliases: ["thalizide", "hygroton"],
+  },
+  {
+    id: "metformin",
+    name: "Metformin",
+    classes: ["biguanide"],
+    aliases: ["glycomet", "glucophage", "gluconorm", "obimet"],
+    renalDosing: [
+      {
+        below: 30,
+        action: "avoid",
+        advice: "Stop metformin because of the risk of lactic acidosis.",
+        source:
+          "KDIGO 2022 diabetes in CKD guideline 4.1.3; FDA 2016 safety communication",
+      },
+      {
+        below: 45,
+        action: "adjust",
+        advice:
+          "Do not start; if already taking, reduce to at most 1,000 mg a day.",
+        source:
+          "KDIGO 2022 diabetes in CKD guideline 4.1.3; FDA 2016 safety communication",
+      },
+    ],
+  },
+  {
+    id: "sitagliptin",
+    name: "Sitagliptin",
+    classes: ["dpp4Inhibitor"],
+    aliases: ["januvia", "istavel"],
+    renalDosing: [
+      {
+        below: 30,
+        action: "adjust",
+        advice: "Reduce to 25 mg once daily.",
+        source: LABEL,
+      },
+      {
+        below: 45,
+        action: "adjust",
+        advice: "Reduce to 50 mg once daily.",
+        source: LABEL,
+      },
+    ],
+  },
+  {
+    id: "vildagliptin",
+    name: "Vildagliptin",
+    classes: ["dpp4Inhibitor"],
+    aliases: ["galvus", "jalra", "zomelis"],
+    renalDosing: [
+      {
+        below: 50,
+        action: "adjust",
+        advice: "Reduce to 50 mg once daily.",
+        source: LABEL,
+      },
+    ],
+  },
+  {
+    id: "dapagliflozin",
+    name: "Dapagliflozin",
+    classes: ["sglt2Inhibitor"],
+    aliases: ["forxiga", "farxiga", "dapanorm"],
+    renalDosing: [
+      {
+        below: 25,
+        action: "adjust",
+        advice:
+          "Do not start below 25; if already taking for kidney or heart protection, it can usually be continued until dialysis.",
+        source: "KDIGO 2022 diabetes in CKD guideline 1.3.1",
+      },
+    ],
+  },
+  {
+    id: "empagliflozin",
+    name: "Empagliflozin",
+    classes: ["sglt2Inhibitor"],
+    aliases: ["jardiance", "gibtulio"],
+    renalDosing: [
+      {
+        below: 20,
+        action: "adjust",
+        advice:
+          "Do not start below 20; if already taking for kidney or heart protection, it can usually be continued until dialysis.",
+        source: "KDIGO 2022 diabetes in CKD guideline 1.3.1",
+      },
+    ],
+  },
+  {
+    id: "gabapentin",
+    name: "Gabapentin",
+    classes: ["gabapentinoid"],
+    aliases: ["gabapin", "neurontin"],
+    renalDosing: [
+      {
+        below: 30,
+        action: "adjust",
+        advice: "Reduce to 200-700 mg a day in one or two doses.",
+        source: LABEL,
+      },
+      {
+        below: 60,
+        action: "adjust",
+        advice: "Reduce to 400-1,400 mg a day in two doses.",
+        source: LABEL,
+      },
+    ],
+  },
+  {
+    id: "pregabalin",
+    name: "Pregabalin",
+    classes: ["gabapentinoid"],
+    aliases: ["lyrica", "pregeb", "pregalin"],
+    renalDosing: [
+      {
+        below: 30,
+        action: "adjust",
+        advice: "Reduce to 25-150 mg a day.",
+        source: LABEL,
+      },
+      {
+        below: 60,
+        action: "adjust",
+        advice: "Halve the usual daily dose.",
+        source: LABEL,
+      },
+    ],
+  },
+  {
+    id: "enoxaparin",
+    name: "Enoxaparin",
+    classes: ["anticoagulant"],
+    aliases: ["clexane", "lovenox"],
+    renalDosing: [
+      {
+        below: 30,
+        action: "adjust",
+        advice:
+          "Give once daily instead of twice (1 mg/kg) and consider anti-Xa monitoring.",
+        source: LABEL,
+      },
+    ],
+  },
+  {
+    id: "rivaroxaban",
+    name: "Rivaroxaban",
+    classes: ["anticoagulant"],
+    aliases: ["xarelto"],
+    renalDosing: [
+      {
+        below: 15,
+        action: "avoid",
+        advice: "Avoid.",
+        source: LABEL,
+      },
+      {
+        below: 50,
+        action: "adjust",
+        advice: "For atrial fibrillation, reduce to 15 mg once daily.",
+        source: LABEL,
+      },
+    ],
+  },
+  {
+    id: "dabigatran",
+    name: "Dabigatran",
+    classes: ["anticoagulant"],
+    aliases: ["pradaxa"],
+    renalDosing: [
+      {
+        below: 30,
+        action: "avoid",
+        advice: "Avoid.",
+        source: LABEL,
+      },
+      {
+        below: 50,
+        action: "adjust",
+        advice: "Consider a reduced dose, especially with bleeding risk.",
+        source: LABEL,
+      },
+    ],
+  },
+  {
+    id: "acyclovir",
+    name: "Acyclovir",
+    classes: ["antiviral"],
+    aliases: ["aciclovir", "zovirax", "acivir"],
+    renalDosing: [
+      {
+        below: 25,
+        action: "adjust",
+        advice: "Extend the dosing interval and keep well hydrated.",
+        source: LABEL,
+      },
+    ],
+  },
+  {
+    id: "valacyclovir",
+    name: "Valacyclovir",
+    classes: ["antiviral"],
+    aliases: ["valaciclovir", "valtrex", "valcivir"],
+    renalDosing: [
+      {
+        below: 50,
+        action: "adjust",
+        advice: "Reduce the dose or extend the interval.",
+        source: LABEL,
+      },
+    ],
+  },
+  {
+    id: "ciprofloxacin",
+    name: "Ciprofloxacin",
+    classes: ["antibiotic"],
+    aliases: ["ciplox", "cipro", "cifran"],
+    renalDosing: [
+      {
+        below: 30,
+        action: "adjust",
+        advice: "Halve the dose or give every 24 hours.",
+        source: LABEL,
+      },
+    ],
+  },
+  {
+    id: "nitrofurantoin",
+    name: "Nitrofurantoin",
+    classes: ["antibiotic"],
+    aliases: ["macrobid", "furadantin", "martifur", "niftran"],
+    renalDosing: [
+      {
+        below: 30,
+        action: "avoid",
+        advice: "Avoid: it is less effective and more toxic at this level.",
+        source: "AGS Beers Criteria 2023",
+      },
+    ],
+  },
+  {
+    id: "vancomycin",
+    name: "Vancomycin",
+    classes: ["antibiotic"],
+    aliases: ["vancocin"],
+    renalDosing: [
+      {
+        below: 60,
+        action: "adjust",
+        advice: "Dose by drug levels or AUC monitoring.",
+        source: "ASHP/IDSA 2020 vancomycin consensus guideline",
+      },
+    ],
+  },
+  {
+    id: "tramadol",
+    name: "Tramadol",
+    classes: ["opioid"],
+    aliases: ["ultram", "contramal", "tramazac", "ultracet"],
+    renalDosing: [
+      {
+        below: 30,
+        action: "adjust",
+        advice: "Give every 12 hours, at most 200 mg a day.",
+        source: LABEL,
+      },
+    ],
+  },
+  {
+    id: "morphine",
+    name: "Morphine",
+    classes: ["opioid"],
+    aliases: ["ms contin"],
+    renalDosing: [
+      {
+        below: 30,
+        action: "avoid",
+        advice: "Avoid: active metabolites build up and cause sedation.",
+        source: "AGS Beers Criteria 2023",
+      },
+    ],
+  },
+  {
+    id: "allopurinol",
+    name: "Allopurinol",
+    classes: ["other"],
+    aliases: ["zyloric", "zyloprim"],
+    renalDosing: [
+      {
+        below: 60,
+        action: "adjust",
+        advice: "Start low (50-100 mg a day) and increase slowly.",
+        source: "ACR 2020 gout guideline",
+      },
+    ],
+  },
+  {
+    id: "colchicine",
+    name: "Colchicine",
+    classes: ["other"],
+    aliases: ["zycolchin", "colcrys"],
+    renalDosing: [
+      {
+        below: 30,
+        action: "adjust",
+        advice: "Reduce the dose and avoid repeat courses within two weeks.",
+        source: LABEL,
+      },
+    ],
+  },
+  {
+    id: "digoxin",
+    name: "Digoxin",
+    classes: ["other"],
+    aliases: ["lanoxin"],
+    renalDosing: [
+      {
+        below: 60,
+        action: "adjust",
+        advice: "Reduce the dose and monitor levels.",
+        source: LABEL,
+      },
+    ],
+  },
+  {
+    id: "levetiracetam",
+    name: "Levetiracetam",
+    classes: ["other"],
+    aliases: ["levipil", "keppra", "levera"],
+    renalDosing: [
+      {
+        below: 50,
+        action: "adjust",
+        advice: "Reduce the daily dose according to creatinine clearance.",
+        source: LABEL,
+      },
+    ],
+  },
+  {
+    id: "paracetamol",
+    name: "Paracetamol",
+    classes: ["other"],
+    aliases: ["acetaminophen", "dolo", "crocin", "calpol", "tylenol"],
+  },
+  {
+    id: "amlodipine",
+    name: "Amlodipine",
+    classes: ["other"],
+    aliases: ["amlong", "stamlo", "amlokind", "norvasc"],
+  },
+  {
+    id: "atorvastatin",
+    name: "Atorvastatin",
+    classes: ["other"],
+    aliases: ["atorva", "lipitor", "storvas"],
+  },
+];
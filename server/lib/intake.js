@@ -0,0 +1,221 @@
+// Guided symptom intake for /api/predict. The form sends a typed payload
+// instead of free text, so duration, vitals, comorbidities and medications
+// always reach the prompt in the same shape. Keys here are mirrored in
+// frontend/src/utils/intakeOptions.js.
+
+export const INTAKE_SYMPTOMS = {
+  swelling: "Swelling of legs or ankles",
+  facialPuffiness: "Puffiness around the eyes or face",
+  reducedUrine: "Passing less urine than usual",
+  noUrine: "No urine output",
+  foamyUrine: "Foamy urine",
+  bloodInUrine: "Blood in urine",
+  painfulUrination: "Pain or burning when passing urine",
+  nocturia: "Passing urine often at night",
+  flankPain: "Pain in the side or lower back",
+  fatigue: "Tiredness or weakness",
+  nausea: "Nausea or vomiting",
+  appetiteLoss: "Loss of appetite",
+  itching: "Itchy skin",
+  cramps: "Muscle cramps",
+  breathlessness: "Shortness of breath",
+  chestPain: "Chest pain",
+  confusion: "Confusion or trouble concentrating",
+  fever: "Fever",
+};
+
+export const INTAKE_COMORBIDITIES = {
+  diabetes: "Diabetes",
+  hypertension: "High blood pressure",
+  heartDisease: "Heart disease or heart failure",
+  kidneyDisease: "Known kidney disease",
+  kidneyStones: "Kidney stones",
+  familyKidneyDisease: "Family history of kidney disease",
+  autoimmune: "Lupus or another autoimmune disease",
+};
+
+export const ONSETS = ["sudden", "gradual"];
+export const DURATION_UNITS = ["hours", "days", "weeks", "months", "years"];
+
+const VITALS = {
+  systolic: { label: "Systolic blood pressure (mmHg)", min: 50, max: 300 },
+  diastolic: { label: "Diastolic blood pressure (mmHg)", min: 30, max: 200 },
+  heartRate: { label: "Heart rate (beats/min)", min: 20, max: 250 },
+  temperature: { label: "Temperature (°C)", min: 30, max: 45 },
+  weight: { label: "Weight (kg)", min: 1, max: 400 },
+  urineOutput: { label: "Urine output (mL/day)", min: 0, max: 20000 },
+};
+
+const MAX_MEDICATIONS = 30;
+const MAX_MEDICATION_CHARS = 120;
+
+export function validateIntake(body = {}) {
+  const errors = [];
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { errors: ["intake must be an object."], values: null };
+  }
+
+  const symptoms = Array.isArray(body.symptoms) ? body.symptoms : [];
+  if (body.symptoms !== undefined && !Array.isArray(body.symptoms)) {
+    errors.push("intake.symptoms must be an array.");
+  }
+  const values = {
+    age: toNumber(body.age),
+    sex: typeof body.sex === "string" ? body.sex.trim().toLowerCase() : "",
+    symptoms: symptoms.map((item) => ({
+      key: item?.key,
+      severity: toNumber(item?.severity),
+    })),
+    onset: typeof body.onset === "string" ? body.onset : "",
+    duration: {
+      value: toNumber(body.duration?.value),
+      unit: typeof body.duration?.unit === "string" ? body.duration.unit : "",
+    },
+    vitals: Object.fromEntries(
+      Object.keys(VITALS).map((key) => [key, toNumber(body.vitals?.[key])])
+    ),
+    comorbidities: Array.isArray(body.comorbidities) ? body.comorbidities : [],
+    medications: Array.isArray(body.medications)
+      ? body.medications
+          .filter((item) => typeof item === "string")
+          .map((item) => item.trim())
+          .filter(Boolean)
+      : [],
+  };
+
+  for (const { key, severity } of values.symptoms) {
+    if (!Object.hasOwn(INTAKE_SYMPTOMS, key)) {
+      errors.push(`Unknown intake symptom: ${key}.`);
+    } else if (
+      severity === null ||
+      severity < 1 ||
+      severity > 10 ||
+      !Number.isInteger(severity)
+    ) {
+      errors.push(
+        `Severity for "${INTAKE_SYMPTOMS[key]}" must be a whole number from 1 to 10.`
+      );
+    }
+  }
+  checkRange(errors, values.age, 0, 120, "Age");
+  if (values.sex && !["male", "female"].includes(values.sex)) {
+    errors.push("Sex must be either 'male' or 'female'.");
+  }
+  if (values.onset && !ONSETS.includes(values.onset)) {
+    errors.push(`Onset must be one of: ${ONSETS.join(", ")}.`);
+  }
+  if (values.duration.value !== null) {
+    checkRange(errors, values.duration.value, 0, 1000, "Duration");
+    if (!DURATION_UNITS.includes(values.duration.unit)) {
+      errors.push(
+        `Duration unit must be one of: ${DURATION_UNITS.join(", ")}.`
+      );
+    }
+  }
+  for (const [key, range] of Object.entries(VITALS)) {
+    checkRange(errors, values.vitals[key], range.min, range.max, range.label);
+  }
+  const { systolic, diastolic } = values.vitals;
+  if (systolic !== null && diastolic !== null && diastolic >= systolic) {
+    errors.push("Diastolic blood pressure must be lower than systolic.");
+  }
+  for (const key of values.comorbidities) {
+    if (!Object.hasOwn(INTAKE_COMORBIDITIES, key)) {
+      errors.push(`Unknown comorbidity: ${key}.`);
+    }
+  }
+  if (values.medications.length > MAX_MEDICATIONS) {
+    errors.push(`List at most ${MAX_MEDICATIONS} medications.`);
+  }
+  if (values.medications.some((item) => item.length > MAX_MEDICATION_CHARS)) {
+    errors.push(
+      `Each medication must be at most ${MAX_MEDICATION_CHARS} characters.`
+    );
+  }
+
+  return { errors, values };
+}
+
+/**
+ * Plain-text rendering of a validated intake, used in the prompt, in the
+ * saved case and for the rule-based triage. Severity words ("severe") are
+ * spelled out so the triage rules read them like free text.
+ */
+export function describeIntake(intake) {
+  const { age, sex, onset, duration, vitals } = intake;
+  const lines = [];
+
+  if (age !== null || sex) {
+    lines.push(
+      `Patient: ${[age !== null ? `${age} years old` : "", sex]
+        .filter(Boolean)
+        .join(", ")}`
+    );
+  }
+  if (intake.symptoms.length) {
+    lines.push(
+      `Symptoms: ${intake.symptoms
+        .map(
+          ({ key, severity }) =>
+            `${describeSeverity(severity)} ${INTAKE_SYMPTOMS[
+              key
+            ].toLowerCase()} (${severity}/10)`
+        )
+        .join("; ")}`
+    );
+  }
+  if (onset || duration.value !== null) {
+    lines.push(
+      `Onset: ${[
+        onset,
+        duration.value !== null ? `for ${duration.value} ${duration.unit}` : "",
+      ]
+        .filter(Boolean)
+        .join(", ")}`
+    );
+  }
+
+  const vitalText = [
+    vitals.systolic !== null && vitals.diastolic !== null
+      ? `blood pressure ${vitals.systolic}/${vitals.diastolic} mmHg`
+      : "",
+    vitals.heartRate !== null ? `heart rate ${vitals.heartRate}/min` : "",
+    vitals.temperature !== null ? `temperature ${vitals.temperature} °C` : "",
+    vitals.weight !== null ? `weight ${vitals.weight} kg` : "",
+    vitals.urineOutput !== null
+      ? `urine output ${vitals.urineOutput} mL/day`
+      : "",
+  ].filter(Boolean);
+  if (vitalText.length) lines.push(`Vitals: ${vitalText.join(", ")}`);
+
+  if (intake.comorbidities.length) {
+    lines.push(
+      `Medical history: ${intake.comorbidities
+        .map((key) => INTAKE_COMORBIDITIES[key])
+        .join(", ")}`
+    );
+  }
+  if (intake.medications.length) {
+    lines.push(`Current medications: ${intake.medications.join(", ")}`);
+  }
+
+  return lines.join("\n");
+}
+
+function describeSeverity(severity) {
+  if (severity >= 7) return "Severe";
+  if (severity >= 4) return "Moderate";
+  return "Mild";
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function checkRange(errors, value, min, max, label) {
+  if (value !== null && (value < min || value > max)) {
+    errors.push(`${label} must be between ${min} and ${max}.`);
+  }
+}
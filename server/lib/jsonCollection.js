@@ -0,0 +1,40 @@
+import { mkdir, readFile, rename, writeFile } from "fs/promises";
+import path from "path";
+
+/**
+ * One array of records kept in a JSON file. The file is read once and
+ * rewritten atomically (temp file + rename) on every change; writes are
+ * queued so concurrent requests cannot interleave.
+ */
+export function createJsonCollection({ file, key }) {
+  let loaded = null;
+  let writeQueue = Promise.resolve();
+
+  return {
+    async load() {
+      loaded ??= readFile(file, "utf-8")
+        .then((raw) => JSON.parse(raw)[key] ?? [])
+        .catch((error) => {
+          if (error.code === "ENOENT") return [];
+          loaded = null;
+          throw error;
+        });
+      return loaded;
+    },
+
+    persist(items) {
+      const write = writeQueue.then(async () => {
+        await mkdir(path.dirname(file), { recursive: true });
+        const temp = `${file}.${process.pid}.tmp`;
+        await writeFile(
+          temp,
+          JSON.stringify({ version: 1, [key]: items }, null, 2)
+        );
+        await rename(temp, file);
+      });
+      // A failed write must not block every later one.
+      writeQueue = write.catch(() => {});
+      return write;
+    },
+  };
+}
@@ -0,0 +1,209 @@
+import { calculateEgfr } from "./dialysisRisk.js";
+
+// Longitudinal view of one patient's kidney function, built from the labs
+// already extracted from every report attached to them.
+
+const TREND_ANALYTES = ["creatinine", "egfr", "potassium", "acr"];
+const KIDNEY_FAILURE_EGFR = 15;
+// KDIGO treats a sustained fall of more than 5 mL/min/1.73m² per year as
+// rapid progression.
+const RAPID_DECLINE_PER_YEAR = -5;
+const MIN_SPAN_DAYS = 90;
+const PROJECTION_HORIZON_YEARS = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_DAYS = 365.25;
+
+/**
+ * Returns `{ timeline, egfrSeries, trend }`.
+ *
+ * `timeline` has one entry per report and collection date with the latest
+ * creatinine, eGFR, potassium and ACR seen for that date. `egfrSeries` uses
+ * the reported eGFR where present and otherwise a CKD-EPI 2021 value
+ * computed from creatinine. `trend` is a least-squares fit of that series,
+ * or null with a `trendNote` when there is too little data.
+ */
+export function buildKidneyTrends(patient, cases) {
+  const timeline = buildTimeline(patient, cases);
+  const egfrSeries = dedupeSeries(
+    timeline
+      .filter((entry) => entry.egfr)
+      .map((entry) => ({
+        date: entry.date,
+        egfr: entry.egfr.value,
+        source: entry.egfr.calculated ? "calculated" : "reported",
+        caseId: entry.caseId,
+      }))
+  );
+
+  const { trend, note } = fitTrend(egfrSeries);
+  return { timeline, egfrSeries, trend, trendNote: note };
+}
+
+function buildTimeline(patient, cases) {
+  const groups = new Map();
+
+  for (const entry of cases) {
+    entry.reports.forEach((report, reportIndex) => {
+      for (const lab of report.labs ?? []) {
+        if (!TREND_ANALYTES.includes(lab.analyte)) continue;
+        const date = lab.collectedAt ?? entry.createdAt.slice(0, 10);
+        const key = `${entry.id}:${reportIndex}:${date}`;
+        if (!groups.has(key)) {
+          groups.set(key, {
+            date,
+            dateSource: lab.collectedAt ? "report" : "upload",
+            caseId: entry.id,
+            reportName: report.name,
+            creatinine: null,
+            egfr: null,
+            potassium: null,
+            acr: null,
+          });
+        }
+        // Later mentions in a report are usually the most recent result.
+        groups.get(key)[lab.analyte] = {
+          value: lab.value,
+          unit: lab.unit,
+          qualifier: lab.qualifier ?? null,
+          flag: lab.flag ?? null,
+        };
+      }
+    });
+  }
+
+  const timeline = [...groups.values()].sort((a, b) =>
+    a.date.localeCompare(b.date)
+  );
+
+  for (const entry of timeline) {
+    if (entry.egfr || !entry.creatinine || !patient) continue;
+    const age = ageOn(patient.dateOfBirth, entry.date);
+    if (age < 18) continue;
+    entry.egfr = {
+      value: calculateEgfr({
+        creatinine: entry.creatinine.value,
+        age,
+        sex: patient.sex,
+      }),
+      unit: "mL/min/1.73m²",
+      qualifier: null,
+      flag: null,
+      calculated: true,
+    };
+  }
+
+  return timeline;
+}
+
+// The same report uploaded twice should not count as two measurements.
+function dedupeSeries(series) {
+  const seen = new Set();
+  return series.filter((point) => {
+    const key = `${point.date}:${point.egfr}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function fitTrend(series) {
+  if (series.length < 2) {
+    return {
+      trend: null,
+      note: "At least two dated eGFR or creatinine results are needed to estimate a trend.",
+    };
+  }
+
+  const origin = toTime(series[0].date);
+  const points = series.map((point) => ({
+    x: (toTime(point.date) - origin) / DAY_MS / YEAR_DAYS,
+    y: point.egfr,
+  }));
+  const spanDays = points[points.length - 1].x * YEAR_DAYS;
+  if (spanDays < MIN_SPAN_DAYS) {
+    return {
+      trend: null,
+      note: `Results need to span at least ${MIN_SPAN_DAYS} days to estimate a trend.`,
+    };
+  }
+
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+  const slope =
+    points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0) /
+    points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+  const intercept = meanY - slope * meanX;
+
+  const last = points[points.length - 1];
+  const latestFitted = intercept + slope * last.x;
+  const latestDate = series[series.length - 1].date;
+
+  return {
+    trend: {
+      points: series.length,
+      spanYears: round(last.x, 2),
+      slopePerYear: round(slope, 1),
+      rapidDecline: slope < RAPID_DECLINE_PER_YEAR,
+      latestEgfr: last.y,
+      latestDate,
+      fitted: {
+        start: { date: series[0].date, egfr: round(intercept, 1) },
+        end: { date: latestDate, egfr: round(latestFitted, 1) },
+      },
+      projection: projectCrossing(latestFitted, slope, latestDate),
+      limited: series.length < 3 || last.x < 1,
+    },
+    note: null,
+  };
+}
+
+function projectCrossing(latestFitted, slope, latestDate) {
+  if (latestFitted <= KIDNEY_FAILURE_EGFR) {
+    return { status: "already-below", threshold: KIDNEY_FAILURE_EGFR };
+  }
+  if (slope >= 0) {
+    return { status: "not-declining", threshold: KIDNEY_FAILURE_EGFR };
+  }
+
+  const years = (latestFitted - KIDNEY_FAILURE_EGFR) / -slope;
+  if (years > PROJECTION_HORIZON_YEARS) {
+    return {
+      status: "beyond-horizon",
+      threshold: KIDNEY_FAILURE_EGFR,
+      horizonYears: PROJECTION_HORIZON_YEARS,
+    };
+  }
+
+  return {
+    status: "projected",
+    threshold: KIDNEY_FAILURE_EGFR,
+    yearsUntil: round(years, 1),
+    date: new Date(toTime(latestDate) + years * YEAR_DAYS * DAY_MS)
+      .toISOString()
+      .slice(0, 10),
+  };
+}
+
+// Whole years between two ISO dates (YYYY-MM-DD).
+export function ageOn(dateOfBirth, date) {
+  const birth = new Date(`${dateOfBirth}T00:00:00Z`);
+  const on = new Date(`${date}T00:00:00Z`);
+  let age = on.getUTCFullYear() - birth.getUTCFullYear();
+  if (
+    on.getUTCMonth() < birth.getUTCMonth() ||
+    (on.getUTCMonth() === birth.getUTCMonth() &&
+      on.getUTCDate() < birth.getUTCDate())
+  ) {
+    age -= 1;
+  }
+  return age;
+}
+
+function toTime(date) {
+  return new Date(`${date}T00:00:00Z`).getTime();
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
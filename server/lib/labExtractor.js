@@ -0,0 +1,404 @@
+// Pulls renal-relevant lab values out of report text with plain pattern
+// matching, so the numbers shown to users never depend on the model
+// transcribing them correctly. Values are converted to one canonical unit
+// per analyte; the original value and unit are kept alongside.
+
+const UREA_TO_BUN_MG_DL = 0.467;
+const NITROGEN_MMOL_TO_MG_DL = 2.801;
+
+const ANALYTES = [
+  {
+    key: "acr",
+    label: "Urine albumin/creatinine ratio",
+    patterns: [
+      /\b(?:urine\s+)?(?:micro)?albumin\s*(?:\/|-|to)?\s*creat(?:inine)?\s*(?:ratio)?\b|\bu?acr\b/gi,
+    ],
+    unit: "mg/g",
+    conversions: { "mg/g": 1, "mg/gcreat": 1, "mg/mmol": 8.84 },
+  },
+  {
+    key: "egfr",
+    label: "eGFR",
+    patterns: [/\b(?:egfr|estimated\s+gfr|gfr,?\s*estimated|gfr)\b/gi],
+    unit: "mL/min/1.73m²",
+    conversions: { "ml/min/1.73m2": 1, "ml/min": 1 },
+  },
+  {
+    key: "creatinine",
+    label: "Creatinine",
+    patterns: [
+      /(?<!urine\s)\b(?:serum\s+)?creat(?:inine)?\b(?!\s*(?:clearance|kinase))/gi,
+    ],
+    unit: "mg/dL",
+    conversions: { "mg/dl": 1, "umol/l": 1 / 88.42 },
+    // Bare values this large are only plausible in µmol/L.
+    inferUnit: (value) => (value > 20 ? "umol/l" : "mg/dl"),
+  },
+  {
+    key: "bun",
+    label: "BUN",
+    patterns: [/\b(?:blood\s+urea\s+nitrogen|urea\s+nitrogen|bun)\b/gi],
+    unit: "mg/dL",
+    conversions: { "mg/dl": 1, "mmol/l": NITROGEN_MMOL_TO_MG_DL },
+  },
+  {
+    key: "urea",
+    label: "Urea",
+    normalizesTo: "bun",
+    patterns: [/\b(?:blood\s+|serum\s+)?urea\b/gi],
+    unit: "mg/dL",
+    conversions: {
+      "mg/dl": UREA_TO_BUN_MG_DL,
+      "mmol/l": NITROGEN_MMOL_TO_MG_DL,
+    },
+    inferUnit: (value) => (value < 40 ? "mmol/l" : "mg/dl"),
+  },
+  {
+    key: "potassium",
+    label: "Potassium",
+    // "K 4.5" or "K+: 4.5", but not "vitamin K2".
+    patterns: [
+      /\b(?:serum\s+)?potassium\b/gi,
+      /(?<![Vv]itamin\s*|VITAMIN\s*)\bK(?:\+|\b)(?=\s*[:=-]?\s*\d)/g,
+    ],
+    unit: "mmol/L",
+    conversions: { "mmol/l": 1, "meq/l": 1 },
+  },
+  {
+    key: "sodium",
+    label: "Sodium",
+    patterns: [/\b(?:serum\s+)?sodium\b/gi, /\bNa(?:\+|\b)(?=\s*[:=-]?\s*\d)/g],
+    unit: "mmol/L",
+    conversions: { "mmol/l": 1, "meq/l": 1 },
+  },
+  {
+    key: "bicarbonate",
+    label: "Bicarbonate",
+    patterns: [/\b(?:bicarbonate|hco3-?|total\s+co2|tco2|co2)\b/gi],
+    unit: "mmol/L",
+    conversions: { "mmol/l": 1, "meq/l": 1 },
+  },
+  {
+    key: "phosphate",
+    label: "Phosphate",
+    patterns: [/\b(?:(?:inorganic\s+)?phosph(?:ate|orus)|po4)\b/gi],
+    unit: "mg/dL",
+    conversions: { "mg/dl": 1, "mmol/l": 3.097 },
+  },
+  {
+    key: "calcium",
+    label: "Calcium",
+    patterns: [/(?<!ioni[sz]ed\s)\b(?:total\s+|serum\s+)?calcium\b/gi],
+    unit: "mg/dL",
+    conversions: { "mg/dl": 1, "mmol/l": 4.008, "meq/l": 2.004 },
+  },
+  {
+    key: "hemoglobin",
+    label: "Hemoglobin",
+    patterns: [/\b(?:ha?emoglobin|hgb|hb)\b(?!\s*a1c)/gi],
+    unit: "g/dL",
+    conversions: { "g/dl": 1, "g/l": 0.1, "mmol/l": 1.611 },
+    inferUnit: (value) => (value > 30 ? "g/l" : "g/dl"),
+  },
+  {
+    key: "albumin",
+    label: "Albumin",
+    patterns: [/(?<!(?:urine|micro)\s?)\b(?:serum\s+)?albumin\b/gi],
+    unit: "g/dL",
+    conversions: { "g/dl": 1, "g/l": 0.1 },
+    inferUnit: (value) => (value > 10 ? "g/l" : "g/dl"),
+  },
+];
+
+const ANALYTES_BY_KEY = Object.fromEntries(
+  ANALYTES.map((analyte) => [analyte.key, analyte])
+);
+
+const UNIT_PATTERN =
+  /(?<![a-z])(mg\s*\/\s*dl|[µμu]mol\s*\/\s*l|mmol\s*\/\s*l|meq\s*\/\s*l|g\s*\/\s*dl|g\s*\/\s*l|ml\s*\/\s*min(?:\s*\/\s*1\.73\s*m(?:2|²|\^2))?|mg\s*\/\s*g(?:m|\s*creat(?:inine)?)?|mg\s*\/\s*mmol)/i;
+
+const VALUE_PATTERN = /([<>≤≥]=?)?\s*(\d+(?:[.,]\d+)?)/;
+
+const RANGE_PATTERNS = [
+  /(\d+(?:\.\d+)?)\s*(?:-|–|to)\s*(\d+(?:\.\d+)?)/i,
+  /([<>≤≥])\s*=?\s*(\d+(?:\.\d+)?)/,
+];
+
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+const DATE_PATTERNS = [
+  {
+    regex: /\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/g,
+    parse: ([, y, m, d]) => [y, m, d],
+  },
+  {
+    regex: /\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})\b/g,
+    // Day-first unless the numbers make that impossible.
+    parse: ([, a, b, y]) => (Number(b) > 12 ? [y, a, b] : [y, b, a]),
+  },
+  {
+    regex: /\b(\d{1,2})[\s-]([a-z]{3})[a-z]*[\s-,]+(\d{4})\b/gi,
+    parse: ([, d, mon, y]) => [y, monthNumber(mon), d],
+  },
+  {
+    regex: /\b([a-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})\b/gi,
+    parse: ([, mon, d, y]) => [y, monthNumber(mon), d],
+  },
+];
+
+const COLLECTION_HINT =
+  /collect|sample|specimen|drawn|received|report(?:ed)?\s*(?:date|on)|date\s*(?:of|:)/i;
+
+/**
+ * Extracts lab results from free report text. Lines are scanned in order so
+ * that a "Collected on ..." line applies to the results that follow it. A
+ * result written with its own date ("2.1 on 2024-05-01, previously 1.0 on
+ * 2024-01-10") gets that date, one result per date.
+ */
+export function extractLabs(text) {
+  if (!text) return [];
+
+  const lines = text.split(/\r?\n/);
+  const documentDate = findDocumentDate(lines);
+  let currentDate = documentDate;
+  const labs = [];
+
+  for (const rawLine of lines) {
+    const line = rawLine.replace(/\s+/g, " ").trim();
+    if (!line) continue;
+
+    const lineDate = parseDate(line);
+    const matches = findAnalyteMatches(line);
+
+    if (!matches.length) {
+      if (lineDate && COLLECTION_HINT.test(line)) currentDate = lineDate;
+      continue;
+    }
+
+    matches.forEach((match, index) => {
+      const segment = line.slice(
+        match.end,
+        matches[index + 1]?.start ?? line.length
+      );
+      for (const reading of datedReadings(match.analyte, segment)) {
+        labs.push({
+          ...reading.lab,
+          collectedAt: reading.date ?? lineDate ?? currentDate,
+          source: line,
+        });
+      }
+    });
+  }
+
+  return labs;
+}
+
+function findAnalyteMatches(line) {
+  const candidates = [];
+  for (const analyte of ANALYTES) {
+    for (const pattern of analyte.patterns) {
+      for (const match of line.matchAll(pattern)) {
+        candidates.push({
+          analyte,
+          start: match.index,
+          end: match.index + match[0].length,
+        });
+      }
+    }
+  }
+
+  candidates.sort((a, b) => a.start - b.start || b.end - a.end);
+
+  const kept = [];
+  for (const candidate of candidates) {
+    const previous = kept.at(-1);
+    if (previous && candidate.start < previous.end) continue;
+    kept.push(candidate);
+  }
+  return kept;
+}
+
+// Splits a segment after each date when it holds more than one, so every
+// value is read with the date written after it. A segment written the other
+// way round ("on 2024-05-01: 2.1") is read as one result, as before.
+function datedReadings(analyte, segment) {
+  const dates = findDates(segment);
+  if (dates.length > 1) {
+    const readings = dates.map((date, index) => ({
+      lab: parseSegment(
+        analyte,
+        segment.slice(
+          index ? dates[index - 1].end : 0,
+          index === dates.length - 1 ? segment.length : date.end
+        )
+      ),
+      date: date.date,
+    }));
+    if (readings[0].lab) return readings.filter((reading) => reading.lab);
+  }
+  const lab = parseSegment(analyte, segment);
+  return lab ? [{ lab, date: dates[0]?.date ?? null }] : [];
+}
+
+function parseSegment(analyte, segment) {
+  // Skip a leading qualifier such as "(CKD-EPI 2021)" so its digits are not
+  // mistaken for the result, and blank out dates so they are not read as the
+  // value or as a reference range.
+  const rest = DATE_PATTERNS.reduce(
+    (remaining, { regex }) => remaining.replace(regex, " "),
+    segment.replace(/^[\s,:=|-]*\([^)]*\)/, "")
+  );
+  const valueMatch = rest.match(VALUE_PATTERN);
+  if (!valueMatch) return null;
+
+  // Anything further than a short gap from the name is likely another column
+  // of a table we do not understand; refuse rather than guess.
+  const gap = rest.slice(0, valueMatch.index);
+  const allowedWords =
+    /serum|plasma|blood|urine|result|value|level|total|previous(?:ly)?|earlier|prior/gi;
+  if (/[a-z]{4,}/i.test(gap.replace(allowedWords, ""))) {
+    return null;
+  }
+
+  const rawValue = parseNumber(valueMatch[2]);
+  const afterValue = rest.slice(valueMatch.index + valueMatch[0].length);
+  const unitMatch = afterValue.match(UNIT_PATTERN);
+  const rawUnit = unitMatch ? unitMatch[1].replace(/\s+/g, "") : null;
+
+  const unitKey = rawUnit
+    ? normalizeUnitKey(rawUnit)
+    : analyte.inferUnit?.(rawValue) ?? normalizeUnitKey(analyte.unit);
+  const factor = analyte.conversions[unitKey];
+  if (factor === undefined) return null;
+
+  const target = analyte.normalizesTo
+    ? ANALYTES_BY_KEY[analyte.normalizesTo]
+    : analyte;
+  const rangeText = unitMatch
+    ? afterValue.replace(unitMatch[0], " ")
+    : afterValue;
+  const referenceRange = parseRange(rangeText, factor);
+  const value = round(rawValue * factor);
+
+  return {
+    analyte: target.key,
+    label: target.label,
+    value,
+    unit: target.unit,
+    qualifier: valueMatch[1] ?? null,
+    original: {
+      name: analyte.label,
+      value: rawValue,
+      unit: rawUnit,
+    },
+    converted: factor !== 1 || target !== analyte,
+    unitInferred: !rawUnit,
+    referenceRange,
+    flag: flagValue(value, referenceRange),
+  };
+}
+
+function parseRange(text, factor) {
+  for (const pattern of RANGE_PATTERNS) {
+    const match = text.match(pattern);
+    if (!match) continue;
+    if (match.length === 3 && /\d/.test(match[1])) {
+      return {
+        low: round(Number(match[1]) * factor),
+        high: round(Number(match[2]) * factor),
+        text: match[0].trim(),
+      };
+    }
+    const bound = round(Number(match[2]) * factor);
+    const upper = match[1] === "<" || match[1] === "≤";
+    return {
+      low: upper ? null : bound,
+      high: upper ? bound : null,
+      text: match[0].trim(),
+    };
+  }
+  return null;
+}
+
+function flagValue(value, range) {
+  if (!range) return null;
+  if (range.high !== null && value > range.high) return "high";
+  if (range.low !== null && value < range.low) return "low";
+  return "normal";
+}
+
+function findDocumentDate(lines) {
+  for (const line of lines) {
+    if (COLLECTION_HINT.test(line)) {
+      const date = parseDate(line);
+      if (date) return date;
+    }
+  }
+  return null;
+}
+
+function parseDate(text) {
+  return findDates(text)[0]?.date ?? null;
+}
+
+// Every valid date in `text`, in order, as `{ date, start, end }`.
+function findDates(text) {
+  const found = [];
+  for (const { regex, parse } of DATE_PATTERNS) {
+    for (const match of text.matchAll(regex)) {
+      const [year, month, day] = parse(match).map(Number);
+      if (!year || !month || month > 12 || !day || day > 31) continue;
+      found.push({
+        date: `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(
+          2,
+          "0"
+        )}`,
+        start: match.index,
+        end: match.index + match[0].length,
+      });
+    }
+  }
+  found.sort((a, b) => a.start - b.start);
+  return found.filter(
+    (date, index) => !index || date.start >= found[index - 1].end
+  );
+}
+
+function monthNumber(name) {
+  const index = MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+  return index === -1 ? 0 : index + 1;
+}
+
+function normalizeUnitKey(unit) {
+  return unit
+    .toLowerCase()
+    .replace(/\s+/g, "")
+    .replace(/[µμ]/g, "u")
+    .replace(/m(?:²|\^2)$/, "m2")
+    .replace(/mg\/gm$/, "mg/g")
+    .replace(/creat(?:inine)?$/, "creat");
+}
+
+function parseNumber(raw) {
+  // "1,200" is a thousands separator; "1,2" is a decimal comma.
+  return Number(
+    /,\d{3}$/.test(raw) ? raw.replace(",", "") : raw.replace(",", ".")
+  );
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
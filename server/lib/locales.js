@@ -0,0 +1,234 @@
+// Languages the app can answer in, and every fixed string the server adds
+// to a result (section headings, fallback messages, export labels). The
+// structured JSON keys and enum values stay English in every language, so
+// nothing downstream depends on translated headings.
+
+export const LANGUAGES = {
+  en: { name: "English", nativeName: "English" },
+  hi: { name: "Hindi", nativeName: "हिन्दी" },
+  gu: { name: "Gujarati", nativeName: "ગુજરાતી" },
+};
+
+export const DEFAULT_LANGUAGE = "en";
+
+const LABELS = {
+  en: {
+    possibleConditions: "Possible conditions",
+    redFlags: "Red flags",
+    noneIdentified: "None identified.",
+    selfCare: "Self-care",
+    specialistTests: "Specialist / tests",
+    specialistsToContact: "Specialists to contact",
+    suggestedTests: "Suggested tests",
+    disclaimer: "Disclaimer",
+    summary: "Summary",
+    keyFindings: "Key findings",
+    diagnoses: "Diagnoses",
+    medications: "Medications",
+    labs: "Labs",
+    labsMentioned: "Labs mentioned",
+    followUp: "Follow-up",
+    conclusions: "Conclusions",
+    discrepancies: "Symptoms vs. reports",
+    nextSteps: "Next steps",
+    specialists: "Specialists",
+    likelihood: { high: "high", medium: "medium", low: "low" },
+    basis: { symptoms: "symptoms", reports: "reports", both: "both" },
+    fromBasis: (likelihood, basis) => `${likelihood}, from ${basis}`,
+    flagBasis: (basis) => `from ${basis}`,
+    likelihoodNote: (likelihood) => `${likelihood} likelihood`,
+    confidenceNote: (confidence) => `${confidence} confidence`,
+    emptyPrediction:
+      "Gemini did not return any text. Adjust the description (avoid personal data) and try again.",
+    emptyReport:
+      "Gemini did not return any summary text. Please try a shorter report or add clarifying notes.",
+    emptyCombined:
+      "Gemini did not return any analysis text. Please shorten the description or try fewer reports.",
+    emptyChat:
+      "Gemini did not return an answer. Please rephrase the question and try again.",
+    readingReport: "Reading report...",
+    readingPart: (part, parts) => `Reading part ${part} of ${parts}...`,
+    writingSummary: "Writing summary...",
+    emergency: "EMERGENCY",
+    possibleEmergency: "Possible emergency.",
+    kinds: {
+      symptoms: "Symptom analysis",
+      report: "Report analysis",
+      combined: "Symptoms and reports analysis",
+    },
+    saved: "Saved",
+    model: "Model",
+    prompt: "Prompt",
+    exported: "Exported",
+    described: "What was described",
+    notes: "Notes",
+    clinicianNotes: "Clinician notes",
+    followUpChat: "Follow-up questions",
+    questionsToAsk: "Questions to ask your doctor",
+    analysis: "Analysis",
+    labValues: "Lab values",
+    report: "Report",
+    labColumns: ["Test", "Value", "Reference", "Flag", "Collected"],
+    defaultDisclaimer:
+      "This information is educational and does not replace professional medical advice. Share it with your doctor or nephrologist.",
+    pageFooter: (page, total) =>
+      `Page ${page} of ${total}. Not a diagnosis; discuss with a clinician.`,
+  },
+  hi: {
+    possibleConditions: "संभावित बीमारियाँ",
+    redFlags: "खतरे के संकेत",
+    noneIdentified: "कोई नहीं मिला।",
+    selfCare: "स्वयं देखभाल",
+    specialistTests: "विशेषज्ञ / जाँचें",
+    specialistsToContact: "किन विशेषज्ञों से मिलें",
+    suggestedTests: "सुझाई गई जाँचें",
+    disclaimer: "अस्वीकरण",
+    summary: "सारांश",
+    keyFindings: "मुख्य निष्कर्ष",
+    diagnoses: "निदान",
+    medications: "दवाइयाँ",
+    labs: "लैब जाँच",
+    labsMentioned: "बताई गई लैब जाँचें",
+    followUp: "आगे की देखभाल",
+    conclusions: "निष्कर्ष",
+    discrepancies: "लक्षण बनाम रिपोर्ट",
+    nextSteps: "अगले कदम",
+    specialists: "विशेषज्ञ",
+    likelihood: { high: "उच्च", medium: "मध्यम", low: "कम" },
+    basis: { symptoms: "लक्षण", reports: "रिपोर्ट", both: "दोनों" },
+    fromBasis: (likelihood, basis) => `${likelihood}, आधार: ${basis}`,
+    flagBasis: (basis) => `आधार: ${basis}`,
+    likelihoodNote: (likelihood) => `संभावना ${likelihood}`,
+    confidenceNote: (confidence) => `भरोसा ${confidence}`,
+    emptyPrediction:
+      "Gemini ने कोई जवाब नहीं दिया। विवरण बदलकर (निजी जानकारी के बिना) फिर से कोशिश करें।",
+    emptyReport:
+      "Gemini ने कोई सारांश नहीं दिया। छोटी रिपोर्ट आज़माएँ या स्पष्ट करने वाले नोट्स जोड़ें।",
+    emptyCombined:
+      "Gemini ने कोई विश्लेषण नहीं दिया। विवरण छोटा करें या कम रिपोर्ट के साथ कोशिश करें।",
+    emptyChat:
+      "Gemini ने कोई जवाब नहीं दिया। सवाल को दूसरे शब्दों में लिखकर फिर से कोशिश करें।",
+    readingReport: "रिपोर्ट पढ़ी जा रही है...",
+    readingPart: (part, parts) => `भाग ${part} / ${parts} पढ़ा जा रहा है...`,
+    writingSummary: "सारांश लिखा जा रहा है...",
+    emergency: "आपातकाल",
+    possibleEmergency: "संभावित आपातकाल।",
+    kinds: {
+      symptoms: "लक्षण विश्लेषण",
+      report: "रिपोर्ट विश्लेषण",
+      combined: "लक्षण और रिपोर्ट विश्लेषण",
+    },
+    saved: "सहेजा गया",
+    model: "मॉडल",
+    prompt: "प्रॉम्प्ट",
+    exported: "निर्यात किया गया",
+    described: "क्या बताया गया",
+    notes: "नोट्स",
+    clinicianNotes: "डॉक्टर के नोट्स",
+    followUpChat: "आगे के सवाल",
+    questionsToAsk: "डॉक्टर से पूछने के सवाल",
+    analysis: "विश्लेषण",
+    labValues: "लैब मान",
+    report: "रिपोर्ट",
+    labColumns: ["जाँच", "मान", "सामान्य सीमा", "संकेत", "तारीख"],
+    defaultDisclaimer:
+      "यह जानकारी केवल शिक्षा के लिए है और डॉक्टर की सलाह की जगह नहीं लेती। इसे अपने डॉक्टर या नेफ्रोलॉजिस्ट को दिखाएँ।",
+    pageFooter: (page, total) =>
+      `पृष्ठ ${page} / ${total}. यह निदान नहीं है; डॉक्टर से चर्चा करें।`,
+  },
+  gu: {
+    possibleConditions: "સંભવિત બીમારીઓ",
+    redFlags: "ચેતવણીના સંકેતો",
+    noneIdentified: "કોઈ મળ્યું નથી.",
+    selfCare: "સ્વ-સંભાળ",
+    specialistTests: "નિષ્ણાત / તપાસ",
+    specialistsToContact: "કયા નિષ્ણાતને મળવું",
+    suggestedTests: "સૂચવેલી તપાસ",
+    disclaimer: "અસ્વીકરણ",
+    summary: "સારાંશ",
+    keyFindings: "મુખ્ય તારણો",
+    diagnoses: "નિદાન",
+    medications: "દવાઓ",
+    labs: "લેબ તપાસ",
+    labsMentioned: "ઉલ્લેખિત લેબ તપાસ",
+    followUp: "આગળની સંભાળ",
+    conclusions: "નિષ્કર્ષ",
+    discrepancies: "લક્ષણો વિ. રિપોર્ટ",
+    nextSteps: "આગળનાં પગલાં",
+    specialists: "નિષ્ણાતો",
+    likelihood: { high: "ઉચ્ચ", medium: "મધ્યમ", low: "ઓછી" },
+    basis: { symptoms: "લક્ષણો", reports: "રિપોર્ટ", both: "બંને" },
+    fromBasis: (likelihood, basis) => `${likelihood}, આધાર: ${basis}`,
+    flagBasis: (basis) => `આધાર: ${basis}`,
+    likelihoodNote: (likelihood) => `સંભાવના ${likelihood}`,
+    confidenceNote: (confidence) => `વિશ્વાસ ${confidence}`,
+    emptyPrediction:
+      "Gemini એ કોઈ જવાબ આપ્યો નથી. વર્ણન બદલીને (અંગત માહિતી વગર) ફરી પ્રયાસ કરો.",
+    emptyReport:
+      "Gemini એ કોઈ સારાંશ આપ્યો નથી. ટૂંકો રિપોર્ટ અજમાવો અથવા સ્પષ્ટતા માટે નોંધ ઉમેરો.",
+    emptyCombined:
+      "Gemini એ કોઈ વિશ્લેષણ આપ્યું નથી. વર્ણન ટૂંકું કરો અથવા ઓછા રિપોર્ટ સાથે પ્રયાસ કરો.",
+    emptyChat:
+      "Gemini એ કોઈ જવાબ આપ્યો નથી. પ્રશ્ન બીજા શબ્દોમાં લખીને ફરી પ્રયાસ કરો.",
+    readingReport: "રિપોર્ટ વંચાઈ રહ્યો છે...",
+    readingPart: (part, parts) => `ભાગ ${part} / ${parts} વંચાઈ રહ્યો છે...`,
+    writingSummary: "સારાંશ લખાઈ રહ્યો છે...",
+    emergency: "કટોકટી",
+    possibleEmergency: "સંભવિત કટોકટી.",
+    kinds: {
+      symptoms: "લક્ષણ વિશ્લેષણ",
+      report: "રિપોર્ટ વિશ્લેષણ",
+      combined: "લક્ષણો અને રિપોર્ટ વિશ્લેષણ",
+    },
+    saved: "સાચવ્યું",
+    model: "મોડેલ",
+    prompt: "પ્રોમ્પ્ટ",
+    exported: "નિકાસ કર્યું",
+    described: "શું જણાવ્યું",
+    notes: "નોંધ",
+    clinicianNotes: "ડૉક્ટરની નોંધ",
+    followUpChat: "આગળના પ્રશ્નો",
+    questionsToAsk: "ડૉક્ટરને પૂછવાના પ્રશ્નો",
+    analysis: "વિશ્લેષણ",
+    labValues: "લેબ મૂલ્યો",
+    report: "રિપોર્ટ",
+    labColumns: ["તપાસ", "મૂલ્ય", "સામાન્ય મર્યાદા", "સંકેત", "તારીખ"],
+    defaultDisclaimer:
+      "આ માહિતી ફક્ત જાણકારી માટે છે અને ડૉક્ટરની સલાહનું સ્થાન લેતી નથી. તેને તમારા ડૉક્ટર અથવા નેફ્રોલોજિસ્ટને બતાવો.",
+    pageFooter: (page, total) =>
+      `પાનું ${page} / ${total}. આ નિદાન નથી; ડૉક્ટર સાથે ચર્ચા કરો.`,
+  },
+};
+
+export function labelsFor(language) {
+  return LABELS[language] ?? LABELS[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Reads an optional `language` request field. Returns `{ errors, language }`
+ * like the other validators; a missing value means English.
+ */
+export function validateLanguage(value) {
+  if (value === undefined || value === null || value === "") {
+    return { errors: [], language: DEFAULT_LANGUAGE };
+  }
+  if (!Object.hasOwn(LANGUAGES, value)) {
+    return {
+      errors: [
+        `language must be one of: ${Object.keys(LANGUAGES).join(", ")}.`,
+      ],
+    };
+  }
+  return { errors: [], language: value };
+}
+
+/**
+ * Prompt line asking for answers in the given language, or "" for English.
+ * JSON keys and enum values must stay English because the schema validator
+ * and the UI key off them.
+ */
+export function languageInstruction(language) {
+  if (language === DEFAULT_LANGUAGE) return "";
+  const { name, nativeName } = LANGUAGES[language];
+  return `Write every text value in ${name} (${nativeName}) using simple, everyday words. Keep JSON keys and enum values (such as high, medium, low, symptoms, reports, both) exactly as specified in English, and keep numbers, units and medicine names as written.`;
+}
@@ -0,0 +1,368 @@
+// Deterministic medication safety check. Drug names are found in report
+// text, notes and medication lists by matching the bundled table in
+// drugTable.js, then checked against the patient's eGFR: nephrotoxic agents,
+// drugs that need a renal dose change at the current CKD stage, and
+// combinations that raise potassium. Like the dialysis rules, every flag
+// carries its explanation and source; nothing here depends on the model.
+
+import { calculateEgfr, stageGfr } from "./dialysisRisk.js";
+import { DRUG_CLASSES, DRUGS } from "./drugTable.js";
+
+const SEVERITY_ORDER = ["avoid", "caution", "monitor"];
+
+// Potassium at or above this makes any potassium-raising drug a concern.
+const HIGH_POTASSIUM = 5.5;
+
+const POTASSIUM_RAISING = [
+  "aceInhibitor",
+  "arb",
+  "mra",
+  "potassiumSparing",
+  "potassiumSupplement",
+  "trimethoprim",
+  "calcineurinInhibitor",
+];
+
+// Names and aliases become whole-word, case-insensitive patterns; hyphens
+// and spaces in a name match either.
+const MATCHERS = DRUGS.map((drug) => ({
+  drug,
+  patterns: [
+    ...[drug.name.toLowerCase(), ...drug.aliases].map(
+      (alias) =>
+        new RegExp(
+          `(?<![\\w-])${alias
+            .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+            .replace(/[\s-]+/g, "[\\s-]+")}(?![\\w-])`,
+          "i"
+        )
+    ),
+    ...(drug.patterns ?? []),
+  ],
+}));
+
+// Rules over the recognized medications as a whole. `drugs(...classes)`
+// returns the matched drugs in any of the classes.
+const RULES = [
+  {
+    id: "nephrotoxic-nsaid",
+    kind: "nephrotoxic",
+    title: "NSAID with reduced kidney function",
+    source: "KDIGO 2012 CKD guideline 4.4",
+    classes: ["nsaid"],
+    severity: ({ egfr }) => {
+      if (egfr === null) return "caution";
+      return egfr < 30 ? "avoid" : egfr < 60 ? "caution" : "monitor";
+    },
+    explain: ({ egfr }, names) =>
+      `${names} can reduce blood flow to the kidneys and cause acute kidney injury${
+        egfr === null
+          ? "; the risk is higher with CKD, dehydration and other blood pressure drugs."
+          : egfr < 30
+          ? `; KDIGO advises avoiding NSAIDs at an eGFR of ${egfr}.`
+          : egfr < 60
+          ? `; prolonged use is not advised at an eGFR of ${egfr}.`
+          : "; keep courses short and avoid during dehydration."
+      }`,
+  },
+  {
+    id: "nephrotoxic-aminoglycoside",
+    kind: "nephrotoxic",
+    title: "Aminoglycoside antibiotic",
+    source: "KDIGO 2012 AKI guideline 3.8",
+    classes: ["aminoglycoside"],
+    severity: ({ egfr }) => (egfr !== null && egfr < 30 ? "avoid" : "caution"),
+    explain: (_context, names) =>
+      `${names} can damage the kidney tubules; KDIGO suggests using aminoglycosides only when no less nephrotoxic alternative exists, with once-daily dosing and drug level monitoring.`,
+  },
+  {
+    id: "nephrotoxic-contrast",
+    kind: "nephrotoxic",
+    title: "Iodinated contrast",
+    source:
+      "KDIGO 2012 AKI guideline 4.4-4.5; ACR-NKF 2020 consensus on intravenous contrast",
+    classes: ["contrast"],
+    severity: ({ egfr }) =>
+      egfr === null || egfr < 30 ? "caution" : "monitor",
+    explain: ({ egfr }) =>
+      egfr !== null && egfr >= 30
+        ? `A contrast study is mentioned. At an eGFR of ${egfr} the risk of contrast-associated kidney injury is low, but hydration should be maintained.`
+        : "A contrast study is mentioned. Below an eGFR of 30 contrast can cause acute kidney injury; the radiologist should weigh the need, use the lowest dose and plan hydration and a creatinine check afterwards.",
+  },
+  {
+    id: "nephrotoxic-ppi",
+    kind: "nephrotoxic",
+    title: "Proton pump inhibitor",
+    source:
+      "FDA 2014 PPI labelling on acute interstitial nephritis; Lazarus et al., JAMA Intern Med 2016",
+    classes: ["ppi"],
+    severity: () => "monitor",
+    explain: (_context, names) =>
+      `${names} can rarely cause acute interstitial nephritis, and long-term use is linked with CKD progression; review whether it is still needed.`,
+  },
+  {
+    id: "nephrotoxic-lithium",
+    kind: "nephrotoxic",
+    title: "Lithium",
+    source: "KDIGO 2012 CKD guideline 4.4",
+    classes: ["lithium"],
+    severity: ({ egfr }) =>
+      egfr === null || egfr < 60 ? "caution" : "monitor",
+    explain: () =>
+      "Long-term lithium can cause chronic kidney damage and diabetes insipidus; kidney function, thyroid function and lithium levels need regular checks.",
+  },
+  {
+    id: "triple-whammy",
+    kind: "nephrotoxic",
+    title: "ACE inhibitor or ARB, diuretic and NSAID together",
+    source: "Lapi et al., BMJ 2013; KDIGO 2012 CKD guideline 4.4",
+    test: ({ drugs }) =>
+      drugs("aceInhibitor", "arb").length > 0 &&
+      drugs("diuretic").length > 0 &&
+      drugs("nsaid").length > 0,
+    involved: ({ drugs }) => drugs("aceInhibitor", "arb", "diuretic", "nsaid"),
+    severity: () => "avoid",
+    explain: (_context, names) =>
+      `${names} together (the "triple whammy") sharply raise the risk of acute kidney injury, especially during illness or dehydration.`,
+  },
+  {
+    id: "dual-raas-blockade",
+    kind: "potassium",
+    title: "ACE inhibitor and ARB together",
+    source: "KDIGO 2021 blood pressure in CKD guideline",
+    test: ({ drugs }) =>
+      drugs("aceInhibitor").length > 0 && drugs("arb").length > 0,
+    involved: ({ drugs }) => drugs("aceInhibitor", "arb"),
+    severity: () => "avoid",
+    explain: (_context, names) =>
+      `${names} block the same hormone system twice; KDIGO advises against combining them because of hyperkalemia and acute kidney injury without added benefit.`,
+  },
+  {
+    id: "potassium-raising-combination",
+    kind: "potassium",
+    title: "Potassium-raising combination",
+    source: "KDIGO 2020 potassium controversies conference",
+    test: ({ drugs }) => drugs(...POTASSIUM_RAISING).length >= 2,
+    involved: ({ drugs }) => drugs(...POTASSIUM_RAISING),
+    severity: ({ potassium, egfr }) =>
+      (potassium !== null && potassium >= HIGH_POTASSIUM) ||
+      (egfr !== null && egfr < 30)
+        ? "avoid"
+        : "caution",
+    explain: ({ potassium }, names) =>
+      `${names} each raise potassium, and together the risk of dangerous hyperkalemia is higher${
+        potassium !== null ? ` (latest potassium ${potassium} mmol/L)` : ""
+      }; potassium should be checked within a week of any change.`,
+  },
+  {
+    id: "potassium-raising-hyperkalemia",
+    kind: "potassium",
+    title: "Potassium-raising drug with high potassium",
+    source: "KDIGO 2020 potassium controversies conference",
+    test: ({ drugs, potassium }) =>
+      potassium !== null &&
+      potassium >= HIGH_POTASSIUM &&
+      drugs(...POTASSIUM_RAISING).length === 1,
+    involved: ({ drugs }) => drugs(...POTASSIUM_RAISING),
+    severity: () => "caution",
+    explain: ({ potassium }, names) =>
+      `Potassium is ${potassium} mmol/L while taking ${names}, which raises potassium; the dose may need review.`,
+  },
+];
+
+/**
+ * Finds drugs in free text (`texts`, `[{ source, text }]`) and in medication
+ * lists (`lists`, `[{ source, items }]`), and checks them against `egfr`
+ * (see estimateCurrentEgfr) and the latest `potassium` in mmol/L, either of
+ * which may be null. List items that match nothing are returned as
+ * `unrecognized` so they can still be reviewed by hand.
+ */
+export function checkMedications({
+  texts = [],
+  lists = [],
+  egfr = null,
+  potassium = null,
+}) {
+  const found = new Map();
+  const record = (drug, source, matched) => {
+    const entry = found.get(drug.id) ?? {
+      drug,
+      sources: new Set(),
+      matched: new Set(),
+    };
+    entry.sources.add(source);
+    entry.matched.add(matched);
+    found.set(drug.id, entry);
+  };
+
+  for (const { source, text } of texts) {
+    for (const { drug, matched } of findDrugs(text ?? "")) {
+      record(drug, source, matched);
+    }
+  }
+  const unrecognized = [];
+  for (const { source, items } of lists) {
+    for (const item of items ?? []) {
+      const matches = findDrugs(item);
+      if (!matches.length) unrecognized.push({ source, text: item });
+      for (const { drug, matched } of matches) record(drug, source, matched);
+    }
+  }
+
+  const drugs = [...found.values()].map((entry) => entry.drug);
+  const egfrValue = egfr?.value ?? null;
+  const context = {
+    egfr: egfrValue,
+    potassium,
+    drugs: (...classes) =>
+      drugs.filter((drug) =>
+        drug.classes.some((name) => classes.includes(name))
+      ),
+  };
+
+  const flags = [
+    ...RULES.flatMap((rule) => {
+      const involved = rule.classes
+        ? context.drugs(...rule.classes)
+        : rule.test(context)
+        ? rule.involved(context)
+        : [];
+      if (!involved.length) return [];
+      return [
+        describeFlag(rule, {
+          severity: rule.severity(context),
+          drugs: involved,
+          explanation: rule.explain(context, listNames(involved)),
+        }),
+      ];
+    }),
+    ...(egfrValue === null ? [] : checkRenalDosing(drugs, egfrValue)),
+  ].sort(
+    (a, b) =>
+      SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity)
+  );
+
+  return {
+    medications: [...found.values()].map(({ drug, sources, matched }) => ({
+      id: drug.id,
+      name: drug.name,
+      classes: drug.classes.map((name) => DRUG_CLASSES[name]),
+      sources: [...sources],
+      matched: [...matched],
+    })),
+    unrecognized,
+    egfr: egfr && {
+      ...egfr,
+      stage: stageGfr(egfr.value).stage,
+      stageLabel: stageGfr(egfr.value).label,
+    },
+    potassium,
+    flags,
+    // Drugs whose dosing depends on eGFR, listed when it was not available.
+    uncheckedDoses:
+      egfrValue === null
+        ? drugs.filter((drug) => drug.renalDosing).map((drug) => drug.name)
+        : [],
+  };
+}
+
+/**
+ * The most recent eGFR in `labs` (labExtractor results): a reported eGFR,
+ * or one calculated with CKD-EPI 2021 from creatinine when the patient's
+ * `sex` and adult `age` are known. Returns `{ value, basis, collectedAt }`
+ * with basis "reported" or "calculated", or null.
+ */
+export function estimateCurrentEgfr(labs, { sex, age } = {}) {
+  const reported = latestLab(labs, "egfr");
+  if (reported) {
+    return {
+      value: reported.value,
+      basis: "reported",
+      collectedAt: reported.collectedAt ?? null,
+    };
+  }
+  const creatinine = latestLab(labs, "creatinine");
+  if (
+    !creatinine ||
+    !["male", "female"].includes(sex) ||
+    typeof age !== "number" ||
+    age < 18 ||
+    age > 120
+  ) {
+    return null;
+  }
+  return {
+    value: calculateEgfr({ creatinine: creatinine.value, age, sex }),
+    basis: "calculated",
+    collectedAt: creatinine.collectedAt ?? null,
+  };
+}
+
+// Latest dated result for an analyte; undated results count as newest,
+// since they usually come from the report being read.
+export function latestLab(labs, analyte) {
+  return labs
+    .filter((lab) => lab.analyte === analyte)
+    .reduce(
+      (latest, lab) =>
+        !latest || (lab.collectedAt ?? "9999") >= (latest.collectedAt ?? "9999")
+          ? lab
+          : latest,
+      null
+    );
+}
+
+function checkRenalDosing(drugs, egfr) {
+  const { stage } = stageGfr(egfr);
+  return drugs.flatMap((drug) => {
+    const rule = drug.renalDosing?.find(({ below }) => egfr < below);
+    if (!rule) return [];
+    return [
+      describeFlag(
+        {
+          id: `renal-dose-${drug.id}`,
+          kind: "dose",
+          title: `${drug.name}: renal dose ${
+            rule.action === "avoid" ? "limit" : "adjustment"
+          }`,
+          source: rule.source,
+        },
+        {
+          severity: rule.action === "avoid" ? "avoid" : "caution",
+          drugs: [drug],
+          explanation: `At an eGFR of ${egfr} (${stage}, below ${rule.below}): ${rule.advice}`,
+        }
+      ),
+    ];
+  });
+}
+
+function describeFlag(rule, { severity, drugs, explanation }) {
+  return {
+    id: rule.id,
+    kind: rule.kind,
+    severity,
+    title: rule.title,
+    drugs: drugs.map((drug) => drug.name),
+    explanation,
+    source: rule.source,
+  };
+}
+
+function findDrugs(text) {
+  if (!text.trim()) return [];
+  return MATCHERS.flatMap(({ drug, patterns }) => {
+    for (const pattern of patterns) {
+      const match = text.match(pattern);
+      if (match) return [{ drug, matched: match[0].trim() }];
+    }
+    return [];
+  });
+}
+
+function listNames(drugs) {
+  const names = drugs.map((drug) => drug.name);
+  return names.length > 1
+    ? `${names.slice(0, -1).join(", ")} and ${names.at(-1)}`
+    : names[0];
+}
@@ -0,0 +1,91 @@
+// Failures of a model call, reduced to the four codes clients see. Upstream
+// error text is logged on the server and never sent to the browser.
+
+export const MODEL_ERROR_CODES = [
+  "upstream_unavailable",
+  "safety_blocked",
+  "quota_exceeded",
+  "bad_input",
+];
+
+// Worth another attempt: timeouts, rate limiting and server-side failures.
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+const FAILURE_RESPONSES = {
+  upstream_unavailable: {
+    status: 503,
+    error:
+      "The model service is unavailable right now. Please try again shortly.",
+  },
+  quota_exceeded: {
+    status: 503,
+    error: "The model service has used up its quota. Please try again later.",
+  },
+  safety_blocked: {
+    status: 422,
+    error: "The model declined to answer this request.",
+  },
+  bad_input: {
+    status: 400,
+    error: "The model could not process this input.",
+  },
+};
+
+/**
+ * Normalizes a failed provider outcome (`{ ok: false, status, errorText }`,
+ * optionally with `code`) so it always carries one of MODEL_ERROR_CODES.
+ */
+export function classifyFailure(outcome) {
+  if (MODEL_ERROR_CODES.includes(outcome.code)) return outcome;
+  const { status, errorText = "" } = outcome;
+  let code = "upstream_unavailable";
+  if (status === 429 || /RESOURCE_EXHAUSTED|quota/i.test(errorText)) {
+    code = "quota_exceeded";
+  } else if ([400, 413, 422].includes(status)) {
+    code = "bad_input";
+  }
+  return { ...outcome, code };
+}
+
+// A thrown error (network failure, timeout, failed stream) as a failed
+// outcome. Errors without an HTTP status are treated as retryable.
+export function failureFromError(error) {
+  return classifyFailure({
+    ok: false,
+    status: error.status,
+    code: error.code,
+    errorText: error.details ?? error.message,
+  });
+}
+
+// The error a failed stream throws, carrying the same fields as an outcome.
+export function modelError(failure) {
+  return Object.assign(new Error(FAILURE_RESPONSES[failure.code].error), {
+    status: failure.status,
+    code: failure.code,
+    details: failure.errorText,
+    retryAfter: failure.retryAfter,
+  });
+}
+
+export function isRetryable(failure) {
+  if (failure.code === "safety_blocked" || failure.code === "bad_input") {
+    return false;
+  }
+  return (
+    failure.status === undefined || RETRYABLE_STATUSES.includes(failure.status)
+  );
+}
+
+/**
+ * What the client gets for a failed model call: an HTTP status and
+ * `{ error, code }`, plus `retryAfter` (seconds) when the circuit is open.
+ */
+export function modelFailureResponse(outcome) {
+  const { code, retryAfter } = classifyFailure(outcome);
+  const { status, error } = FAILURE_RESPONSES[code];
+  return {
+    status,
+    body: retryAfter ? { error, code, retryAfter } : { error, code },
+  };
+}
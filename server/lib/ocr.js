@@ -0,0 +1,67 @@
+import { createRequire } from "module";
+import heicConvert from "heic-convert";
+import sharp from "sharp";
+import { createWorker } from "tesseract.js";
+
+const require = createRequire(import.meta.url);
+// Bundled traineddata keeps OCR fully offline; tesseract.js would otherwise
+// download it from a CDN on first use.
+const englishData = require("@tesseract.js-data/eng");
+
+export const OCR_IMAGE_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "image/heic",
+  "image/heif",
+  "image/tiff",
+];
+
+let workerPromise = null;
+
+function getWorker() {
+  workerPromise ??= createWorker(englishData.code, undefined, {
+    langPath: englishData.langPath,
+    gzip: englishData.gzip,
+    cacheMethod: "none",
+  }).catch((error) => {
+    workerPromise = null;
+    throw error;
+  });
+  return workerPromise;
+}
+
+/**
+ * Runs OCR on one image. HEIC and TIFF are converted to a grayscale PNG
+ * first, which tesseract reads reliably; phone photos also get their EXIF
+ * rotation applied so text is upright. Results below `minConfidence`
+ * (`uploads.ocrMinConfidence` in config.js) are marked `lowConfidence`.
+ */
+export async function recognizeImage(
+  buffer,
+  mimetype = "image/png",
+  { minConfidence }
+) {
+  const prepared = await prepareImage(buffer, mimetype);
+  const worker = await getWorker();
+  const { data } = await worker.recognize(prepared);
+  const confidence = Math.round(data.confidence ?? 0);
+
+  return {
+    text: data.text ?? "",
+    confidence,
+    lowConfidence: confidence < minConfidence,
+  };
+}
+
+async function prepareImage(buffer, mimetype) {
+  const source =
+    mimetype === "image/heic" || mimetype === "image/heif"
+      ? await heicConvert({ buffer, format: "PNG" })
+      : buffer;
+
+  return sharp(Buffer.from(source), { pages: 1 })
+    .rotate()
+    .grayscale()
+    .png()
+    .toBuffer();
+}
@@ -0,0 +1,96 @@
+import { randomUUID } from "crypto";
+import { createJsonCollection } from "./jsonCollection.js";
+
+// Patients that reports can be attached to over time. Sex and date of birth
+// are kept so creatinine-only reports can still be turned into an eGFR.
+
+const SEXES = ["female", "male"];
+
+/**
+ * Patient shape:
+ * `{ id, name, sex, dateOfBirth, userId, clinicianIds, createdAt, updatedAt }`
+ * with `dateOfBirth` as an ISO date (YYYY-MM-DD), `userId` the patient's own
+ * account (if any) and `clinicianIds` the clinician accounts assigned to them.
+ */
+export function createPatientStore({ file }) {
+  const { load, persist } = createJsonCollection({ file, key: "patients" });
+
+  return {
+    async list() {
+      const patients = await load();
+      return [...patients].sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    async get(id) {
+      const patients = await load();
+      return patients.find((entry) => entry.id === id) ?? null;
+    },
+
+    async create(values) {
+      const patients = await load();
+      const now = new Date().toISOString();
+      const entry = {
+        id: randomUUID(),
+        userId: null,
+        clinicianIds: [],
+        ...values,
+        createdAt: now,
+        updatedAt: now,
+      };
+      patients.push(entry);
+      await persist(patients);
+      return entry;
+    },
+
+    async update(id, values) {
+      const patients = await load();
+      const entry = patients.find((item) => item.id === id);
+      if (!entry) return null;
+      Object.assign(entry, values, { updatedAt: new Date().toISOString() });
+      await persist(patients);
+      return entry;
+    },
+
+    async remove(id) {
+      const patients = await load();
+      const index = patients.findIndex((entry) => entry.id === id);
+      if (index === -1) return false;
+      patients.splice(index, 1);
+      await persist(patients);
+      return true;
+    },
+  };
+}
+
+/**
+ * Validates a patient payload. With `partial` only the fields present are
+ * checked, for PATCH requests. Returns `{ errors, values }`.
+ */
+export function validatePatientInput(body = {}, { partial = false } = {}) {
+  const errors = [];
+  const values = {};
+
+  if (!partial || body.name !== undefined) {
+    const name = typeof body.name === "string" ? body.name.trim() : "";
+    if (!name) errors.push("Patient name is required.");
+    else values.name = name.slice(0, 120);
+  }
+
+  if (!partial || body.sex !== undefined) {
+    if (!SEXES.includes(body.sex)) errors.push("sex must be female or male.");
+    else values.sex = body.sex;
+  }
+
+  if (!partial || body.dateOfBirth !== undefined) {
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(body.dateOfBirth ?? "")
+      ? new Date(`${body.dateOfBirth}T00:00:00Z`)
+      : null;
+    if (!date || Number.isNaN(date.getTime()) || date > new Date()) {
+      errors.push("dateOfBirth must be a past date in YYYY-MM-DD format.");
+    } else {
+      values.dateOfBirth = body.dateOfBirth;
+    }
+  }
+
+  return { errors, values };
+}
@@ -0,0 +1,274 @@
+// Prompt wording lives here as named, versioned templates instead of inside
+// route handlers. A published version is never edited: change the wording by
+// adding the next version, so every stored case still names the exact prompt
+// that produced it (`{ id, version }`, recorded by server.js).
+//
+// A template is a list of parts joined by `separator`. `{{name}}` is replaced
+// with a variable; a part written as `{ when, text }` is only kept when that
+// variable has a value, `{ unless, text }` only when it has none, and parts
+// that render empty are dropped.
+
+export const PROMPT_TASKS = [
+  "predict",
+  "report",
+  "combined",
+  "report-chunk",
+  "chat",
+];
+
+const TEMPLATES = [
+  {
+    id: "predict-clinician",
+    version: 1,
+    task: "predict",
+    description:
+      "Ranked conditions, red flags, self-care and next steps from symptoms only.",
+    separator: "\n",
+    parts: [
+      "You are an experienced clinician.",
+      "Based ONLY on the provided symptoms:",
+      "- List likely conditions with likelihood (high/medium/low) and a one-line rationale.",
+      "- Flag red-flag signs needing urgent care (empty list if none).",
+      "- Provide pragmatic self-care guidance, including when to seek in-person care.",
+      "- Recommend appropriate specialists to contact and next diagnostic tests if relevant.",
+      "- Note symptom duration/severity considerations or common triggers in the summary where applicable.",
+      "- Keep guidance practical, action-oriented, and avoid jargon.",
+      "Start the summary with brief reassurance / overall assessment.",
+      "End with a disclaimer reminding that this is informational only.",
+      "Respond with JSON matching the provided schema. Keep it under 220 words.",
+      "{{language}}",
+      "{{placeholders}}",
+      { when: "patient", text: "Patient: {{patient}}" },
+      "Symptoms and history:\n{{symptoms}}",
+    ],
+  },
+  {
+    id: "report-summary",
+    version: 1,
+    task: "report",
+    description:
+      "Plain-language report summary with findings, diagnoses, medications, labs and follow-ups.",
+    separator: "\n\n",
+    parts: [
+      "You are a clinical documentation specialist.",
+      {
+        when: "summarized",
+        text: "Analyze these notes, extracted part by part from a {{pages}}-page medical report:\n\n{{report}}",
+      },
+      {
+        unless: "summarized",
+        text: "Analyze the provided medical report text:\n\n{{report}}",
+      },
+      { when: "patient", text: "Patient: {{patient}}" },
+      { when: "notes", text: "Additional clinician notes: {{notes}}" },
+      {
+        when: "lowConfidenceOcr",
+        text: "Parts of this text come from low-confidence OCR; treat unusual values with caution.",
+      },
+      {
+        when: "labs",
+        text: "Lab values already parsed from this report (quote these exact numbers):\n{{labs}}",
+      },
+      "Summarize clearly with:",
+      "- A short title and a one-paragraph overview.",
+      "- Key findings / impressions.",
+      "- Diagnoses and differential ranked (high/medium/low confidence).",
+      "- Medications mentioned, and labs mentioned (with values where given).",
+      "- Follow-up actions or referrals.",
+      "Use plain, everyday language (around an 8th-grade reading level) so patients can easily understand.",
+      "Keep the tone professional, concise, <= 250 words, and include a short disclaimer.",
+      "{{language}}",
+      "{{placeholders}}",
+      "Respond with JSON matching the provided schema.",
+    ],
+  },
+  {
+    id: "combined-evidence",
+    version: 1,
+    task: "combined",
+    description:
+      "Conclusions from symptoms and reports together, each with its basis and evidence.",
+    separator: "\n\n",
+    parts: [
+      "You are an experienced nephrology-aware clinician.",
+      "Reason over the patient's own symptom description AND the attached medical reports together.",
+      "Symptoms (patient's words): {{symptoms}}",
+      { when: "patient", text: "Patient: {{patient}}" },
+      { when: "notes", text: "Additional clinician notes: {{notes}}" },
+      "{{reports}}",
+      "For every conclusion, set basis to 'symptoms' when it rests only on the symptom description, 'reports' when it rests only on report evidence, or 'both' when both support it.",
+      "List the specific evidence for each conclusion, prefixed with its source, e.g. 'Symptoms: ankle swelling for 2 weeks' or 'Report 1: creatinine 3.4 mg/dL'.",
+      "Flag red-flag signs needing urgent care with their basis (empty list if none).",
+      "Note any discrepancies between what the patient describes and what the reports show.",
+      "Give practical next steps and the specialists to contact.",
+      "Use plain, everyday language, <= 300 words, and end with a short disclaimer.",
+      "{{language}}",
+      "{{placeholders}}",
+      "Respond with JSON matching the provided schema.",
+    ],
+  },
+  {
+    id: "report-chunk-notes",
+    version: 1,
+    task: "report-chunk",
+    description:
+      "Map step for long reports: bullet notes for one part of the document.",
+    separator: "\n\n",
+    parts: [
+      "You are a clinical documentation specialist.",
+      {
+        when: "section",
+        text: "This is part {{part}} of {{parts}} of a longer medical report (section: {{section}}).",
+      },
+      {
+        unless: "section",
+        text: "This is part {{part}} of {{parts}} of a longer medical report.",
+      },
+      "Write concise bullet notes covering only what this part contains: findings, diagnoses, medications with doses, lab values with units and dates, and follow-up actions or plans.",
+      "Quote numbers exactly. Skip letterheads, addresses and boilerplate. Write 'Nothing clinically relevant.' if there is nothing to note.",
+      "{{text}}",
+    ],
+  },
+  {
+    id: "case-chat",
+    version: 1,
+    task: "chat",
+    description:
+      "Follow-up questions about a saved analysis, answered from its symptoms, reports and earlier answer.",
+    separator: "\n\n",
+    parts: [
+      "You are an experienced nephrology-aware clinician answering a follow-up question about an analysis the user has already received.",
+      { when: "patient", text: "Patient: {{patient}}" },
+      { when: "symptoms", text: "Symptoms as first described:\n{{symptoms}}" },
+      { when: "reports", text: "Report text:\n{{reports}}" },
+      "Earlier answer:\n{{answer}}",
+      { when: "history", text: "Conversation so far:\n{{history}}" },
+      "New question:\n{{question}}",
+      "Answer only this question, using the context above. Do not invent results that are not in it; say so when the context cannot answer the question.",
+      "List red-flag signs needing urgent care that the question or context raises (empty list if none).",
+      "Suggest a few questions the user could ask their doctor or nephrologist, when useful (empty list otherwise).",
+      "Use plain, everyday language, <= 180 words, and end with a short disclaimer that this is informational only.",
+      "{{language}}",
+      "{{placeholders}}",
+      "Respond with JSON matching the provided schema.",
+    ],
+  },
+];
+
+// Values used by the preview endpoint, so a template can be read in full.
+const SAMPLE_VARIABLES = {
+  symptoms:
+    "Ankle swelling and tiredness for three weeks, foamy urine, passing less urine than usual.",
+  notes: "Known type 2 diabetes for 12 years.",
+  patient: "female, 62 years",
+  language: "",
+  placeholders:
+    "Identifiers have been replaced with placeholders such as [NAME_1]. Keep any placeholder you mention exactly as written and never guess the real value.",
+  report:
+    "Renal function panel, 12 Mar 2024\nCreatinine 3.4 mg/dL (0.6-1.2)\neGFR 18 mL/min/1.73m2\nPotassium 5.6 mmol/L",
+  summarized: "",
+  pages: "1",
+  lowConfidenceOcr: "",
+  labs: "- Creatinine: 3.4 mg/dL\n- eGFR: 18 mL/min/1.73m2\n- Potassium: 5.6 mmol/L",
+  reports:
+    "Report 1 (renal-panel.pdf):\n\nCreatinine 3.4 mg/dL, eGFR 18 mL/min/1.73m2, potassium 5.6 mmol/L",
+  part: "2",
+  parts: "5",
+  section: "Laboratory results",
+  answer:
+    "Possible conditions: chronic kidney disease (high). Red flags: potassium 5.6 mmol/L is above the normal range.",
+  history:
+    "User: Is stage 4 the same as kidney failure?\nAssistant: Not yet. Stage 4 means the kidneys work at 15-29% and planning with a nephrologist should start.",
+  question: "What does a high potassium mean for me?",
+  text: "Creatinine 3.4 mg/dL (0.6-1.2) ... eGFR 18 mL/min/1.73m2 ...",
+};
+
+const VARIABLE_PATTERN = /\{\{(\w+)\}\}/g;
+
+/**
+ * Every template with the variables it uses; `isDefault` marks the template
+ * each task uses when the request does not pick one (`defaults` maps a task
+ * to a template reference, see resolvePromptTemplate).
+ */
+export function listPromptTemplates(defaults = {}) {
+  return TEMPLATES.map((template) => ({
+    ...describePromptTemplate(template),
+    task: template.task,
+    description: template.description,
+    variables: templateVariables(template),
+    isDefault: findPromptTemplate(defaults[template.task] ?? "") === template,
+  }));
+}
+
+/**
+ * Finds the template for `task` named by `ref`: `id@version`, or just `id`
+ * for its latest version. Returns `{ template }` or `{ error }`.
+ */
+export function resolvePromptTemplate(task, ref) {
+  const template = findPromptTemplate(ref);
+  if (!template) return { error: `Unknown prompt template "${ref}".` };
+  if (template.task !== task) {
+    return {
+      error: `Prompt template "${ref}" is for ${template.task}, not ${task}.`,
+    };
+  }
+  return { template };
+}
+
+export function renderPrompt(template, variables) {
+  const value = (name) => {
+    const raw = variables[name];
+    return raw === undefined || raw === null || raw === false
+      ? ""
+      : String(raw);
+  };
+  return template.parts
+    .filter((part) => {
+      if (typeof part === "string") return true;
+      if (part.when) return Boolean(value(part.when));
+      return !value(part.unless);
+    })
+    .map((part) =>
+      (typeof part === "string" ? part : part.text).replace(
+        VARIABLE_PATTERN,
+        (_match, name) => value(name)
+      )
+    )
+    .filter((text) => text.trim())
+    .join(template.separator);
+}
+
+// The template rendered with sample values, for reading it in full.
+export function previewPrompt(template) {
+  return renderPrompt(template, SAMPLE_VARIABLES);
+}
+
+// How a response and a stored case name the prompt that produced them.
+export function describePromptTemplate(template) {
+  return { id: template.id, version: template.version };
+}
+
+// `id@version`, or just `id` for its latest version; null when unknown.
+export function findPromptTemplate(ref) {
+  const [id, version] = String(ref).trim().split("@");
+  const versions = TEMPLATES.filter((template) => template.id === id);
+  if (!versions.length) return null;
+  if (version === undefined) {
+    return versions.reduce((latest, candidate) =>
+      candidate.version > latest.version ? candidate : latest
+    );
+  }
+  return (
+    versions.find((candidate) => String(candidate.version) === version) ?? null
+  );
+}
+
+function templateVariables(template) {
+  const names = new Set();
+  for (const part of template.parts) {
+    const text = typeof part === "string" ? part : part.text;
+    for (const [, name] of text.matchAll(VARIABLE_PATTERN)) names.add(name);
+    if (part.when || part.unless) names.add(part.when ?? part.unless);
+  }
+  return [...names];
+}
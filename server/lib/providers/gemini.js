@@ -0,0 +1,139 @@
+import fetch from "node-fetch";
+import { readSseData } from "./sse.js";
+
+const BASE_URL = "https://generativelanguage.googleapis.com/v1beta/models";
+
+// Finish reasons that mean the answer was withheld, not cut short.
+const BLOCKED_FINISH_REASONS = [
+  "SAFETY",
+  "PROHIBITED_CONTENT",
+  "BLOCKLIST",
+  "SPII",
+];
+
+export function createGeminiProvider({ apiKey, model }) {
+  const endpoint = (method) =>
+    `${BASE_URL}/${model}:${method}?key=${encodeURIComponent(apiKey)}`;
+
+  const buildBody = (prompt, config) =>
+    JSON.stringify({
+      contents: [
+        {
+          role: "user",
+          parts: [{ text: prompt }],
+        },
+      ],
+      generationConfig: toGenerationConfig(config),
+    });
+
+  return {
+    name: "gemini",
+    model,
+
+    async generate({ prompt, config = {}, signal }) {
+      const response = await fetch(endpoint("generateContent"), {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: buildBody(prompt, config),
+        signal,
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.error("Gemini API error:", response.status, errorText);
+        return { ok: false, status: response.status, errorText };
+      }
+
+      const data = await response.json();
+      const blockReason = findBlockReason(data);
+      if (blockReason) {
+        console.error("Gemini blocked the response:", blockReason);
+        return {
+          ok: false,
+          status: 200,
+          code: "safety_blocked",
+          errorText: blockReason,
+        };
+      }
+      return { ok: true, data, text: extractGeminiText(data) };
+    },
+
+    async *stream({ prompt, config = {}, signal }) {
+      const response = await fetch(
+        `${endpoint("streamGenerateContent")}&alt=sse`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: buildBody(prompt, config),
+          signal,
+        }
+      );
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.error("Gemini stream error:", response.status, errorText);
+        const error = new Error("Gemini stream request failed.");
+        error.status = response.status;
+        error.details = errorText;
+        throw error;
+      }
+
+      for await (const data of readSseData(response.body)) {
+        const payload = JSON.parse(data);
+        const blockReason = findBlockReason(payload);
+        if (blockReason) {
+          console.error("Gemini blocked the stream:", blockReason);
+          throw Object.assign(new Error("Gemini blocked the response."), {
+            code: "safety_blocked",
+            details: blockReason,
+          });
+        }
+        // Chunks are concatenated by the caller, so keep their whitespace.
+        const parts = payload?.candidates?.[0]?.content?.parts ?? [];
+        const text = parts.map((part) => part?.text ?? "").join("");
+        if (text) yield text;
+      }
+    },
+  };
+}
+
+function toGenerationConfig(config) {
+  const { responseSchema, ...rest } = config;
+  if (!responseSchema) return rest;
+  return {
+    ...rest,
+    responseMimeType: "application/json",
+    responseSchema,
+  };
+}
+
+// Why Gemini withheld the answer, or null when it did not.
+function findBlockReason(payload) {
+  if (payload?.promptFeedback?.blockReason) {
+    return `prompt blocked: ${payload.promptFeedback.blockReason}`;
+  }
+  const finishReason = payload?.candidates?.[0]?.finishReason;
+  return BLOCKED_FINISH_REASONS.includes(finishReason)
+    ? `response blocked: ${finishReason}`
+    : null;
+}
+
+function extractGeminiText(payload) {
+  const candidates = payload?.candidates ?? [];
+  const textParts = [];
+
+  for (const candidate of candidates) {
+    const parts = candidate?.content?.parts ?? [];
+    for (const part of parts) {
+      if (typeof part?.text === "string" && part.text.trim()) {
+        textParts.push(part.text.trim());
+      }
+    }
+  }
+
+  return textParts.join("\n\n").trim();
+}
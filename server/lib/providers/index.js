@@ -0,0 +1,42 @@
+import { createGeminiProvider } from "./gemini.js";
+import { createMockProvider } from "./mock.js";
+import { createOpenAiProvider } from "./openai.js";
+import { withRecording } from "./recording.js";
+
+/**
+ * Builds the provider named by `settings.name` (gemini | openai | mock) from
+ * the validated `provider` section of the config (see config.js).
+ *
+ * Every provider exposes `generate({ prompt, config, task, signal })`,
+ * resolving to `{ ok, text, data }` or `{ ok: false, status, errorText }`
+ * (with `code: "safety_blocked"` when the model withheld its answer), and may
+ * expose `stream({ prompt, config, task, signal })`, an async iterator of
+ * text chunks that throws an error with the same fields on failure. Wrap a
+ * provider with `withResilience` (resilient.js) to add timeouts, retries and
+ * a circuit breaker. `config` uses Gemini-style names (temperature, topK, topP,
+ * maxOutputTokens, responseSchema); providers translate as needed.
+ *
+ * With `settings.recordDir` set, successful answers are also saved there as
+ * mock fixtures (see recording.js).
+ */
+export function createProvider(settings) {
+  const provider = createNamedProvider(settings);
+  return settings.recordDir
+    ? withRecording(provider, settings.recordDir)
+    : provider;
+}
+
+function createNamedProvider(settings) {
+  switch (settings.name) {
+    case "gemini":
+      return createGeminiProvider(settings.gemini);
+    case "openai":
+      return createOpenAiProvider(settings.openai);
+    case "mock":
+      return createMockProvider(settings.mock);
+    default:
+      throw new Error(
+        `Unknown LLM_PROVIDER "${settings.name}". Use gemini, openai or mock.`
+      );
+  }
+}
@@ -0,0 +1,74 @@
+import { createHash } from "crypto";
+import { readFile } from "fs/promises";
+import path from "path";
+
+/**
+ * Offline provider that answers from JSON fixtures instead of the network.
+ * A fixture named after the prompt hash wins (recorded responses); otherwise
+ * the fixture for the task (`predict.json`, `report.json`, ...) is used,
+ * then `default.json`. Fixtures hold either `{ "text": "..." }`,
+ * `{ "json": { ... } }` or, to simulate a failed call,
+ * `{ "error": { "status": 503, "code": "...", "text": "..." } }`.
+ */
+export function createMockProvider({ fixturesDir, model = "mock-fixtures" }) {
+  async function resolveFixture(prompt, task) {
+    const candidates = [
+      `${hashPrompt(prompt)}.json`,
+      task ? `${task}.json` : null,
+      "default.json",
+    ].filter(Boolean);
+
+    for (const name of candidates) {
+      try {
+        const fixture = JSON.parse(
+          await readFile(path.join(fixturesDir, name), "utf-8")
+        );
+        if (fixture.error) return { error: fixture.error };
+        return {
+          text:
+            fixture.json !== undefined
+              ? JSON.stringify(fixture.json)
+              : fixture.text ?? "",
+        };
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+    }
+    return { text: "" };
+  }
+
+  return {
+    name: "mock",
+    model,
+
+    async generate({ prompt, task }) {
+      const { text, error } = await resolveFixture(prompt, task);
+      if (error) return fixtureFailure(error);
+      return { ok: true, data: { fixture: true }, text };
+    },
+
+    async *stream({ prompt, task, signal }) {
+      const { text, error } = await resolveFixture(prompt, task);
+      if (error) {
+        const { status, code, errorText } = fixtureFailure(error);
+        throw Object.assign(new Error("Mock fixture failure."), {
+          status,
+          code,
+          details: errorText,
+        });
+      }
+      for (const piece of text.match(/[\s\S]{1,40}/g) ?? []) {
+        if (signal?.aborted) return;
+        yield piece;
+      }
+    },
+  };
+}
+
+function fixtureFailure({ status, code, text = "Mock fixture failure." }) {
+  return { ok: false, status, code, errorText: text };
+}
+
+export function hashPrompt(prompt) {
+  return createHash("sha256").update(prompt).digest("hex").slice(0, 16);
+}
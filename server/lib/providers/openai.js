@@ -0,0 +1,130 @@
+import fetch from "node-fetch";
+import { readSseData } from "./sse.js";
+
+/**
+ * Any server speaking the OpenAI chat-completions API: llama.cpp's
+ * `llama-server`, Ollama (`/v1`), vLLM, LM Studio or OpenAI itself.
+ */
+export function createOpenAiProvider({ baseUrl, apiKey, model }) {
+  const endpoint = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+  const headers = {
+    "Content-Type": "application/json",
+    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+  };
+
+  return {
+    name: "openai",
+    model,
+
+    async generate({ prompt, config = {}, signal }) {
+      const response = await fetch(endpoint, {
+        method: "POST",
+        headers,
+        body: JSON.stringify(buildBody(model, prompt, config)),
+        signal,
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.error(
+          "OpenAI-compatible API error:",
+          response.status,
+          errorText
+        );
+        return { ok: false, status: response.status, errorText };
+      }
+
+      const data = await response.json();
+      if (data?.choices?.[0]?.finish_reason === "content_filter") {
+        console.error("OpenAI-compatible API filtered the response.");
+        return {
+          ok: false,
+          status: 200,
+          code: "safety_blocked",
+          errorText: "content_filter",
+        };
+      }
+      const text = data?.choices?.[0]?.message?.content ?? "";
+      return { ok: true, data, text: text.trim() };
+    },
+
+    async *stream({ prompt, config = {}, signal }) {
+      const response = await fetch(endpoint, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({
+          ...buildBody(model, prompt, config),
+          stream: true,
+        }),
+        signal,
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.error(
+          "OpenAI-compatible stream error:",
+          response.status,
+          errorText
+        );
+        const error = new Error("Model stream request failed.");
+        error.status = response.status;
+        error.details = errorText;
+        throw error;
+      }
+
+      for await (const data of readSseData(response.body)) {
+        if (data === "[DONE]") return;
+        const choice = JSON.parse(data)?.choices?.[0];
+        if (choice?.finish_reason === "content_filter") {
+          throw Object.assign(new Error("The response was filtered."), {
+            code: "safety_blocked",
+            details: "content_filter",
+          });
+        }
+        const text = choice?.delta?.content;
+        if (text) yield text;
+      }
+    },
+  };
+}
+
+function buildBody(model, prompt, config) {
+  const { responseSchema, temperature, topP, maxOutputTokens } = config;
+  const messages = [];
+
+  // JSON mode only guarantees syntax, so the schema itself goes in the prompt.
+  if (responseSchema) {
+    messages.push({
+      role: "system",
+      content: `Reply with a single JSON object matching this JSON Schema:\n${JSON.stringify(
+        toJsonSchema(responseSchema)
+      )}`,
+    });
+  }
+  messages.push({ role: "user", content: prompt });
+
+  return {
+    model,
+    messages,
+    temperature,
+    top_p: topP,
+    max_tokens: maxOutputTokens,
+    ...(responseSchema ? { response_format: { type: "json_object" } } : {}),
+  };
+}
+
+function toJsonSchema(schema) {
+  const converted = { type: schema.type.toLowerCase() };
+  if (schema.enum) converted.enum = schema.enum;
+  if (schema.items) converted.items = toJsonSchema(schema.items);
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [
+        key,
+        toJsonSchema(value),
+      ])
+    );
+  }
+  if (schema.required) converted.required = schema.required;
+  return converted;
+}
@@ -0,0 +1,42 @@
+import { mkdir, writeFile } from "fs/promises";
+import path from "path";
+import { hashPrompt } from "./mock.js";
+
+/**
+ * Wraps a provider so every successful answer is also written to `dir` as a
+ * mock fixture named after the prompt hash. Pointing MOCK_FIXTURES_DIR at the
+ * same directory replays those answers offline (see mock.js), which is how an
+ * evaluation run against a live model can be re-scored later without it.
+ */
+export function withRecording(provider, dir) {
+  async function record(prompt, text) {
+    await mkdir(dir, { recursive: true });
+    await writeFile(
+      path.join(dir, `${hashPrompt(prompt)}.json`),
+      `${JSON.stringify({ text }, null, 2)}\n`
+    );
+  }
+
+  const recorded = {
+    ...provider,
+    async generate(request) {
+      const outcome = await provider.generate(request);
+      if (outcome.ok) await record(request.prompt, outcome.text ?? "");
+      return outcome;
+    },
+  };
+
+  if (provider.stream) {
+    // Only a stream read to the end is recorded; an abandoned one is partial.
+    recorded.stream = async function* stream(request) {
+      let text = "";
+      for await (const chunk of provider.stream(request)) {
+        text += chunk;
+        yield chunk;
+      }
+      await record(request.prompt, text);
+    };
+  }
+
+  return recorded;
+}
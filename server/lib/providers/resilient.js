@@ -0,0 +1,219 @@
+import {
+  classifyFailure,
+  failureFromError,
+  isRetryable,
+  modelError,
+} from "../modelErrors.js";
+
+/**
+ * Wraps a provider so every call gets a timeout, retries with jittered
+ * exponential backoff on retryable failures, and a circuit breaker that
+ * fails fast while the upstream keeps failing. The wrapped provider keeps
+ * the provider contract (see index.js); failures always carry a `code` from
+ * modelErrors.js, and outcomes aborted by the caller's `signal` resolve to
+ * `{ ok: false, aborted: true }`.
+ *
+ * Streams are retried only until their first chunk; after that a failure is
+ * thrown to the caller. Their timeout applies to the wait for each chunk.
+ */
+export function withResilience(
+  provider,
+  {
+    timeoutMs,
+    maxRetries,
+    retryBaseMs,
+    retryMaxMs,
+    breakerThreshold,
+    breakerCooldownMs,
+  }
+) {
+  const breaker = createCircuitBreaker({
+    threshold: breakerThreshold,
+    cooldownMs: breakerCooldownMs,
+  });
+  // Full jitter: anywhere between zero and the exponential ceiling.
+  const backoff = (attempt) =>
+    Math.round(
+      Math.random() * Math.min(retryMaxMs, retryBaseMs * 2 ** attempt)
+    );
+
+  async function attempt(args) {
+    const timeout = AbortSignal.timeout(timeoutMs);
+    const signal = args.signal
+      ? AbortSignal.any([args.signal, timeout])
+      : timeout;
+    try {
+      const outcome = await provider.generate({ ...args, signal });
+      return outcome.ok ? outcome : classifyFailure(outcome);
+    } catch (error) {
+      if (args.signal?.aborted) return { ok: false, aborted: true };
+      return timeout.aborted
+        ? timedOut(provider, timeoutMs)
+        : failureFromError(error);
+    }
+  }
+
+  const wrapped = {
+    ...provider,
+
+    async generate(args) {
+      for (let tries = 0; ; tries += 1) {
+        const open = breaker.rejects();
+        if (open) return open;
+
+        const outcome = await attempt(args);
+        if (outcome.ok) {
+          breaker.succeeded();
+          return outcome;
+        }
+        if (outcome.aborted) {
+          breaker.abandoned();
+          return outcome;
+        }
+
+        breaker.failed(outcome);
+        if (!isRetryable(outcome) || tries >= maxRetries) return outcome;
+        const delay = backoff(tries);
+        console.warn(
+          `${provider.name} call failed (${outcome.code}, status ${
+            outcome.status ?? "none"
+          }); retrying in ${delay} ms.`
+        );
+        if (!(await sleep(delay, args.signal))) {
+          return { ok: false, aborted: true };
+        }
+      }
+    },
+  };
+
+  if (provider.stream) {
+    wrapped.stream = async function* stream(args) {
+      for (let tries = 0; ; tries += 1) {
+        const open = breaker.rejects();
+        if (open) throw modelError(open);
+
+        const idle = new AbortController();
+        let timer = setTimeout(() => idle.abort(), timeoutMs);
+        const signal = args.signal
+          ? AbortSignal.any([args.signal, idle.signal])
+          : idle.signal;
+        let started = false;
+        try {
+          for await (const chunk of provider.stream({ ...args, signal })) {
+            started = true;
+            clearTimeout(timer);
+            timer = setTimeout(() => idle.abort(), timeoutMs);
+            yield chunk;
+          }
+          if (idle.signal.aborted) throw new Error("Stream timed out.");
+          breaker.succeeded();
+          return;
+        } catch (error) {
+          if (args.signal?.aborted) {
+            breaker.abandoned();
+            throw error;
+          }
+          const failure = idle.signal.aborted
+            ? timedOut(provider, timeoutMs)
+            : failureFromError(error);
+          breaker.failed(failure);
+          if (started || !isRetryable(failure) || tries >= maxRetries) {
+            throw modelError(failure);
+          }
+          const delay = backoff(tries);
+          console.warn(
+            `${provider.name} stream failed (${failure.code}); retrying in ${delay} ms.`
+          );
+          if (!(await sleep(delay, args.signal))) throw error;
+        } finally {
+          clearTimeout(timer);
+        }
+      }
+    };
+  }
+
+  return wrapped;
+}
+
+/**
+ * Counts consecutive upstream failures. After `threshold` of them the circuit
+ * opens and calls are rejected for `cooldownMs`; then one trial call is let
+ * through, which either closes the circuit or opens it again. Quota, safety
+ * and input errors show the upstream is reachable, so they do not count.
+ */
+function createCircuitBreaker({ threshold, cooldownMs }) {
+  let failures = 0;
+  let openUntil = 0;
+  let trialInFlight = false;
+
+  return {
+    // A failed outcome to return instead of calling, or null to go ahead.
+    rejects() {
+      if (!threshold || failures < threshold) return null;
+      const now = Date.now();
+      if (now < openUntil || trialInFlight) {
+        return {
+          ok: false,
+          code: "upstream_unavailable",
+          status: 503,
+          errorText: "Circuit open.",
+          retryAfter: Math.max(1, Math.ceil((openUntil - now) / 1000)),
+        };
+      }
+      trialInFlight = true;
+      return null;
+    },
+
+    succeeded: reset,
+
+    // The caller gave up, so a trial call proved nothing either way.
+    abandoned() {
+      trialInFlight = false;
+    },
+
+    failed(failure) {
+      if (failure.code !== "upstream_unavailable") return reset();
+      failures += 1;
+      if (threshold && failures >= threshold) {
+        if (failures === threshold || trialInFlight) {
+          console.warn(
+            `Model circuit open after ${failures} failures; pausing calls for ${cooldownMs} ms.`
+          );
+        }
+        openUntil = Date.now() + cooldownMs;
+      }
+      trialInFlight = false;
+    },
+  };
+
+  function reset() {
+    failures = 0;
+    trialInFlight = false;
+  }
+}
+
+function timedOut(provider, timeoutMs) {
+  console.error(`${provider.name} call timed out after ${timeoutMs} ms.`);
+  return {
+    ok: false,
+    code: "upstream_unavailable",
+    status: 504,
+    errorText: `Timed out after ${timeoutMs} ms.`,
+  };
+}
+
+// Resolves to false when `signal` aborts during the wait.
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) return resolve(false);
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve(true);
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve(false);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
@@ -0,0 +1,24 @@
+/**
+ * Yields the `data:` payload of each Server-Sent Event in a fetch response
+ * body. Both Gemini (`alt=sse`) and OpenAI-compatible servers stream this way.
+ */
+export async function* readSseData(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let boundary = buffer.search(/\r?\n\r?\n/);
+    while (boundary !== -1) {
+      const event = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, "");
+      const data = event
+        .split(/\r?\n/)
+        .filter((line) => line.startsWith("data:"))
+        .map((line) => line.slice(5).trimStart())
+        .join("\n");
+      if (data) yield data;
+      boundary = buffer.search(/\r?\n\r?\n/);
+    }
+  }
+}
@@ -0,0 +1,84 @@
+// Fixed-window request counters kept in memory. They are per process and
+// reset on restart, which is enough for a single server; a shared store
+// would be needed behind a load balancer.
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Express middleware allowing `max` requests per window for each key that
+ * `keyFor(req)` returns (requests with a null key are not counted). The
+ * window is `windowMs` long, or runs to midnight UTC when `daily` is set, for
+ * quotas. A `max` of 0 turns the limit off. Over the limit the request gets a
+ * 429 with `Retry-After` (seconds) and `{ error, code, retryAfter }`.
+ */
+export function createRateLimit({
+  max,
+  windowMs,
+  daily = false,
+  keyFor,
+  now = Date.now,
+}) {
+  if (!max) return (_req, _res, next) => next();
+
+  const counters = new Map();
+  const sweep = setInterval(() => {
+    const time = now();
+    for (const [key, entry] of counters) {
+      if (entry.resetAt <= time) counters.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return function rateLimit(req, res, next) {
+    const key = keyFor(req);
+    if (key === null || key === undefined) return next();
+
+    const time = now();
+    let entry = counters.get(key);
+    if (!entry || entry.resetAt <= time) {
+      entry = {
+        count: 0,
+        resetAt: daily ? nextUtcMidnight(time) : time + windowMs,
+      };
+      counters.set(key, entry);
+    }
+    entry.count += 1;
+
+    res.set("RateLimit-Limit", String(max));
+    res.set("RateLimit-Remaining", String(Math.max(0, max - entry.count)));
+    if (entry.count <= max) return next();
+
+    const retryAfter = Math.max(1, Math.ceil((entry.resetAt - time) / 1000));
+    res.set("Retry-After", String(retryAfter));
+    res.status(429).json({
+      error: daily
+        ? `Daily limit reached. Try again in ${formatWait(retryAfter)}.`
+        : `Too many requests. Try again in ${formatWait(retryAfter)}.`,
+      code: daily ? "daily_quota" : "rate_limited",
+      retryAfter,
+    });
+  };
+}
+
+export function byIp(req) {
+  return `ip:${req.ip}`;
+}
+
+export function byUser(req) {
+  return req.user ? `user:${req.user.id}` : null;
+}
+
+function nextUtcMidnight(time) {
+  const date = new Date(time);
+  return Date.UTC(
+    date.getUTCFullYear(),
+    date.getUTCMonth(),
+    date.getUTCDate() + 1
+  );
+}
+
+function formatWait(seconds) {
+  if (seconds < 120) return `${seconds} seconds`;
+  if (seconds < 2 * 60 * 60) return `${Math.ceil(seconds / 60)} minutes`;
+  return `${Math.ceil(seconds / 3600)} hours`;
+}
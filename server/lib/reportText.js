@@ -0,0 +1,185 @@
+import { createRequire } from "module";
+import { OCR_IMAGE_TYPES, recognizeImage } from "./ocr.js";
+
+const require = createRequire(import.meta.url);
+const { PDFParse } = require("pdf-parse");
+
+// A PDF page with fewer characters than this is treated as a scan.
+const MIN_TEXT_LAYER_CHARS = 20;
+// Rendering and recognizing a page takes seconds on one core.
+const MAX_OCR_PAGES = 15;
+
+const EXTENSION_TYPES = {
+  pdf: "application/pdf",
+  txt: "text/plain",
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  heic: "image/heic",
+  heif: "image/heif",
+  tif: "image/tiff",
+  tiff: "image/tiff",
+};
+
+export const ACCEPTED_REPORT_TYPES = [
+  "application/pdf",
+  "text/plain",
+  ...OCR_IMAGE_TYPES,
+];
+
+// Browsers report some photos (HEIC, TIFF) without a MIME type, so uploads
+// are also accepted by extension.
+export const ACCEPTED_REPORT_EXTENSIONS = Object.keys(EXTENSION_TYPES);
+
+// Code of the errors below, whose messages are written for the user. Any
+// other error from reading a report is internal and is not shown.
+export const UNREADABLE_REPORT = "unreadable_report";
+
+/**
+ * Turns an uploaded report into plain text. Text layers are used when
+ * present; scanned PDF pages and photos go through local OCR, and pages read
+ * below `ocrMinConfidence` (0-100) are flagged.
+ *
+ * Resolves to `{ text, pages, lowConfidence, ocrThreshold }` where each page
+ * records how it was read (`text` or `ocr`) and, for OCR, its confidence.
+ */
+export async function extractReportText(file, { ocrMinConfidence }) {
+  const mimetype = resolveMimetype(file);
+  const ocr = { minConfidence: ocrMinConfidence };
+
+  if (mimetype === "application/pdf") {
+    return extractPdf(file.buffer, ocr);
+  }
+
+  if (OCR_IMAGE_TYPES.includes(mimetype)) {
+    const result = await recognizeImage(file.buffer, mimetype, ocr).catch(
+      (error) => {
+        console.error("Image OCR failed:", error);
+        throw unreadable(
+          "Unable to read the image. Try a sharper, well-lit photo of the report."
+        );
+      }
+    );
+    return summarize(
+      [
+        {
+          page: 1,
+          method: "ocr",
+          text: result.text,
+          confidence: result.confidence,
+          lowConfidence: result.lowConfidence,
+        },
+      ],
+      ocr
+    );
+  }
+
+  if (mimetype.startsWith("text/")) {
+    return summarize(
+      [
+        {
+          page: 1,
+          method: "text",
+          text: file.buffer.toString("utf-8"),
+          confidence: null,
+          lowConfidence: false,
+        },
+      ],
+      ocr
+    );
+  }
+
+  throw unreadable(
+    "Unsupported file type. Please upload a PDF, text file, or a PNG, JPEG, HEIC or TIFF image."
+  );
+}
+
+async function extractPdf(buffer, ocr) {
+  const parser = new PDFParse({ data: buffer });
+  try {
+    let parsed;
+    try {
+      parsed = await parser.getText({ pageJoiner: "" });
+    } catch (error) {
+      console.error("PDF parse failed:", error);
+      throw unreadable(
+        "Unable to read PDF contents. The file may be encrypted or corrupted."
+      );
+    }
+
+    const pages = parsed.pages.map((page) => ({
+      page: page.num,
+      method: "text",
+      text: page.text ?? "",
+      confidence: null,
+      lowConfidence: false,
+    }));
+
+    const scanned = pages.filter(
+      (page) => page.text.replace(/\s/g, "").length < MIN_TEXT_LAYER_CHARS
+    );
+    for (const page of scanned.splice(MAX_OCR_PAGES)) {
+      page.method = "skipped";
+    }
+
+    if (scanned.length) {
+      try {
+        const screenshots = await parser.getScreenshot({
+          partial: scanned.map((page) => page.page),
+          scale: 2,
+          imageDataUrl: false,
+        });
+
+        for (const shot of screenshots.pages) {
+          const page = pages.find((entry) => entry.page === shot.pageNumber);
+          const result = await recognizeImage(
+            Buffer.from(shot.data),
+            "image/png",
+            ocr
+          );
+          Object.assign(page, {
+            method: "ocr",
+            text: result.text,
+            confidence: result.confidence,
+            lowConfidence: result.lowConfidence,
+          });
+        }
+      } catch (error) {
+        console.error("PDF page OCR failed:", error);
+        throw unreadable(
+          "Unable to read the scanned pages of this PDF. Try a clearer scan of the report."
+        );
+      }
+    }
+
+    return summarize(pages, ocr);
+  } finally {
+    await parser.destroy().catch(() => {});
+  }
+}
+
+// Browsers outside Apple platforms usually send HEIC (and sometimes TIFF)
+// as application/octet-stream, so fall back to the file extension.
+function resolveMimetype(file) {
+  if (file.mimetype && file.mimetype !== "application/octet-stream") {
+    return file.mimetype;
+  }
+  const extension = file.originalname?.split(".").pop()?.toLowerCase();
+  return EXTENSION_TYPES[extension] ?? file.mimetype ?? "";
+}
+
+function unreadable(message) {
+  return Object.assign(new Error(message), { code: UNREADABLE_REPORT });
+}
+
+function summarize(pages, { minConfidence }) {
+  return {
+    text: pages
+      .map((page) => page.text.trim())
+      .filter(Boolean)
+      .join("\n\n"),
+    pages: pages.map(({ text: _text, ...page }) => page),
+    lowConfidence: pages.some((page) => page.lowConfidence),
+    ocrThreshold: minConfidence,
+  };
+}
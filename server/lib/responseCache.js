@@ -0,0 +1,121 @@
+import { createHash } from "crypto";
+import { createJsonCollection } from "./jsonCollection.js";
+
+export const CACHE_BACKENDS = ["memory", "file", "off"];
+
+/**
+ * A TTL cache of JSON values with least-recently-used eviction once it holds
+ * `maxEntries`. The `file` backend keeps the same entries in memory and
+ * mirrors them to a JSON file so they survive restarts; `off` never stores
+ * anything. Write failures are logged and never fail the request.
+ *
+ * `get(key)` resolves to `{ value, storedAt, expiresAt }` (ISO timestamps) or
+ * null; `set(key, value)` resolves to the same entry.
+ */
+export function createResponseCache({
+  backend = "memory",
+  file,
+  ttlMs,
+  maxEntries,
+  now = Date.now,
+}) {
+  const enabled = backend !== "off" && maxEntries > 0;
+  const collection =
+    backend === "file" ? createJsonCollection({ file, key: "entries" }) : null;
+  let entries = null;
+
+  async function load() {
+    if (entries) return entries;
+    const stored = collection ? await collection.load().catch(warn) : [];
+    entries ??= new Map(
+      (stored ?? [])
+        .filter((entry) => entry.expiresAt > now())
+        .map((entry) => [entry.key, entry])
+    );
+    return entries;
+  }
+
+  function persist() {
+    if (!collection) return;
+    return collection.persist([...entries.values()]).catch(warn);
+  }
+
+  return {
+    enabled,
+
+    async get(key) {
+      if (!enabled) return null;
+      const map = await load();
+      const entry = map.get(key);
+      if (!entry) return null;
+      map.delete(key);
+      if (entry.expiresAt <= now()) {
+        await persist();
+        return null;
+      }
+      map.set(key, entry);
+      return describe(entry);
+    },
+
+    async set(key, value) {
+      if (!enabled) return null;
+      const map = await load();
+      const storedAt = now();
+      const entry = { key, value, storedAt, expiresAt: storedAt + ttlMs };
+      map.delete(key);
+      map.set(key, entry);
+      for (const oldest of map.keys()) {
+        if (map.size <= maxEntries) break;
+        map.delete(oldest);
+      }
+      await persist();
+      return describe(entry);
+    },
+  };
+}
+
+/**
+ * A stable hash of `parts`: object keys are sorted, so the same settings
+ * written in a different order give the same key.
+ */
+export function cacheKey(parts) {
+  return createHash("sha256").update(stableStringify(parts)).digest("hex");
+}
+
+// Case, spacing and Unicode form do not change what the model is asked.
+export function normalizeText(text) {
+  return String(text ?? "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export function hashBuffer(buffer) {
+  return createHash("sha256").update(buffer).digest("hex");
+}
+
+function describe({ value, storedAt, expiresAt }) {
+  return {
+    value,
+    storedAt: new Date(storedAt).toISOString(),
+    expiresAt: new Date(expiresAt).toISOString(),
+  };
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+function warn(error) {
+  console.error("Response cache file could not be used:", error);
+  return null;
+}
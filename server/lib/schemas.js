@@ -0,0 +1,139 @@
+// Response schemas sent to Gemini as `responseSchema` and reused by the
+// server-side validator, so the contract lives in exactly one place.
+
+const LIKELIHOOD = {
+  type: "STRING",
+  enum: ["high", "medium", "low"],
+};
+
+const STRING_LIST = {
+  type: "ARRAY",
+  items: { type: "STRING" },
+};
+
+export const PREDICTION_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    summary: { type: "STRING" },
+    conditions: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          name: { type: "STRING" },
+          likelihood: LIKELIHOOD,
+          rationale: { type: "STRING" },
+        },
+        required: ["name", "likelihood"],
+      },
+    },
+    redFlags: STRING_LIST,
+    selfCare: STRING_LIST,
+    specialists: STRING_LIST,
+    tests: STRING_LIST,
+    disclaimer: { type: "STRING" },
+  },
+  required: [
+    "summary",
+    "conditions",
+    "redFlags",
+    "selfCare",
+    "specialists",
+    "tests",
+    "disclaimer",
+  ],
+};
+
+export const REPORT_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    title: { type: "STRING" },
+    overview: { type: "STRING" },
+    findings: STRING_LIST,
+    diagnoses: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          name: { type: "STRING" },
+          confidence: LIKELIHOOD,
+          rationale: { type: "STRING" },
+        },
+        required: ["name", "confidence"],
+      },
+    },
+    medications: STRING_LIST,
+    labs: STRING_LIST,
+    followUps: STRING_LIST,
+    disclaimer: { type: "STRING" },
+  },
+  required: [
+    "overview",
+    "findings",
+    "diagnoses",
+    "medications",
+    "labs",
+    "followUps",
+    "disclaimer",
+  ],
+};
+
+const EVIDENCE_BASIS = {
+  type: "STRING",
+  enum: ["symptoms", "reports", "both"],
+};
+
+export const COMBINED_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    summary: { type: "STRING" },
+    conclusions: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          statement: { type: "STRING" },
+          likelihood: LIKELIHOOD,
+          basis: EVIDENCE_BASIS,
+          evidence: STRING_LIST,
+        },
+        required: ["statement", "likelihood", "basis", "evidence"],
+      },
+    },
+    redFlags: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          text: { type: "STRING" },
+          basis: EVIDENCE_BASIS,
+        },
+        required: ["text", "basis"],
+      },
+    },
+    discrepancies: STRING_LIST,
+    nextSteps: STRING_LIST,
+    specialists: STRING_LIST,
+    disclaimer: { type: "STRING" },
+  },
+  required: [
+    "summary",
+    "conclusions",
+    "redFlags",
+    "discrepancies",
+    "nextSteps",
+    "specialists",
+    "disclaimer",
+  ],
+};
+
+export const CHAT_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    answer: { type: "STRING" },
+    redFlags: STRING_LIST,
+    questions: STRING_LIST,
+    disclaimer: { type: "STRING" },
+  },
+  required: ["answer", "redFlags", "questions", "disclaimer"],
+};
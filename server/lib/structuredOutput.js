@@ -0,0 +1,422 @@
+import { failureFromError } from "./modelErrors.js";
+import { labelsFor } from "./locales.js";
+
+const ENUM_ALIASES = {
+  high: "high",
+  likely: "high",
+  med: "medium",
+  medium: "medium",
+  moderate: "medium",
+  possible: "medium",
+  low: "low",
+  unlikely: "low",
+  symptom: "symptoms",
+  report: "reports",
+  "symptoms and reports": "both",
+};
+
+/**
+ * Parses model text against a response schema. Minor drift (code fences,
+ * "med" instead of "medium", a string where a list was expected) is repaired
+ * in place; anything still wrong is reported in `errors`.
+ */
+export function parseStructuredOutput(text, schema) {
+  const json = extractJson(text);
+  if (json === undefined) {
+    return {
+      valid: false,
+      value: null,
+      errors: ["Response was not valid JSON."],
+    };
+  }
+
+  const value = repairValue(json, schema);
+  const errors = validateValue(value, schema, "$");
+  return { valid: errors.length === 0, value, errors };
+}
+
+/**
+ * Strict check of an already-parsed value against a response schema, with no
+ * repair: for structured answers that come from a client rather than the
+ * model. Returns the list of errors, empty when the value is valid.
+ */
+export function validateStructured(value, schema) {
+  return validateValue(value, schema, "$");
+}
+
+// Asks for JSON against `schema`, repairs small deviations locally and
+// re-asks once with the validation errors when the output is still unusable.
+export async function generateStructured(
+  provider,
+  { task, prompt, schema, generationConfig, signal }
+) {
+  const config = { ...generationConfig, responseSchema: schema };
+  const first = await provider.generate({ prompt, config, task, signal });
+  return finishStructured(
+    provider,
+    { task, prompt, schema, config, signal },
+    first
+  );
+}
+
+/**
+ * Streaming counterpart of `generateStructured`. `onText` receives the
+ * accumulated raw text after every chunk; the finished text is validated
+ * (and repaired once, without streaming) exactly like the blocking path.
+ * Resolves to `{ ok: false, aborted: true }` when `signal` fires.
+ */
+export async function streamStructured(
+  provider,
+  { task, prompt, schema, generationConfig, signal, onText }
+) {
+  if (!provider.stream) {
+    const outcome = await generateStructured(provider, {
+      task,
+      prompt,
+      schema,
+      generationConfig,
+      signal,
+    });
+    if (outcome.text) onText(outcome.text);
+    return outcome;
+  }
+
+  const config = { ...generationConfig, responseSchema: schema };
+  let text = "";
+  try {
+    for await (const chunk of provider.stream({
+      prompt,
+      config,
+      task,
+      signal,
+    })) {
+      text += chunk;
+      onText(text);
+    }
+  } catch (error) {
+    if (signal?.aborted) return { ok: false, aborted: true };
+    console.error("Model stream failed:", error);
+    return { ...failureFromError(error), retryAfter: error.retryAfter };
+  }
+  if (signal?.aborted) return { ok: false, aborted: true };
+
+  return finishStructured(
+    provider,
+    { task, prompt, schema, config, signal },
+    { ok: true, data: null, text: text.trim() }
+  );
+}
+
+async function finishStructured(
+  provider,
+  { task, prompt, schema, config, signal },
+  first
+) {
+  if (!first.ok || !first.text) {
+    return { ...first, structured: null, errors: [] };
+  }
+
+  const parsed = parseStructuredOutput(first.text, schema);
+  if (parsed.valid) {
+    return { ...first, structured: parsed.value, errors: [] };
+  }
+
+  console.warn("Model output failed schema validation:", parsed.errors);
+  if (signal?.aborted) return { ok: false, aborted: true };
+  const retry = await provider.generate({
+    prompt: buildRepairPrompt(prompt, first.text, parsed.errors),
+    config,
+    task,
+    signal,
+  });
+  if (signal?.aborted) return { ok: false, aborted: true };
+  if (retry.ok && retry.text) {
+    const reparsed = parseStructuredOutput(retry.text, schema);
+    if (reparsed.valid) {
+      return { ...retry, structured: reparsed.value, errors: [] };
+    }
+  }
+
+  return { ...first, structured: null, errors: parsed.errors };
+}
+
+/**
+ * Turns a partially streamed JSON response into readable lines for display
+ * while the model is still writing: every string value seen so far, with
+ * enum values (likelihood, confidence, basis) appended to the line before.
+ */
+export function previewStructuredText(partial, schema) {
+  const enumKeys = collectEnumKeys(schema);
+  const lines = [];
+  const containers = [];
+  let expectingKey = false;
+  let lastKey = null;
+
+  for (let index = 0; index < partial.length; index += 1) {
+    const char = partial[index];
+    if (char === "{" || char === "[") {
+      containers.push(char);
+      expectingKey = char === "{";
+    } else if (char === "}" || char === "]") {
+      containers.pop();
+    } else if (char === ",") {
+      expectingKey = containers[containers.length - 1] === "{";
+    } else if (char === ":") {
+      expectingKey = false;
+    } else if (char === '"') {
+      const end = findStringEnd(partial, index + 1);
+      const closed = end !== -1;
+      const value = decodeJsonString(
+        partial.slice(index + 1, closed ? end : partial.length),
+        closed
+      );
+      index = closed ? end : partial.length;
+
+      if (expectingKey) {
+        lastKey = value;
+      } else if (!value.trim()) {
+        continue;
+      } else if (enumKeys.has(lastKey) && lines.length) {
+        if (closed) lines[lines.length - 1] += ` (${value})`;
+      } else {
+        lines.push(value);
+      }
+    }
+  }
+
+  return lines.join("\n");
+}
+
+export function buildRepairPrompt(originalPrompt, previousText, errors) {
+  return [
+    originalPrompt,
+    "Your previous answer did not match the required JSON schema.",
+    `Problems: ${errors.join("; ")}`,
+    `Previous answer: ${previousText.slice(0, 2000)}`,
+    "Return ONLY corrected JSON that matches the schema. No prose, no code fences.",
+  ].join("\n\n");
+}
+
+export function formatPredictionText(prediction, language) {
+  const labels = labelsFor(language);
+  return [
+    prediction.summary,
+    section(
+      labels.possibleConditions,
+      prediction.conditions.map(
+        (item) =>
+          `${item.name} (${labels.likelihood[item.likelihood]})${
+            item.rationale ? ` - ${item.rationale}` : ""
+          }`
+      )
+    ),
+    section(
+      labels.redFlags,
+      prediction.redFlags.length ? prediction.redFlags : [labels.noneIdentified]
+    ),
+    section(labels.selfCare, prediction.selfCare),
+    section(labels.specialistTests, [
+      ...prediction.specialists,
+      ...prediction.tests,
+    ]),
+    prediction.disclaimer
+      ? `${labels.disclaimer}: ${prediction.disclaimer}`
+      : "",
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+export function formatReportText(report, language) {
+  const labels = labelsFor(language);
+  return [
+    report.title,
+    report.overview,
+    section(labels.keyFindings, report.findings),
+    section(
+      labels.diagnoses,
+      report.diagnoses.map(
+        (item) =>
+          `${item.name} (${labels.likelihood[item.confidence]})${
+            item.rationale ? ` - ${item.rationale}` : ""
+          }`
+      )
+    ),
+    section(labels.medications, report.medications),
+    section(labels.labs, report.labs),
+    section(labels.followUp, report.followUps),
+    report.disclaimer ? `${labels.disclaimer}: ${report.disclaimer}` : "",
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+export function formatChatText(reply, language) {
+  const labels = labelsFor(language);
+  return [
+    reply.answer,
+    section(labels.redFlags, reply.redFlags),
+    section(labels.questionsToAsk, reply.questions),
+    `${labels.disclaimer}: ${reply.disclaimer || labels.defaultDisclaimer}`,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+export function formatCombinedText(analysis, language) {
+  const labels = labelsFor(language);
+  return [
+    analysis.summary,
+    section(
+      labels.conclusions,
+      analysis.conclusions.map(
+        (item) =>
+          `${item.statement} (${labels.fromBasis(
+            labels.likelihood[item.likelihood],
+            labels.basis[item.basis]
+          )})${item.evidence.length ? ` - ${item.evidence.join("; ")}` : ""}`
+      )
+    ),
+    section(
+      labels.redFlags,
+      analysis.redFlags.length
+        ? analysis.redFlags.map(
+            (flag) =>
+              `${flag.text} (${labels.flagBasis(labels.basis[flag.basis])})`
+          )
+        : [labels.noneIdentified]
+    ),
+    section(labels.discrepancies, analysis.discrepancies),
+    section(labels.nextSteps, analysis.nextSteps),
+    section(labels.specialists, analysis.specialists),
+    analysis.disclaimer ? `${labels.disclaimer}: ${analysis.disclaimer}` : "",
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+function collectEnumKeys(schema, keys = new Set()) {
+  for (const [key, property] of Object.entries(schema.properties ?? {})) {
+    if (property.enum) keys.add(key);
+    collectEnumKeys(property, keys);
+  }
+  if (schema.items) collectEnumKeys(schema.items, keys);
+  return keys;
+}
+
+function findStringEnd(text, start) {
+  for (let index = start; index < text.length; index += 1) {
+    if (text[index] === "\\") index += 1;
+    else if (text[index] === '"') return index;
+  }
+  return -1;
+}
+
+function decodeJsonString(raw, closed) {
+  // An unterminated string may end halfway through an escape sequence.
+  const safe = closed ? raw : raw.replace(/\\(u[0-9a-fA-F]{0,3})?$/, "");
+  try {
+    return JSON.parse(`"${safe}"`);
+  } catch {
+    return safe;
+  }
+}
+
+function section(heading, items) {
+  if (!items.length) return "";
+  return [`${heading}:`, ...items.map((item) => `- ${item}`)].join("\n");
+}
+
+function extractJson(text) {
+  if (typeof text !== "string") return undefined;
+  const unfenced = text.replace(/^\s*```(?:json)?\s*|\s*```\s*$/gi, "").trim();
+
+  try {
+    return JSON.parse(unfenced);
+  } catch {
+    const start = unfenced.indexOf("{");
+    const end = unfenced.lastIndexOf("}");
+    if (start === -1 || end <= start) return undefined;
+    try {
+      return JSON.parse(unfenced.slice(start, end + 1));
+    } catch {
+      return undefined;
+    }
+  }
+}
+
+function repairValue(value, schema) {
+  switch (schema.type) {
+    case "OBJECT": {
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        return value;
+      }
+      // Only optional fields get a default: a missing required one means the
+      // answer was cut off or malformed, and validation should catch it.
+      const required = new Set(schema.required ?? []);
+      const repaired = {};
+      for (const [key, propertySchema] of Object.entries(schema.properties)) {
+        if (value[key] === undefined || value[key] === null) {
+          if (required.has(key)) continue;
+          if (propertySchema.type === "ARRAY") repaired[key] = [];
+          if (propertySchema.type === "STRING" && !propertySchema.enum) {
+            repaired[key] = "";
+          }
+          continue;
+        }
+        repaired[key] = repairValue(value[key], propertySchema);
+      }
+      return repaired;
+    }
+    case "ARRAY": {
+      const list = Array.isArray(value) ? value : [value];
+      return list
+        .map((item) => repairValue(item, schema.items))
+        .filter((item) => item !== "" && item !== null && item !== undefined);
+    }
+    case "STRING": {
+      if (typeof value !== "string" && typeof value !== "number") return value;
+      const text = String(value).replace(/\s+/g, " ").trim();
+      if (!schema.enum) return text;
+      const alias = ENUM_ALIASES[text.toLowerCase()];
+      return schema.enum.includes(alias) ? alias : text.toLowerCase();
+    }
+    default:
+      return value;
+  }
+}
+
+function validateValue(value, schema, path) {
+  switch (schema.type) {
+    case "OBJECT": {
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        return [`${path} must be an object`];
+      }
+      const errors = [];
+      for (const key of schema.required ?? []) {
+        if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+      }
+      for (const [key, propertySchema] of Object.entries(schema.properties)) {
+        if (value[key] !== undefined) {
+          errors.push(
+            ...validateValue(value[key], propertySchema, `${path}.${key}`)
+          );
+        }
+      }
+      return errors;
+    }
+    case "ARRAY":
+      if (!Array.isArray(value)) return [`${path} must be an array`];
+      return value.flatMap((item, index) =>
+        validateValue(item, schema.items, `${path}[${index}]`)
+      );
+    case "STRING":
+      if (typeof value !== "string") return [`${path} must be a string`];
+      if (schema.enum && !schema.enum.includes(value)) {
+        return [`${path} must be one of ${schema.enum.join(", ")}`];
+      }
+      return [];
+    default:
+      return [];
+  }
+}
@@ -0,0 +1,474 @@
+// Deterministic emergency triage. Red flags found here do not depend on the
+// model: they are merged into whatever the model wrote, and still reach the
+// user when the model returned nothing or claimed there were no red flags.
+
+import { DEFAULT_LANGUAGE, labelsFor } from "./locales.js";
+
+export const EMERGENCY_SPECIALIST = {
+  en: "Emergency Specialist",
+  hi: "आपातकालीन विशेषज्ञ",
+  gu: "ઇમરજન્સી નિષ્ણાત",
+};
+
+export const EMERGENCY_ACTION = {
+  en: "Go to the nearest emergency department now, or call emergency services (112 in India). Do not wait for a routine appointment.",
+  hi: "तुरंत नज़दीकी आपातकालीन विभाग (इमरजेंसी) जाएँ, या आपातकालीन सेवा (भारत में 112) को कॉल करें। सामान्य अपॉइंटमेंट का इंतज़ार न करें।",
+  gu: "તરત જ નજીકના ઇમરજન્સી વિભાગમાં જાઓ, અથવા ઇમરજન્સી સેવા (ભારતમાં 112) પર કૉલ કરો. સામાન્ય એપોઇન્ટમેન્ટની રાહ ન જુઓ.",
+};
+
+// Earlier creatinine results older than this are not used as a baseline.
+const BASELINE_WINDOW_DAYS = 365;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Words that cancel a symptom phrase when they appear shortly before it in
+// the same clause: "no chest pain", "denies confusion". A clause ends at
+// punctuation or at a conjunction, so "no fever but chest pain" and "not
+// eating and very confused" still fire. Hindi and Gujarati put the negation
+// after the phrase ("सीने में दर्द नहीं", "છાતીમાં દુખાવો નથી"), so those
+// patterns exclude it with a lookahead instead.
+const NEGATION =
+  /\b(?:no|not|denies|denied|without|never|negative for|free of|resolved)\b[^.;,\n]{0,25}$/i;
+const CLAUSE_BREAK =
+  /[.;,!?\n]|\b(?:and|but|with|also|plus|yet|then|now|though|although|however|except|while|whereas|if|whether)\b/i;
+const HI_NOT = "(?!\\s*(?:नहीं|ना|न)(?:\\s|$|[।,.]))";
+const GU_NOT = "(?!\\s*(?:નથી|ના|ન)(?:\\s|$|[.,]))";
+
+// Rule titles and explanations per language; `match` is the phrase as the
+// patient wrote it.
+const SYMPTOM_RULES = [
+  {
+    id: "anuria",
+    source: "KDIGO 2012 AKI guideline 2.1",
+    patterns: [
+      /\banuri[ac]\b/i,
+      /\bno urine(?: output)?\b/i,
+      /\b(?:not|haven'?t|have not|hasn'?t|has not|didn'?t|did not|can'?t|cannot|unable to)\s+(?:been\s+)?(?:(?:passed|passing|pass|made|making|make)\s+(?:any\s+)?(?:urine|water)|peed|peeing|pee|urinated|urinating|urinate)\b/i,
+      /\bstopped\s+(?:passing urine|urinating|peeing)\b/i,
+      /(?:पेशाब|मूत्र)\s*(?:बिल्कुल\s*)?(?:नहीं\s*(?:हो|आ|उतर)|बंद)/,
+      /(?:પેશાબ|મૂત્ર)\s*(?:બિલકુલ\s*)?(?:(?:થતો|આવતો|ઊતરતો)\s*નથી|બંધ)/,
+    ],
+    negatable: false,
+    text: {
+      en: {
+        title: "No urine output (anuria)",
+        explain: (match) =>
+          `"${match}" suggests the kidneys have stopped making urine, which needs emergency assessment.`,
+      },
+      hi: {
+        title: "पेशाब बंद होना (एन्यूरिया)",
+        explain: (match) =>
+          `"${match}" से लगता है कि किडनी ने पेशाब बनाना बंद कर दिया है, इसकी तुरंत आपातकालीन जाँच ज़रूरी है।`,
+      },
+      gu: {
+        title: "પેશાબ બંધ થવો (એન્યુરિયા)",
+        explain: (match) =>
+          `"${match}" પરથી લાગે છે કે કિડનીએ પેશાબ બનાવવાનું બંધ કર્યું છે, તેની તરત ઇમરજન્સી તપાસ જરૂરી છે.`,
+      },
+    },
+  },
+  {
+    id: "severe-dyspnea",
+    source: "KDIGO 2012 AKI guideline 5.1; AEIOU dialysis indications",
+    patterns: [
+      /\b(?:can'?t|cannot|can not|unable to|struggling to)\s+breathe\b/i,
+      /\bgasping\b/i,
+      /\b(?:severe(?:ly)?|very|extreme(?:ly)?)\s+(?:short(?:ness)? of breath|breathless(?:ness)?|dyspn(?:o)?ea)\b/i,
+      /\b(?:short(?:ness)? of breath|breathless(?:ness)?)\s+(?:at rest|lying (?:down|flat)|when lying|while lying|at night)\b/i,
+      /\borthopn(?:o)?ea\b/i,
+      /\bparoxysmal nocturnal dyspn(?:o)?ea\b/i,
+      /\b(?:pulmonary (?:o)?edema|fluid (?:in|on) (?:the |my )?lungs)\b/i,
+      /\b(?:wake|woke|waking) up (?:gasping|breathless|short of breath)\b/i,
+      /(?:साँस|सांस)\s*(?:नहीं\s*ले\s*पा|लेने\s*में\s*(?:बहुत|गंभीर)\s*(?:तकलीफ|दिक्कत))/,
+      /(?:बहुत|गंभीर|तेज़?)\s*(?:साँस|सांस)\s*फूल/,
+      /लेटने\s*(?:पर|में|से)\s*(?:साँस|सांस)\s*फूल/,
+      new RegExp(`फेफड़ों\\s*में\\s*पानी${HI_NOT}`),
+      /શ્વાસ\s*(?:લઈ\s*શકાતો\s*નથી|નથી\s*લેવાતો|લેવામાં\s*(?:ખૂબ|ગંભીર)\s*તકલીફ)/,
+      /(?:ખૂબ|ગંભીર)\s*શ્વાસ\s*(?:ચડ|ફૂલ)/,
+      /સૂતી?\s*(?:વખતે|વખતે\s*પણ)\s*શ્વાસ\s*(?:ચડ|ફૂલ)/,
+      new RegExp(`ફેફસાં(?:માં)?\\s*પાણી${GU_NOT}`),
+    ],
+    negatable: true,
+    text: {
+      en: {
+        title: "Severe breathlessness or fluid overload",
+        explain: (match) =>
+          `"${match}" can mean fluid is building up in the lungs, which may need urgent treatment or dialysis.`,
+      },
+      hi: {
+        title: "साँस की गंभीर तकलीफ या शरीर में पानी भरना",
+        explain: (match) =>
+          `"${match}" का मतलब फेफड़ों में पानी भरना हो सकता है, जिसके लिए तुरंत इलाज या डायलिसिस की ज़रूरत पड़ सकती है।`,
+      },
+      gu: {
+        title: "શ્વાસની ગંભીર તકલીફ અથવા શરીરમાં પાણી ભરાવું",
+        explain: (match) =>
+          `"${match}" નો અર્થ ફેફસાંમાં પાણી ભરાવું હોઈ શકે, જેના માટે તાત્કાલિક સારવાર કે ડાયાલિસિસની જરૂર પડી શકે.`,
+      },
+    },
+  },
+  {
+    id: "chest-pain",
+    source: "ACC/AHA 2021 chest pain guideline",
+    patterns: [
+      /\bchest (?:pain|tightness|pressure|discomfort|heaviness)\b/i,
+      /\bpain in (?:my |the |his |her )?chest\b/i,
+      /\bangina\b/i,
+      new RegExp(
+        `(?:सीने|छाती)\\s*में\\s*(?:तेज़?\\s*)?(?:दर्द|जकड़न|भारीपन|दबाव)${HI_NOT}`
+      ),
+      new RegExp(`છાતીમાં\\s*(?:દુખાવો|દુઃખાવો|દબાણ|ભાર)${GU_NOT}`),
+    ],
+    negatable: true,
+    text: {
+      en: {
+        title: "Chest pain",
+        explain: (match) =>
+          `"${match}" needs emergency assessment to rule out a heart problem or pericarditis.`,
+      },
+      hi: {
+        title: "सीने में दर्द",
+        explain: (match) =>
+          `"${match}" होने पर दिल की बीमारी या पेरिकार्डाइटिस को जाँचने के लिए तुरंत आपातकालीन जाँच ज़रूरी है।`,
+      },
+      gu: {
+        title: "છાતીમાં દુખાવો",
+        explain: (match) =>
+          `"${match}" હોય તો હૃદયની બીમારી કે પેરિકાર્ડાઇટિસ તપાસવા તરત ઇમરજન્સી તપાસ જરૂરી છે.`,
+      },
+    },
+  },
+  {
+    id: "confusion-uremia",
+    source: "AEIOU dialysis indications (uremic encephalopathy, pericarditis)",
+    patterns: [
+      /\bconfus(?:ed|ion)\b/i,
+      /\bdisorient(?:ed|ation)\b/i,
+      /\b(?:very|extremely|unusually) (?:drowsy|sleepy)\b/i,
+      /\bhard to (?:wake|rouse)\b/i,
+      /\bunresponsive\b/i,
+      /\b(?:seizures?|convulsions?|fitting)\b/i,
+      /\bur(?:a)?emi(?:a|c)\b/i,
+      /\basterixis\b/i,
+      /\bpericardi(?:tis|al rub)\b/i,
+      new RegExp(`(?:भ्रम|बेहोशी|बेहोश(?!ी)|दौरा|दौरे|मिर्गी)${HI_NOT}`),
+      new RegExp(`(?:મૂંઝવણ|બેભાન|આંચકી|ખેંચ)${GU_NOT}`),
+    ],
+    negatable: true,
+    text: {
+      en: {
+        title: "Confusion or uremic signs",
+        explain: (match) =>
+          `"${match}" can be a sign of toxins building up from kidney failure (uremia), which may need emergency dialysis.`,
+      },
+      hi: {
+        title: "भ्रम या यूरीमिया के लक्षण",
+        explain: (match) =>
+          `"${match}" किडनी फेल होने से शरीर में ज़हरीले पदार्थ जमा होने (यूरीमिया) का संकेत हो सकता है, जिसके लिए आपातकालीन डायलिसिस की ज़रूरत पड़ सकती है।`,
+      },
+      gu: {
+        title: "મૂંઝવણ અથવા યુરેમિયાના લક્ષણો",
+        explain: (match) =>
+          `"${match}" કિડની ફેલ થવાથી શરીરમાં ઝેરી પદાર્થો જમા થવા (યુરેમિયા)નો સંકેત હોઈ શકે, જેના માટે ઇમરજન્સી ડાયાલિસિસની જરૂર પડી શકે.`,
+      },
+    },
+  },
+];
+
+const LAB_RULES = [
+  {
+    id: "hyperkalemia",
+    source: "KDIGO 2020 potassium controversies conference",
+    test: ({ latest }) =>
+      latest.potassium && latest.potassium.value >= 6 ? latest.potassium : null,
+    text: {
+      en: {
+        title: "Potassium 6.0 or higher",
+        explain: (lab, on) =>
+          `Potassium of ${lab.value} mmol/L${on(
+            lab
+          )} can cause dangerous heart rhythms.`,
+      },
+      hi: {
+        title: "पोटैशियम 6.0 या उससे अधिक",
+        explain: (lab, on) =>
+          `पोटैशियम ${lab.value} mmol/L${on(
+            lab
+          )} है, जिससे दिल की धड़कन खतरनाक रूप से बिगड़ सकती है।`,
+      },
+      gu: {
+        title: "પોટેશિયમ 6.0 અથવા વધુ",
+        explain: (lab, on) =>
+          `પોટેશિયમ ${lab.value} mmol/L${on(
+            lab
+          )} છે, જેનાથી હૃદયના ધબકારા જોખમી રીતે બગડી શકે.`,
+      },
+    },
+  },
+  {
+    id: "creatinine-doubling",
+    source: "KDIGO 2012 AKI guideline 2.1 (stage 2: 2.0-2.9 × baseline)",
+    test: ({ latest, baseline }) =>
+      latest.creatinine &&
+      baseline &&
+      latest.creatinine.value >= 2 * baseline.value
+        ? { ...latest.creatinine, baseline }
+        : null,
+    text: {
+      en: {
+        title: "Creatinine doubled from baseline",
+        explain: (lab, on) =>
+          `Creatinine rose from ${lab.baseline.value} mg/dL${on(
+            lab.baseline
+          )} to ${lab.value} mg/dL${on(
+            lab
+          )}, at least double, which signals acute kidney injury.`,
+      },
+      hi: {
+        title: "क्रिएटिनिन पहले से दोगुना",
+        explain: (lab, on) =>
+          `क्रिएटिनिन ${lab.baseline.value} mg/dL${on(lab.baseline)} से बढ़कर ${
+            lab.value
+          } mg/dL${on(
+            lab
+          )} हो गया है, यानी कम से कम दोगुना, जो किडनी को अचानक नुकसान (AKI) का संकेत है।`,
+      },
+      gu: {
+        title: "ક્રિએટિનિન પહેલાં કરતાં બમણું",
+        explain: (lab, on) =>
+          `ક્રિએટિનિન ${lab.baseline.value} mg/dL${on(lab.baseline)} થી વધીને ${
+            lab.value
+          } mg/dL${on(
+            lab
+          )} થયું છે, એટલે કે ઓછામાં ઓછું બમણું, જે કિડનીને અચાનક નુકસાન (AKI)નો સંકેત છે.`,
+      },
+    },
+  },
+];
+
+const VITAL_RULES = [
+  {
+    id: "anuria",
+    source: "KDIGO 2012 AKI guideline 2.1",
+    test: ({ urineOutput }) =>
+      urineOutput !== null && urineOutput !== undefined && urineOutput < 100,
+    text: {
+      en: {
+        title: "No urine output (anuria)",
+        explain: ({ urineOutput }) =>
+          `Urine output of ${urineOutput} mL/day is below 100, meaning the kidneys have almost stopped making urine.`,
+      },
+      hi: {
+        title: "पेशाब बंद होना (एन्यूरिया)",
+        explain: ({ urineOutput }) =>
+          `पेशाब की मात्रा ${urineOutput} mL/दिन है, जो 100 से कम है, यानी किडनी ने लगभग पेशाब बनाना बंद कर दिया है।`,
+      },
+      gu: {
+        title: "પેશાબ બંધ થવો (એન્યુરિયા)",
+        explain: ({ urineOutput }) =>
+          `પેશાબનું પ્રમાણ ${urineOutput} mL/દિવસ છે, જે 100 થી ઓછું છે, એટલે કે કિડનીએ લગભગ પેશાબ બનાવવાનું બંધ કર્યું છે.`,
+      },
+    },
+  },
+];
+
+const DATE_SUFFIX = {
+  en: (date) => ` on ${date}`,
+  hi: (date) => ` (${date})`,
+  gu: (date) => ` (${date})`,
+};
+
+/**
+ * Checks patient-described text (symptoms, notes) and parsed labs for
+ * emergencies. `history` is earlier creatinine results for the same patient,
+ * as `{ value, date }` in mg/dL, used as a baseline for creatinine doubling.
+ * `vitals` are measurements from the guided intake, such as `urineOutput`.
+ * Titles, explanations and the recommendation are written in `language`;
+ * every rule checks text in all supported languages.
+ *
+ * Returns `{ emergency, flags, recommendation }`; each flag carries its
+ * rule id, title, basis ("symptoms" or "labs"), explanation and source.
+ */
+export function assessRedFlags({
+  text = "",
+  labs = [],
+  history = [],
+  vitals = {},
+  language = DEFAULT_LANGUAGE,
+} = {}) {
+  const flags = [];
+  const describe = (rule, ...args) => {
+    const { title, explain } = rule.text[language];
+    return { title, explanation: explain(...args) };
+  };
+  const on = (lab) => {
+    const date = lab.collectedAt ?? lab.date;
+    return date ? DATE_SUFFIX[language](date) : "";
+  };
+
+  for (const rule of SYMPTOM_RULES) {
+    const match = findPhrase(text, rule);
+    if (!match) continue;
+    flags.push({
+      id: rule.id,
+      ...describe(rule, match),
+      basis: "symptoms",
+      source: rule.source,
+    });
+  }
+
+  for (const rule of VITAL_RULES) {
+    if (!rule.test(vitals) || flags.some((flag) => flag.id === rule.id)) {
+      continue;
+    }
+    flags.push({
+      id: rule.id,
+      ...describe(rule, vitals),
+      basis: "symptoms",
+      source: rule.source,
+    });
+  }
+
+  const context = {
+    latest: latestByAnalyte(labs),
+    baseline: findBaseline(labs, history),
+  };
+  for (const rule of LAB_RULES) {
+    const lab = rule.test(context);
+    if (!lab) continue;
+    flags.push({
+      id: rule.id,
+      ...describe(rule, lab, on),
+      basis: "labs",
+      source: rule.source,
+    });
+  }
+
+  return {
+    emergency: flags.length > 0,
+    flags,
+    recommendation: flags.length
+      ? {
+          specialist: EMERGENCY_SPECIALIST[language],
+          action: EMERGENCY_ACTION[language],
+        }
+      : null,
+  };
+}
+
+/**
+ * Plain-text emergency notice placed at the top of a result, or "" when no
+ * rule fired.
+ */
+export function formatTriageText(triage, language) {
+  if (!triage?.emergency) return "";
+  return [
+    `${labelsFor(language).emergency}: ${triage.recommendation.action}`,
+    ...triage.flags.map((flag) => `- ${flag.title}: ${flag.explanation}`),
+  ].join("\n");
+}
+
+function findPhrase(text, rule) {
+  for (const pattern of rule.patterns) {
+    const regex = new RegExp(pattern.source, `${pattern.flags}g`);
+    for (const match of text.matchAll(regex)) {
+      const before = text.slice(Math.max(0, match.index - 40), match.index);
+      const clause = before.split(CLAUSE_BREAK).at(-1);
+      if (rule.negatable && NEGATION.test(clause)) continue;
+      return match[0];
+    }
+  }
+  return null;
+}
+
+// The most recent value per analyte. Undated values count as current.
+function latestByAnalyte(labs) {
+  const latest = {};
+  for (const lab of labs) {
+    const current = latest[lab.analyte];
+    if (
+      !current ||
+      (lab.collectedAt ?? "9999") >= (current.collectedAt ?? "9999")
+    ) {
+      latest[lab.analyte] = lab;
+    }
+  }
+  return latest;
+}
+
+// Lowest creatinine in the year before the latest one, from this report's
+// earlier dated results and the patient's previous reports.
+function findBaseline(labs, history) {
+  const creatinine = labs.filter((lab) => lab.analyte === "creatinine");
+  const latest = latestByAnalyte(creatinine).creatinine;
+  if (!latest) return null;
+
+  const latestTime = latest.collectedAt
+    ? new Date(latest.collectedAt).getTime()
+    : Date.now();
+  const earlier = [
+    ...creatinine
+      .filter((lab) => lab !== latest && lab.collectedAt)
+      .map((lab) => ({ value: lab.value, date: lab.collectedAt })),
+    ...history,
+  ].filter((entry) => {
+    const time = new Date(entry.date).getTime();
+    return time < latestTime && latestTime - time <= BASELINE_WINDOW_DAYS * DAY;
+  });
+  if (!earlier.length) return null;
+
+  return earlier.reduce((lowest, entry) =>
+    entry.value < lowest.value ? entry : lowest
+  );
+}
+
+/**
+ * Folds fired rules into a structured model answer of the given case kind
+ * (or "chat" for a follow-up reply), so red-flag lists and specialist
+ * recommendations never contradict the banner. Returns `structured`
+ * unchanged when nothing fired.
+ */
+export function mergeTriage(structured, triage, kind) {
+  if (!structured || !triage?.emergency) return structured;
+  const { specialist, action } = triage.recommendation;
+  const withSpecialist = (list) =>
+    list.includes(specialist) ? list : [specialist, ...list];
+
+  switch (kind) {
+    case "symptoms":
+      return {
+        ...structured,
+        redFlags: [
+          ...triage.flags.map((flag) => `${flag.title}: ${flag.explanation}`),
+          ...structured.redFlags,
+        ],
+        specialists: withSpecialist(structured.specialists),
+      };
+    case "report":
+      return {
+        ...structured,
+        followUps: [action, ...structured.followUps],
+      };
+    case "chat":
+      return {
+        ...structured,
+        redFlags: [
+          ...triage.flags.map((flag) => `${flag.title}: ${flag.explanation}`),
+          ...structured.redFlags,
+        ],
+      };
+    case "combined":
+      return {
+        ...structured,
+        redFlags: [
+          ...triage.flags.map((flag) => ({
+            text: `${flag.title}: ${flag.explanation}`,
+            basis: flag.basis === "labs" ? "reports" : "symptoms",
+          })),
+          ...structured.redFlags,
+        ],
+        specialists: withSpecialist(structured.specialists),
+      };
+    default:
+      return structured;
+  }
+}
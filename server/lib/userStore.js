@@ -0,0 +1,137 @@
+import { randomBytes, randomUUID, scrypt, timingSafeEqual } from "crypto";
+import { promisify } from "util";
+import { createJsonCollection } from "./jsonCollection.js";
+
+// Accounts that can sign in. Patients are linked to their own patient record;
+// clinicians see the patients whose records list them in `clinicianIds`.
+
+export const ROLES = ["patient", "clinician"];
+
+const MIN_PASSWORD_CHARS = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const deriveKey = promisify(scrypt);
+
+/**
+ * User shape: `{ id, email, name, role, patientId, passwordHash, createdAt }`
+ * where `patientId` is set for patient accounts only and `passwordHash` is a
+ * `scrypt$salt$key` string (hex).
+ */
+export function createUserStore({ file }) {
+  const { load, persist } = createJsonCollection({ file, key: "users" });
+
+  return {
+    async get(id) {
+      const users = await load();
+      return users.find((entry) => entry.id === id) ?? null;
+    },
+
+    async findByEmail(email) {
+      const users = await load();
+      const needle = normalizeEmail(email);
+      return users.find((entry) => entry.email === needle) ?? null;
+    },
+
+    // Fails with `code: "EMAIL_TAKEN"` rather than creating a duplicate. The
+    // password is hashed first so the check and the insert run without an
+    // await between them, and two sign-ups cannot both take the email.
+    async create({ password, ...values }) {
+      const passwordHash = await hashPassword(password);
+      const users = await load();
+      const email = normalizeEmail(values.email);
+      if (users.some((entry) => entry.email === email)) {
+        throw Object.assign(new Error("Email is already registered."), {
+          code: "EMAIL_TAKEN",
+        });
+      }
+      const entry = {
+        id: randomUUID(),
+        ...values,
+        email,
+        patientId: values.patientId ?? null,
+        passwordHash,
+        createdAt: new Date().toISOString(),
+      };
+      users.push(entry);
+      try {
+        await persist(users);
+      } catch (error) {
+        users.splice(users.indexOf(entry), 1);
+        throw error;
+      }
+      return entry;
+    },
+
+    async update(id, values) {
+      const users = await load();
+      const entry = users.find((item) => item.id === id);
+      if (!entry) return null;
+      Object.assign(entry, values);
+      await persist(users);
+      return entry;
+    },
+
+    async remove(id) {
+      const users = await load();
+      const index = users.findIndex((entry) => entry.id === id);
+      if (index === -1) return false;
+      users.splice(index, 1);
+      await persist(users);
+      return true;
+    },
+  };
+}
+
+export async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const key = await deriveKey(password, salt, 64);
+  return `scrypt$${salt.toString("hex")}$${key.toString("hex")}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, key] = String(stored).split("$");
+  if (scheme !== "scrypt" || !salt || !key) return false;
+  const expected = Buffer.from(key, "hex");
+  if (expected.length !== 64) return false;
+  const actual = await deriveKey(password, Buffer.from(salt, "hex"), 64);
+  return timingSafeEqual(expected, actual);
+}
+
+// The account as returned to clients; the hash never leaves the server.
+export function publicUser(user) {
+  const { passwordHash: _passwordHash, ...rest } = user;
+  return rest;
+}
+
+/**
+ * Validates a registration payload. Patient details (sex, date of birth) are
+ * checked separately with validatePatientInput. Returns `{ errors, values }`.
+ */
+export function validateRegistration(body = {}) {
+  const errors = [];
+  const email = normalizeEmail(body.email);
+  if (!EMAIL_PATTERN.test(email)) errors.push("A valid email is required.");
+
+  const name = typeof body.name === "string" ? body.name.trim() : "";
+  if (!name) errors.push("Name is required.");
+
+  const password = typeof body.password === "string" ? body.password : "";
+  if (password.length < MIN_PASSWORD_CHARS) {
+    errors.push(
+      `Password must be at least ${MIN_PASSWORD_CHARS} characters long.`
+    );
+  }
+
+  const role = body.role ?? "patient";
+  if (!ROLES.includes(role)) {
+    errors.push(`role must be one of: ${ROLES.join(", ")}.`);
+  }
+
+  return {
+    errors,
+    values: { email, name: name.slice(0, 120), password, role },
+  };
+}
+
+function normalizeEmail(email) {
+  return typeof email === "string" ? email.trim().toLowerCase() : "";
+}
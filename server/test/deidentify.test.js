@@ -0,0 +1,81 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createDeidentifier } from "../lib/deidentify.js";
+
+const deidentifier = createDeidentifier();
+
+describe("dictionary names", () => {
+  it("redacts the whole name as written or in capitals", async () => {
+    const session = deidentifier.createSession({ names: ["Ravi Patel"] });
+    assert.equal(
+      await session.redact("Ravi Patel and RAVI  PATEL"),
+      "[NAME_1] and [NAME_1]"
+    );
+  });
+
+  it("matches the first and last word of a longer name", async () => {
+    const session = deidentifier.createSession({ names: ["Ravi Kumar Patel"] });
+    assert.equal(await session.redact("Seen: Ravi Patel"), "Seen: [NAME_1]");
+  });
+
+  it("leaves common words that are part of a name alone", async () => {
+    const session = deidentifier.createSession({ names: ["Grace White"] });
+    const text =
+      "White blood cells 9000. Grace period over. WHITE CELL COUNT normal.";
+    assert.equal(await session.redact(text), text);
+    assert.equal(session.redacted, false);
+  });
+
+  it("redacts a single part of the name after a title", async () => {
+    const session = deidentifier.createSession({ names: ["Grace White"] });
+    assert.equal(
+      await session.redact("Smt. White and Ms Grace attended."),
+      "Smt. [NAME_1] and Ms [NAME_1] attended."
+    );
+  });
+
+  it("does not read upper-case MS as a title", async () => {
+    const session = deidentifier.createSession({ names: ["Grace White"] });
+    assert.equal(await session.redact("MS White"), "MS White");
+  });
+
+  it("only knows the names it was given", async () => {
+    const session = deidentifier.createSession({ names: ["Ravi Patel"] });
+    const text = "Potassium Creatinine high, Grace White unrelated";
+    assert.equal(await session.redact(text), text);
+  });
+});
+
+describe("name placeholders", () => {
+  it("gives a title and surname the same placeholder as the full name", async () => {
+    const session = deidentifier.createSession({ names: ["Ravi Patel"] });
+    assert.equal(
+      await session.redact("Ravi Patel came in. Ms Patel was not told."),
+      "[NAME_1] came in. Ms [NAME_1] was not told."
+    );
+  });
+
+  it("reuses the placeholder when the short form comes first", async () => {
+    const session = deidentifier.createSession();
+    const redacted = await session.redact(
+      "Mrs Patel reports pain.\nName: Asha Patel"
+    );
+    assert.equal(redacted, "Mrs [NAME_1] reports pain.\nName: [NAME_1]");
+    assert.equal(session.restore("[NAME_1]"), "Asha Patel");
+  });
+
+  it("keeps different people apart", async () => {
+    const session = deidentifier.createSession();
+    assert.equal(
+      await session.redact("Name: Asha Patel\nMr Ravi Patel is her son."),
+      "Name: [NAME_1]\nMr [NAME_2] is her son."
+    );
+  });
+
+  it("keeps placeholders across calls in one session", async () => {
+    const session = deidentifier.createSession({ names: ["Ravi Patel"] });
+    await session.redact("Ravi Patel");
+    assert.equal(await session.redact("Mr. Patel"), "Mr. [NAME_1]");
+    assert.deepEqual(session.summary(), { name: 1 });
+  });
+});
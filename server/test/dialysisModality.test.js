@@ -0,0 +1,215 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  assessModality,
+  validateModalityInput,
+} from "../lib/dialysisModality.js";
+
+const NOTHING_GIVEN = {
+  abdominalSurgery: null,
+  homeSupport: null,
+  manualDexterity: null,
+  vascularAccess: null,
+  cardiacFunction: null,
+  residualUrineOutput: null,
+  preferences: [],
+};
+
+const assess = (values) => assessModality({ ...NOTHING_GIVEN, ...values });
+const fired = (values) => assess(values).firedRules.map((rule) => rule.id);
+const suitability = (values) =>
+  Object.fromEntries(
+    assess(values).options.map((option) => [option.id, option.suitability])
+  );
+
+describe("peritoneal dialysis rules", () => {
+  it("abdominal surgery is a caution, extensive surgery rules PD out", () => {
+    assert.deepEqual(fired({ abdominalSurgery: "none" }), []);
+    assert.deepEqual(fired({ abdominalSurgery: "previous" }), [
+      "pd-previous-abdominal-surgery",
+    ]);
+    assert.deepEqual(fired({ abdominalSurgery: "extensive" }), [
+      "pd-extensive-abdominal-surgery",
+    ]);
+  });
+
+  it("poor dexterity rules PD out only without help at home", () => {
+    assert.deepEqual(fired({ manualDexterity: "poor", homeSupport: "none" }), [
+      "pd-self-care-not-possible",
+      "hd-in-centre-care",
+    ]);
+    assert.deepEqual(
+      fired({ manualDexterity: "poor", homeSupport: "partial" }),
+      ["pd-needs-assistance"]
+    );
+    assert.deepEqual(
+      fired({ manualDexterity: "limited", homeSupport: "full" }),
+      ["pd-needs-assistance"]
+    );
+    assert.deepEqual(
+      fired({ manualDexterity: "limited", homeSupport: "none" }),
+      []
+    );
+    assert.deepEqual(
+      fired({ manualDexterity: "good", homeSupport: "none" }),
+      []
+    );
+  });
+
+  it("residual urine favours PD from 500 and is a caution below 100", () => {
+    assert.deepEqual(fired({ residualUrineOutput: 500 }), [
+      "pd-residual-function",
+    ]);
+    assert.deepEqual(fired({ residualUrineOutput: 499 }), []);
+    assert.deepEqual(fired({ residualUrineOutput: 100 }), []);
+    assert.deepEqual(fired({ residualUrineOutput: 99 }), ["pd-anuric"]);
+  });
+
+  it("reduced heart function favours PD", () => {
+    assert.deepEqual(fired({ cardiacFunction: "normal" }), []);
+    assert.deepEqual(fired({ cardiacFunction: "reduced" }), [
+      "pd-cardiac-tolerance",
+    ]);
+  });
+
+  it("home, schedule and travel preferences favour PD", () => {
+    for (const preference of ["home", "flexibleSchedule", "travel"]) {
+      assert.deepEqual(fired({ preferences: [preference] }), [
+        "pd-home-preference",
+      ]);
+    }
+    const [rule] = assess({ preferences: ["home", "travel"] }).firedRules;
+    assert.match(rule.explanation, /\(treatment at home, travel\)/);
+  });
+});
+
+describe("hemodialysis rules", () => {
+  it("follows the state of vascular access", () => {
+    assert.deepEqual(fired({ vascularAccess: "none" }), ["hd-no-access"]);
+    assert.deepEqual(fired({ vascularAccess: "catheter" }), [
+      "hd-catheter-only",
+    ]);
+    assert.deepEqual(fired({ vascularAccess: "maturing" }), []);
+    assert.deepEqual(fired({ vascularAccess: "working" }), ["hd-access-ready"]);
+    assert.deepEqual(fired({ vascularAccess: "exhausted" }), [
+      "hd-access-exhausted",
+    ]);
+  });
+
+  it("severe heart failure is a caution for HD and favours PD and conservative care", () => {
+    assert.deepEqual(fired({ cardiacFunction: "severe" }), [
+      "pd-cardiac-tolerance",
+      "hd-severe-cardiac",
+      "conservative-severe-cardiac",
+    ]);
+  });
+
+  it("a preference for in-centre care favours HD", () => {
+    assert.deepEqual(fired({ preferences: ["inCentre"] }), [
+      "hd-in-centre-care",
+    ]);
+  });
+});
+
+describe("conservative care rules", () => {
+  it("a wish to avoid dialysis favours conservative care", () => {
+    assert.deepEqual(fired({ preferences: ["avoidDialysis"] }), [
+      "conservative-preference",
+    ]);
+  });
+
+  it("is favoured when both dialysis options are ruled out", () => {
+    const ids = fired({
+      abdominalSurgery: "extensive",
+      vascularAccess: "exhausted",
+    });
+    assert.ok(ids.includes("conservative-no-dialysis-route"));
+    assert.equal(
+      fired({ abdominalSurgery: "extensive" }).includes(
+        "conservative-no-dialysis-route"
+      ),
+      false
+    );
+  });
+});
+
+describe("assessModality", () => {
+  it("rates every option possible when nothing is given", () => {
+    assert.deepEqual(suitability({}), {
+      hd: "possible",
+      pd: "possible",
+      conservative: "possible",
+    });
+  });
+
+  it("weighs favouring factors against cautions one for one", () => {
+    // One caution against nothing.
+    assert.equal(suitability({ vascularAccess: "none" }).hd, "caution");
+    // One caution against one favouring factor.
+    assert.equal(
+      suitability({ vascularAccess: "catheter", preferences: ["inCentre"] }).hd,
+      "possible"
+    );
+    assert.equal(suitability({ vascularAccess: "working" }).hd, "favoured");
+    // A contraindication outweighs anything in favour.
+    assert.equal(
+      suitability({ abdominalSurgery: "extensive", preferences: ["home"] }).pd,
+      "contraindicated"
+    );
+  });
+
+  it("drops questions that favour an option that is ruled out", () => {
+    const { questions } = assess({
+      abdominalSurgery: "extensive",
+      preferences: ["home"],
+    });
+    assert.ok(
+      questions.includes(
+        "Could a surgeon assess whether my abdomen can still take a PD catheter?"
+      )
+    );
+    assert.equal(
+      questions.includes(
+        "How would PD fit around my work, travel and daily routine?"
+      ),
+      false
+    );
+  });
+
+  it("lists the inputs that were not given", () => {
+    assert.deepEqual(assess({ vascularAccess: "working" }).missingInputs, [
+      "abdominalSurgery",
+      "homeSupport",
+      "manualDexterity",
+      "cardiacFunction",
+      "residualUrineOutput",
+    ]);
+  });
+});
+
+describe("validateModalityInput", () => {
+  it("accepts known factors and preferences", () => {
+    const { errors, values } = validateModalityInput({
+      vascularAccess: " working ",
+      residualUrineOutput: "600",
+      preferences: ["home", "home", "travel"],
+    });
+    assert.deepEqual(errors, []);
+    assert.equal(values.vascularAccess, "working");
+    assert.equal(values.residualUrineOutput, 600);
+    assert.deepEqual(values.preferences, ["home", "travel"]);
+  });
+
+  it("rejects unknown factors, preferences and non-numeric urine output", () => {
+    const { errors } = validateModalityInput({
+      cardiacFunction: "weak",
+      preferences: ["beach"],
+      residualUrineOutput: "lots",
+    });
+    assert.deepEqual(errors, [
+      "cardiacFunction must be one of: normal, reduced, severe.",
+      "Residual urine output (mL/day) must be a number.",
+      "preferences can only include: home, flexibleSchedule, travel, inCentre, avoidDialysis.",
+    ]);
+  });
+});
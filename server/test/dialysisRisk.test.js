@@ -0,0 +1,190 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  assessDialysisRisk,
+  calculateEgfr,
+  stageAlbuminuria,
+  stageGfr,
+  validateDialysisInput,
+} from "../lib/dialysisRisk.js";
+
+const BASE = {
+  creatinine: 1,
+  age: 50,
+  sex: "male",
+  acr: null,
+  potassium: null,
+  bicarbonate: null,
+  urineOutput: null,
+};
+
+const fired = (values) =>
+  assessDialysisRisk({ ...BASE, ...values }).firedRules.map((rule) => rule.id);
+
+describe("calculateEgfr", () => {
+  it("gives 142 × 0.9938^age at the creatinine knot", () => {
+    // At creatinine = kappa both ratio terms are 1.
+    assert.equal(
+      calculateEgfr({ creatinine: 0.9, age: 40, sex: "male" }),
+      110.7
+    );
+    assert.equal(
+      calculateEgfr({ creatinine: 0.7, age: 40, sex: "female" }),
+      112.1
+    );
+  });
+
+  it("matches the published CKD-EPI 2021 values", () => {
+    assert.equal(calculateEgfr({ creatinine: 1, age: 50, sex: "male" }), 91.7);
+    assert.equal(
+      calculateEgfr({ creatinine: 1, age: 50, sex: "female" }),
+      68.6
+    );
+    assert.equal(calculateEgfr({ creatinine: 2, age: 60, sex: "male" }), 37.5);
+  });
+});
+
+describe("stageGfr", () => {
+  it("puts each cutoff in the higher stage", () => {
+    assert.equal(stageGfr(90).stage, "G1");
+    assert.equal(stageGfr(89.9).stage, "G2");
+    assert.equal(stageGfr(60).stage, "G2");
+    assert.equal(stageGfr(59.9).stage, "G3a");
+    assert.equal(stageGfr(45).stage, "G3a");
+    assert.equal(stageGfr(44.9).stage, "G3b");
+    assert.equal(stageGfr(30).stage, "G3b");
+    assert.equal(stageGfr(29.9).stage, "G4");
+    assert.equal(stageGfr(15).stage, "G4");
+    assert.equal(stageGfr(14.9).stage, "G5");
+    assert.equal(stageGfr(0).stage, "G5");
+  });
+});
+
+describe("stageAlbuminuria", () => {
+  it("puts 30 in A2 and 300 in A3", () => {
+    assert.equal(stageAlbuminuria(29.9).stage, "A1");
+    assert.equal(stageAlbuminuria(30).stage, "A2");
+    assert.equal(stageAlbuminuria(299.9).stage, "A2");
+    assert.equal(stageAlbuminuria(300).stage, "A3");
+  });
+
+  it("returns null without an ACR", () => {
+    assert.equal(stageAlbuminuria(null), null);
+    assert.equal(stageAlbuminuria(undefined), null);
+  });
+});
+
+describe("urgency rules", () => {
+  // Creatinine values that put a 50-year-old man's eGFR on each side of the
+  // 10, 15 and 30 cutoffs.
+  const EDGES = [
+    [6.37, 9.9, ["egfr-below-10"]],
+    [6.32, 10, ["egfr-kidney-failure"]],
+    [4.54, 14.9, ["egfr-kidney-failure"]],
+    [4.51, 15, ["egfr-krt-preparation"]],
+    [2.55, 29.8, ["egfr-krt-preparation"]],
+    [2.54, 30, []],
+  ];
+
+  it("eGFR rules fire only inside their range", () => {
+    for (const [creatinine, egfr, rules] of EDGES) {
+      assert.equal(calculateEgfr({ ...BASE, creatinine }), egfr);
+      assert.deepEqual(fired({ creatinine }), rules, `eGFR ${egfr}`);
+    }
+  });
+
+  it("albuminuria fires from an ACR of 300", () => {
+    assert.deepEqual(fired({ acr: 299 }), []);
+    assert.deepEqual(fired({ acr: 300 }), ["albuminuria-severe"]);
+  });
+
+  it("potassium fires at 6.0 and is an emergency from 6.5", () => {
+    assert.deepEqual(fired({ potassium: 5.9 }), []);
+    assert.deepEqual(fired({ potassium: 6 }), ["hyperkalemia-moderate"]);
+    assert.deepEqual(fired({ potassium: 6.4 }), ["hyperkalemia-moderate"]);
+    assert.deepEqual(fired({ potassium: 6.5 }), ["hyperkalemia-severe"]);
+  });
+
+  it("bicarbonate fires below 18 and is an emergency below 12", () => {
+    assert.deepEqual(fired({ bicarbonate: 18 }), []);
+    assert.deepEqual(fired({ bicarbonate: 17.9 }), ["acidosis-chronic"]);
+    assert.deepEqual(fired({ bicarbonate: 12 }), ["acidosis-chronic"]);
+    assert.deepEqual(fired({ bicarbonate: 11.9 }), ["acidosis-severe"]);
+  });
+
+  it("urine output fires below 400 and is an emergency below 100", () => {
+    assert.deepEqual(fired({ urineOutput: 400 }), []);
+    assert.deepEqual(fired({ urineOutput: 399 }), ["oliguria"]);
+    assert.deepEqual(fired({ urineOutput: 100 }), ["oliguria"]);
+    assert.deepEqual(fired({ urineOutput: 99 }), ["anuria"]);
+  });
+});
+
+describe("assessDialysisRisk", () => {
+  it("reports monitoring when no rule fires", () => {
+    const result = assessDialysisRisk(BASE);
+    assert.equal(result.urgency, "monitoring");
+    assert.equal(result.gStage.stage, "G1");
+    assert.equal(result.aStage, null);
+    assert.equal(result.kdigoRisk, null);
+    assert.deepEqual(result.missingInputs, [
+      "acr",
+      "potassium",
+      "bicarbonate",
+      "urineOutput",
+    ]);
+  });
+
+  it("takes the most urgent rule that fired", () => {
+    const result = assessDialysisRisk({
+      ...BASE,
+      creatinine: 3,
+      potassium: 6.6,
+    });
+    assert.deepEqual(
+      result.firedRules.map((rule) => rule.urgency),
+      ["planning", "emergency"]
+    );
+    assert.equal(result.urgency, "emergency");
+  });
+
+  it("looks up the KDIGO heat map from both stages", () => {
+    const result = assessDialysisRisk({ ...BASE, creatinine: 2, acr: 300 });
+    assert.equal(result.gStage.stage, "G3b");
+    assert.equal(result.aStage.stage, "A3");
+    assert.equal(result.kdigoRisk, "very high");
+  });
+});
+
+describe("validateDialysisInput", () => {
+  it("accepts the required inputs alone", () => {
+    const { errors, values } = validateDialysisInput({
+      creatinine: "1.2",
+      age: "60",
+      sex: "Female",
+    });
+    assert.deepEqual(errors, []);
+    assert.equal(values.creatinine, 1.2);
+    assert.equal(values.sex, "female");
+    assert.equal(values.acr, null);
+  });
+
+  it("rejects a non-numeric optional input", () => {
+    const { errors } = validateDialysisInput({
+      creatinine: 1,
+      age: 60,
+      sex: "male",
+      potassium: "high",
+    });
+    assert.deepEqual(errors, ["Potassium (mmol/L) must be a number."]);
+  });
+
+  it("rejects adults-only and out-of-range values", () => {
+    const { errors } = validateDialysisInput({
+      creatinine: 0,
+      age: 17,
+      sex: "other",
+    });
+    assert.equal(errors.length, 3);
+  });
+});
@@ -0,0 +1,176 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { ageOn, buildKidneyTrends } from "../lib/kidneyTrends.js";
+
+const PATIENT = { sex: "male", dateOfBirth: "1974-01-01" };
+
+let nextId = 1;
+const reportCase = (labs, createdAt = "2024-06-01T10:00:00.000Z") => ({
+  id: `case-${nextId++}`,
+  createdAt,
+  reports: [{ name: "report.pdf", labs }],
+});
+const egfrOn = (collectedAt, value) =>
+  reportCase([{ analyte: "egfr", value, unit: "mL/min/1.73m²", collectedAt }]);
+
+// 2020-01-01 to 2024-01-01 is exactly four years of 365.25 days.
+const trendOf = (first, last) =>
+  buildKidneyTrends(PATIENT, [
+    egfrOn("2020-01-01", first),
+    egfrOn("2024-01-01", last),
+  ]).trend;
+
+describe("timeline", () => {
+  it("groups a report's results by collection date", () => {
+    const { timeline } = buildKidneyTrends(PATIENT, [
+      reportCase([
+        { analyte: "creatinine", value: 1.4, collectedAt: "2024-01-10" },
+        { analyte: "potassium", value: 5.2, collectedAt: "2024-01-10" },
+        { analyte: "sodium", value: 138, collectedAt: "2024-01-10" },
+        { analyte: "creatinine", value: 1.6, collectedAt: "2024-03-10" },
+      ]),
+    ]);
+    assert.deepEqual(
+      timeline.map((entry) => [
+        entry.date,
+        entry.creatinine?.value,
+        entry.potassium?.value ?? null,
+      ]),
+      [
+        ["2024-01-10", 1.4, 5.2],
+        ["2024-03-10", 1.6, null],
+      ]
+    );
+  });
+
+  it("dates undated results by the upload", () => {
+    const [entry] = buildKidneyTrends(PATIENT, [
+      reportCase([{ analyte: "creatinine", value: 1 }], "2024-05-02T09:00:00Z"),
+    ]).timeline;
+    assert.equal(entry.date, "2024-05-02");
+    assert.equal(entry.dateSource, "upload");
+  });
+
+  it("calculates eGFR from creatinine with the age on that date", () => {
+    const [entry] = buildKidneyTrends(PATIENT, [
+      reportCase([
+        { analyte: "creatinine", value: 1, collectedAt: "2024-01-01" },
+      ]),
+    ]).timeline;
+    assert.equal(entry.egfr.value, 91.7);
+    assert.equal(entry.egfr.calculated, true);
+  });
+
+  it("keeps a reported eGFR over a calculated one", () => {
+    const [entry] = buildKidneyTrends(PATIENT, [
+      reportCase([
+        { analyte: "creatinine", value: 1, collectedAt: "2024-01-01" },
+        { analyte: "egfr", value: 70, collectedAt: "2024-01-01" },
+      ]),
+    ]).timeline;
+    assert.equal(entry.egfr.value, 70);
+    assert.equal(entry.egfr.calculated, undefined);
+  });
+
+  it("does not calculate eGFR for a child or without a patient", () => {
+    const labs = [
+      { analyte: "creatinine", value: 1, collectedAt: "2024-01-01" },
+    ];
+    const child = { sex: "female", dateOfBirth: "2010-01-01" };
+    assert.equal(
+      buildKidneyTrends(child, [reportCase(labs)]).timeline[0].egfr,
+      null
+    );
+    assert.equal(
+      buildKidneyTrends(null, [reportCase(labs)]).timeline[0].egfr,
+      null
+    );
+  });
+
+  it("counts the same report uploaded twice once", () => {
+    const { egfrSeries } = buildKidneyTrends(PATIENT, [
+      egfrOn("2024-01-01", 50),
+      egfrOn("2024-01-01", 50),
+    ]);
+    assert.equal(egfrSeries.length, 1);
+  });
+});
+
+describe("trend", () => {
+  it("needs two results at least 90 days apart", () => {
+    const one = buildKidneyTrends(PATIENT, [egfrOn("2024-01-01", 50)]);
+    assert.equal(one.trend, null);
+    assert.match(one.trendNote, /At least two/);
+
+    const close = buildKidneyTrends(PATIENT, [
+      egfrOn("2024-01-01", 50),
+      egfrOn("2024-03-30", 45),
+    ]);
+    assert.equal(close.trend, null);
+    assert.match(close.trendNote, /at least 90 days/);
+
+    const apart = buildKidneyTrends(PATIENT, [
+      egfrOn("2024-01-01", 50),
+      egfrOn("2024-03-31", 45),
+    ]);
+    assert.notEqual(apart.trend, null);
+  });
+
+  it("fits the yearly slope", () => {
+    const trend = trendOf(60, 40);
+    assert.equal(trend.slopePerYear, -5);
+    assert.equal(trend.spanYears, 4);
+    assert.deepEqual(trend.fitted, {
+      start: { date: "2020-01-01", egfr: 60 },
+      end: { date: "2024-01-01", egfr: 40 },
+    });
+  });
+
+  it("calls a decline rapid only beyond 5 per year", () => {
+    assert.equal(trendOf(60, 40).rapidDecline, false);
+    assert.equal(trendOf(60, 39.6).rapidDecline, true);
+    assert.equal(trendOf(40, 60).rapidDecline, false);
+  });
+
+  it("marks a trend from two results or less than a year as limited", () => {
+    assert.equal(trendOf(60, 40).limited, true);
+    const { trend } = buildKidneyTrends(PATIENT, [
+      egfrOn("2020-01-01", 60),
+      egfrOn("2022-01-01", 50),
+      egfrOn("2024-01-01", 40),
+    ]);
+    assert.equal(trend.limited, false);
+  });
+});
+
+describe("projection to eGFR 15", () => {
+  it("projects the date the fitted line reaches 15", () => {
+    // Five years of 365.25 days from 2024-01-01, across two leap days.
+    assert.deepEqual(trendOf(60, 40).projection, {
+      status: "projected",
+      threshold: 15,
+      yearsUntil: 5,
+      date: "2028-12-31",
+    });
+  });
+
+  it("does not project beyond 20 years", () => {
+    assert.equal(trendOf(60, 58).projection.status, "beyond-horizon");
+  });
+
+  it("reports a stable or rising eGFR as not declining", () => {
+    assert.equal(trendOf(40, 40).projection.status, "not-declining");
+    assert.equal(trendOf(40, 45).projection.status, "not-declining");
+  });
+
+  it("reports an eGFR already at or below 15", () => {
+    assert.equal(trendOf(20, 15).projection.status, "already-below");
+  });
+});
+
+describe("ageOn", () => {
+  it("counts whole years up to the birthday", () => {
+    assert.equal(ageOn("1974-06-15", "2024-06-14"), 49);
+    assert.equal(ageOn("1974-06-15", "2024-06-15"), 50);
+  });
+});
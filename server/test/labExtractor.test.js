@@ -0,0 +1,127 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { extractLabs } from "../lib/labExtractor.js";
+
+const readings = (text) =>
+  extractLabs(text).map(({ analyte, value, collectedAt }) => ({
+    analyte,
+    value,
+    collectedAt,
+  }));
+
+describe("analyte names", () => {
+  it("reads K and Na as potassium and sodium", () => {
+    assert.deepEqual(
+      extractLabs("Na 138 mmol/L, K+: 6.2 mmol/L").map((lab) => [
+        lab.analyte,
+        lab.value,
+      ]),
+      [
+        ["sodium", 138],
+        ["potassium", 6.2],
+      ]
+    );
+  });
+
+  it("does not read vitamin K as potassium", () => {
+    assert.deepEqual(extractLabs("Vitamin K2 200 mcg daily"), []);
+    assert.deepEqual(extractLabs("VITAMIN K 10 mg given"), []);
+    assert.deepEqual(extractLabs("K2 supplement"), []);
+  });
+
+  it("leaves creatinine clearance and urine creatinine alone", () => {
+    assert.deepEqual(extractLabs("Creatinine clearance 45 mL/min"), []);
+    assert.deepEqual(extractLabs("Urine creatinine 80 mg/dL"), []);
+  });
+});
+
+describe("units", () => {
+  it("converts creatinine from µmol/L", () => {
+    const [lab] = extractLabs("Creatinine 177 µmol/L");
+    assert.equal(lab.value, 2);
+    assert.equal(lab.unit, "mg/dL");
+    assert.equal(lab.converted, true);
+  });
+
+  it("infers a missing unit from the size of the value", () => {
+    const [lab] = extractLabs("Creatinine 221");
+    assert.equal(lab.value, 2.5);
+    assert.equal(lab.unitInferred, true);
+  });
+
+  it("reports urea as BUN", () => {
+    const [lab] = extractLabs("Blood urea 60 mg/dL");
+    assert.equal(lab.analyte, "bun");
+    assert.equal(lab.value, 28.02);
+  });
+});
+
+describe("reference ranges", () => {
+  it("flags a value against its range", () => {
+    const [lab] = extractLabs("Potassium 5.9 mmol/L (3.5 - 5.1)");
+    assert.deepEqual(lab.referenceRange, {
+      low: 3.5,
+      high: 5.1,
+      text: "3.5 - 5.1",
+    });
+    assert.equal(lab.flag, "high");
+  });
+
+  it("reads a one-sided range", () => {
+    const [lab] = extractLabs("ACR 45 mg/g <30");
+    assert.equal(lab.referenceRange.high, 30);
+    assert.equal(lab.flag, "high");
+  });
+
+  it("does not read a date as a range", () => {
+    const [lab] = extractLabs("Creatinine 1.1 mg/dL 12/05/2024");
+    assert.equal(lab.referenceRange, null);
+    assert.equal(lab.flag, null);
+  });
+});
+
+describe("dates", () => {
+  it("applies a collection date to the lines after it", () => {
+    assert.deepEqual(readings("Collected on 01/03/2024\nCreatinine 1.8"), [
+      { analyte: "creatinine", value: 1.8, collectedAt: "2024-03-01" },
+    ]);
+  });
+
+  it("reads every dated value on a line with its own date", () => {
+    const labs = extractLabs(
+      "Creatinine 2.1 on 2024-05-01, previously 1.0 on 2024-01-10"
+    );
+    assert.deepEqual(
+      labs.map(({ value, collectedAt, flag }) => ({
+        value,
+        collectedAt,
+        flag,
+      })),
+      [
+        { value: 2.1, collectedAt: "2024-05-01", flag: null },
+        { value: 1, collectedAt: "2024-01-10", flag: null },
+      ]
+    );
+  });
+
+  it("reads a date written before the value as one result", () => {
+    const [lab, ...rest] = extractLabs(
+      "Creatinine on 2024-05-01: 2.1 mg/dL (0.7-1.3)"
+    );
+    assert.equal(rest.length, 0);
+    assert.equal(lab.value, 2.1);
+    assert.equal(lab.collectedAt, "2024-05-01");
+    assert.equal(lab.flag, "high");
+  });
+
+  it("parses month names", () => {
+    assert.equal(
+      extractLabs("Creatinine 1.4 on 5 Mar 2024")[0].collectedAt,
+      "2024-03-05"
+    );
+    assert.equal(
+      extractLabs("Creatinine 1.4 on March 5, 2024")[0].collectedAt,
+      "2024-03-05"
+    );
+  });
+});
@@ -0,0 +1,170 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { DRUGS } from "../lib/drugTable.js";
+import {
+  checkMedications,
+  estimateCurrentEgfr,
+  latestLab,
+} from "../lib/medicationSafety.js";
+
+const found = (text) =>
+  checkMedications({ texts: [{ source: "notes", text }] }).medications.map(
+    (medication) => medication.id
+  );
+
+const check = (items, egfr, potassium = null) =>
+  checkMedications({
+    lists: [{ source: "intake", items }],
+    egfr: egfr === null ? null : { value: egfr, basis: "reported" },
+    potassium,
+  });
+
+const doseFlag = (items, egfr) =>
+  check(items, egfr).flags.find((flag) => flag.kind === "dose") ?? null;
+
+describe("drug names", () => {
+  it("matches generic and brand names in any case", () => {
+    assert.deepEqual(found("On METFORMIN 500 mg"), ["metformin"]);
+    assert.deepEqual(found("takes Glycomet twice a day"), ["metformin"]);
+    assert.deepEqual(found("xarelto 20"), ["rivaroxaban"]);
+    assert.deepEqual(found("Brufen for knee pain"), ["ibuprofen"]);
+  });
+
+  it("treats hyphens and spaces in a name alike", () => {
+    assert.deepEqual(found("Pan D before breakfast"), ["pantoprazole"]);
+    assert.deepEqual(found("pan-d"), ["pantoprazole"]);
+    assert.deepEqual(found("co trimoxazole"), ["trimethoprim"]);
+  });
+
+  it("only matches whole words", () => {
+    assert.deepEqual(found("Dolomite powder"), []);
+    assert.deepEqual(found("metformins"), []);
+    assert.deepEqual(found("NaKCl cotransporter"), []);
+    assert.deepEqual(found("Pan 40"), []);
+  });
+
+  it("matches multi-word mentions", () => {
+    assert.deepEqual(found("CT abdomen with contrast"), ["iodinated-contrast"]);
+  });
+
+  it("returns unmatched list items for review", () => {
+    const result = check(["Metformin 500", "Herbal tonic"], null);
+    assert.deepEqual(result.unrecognized, [
+      { source: "intake", text: "Herbal tonic" },
+    ]);
+  });
+});
+
+describe("renal dose thresholds", () => {
+  it("keeps every table strictest first", () => {
+    for (const drug of DRUGS.filter((entry) => entry.renalDosing)) {
+      const limits = drug.renalDosing.map((rule) => rule.below);
+      assert.deepEqual(
+        limits,
+        [...limits].sort((a, b) => a - b),
+        drug.id
+      );
+    }
+  });
+
+  it("applies metformin's limits below 30 and 45, not at them", () => {
+    assert.equal(doseFlag(["metformin"], 29.9).severity, "avoid");
+    assert.equal(doseFlag(["metformin"], 30).severity, "caution");
+    assert.match(doseFlag(["metformin"], 30).explanation, /below 45/);
+    assert.equal(doseFlag(["metformin"], 44.9).severity, "caution");
+    assert.equal(doseFlag(["metformin"], 45), null);
+  });
+
+  it("applies rivaroxaban's limits below 15 and 50, not at them", () => {
+    assert.equal(doseFlag(["rivaroxaban"], 14.9).severity, "avoid");
+    assert.equal(doseFlag(["rivaroxaban"], 15).severity, "caution");
+    assert.equal(doseFlag(["rivaroxaban"], 49.9).severity, "caution");
+    assert.equal(doseFlag(["rivaroxaban"], 50), null);
+  });
+
+  it("puts avoid before caution before monitor", () => {
+    const { flags } = check(["omeprazole", "ibuprofen", "metformin"], 40);
+    assert.deepEqual(
+      flags.map((flag) => [flag.id, flag.severity]),
+      [
+        ["nephrotoxic-nsaid", "caution"],
+        ["renal-dose-metformin", "caution"],
+        ["nephrotoxic-ppi", "monitor"],
+      ]
+    );
+    assert.deepEqual(
+      check(["omeprazole", "ibuprofen", "metformin"], 25).flags.map(
+        (flag) => flag.severity
+      ),
+      ["avoid", "avoid", "monitor"]
+    );
+  });
+});
+
+describe("without an eGFR", () => {
+  it("lists eGFR-dependent doses as unchecked instead of flagging them", () => {
+    const result = check(["metformin", "rivaroxaban", "paracetamol"], null);
+    assert.equal(result.egfr, null);
+    assert.deepEqual(result.uncheckedDoses, ["Metformin", "Rivaroxaban"]);
+    assert.equal(
+      result.flags.some((flag) => flag.kind === "dose"),
+      false
+    );
+  });
+
+  it("still flags nephrotoxic drugs at their eGFR-free severity", () => {
+    const [flag] = check(["ibuprofen"], null).flags;
+    assert.equal(flag.id, "nephrotoxic-nsaid");
+    assert.equal(flag.severity, "caution");
+  });
+});
+
+describe("combinations", () => {
+  it("flags the triple whammy", () => {
+    const ids = check(["ramipril", "furosemide", "diclofenac"], 70).flags.map(
+      (flag) => flag.id
+    );
+    assert.ok(ids.includes("triple-whammy"));
+  });
+
+  it("flags a potassium-raising drug only when potassium is high", () => {
+    const flagged = (potassium) =>
+      check(["losartan"], 70, potassium).flags.map((flag) => flag.id);
+    assert.deepEqual(flagged(5.4), []);
+    assert.deepEqual(flagged(5.5), ["potassium-raising-hyperkalemia"]);
+  });
+});
+
+describe("estimateCurrentEgfr", () => {
+  const labs = [
+    { analyte: "creatinine", value: 1, collectedAt: "2024-01-01" },
+    { analyte: "creatinine", value: 2, collectedAt: "2024-06-01" },
+  ];
+
+  it("calculates from the latest creatinine", () => {
+    assert.deepEqual(estimateCurrentEgfr(labs, { sex: "male", age: 60 }), {
+      value: 37.5,
+      basis: "calculated",
+      collectedAt: "2024-06-01",
+    });
+  });
+
+  it("prefers a reported eGFR", () => {
+    const reported = [...labs, { analyte: "egfr", value: 40 }];
+    assert.equal(
+      estimateCurrentEgfr(reported, { sex: "male", age: 60 }).basis,
+      "reported"
+    );
+  });
+
+  it("returns null without sex or an adult age", () => {
+    assert.equal(estimateCurrentEgfr(labs, { age: 60 }), null);
+    assert.equal(estimateCurrentEgfr(labs, { sex: "male", age: 16 }), null);
+    assert.equal(estimateCurrentEgfr([], { sex: "male", age: 60 }), null);
+  });
+
+  it("counts an undated result as the latest", () => {
+    const undated = [...labs, { analyte: "creatinine", value: 1.5 }];
+    assert.equal(latestLab(undated, "creatinine").value, 1.5);
+  });
+});
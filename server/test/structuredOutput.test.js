@@ -0,0 +1,108 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { CHAT_SCHEMA } from "../lib/schemas.js";
+import {
+  generateStructured,
+  parseStructuredOutput,
+} from "../lib/structuredOutput.js";
+
+const REPLY = {
+  answer: "Drink water.",
+  redFlags: [],
+  questions: [],
+  disclaimer: "Not medical advice.",
+};
+
+// Answers each generate call with the next text and records the requests.
+const fakeProvider = (...texts) => {
+  const requests = [];
+  return {
+    requests,
+    async generate(request) {
+      requests.push(request);
+      return { ok: true, data: null, text: texts[requests.length - 1] };
+    },
+  };
+};
+
+describe("parseStructuredOutput", () => {
+  it("repairs fences, enum aliases and a string in place of a list", () => {
+    const { valid, value } = parseStructuredOutput(
+      '```json\n{"answer": " Rest ", "redFlags": "Fever", "questions": [], "disclaimer": "x"}\n```',
+      CHAT_SCHEMA
+    );
+    assert.equal(valid, true);
+    assert.equal(value.answer, "Rest");
+    assert.deepEqual(value.redFlags, ["Fever"]);
+  });
+
+  it("reports a missing or null required field instead of filling it", () => {
+    const { valid, errors } = parseStructuredOutput(
+      JSON.stringify({ answer: "Rest", redFlags: null }),
+      CHAT_SCHEMA
+    );
+    assert.equal(valid, false);
+    assert.deepEqual(errors, [
+      "$.redFlags is required",
+      "$.questions is required",
+      "$.disclaimer is required",
+    ]);
+  });
+
+  it("fills a missing optional field", () => {
+    const schema = {
+      type: "OBJECT",
+      properties: { answer: { type: "STRING" }, notes: { type: "ARRAY" } },
+      required: ["answer"],
+    };
+    const { valid, value } = parseStructuredOutput('{"answer":"ok"}', schema);
+    assert.equal(valid, true);
+    assert.deepEqual(value.notes, []);
+  });
+});
+
+describe("generateStructured", () => {
+  it("re-asks once when a required field is missing", async () => {
+    const provider = fakeProvider('{"answer": "Drink"}', JSON.stringify(REPLY));
+    const outcome = await generateStructured(provider, {
+      task: "chat",
+      prompt: "question",
+      schema: CHAT_SCHEMA,
+    });
+    assert.equal(provider.requests.length, 2);
+    assert.match(provider.requests[1].prompt, /did not match/);
+    assert.deepEqual(outcome.structured, REPLY);
+  });
+
+  it("passes the signal to the re-ask", async () => {
+    const { signal } = new AbortController();
+    const provider = fakeProvider('{"answer": "Drink"}', JSON.stringify(REPLY));
+    await generateStructured(provider, {
+      task: "chat",
+      prompt: "question",
+      schema: CHAT_SCHEMA,
+      signal,
+    });
+    assert.equal(provider.requests[1].signal, signal);
+  });
+});
+
+describe("cancelled requests", () => {
+  it("does not re-ask once the request is cancelled", async () => {
+    const controller = new AbortController();
+    const provider = fakeProvider('{"answer": "Drink"}', JSON.stringify(REPLY));
+    const generate = provider.generate;
+    provider.generate = (request) => {
+      controller.abort();
+      return generate(request);
+    };
+    const outcome = await generateStructured(provider, {
+      task: "chat",
+      prompt: "question",
+      schema: CHAT_SCHEMA,
+      signal: controller.signal,
+    });
+    assert.deepEqual(outcome, { ok: false, aborted: true });
+    assert.equal(provider.requests.length, 1);
+  });
+});
@@ -0,0 +1,236 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  EMERGENCY_ACTION,
+  assessRedFlags,
+  formatTriageText,
+  mergeTriage,
+} from "../lib/triage.js";
+
+const firedIds = (input) => assessRedFlags(input).flags.map((flag) => flag.id);
+const fromText = (text, language) => firedIds({ text, language });
+
+describe("anuria", () => {
+  it("fires on described absence of urine", () => {
+    assert.deepEqual(fromText("I have not passed urine for 2 days"), [
+      "anuria",
+    ]);
+    assert.deepEqual(fromText("He stopped urinating yesterday"), ["anuria"]);
+    assert.deepEqual(fromText("No urine output since morning"), ["anuria"]);
+  });
+
+  it("fires in Hindi and Gujarati", () => {
+    assert.deepEqual(fromText("दो दिन से पेशाब नहीं हो रहा"), ["anuria"]);
+    assert.deepEqual(fromText("બે દિવસથી પેશાબ થતો નથી"), ["anuria"]);
+  });
+
+  it("is not cancelled by the negation it is written with", () => {
+    assert.deepEqual(fromText("no urine"), ["anuria"]);
+  });
+
+  it("fires on a urine output below 100 mL/day from the intake", () => {
+    assert.deepEqual(firedIds({ vitals: { urineOutput: 50 } }), ["anuria"]);
+    assert.deepEqual(firedIds({ vitals: { urineOutput: 400 } }), []);
+  });
+
+  it("is reported once when text and vitals both show it", () => {
+    assert.deepEqual(
+      firedIds({ text: "no urine output", vitals: { urineOutput: 0 } }),
+      ["anuria"]
+    );
+  });
+});
+
+describe("severe-dyspnea", () => {
+  it("fires on severe breathlessness", () => {
+    assert.deepEqual(fromText("I can't breathe when I lie down"), [
+      "severe-dyspnea",
+    ]);
+    assert.deepEqual(fromText("very short of breath"), ["severe-dyspnea"]);
+    assert.deepEqual(fromText("woke up gasping"), ["severe-dyspnea"]);
+  });
+
+  it("is cancelled by a negation in the same clause", () => {
+    assert.deepEqual(fromText("denies orthopnea"), []);
+    assert.deepEqual(fromText("no fluid in the lungs on x-ray"), []);
+  });
+
+  it("fires when the negation belongs to an earlier clause", () => {
+    assert.deepEqual(fromText("no fever but very breathless"), [
+      "severe-dyspnea",
+    ]);
+  });
+
+  it("respects Hindi and Gujarati negation after the phrase", () => {
+    assert.deepEqual(fromText("फेफड़ों में पानी"), ["severe-dyspnea"]);
+    assert.deepEqual(fromText("फेफड़ों में पानी नहीं"), []);
+    assert.deepEqual(fromText("ફેફસાંમાં પાણી નથી"), []);
+  });
+});
+
+describe("chest-pain", () => {
+  it("fires on chest pain", () => {
+    assert.deepEqual(fromText("chest pain since morning"), ["chest-pain"]);
+    assert.deepEqual(fromText("pain in my chest"), ["chest-pain"]);
+  });
+
+  it("is cancelled by a negation in the same clause", () => {
+    assert.deepEqual(fromText("no chest pain"), []);
+    assert.deepEqual(fromText("Denies any chest tightness."), []);
+    assert.deepEqual(fromText("without chest pain"), []);
+    assert.deepEqual(fromText("no fever or chest pain"), []);
+  });
+
+  it("fires when a conjunction ends the negated clause", () => {
+    assert.deepEqual(fromText("No fever but severe chest pain"), [
+      "chest-pain",
+    ]);
+    assert.deepEqual(fromText("no appetite and chest pain since morning"), [
+      "chest-pain",
+    ]);
+    assert.deepEqual(fromText("no cough, with chest pressure"), ["chest-pain"]);
+    assert.deepEqual(fromText("not sure if this is chest pain"), [
+      "chest-pain",
+    ]);
+  });
+
+  it("fires when only an earlier mention is negated", () => {
+    assert.deepEqual(fromText("No chest pain yesterday. Chest pain today."), [
+      "chest-pain",
+    ]);
+  });
+
+  it("respects Hindi and Gujarati negation after the phrase", () => {
+    assert.deepEqual(fromText("सीने में दर्द"), ["chest-pain"]);
+    assert.deepEqual(fromText("सीने में दर्द नहीं"), []);
+    assert.deepEqual(fromText("છાતીમાં દુખાવો"), ["chest-pain"]);
+    assert.deepEqual(fromText("છાતીમાં દુખાવો નથી"), []);
+  });
+});
+
+describe("confusion-uremia", () => {
+  it("fires on confusion and uremic signs", () => {
+    assert.deepEqual(fromText("my father is confused"), ["confusion-uremia"]);
+    assert.deepEqual(fromText("had a seizure"), ["confusion-uremia"]);
+    assert.deepEqual(fromText("pericardial rub on exam"), ["confusion-uremia"]);
+  });
+
+  it("is cancelled by a negation in the same clause", () => {
+    assert.deepEqual(fromText("not confused"), []);
+    assert.deepEqual(fromText("negative for asterixis"), []);
+  });
+
+  it("fires when a conjunction ends the negated clause", () => {
+    assert.deepEqual(fromText("not eating and very confused"), [
+      "confusion-uremia",
+    ]);
+    assert.deepEqual(fromText("no headache, but disoriented at night"), [
+      "confusion-uremia",
+    ]);
+  });
+
+  it("respects Hindi and Gujarati negation after the phrase", () => {
+    assert.deepEqual(fromText("बेहोशी"), ["confusion-uremia"]);
+    assert.deepEqual(fromText("बेहोशी नहीं"), []);
+    assert.deepEqual(fromText("મૂંઝવણ નથી"), []);
+  });
+});
+
+describe("hyperkalemia", () => {
+  it("fires on a latest potassium of 6.0 or more", () => {
+    assert.deepEqual(firedIds({ labs: [{ analyte: "potassium", value: 6 }] }), [
+      "hyperkalemia",
+    ]);
+  });
+
+  it("does not fire below 6.0", () => {
+    assert.deepEqual(
+      firedIds({ labs: [{ analyte: "potassium", value: 5.9 }] }),
+      []
+    );
+  });
+
+  it("uses the most recent result", () => {
+    const labs = [
+      { analyte: "potassium", value: 6.5, collectedAt: "2024-01-01" },
+      { analyte: "potassium", value: 4.8, collectedAt: "2024-03-01" },
+    ];
+    assert.deepEqual(firedIds({ labs }), []);
+  });
+});
+
+describe("creatinine-doubling", () => {
+  it("fires when creatinine doubled within a year", () => {
+    const labs = [
+      { analyte: "creatinine", value: 1.1, collectedAt: "2024-01-10" },
+      { analyte: "creatinine", value: 2.4, collectedAt: "2024-03-10" },
+    ];
+    assert.deepEqual(firedIds({ labs }), ["creatinine-doubling"]);
+  });
+
+  it("uses the patient's earlier results as a baseline", () => {
+    assert.deepEqual(
+      firedIds({
+        labs: [{ analyte: "creatinine", value: 3, collectedAt: "2024-06-01" }],
+        history: [{ value: 1.2, date: "2024-02-01" }],
+      }),
+      ["creatinine-doubling"]
+    );
+  });
+
+  it("ignores a rise below double and baselines older than a year", () => {
+    assert.deepEqual(
+      firedIds({
+        labs: [{ analyte: "creatinine", value: 2, collectedAt: "2024-06-01" }],
+        history: [{ value: 1.2, date: "2024-02-01" }],
+      }),
+      []
+    );
+    assert.deepEqual(
+      firedIds({
+        labs: [{ analyte: "creatinine", value: 3, collectedAt: "2024-06-01" }],
+        history: [{ value: 1, date: "2022-01-01" }],
+      }),
+      []
+    );
+  });
+});
+
+describe("assessRedFlags", () => {
+  it("returns no recommendation when nothing fired", () => {
+    assert.deepEqual(assessRedFlags({ text: "mild headache" }), {
+      emergency: false,
+      flags: [],
+      recommendation: null,
+    });
+  });
+
+  it("writes the recommendation in the requested language", () => {
+    const triage = assessRedFlags({ text: "chest pain", language: "hi" });
+    assert.equal(triage.recommendation.action, EMERGENCY_ACTION.hi);
+    assert.equal(triage.flags[0].title, "सीने में दर्द");
+  });
+
+  it("formats a plain-text notice only when a rule fired", () => {
+    assert.equal(formatTriageText(assessRedFlags({ text: "tired" })), "");
+    assert.match(
+      formatTriageText(assessRedFlags({ text: "chest pain" }), "en"),
+      /^.+: Go to the nearest emergency department/
+    );
+  });
+
+  it("puts fired rules first in a model answer", () => {
+    const triage = assessRedFlags({ text: "chest pain" });
+    const merged = mergeTriage(
+      { redFlags: ["Fever"], specialists: ["Nephrologist"] },
+      triage,
+      "symptoms"
+    );
+    assert.equal(merged.redFlags.length, 2);
+    assert.match(merged.redFlags[0], /^Chest pain:/);
+    assert.deepEqual(merged.specialists, [
+      "Emergency Specialist",
+      "Nephrologist",
+    ]);
+  });
+});